@@ -13,6 +13,7 @@ const axios = require('axios');
 const admin = require('firebase-admin');
 const bodyParser = require('body-parser');
 require('dotenv').config();
+const exchangeRateService = require('./services/exchangeRateService');
 
 // ===== CRITICAL FIX: Handle environment variables properly =====
 console.log('🔧 Loading environment variables...');
@@ -152,7 +153,13 @@ app.use(cors({
 }));
 
 app.use(compression());
-app.use(bodyParser.json({ limit: '10mb' }));
+// Keep the raw body around for webhook signature checks (PayPal signs a CRC32 of it)
+app.use(bodyParser.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
 // ===== RATE LIMITING =====
@@ -448,9 +455,9 @@ app.post('/api/payments/create-order', async (req, res) => {
 });
 
 // ===== CURRENCY CONVERSION =====
-app.get('/api/currency/convert', (req, res) => {
+app.get('/api/currency/convert', async (req, res) => {
   try {
-    const { amount, from, to } = req.query;
+    const { amount, from, to, at } = req.query;
 
     if (!amount || !from || !to) {
       return res.status(400).json({ error: 'Missing required parameters' });
@@ -461,24 +468,23 @@ app.get('/api/currency/convert', (req, res) => {
       return res.status(400).json({ error: 'Invalid amount' });
     }
 
-    const exchangeRate = parseInt(process.env.EXCHANGE_RATE) || 800;
-
-    let convertedAmount;
-    if (from === 'USD' && to === 'MWK') {
-      convertedAmount = numericAmount * exchangeRate;
-    } else if (from === 'MWK' && to === 'USD') {
-      convertedAmount = numericAmount / exchangeRate;
-    } else {
+    const fromCurrency = from.toUpperCase();
+    const toCurrency = to.toUpperCase();
+    if (!exchangeRateService.isSupported(fromCurrency) || !exchangeRateService.isSupported(toCurrency)) {
       return res.status(400).json({ error: 'Unsupported currency pair' });
     }
 
+    // `at` converts with the rate that was in effect at that date
+    const converted = await exchangeRateService.convert(numericAmount, fromCurrency, toCurrency, at || null);
+
     res.json({
       success: true,
       originalAmount: numericAmount,
-      originalCurrency: from,
-      convertedAmount: parseFloat(convertedAmount.toFixed(2)),
-      convertedCurrency: to,
-      exchangeRate,
+      originalCurrency: fromCurrency,
+      convertedAmount: converted.amount,
+      convertedCurrency: toCurrency,
+      exchangeRate: converted.rate,
+      rateEffectiveFrom: converted.to.effectiveFrom || converted.from.effectiveFrom,
       timestamp: new Date().toISOString()
     });
 
@@ -526,7 +532,6 @@ if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
     console.log('🚀 MRTC eCampus Backend API v3.1');
     console.log('📍 Server running on port', PORT);
     console.log('🌐 Environment:', process.env.NODE_ENV || 'development');
-    console.log('💰 Exchange Rate: 1 USD =', process.env.EXCHANGE_RATE || 800, 'MWK');
     console.log('🔗 Health Check:', `http://localhost:${PORT}/api/health`);
     console.log('='.repeat(60));
   });
@@ -3,6 +3,7 @@
  * Verifies JWT tokens and attaches user context to requests
  */
 
+const crypto = require('crypto');
 const { getAuth } = require('firebase-admin/auth');
 const { getFirestore } = require('firebase-admin/firestore');
 const admin = require('firebase-admin');
@@ -352,6 +353,26 @@ const verifyEmailMiddleware = (req, res, next) => {
   next();
 };
 
+/**
+ * ✅ CRON SECRET MIDDLEWARE
+ * Guards scheduled-job endpoints: the scheduler sends Authorization: Bearer <CRON_SECRET>
+ */
+const requireCronSecret = (req, res, next) => {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  // Constant-time comparison, as for the webhook signatures
+  const given = Buffer.from(String(req.headers.authorization || ''));
+  const expected = Buffer.from(`Bearer ${cronSecret}`);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+};
+
 module.exports = {
   authMiddleware,
   adminMiddleware,
@@ -360,5 +381,6 @@ module.exports = {
   instructorMiddleware,
   courseOwnerMiddleware,
   rateLimitMiddleware,
-  verifyEmailMiddleware
+  verifyEmailMiddleware,
+  requireCronSecret
 };
\ No newline at end of file
@@ -0,0 +1,241 @@
+const admin = require('firebase-admin');
+
+class Bundle {
+  constructor(data = {}) {
+    // 🔑 CORE FIELDS
+    this.id = data.id || null;
+    this.title = data.title || '';
+    this.description = data.description || '';
+    this.courseIds = data.courseIds || [];
+    this.type = data.type || 'bundle'; // bundle, learning_path (ordered courses)
+
+    // 💰 PRICING
+    this.price = parseFloat(data.price) || 0; // USD
+    this.prices = data.prices || {}; // explicit per-currency prices, e.g. { MWK: 36000 }
+    this.currency = data.currency || 'USD';
+    // Optional revenue weights per course, e.g. { 'course-a': 2, 'course-b': 1 }.
+    // Without weights revenue is split by each course's list price
+    this.allocationWeights = data.allocationWeights || null;
+
+    // 📊 STATUS
+    this.isActive = data.isActive !== undefined ? Boolean(data.isActive) : true;
+    this.createdAt = data.createdAt || null;
+    this.updatedAt = data.updatedAt || null;
+    this.createdBy = data.createdBy || null;
+  }
+
+  /**
+   * Validate bundle data
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.title || !this.title.trim()) errors.push('Title is required');
+    if (!Array.isArray(this.courseIds) || this.courseIds.length < 2) {
+      errors.push('A bundle needs at least two courses');
+    }
+    if (new Set(this.courseIds).size !== this.courseIds.length) {
+      errors.push('A course can only appear once in a bundle');
+    }
+    if (this.price < 0) errors.push('Price cannot be negative');
+
+    if (this.allocationWeights) {
+      const missing = this.courseIds.filter(courseId => !(parseFloat(this.allocationWeights[courseId]) >= 0));
+      if (missing.length > 0) {
+        errors.push(`Allocation weight missing for: ${missing.join(', ')}`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Save bundle to Firestore
+   * Creates new or updates existing document
+   */
+  async save() {
+    try {
+      const db = admin.firestore();
+
+      const bundleRef = this.id
+        ? db.collection('bundles').doc(this.id)
+        : db.collection('bundles').doc();
+
+      if (!this.id) {
+        this.id = bundleRef.id;
+      }
+
+      const bundleData = this.toJSON();
+      bundleData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+      if (!bundleData.createdAt) {
+        bundleData.createdAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+
+      await bundleRef.set(bundleData, { merge: true });
+
+      console.log(`✅ Bundle saved: ${this.id}`);
+      return this;
+
+    } catch (error) {
+      console.error('❌ Error saving bundle:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the included courses, in bundle order
+   */
+  async getCourses() {
+    const db = admin.firestore();
+    const courseDocs = await Promise.all(this.courseIds.map(courseId => db.collection('courses').doc(courseId).get()));
+
+    return courseDocs.map((doc, index) => {
+      if (!doc.exists) {
+        throw new Error(`Course not found in bundle: ${this.courseIds[index]}`);
+      }
+      return { id: doc.id, ...doc.data() };
+    });
+  }
+
+  /**
+   * Split an amount paid for the bundle across its courses.
+   * Shares follow allocationWeights, else each course's list price (equal split
+   * when every course is free). Rounding differences go to the last course so
+   * the lines always add up to the amount.
+   */
+  allocate(amount, courses) {
+    const weights = courses.map(course => {
+      if (this.allocationWeights) {
+        return parseFloat(this.allocationWeights[course.id]) || 0;
+      }
+      return parseFloat(course.priceUSD ?? course.price) || 0;
+    });
+
+    const amounts = Bundle.split(amount, weights);
+
+    return courses.map((course, index) => ({
+      courseId: course.id,
+      title: course.title || '',
+      listPrice: parseFloat(course.priceUSD ?? course.price) || 0,
+      amount: amounts[index]
+    }));
+  }
+
+  /**
+   * Split an amount in proportion to weights (equally when they are all zero),
+   * to the cent. Rounding differences go to the last share so the shares always
+   * add up to the amount. Also splits refunds and earnings of an order by its
+   * allocated items (see paymentService.allocateAmount).
+   */
+  static split(amount, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    let remaining = Math.round(amount * 100);
+
+    return weights.map((weight, index) => {
+      const isLast = index === weights.length - 1;
+      const share = totalWeight > 0 ? weight / totalWeight : 1 / weights.length;
+      const cents = isLast ? remaining : Math.round(amount * 100 * share);
+      remaining -= cents;
+      return cents / 100;
+    });
+  }
+
+  /**
+   * Sum of the included courses' list prices
+   */
+  getListPrice(courses) {
+    return Math.round(courses.reduce((sum, course) => sum + (parseFloat(course.priceUSD ?? course.price) || 0), 0) * 100) / 100;
+  }
+
+  /**
+   * Find bundle by ID
+   */
+  static async findById(id) {
+    try {
+      const db = admin.firestore();
+      const bundleDoc = await db.collection('bundles').doc(id).get();
+
+      if (!bundleDoc.exists) {
+        return null;
+      }
+
+      return new Bundle({
+        id: bundleDoc.id,
+        ...bundleDoc.data()
+      });
+
+    } catch (error) {
+      console.error('❌ Error finding bundle:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active bundles
+   */
+  static async getActive(limit = 50) {
+    try {
+      const db = admin.firestore();
+      const snapshot = await db.collection('bundles')
+        .where('isActive', '==', true)
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => new Bundle({
+        id: doc.id,
+        ...doc.data()
+      }));
+
+    } catch (error) {
+      console.error('❌ Error getting bundles:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find active bundles that include a course
+   */
+  static async findByCourse(courseId) {
+    try {
+      const db = admin.firestore();
+      const snapshot = await db.collection('bundles')
+        .where('courseIds', 'array-contains', courseId)
+        .where('isActive', '==', true)
+        .get();
+
+      return snapshot.docs.map(doc => new Bundle({
+        id: doc.id,
+        ...doc.data()
+      }));
+
+    } catch (error) {
+      console.error('❌ Error finding bundles by course:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert to JSON for Firestore
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      description: this.description,
+      courseIds: this.courseIds,
+      type: this.type,
+      price: this.price,
+      prices: this.prices,
+      currency: this.currency,
+      allocationWeights: this.allocationWeights,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      createdBy: this.createdBy
+    };
+  }
+}
+
+module.exports = Bundle;
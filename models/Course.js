@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const paginationService = require('../services/paginationService');
 
 class Course {
   constructor(data = {}) {
@@ -26,9 +27,16 @@ class Course {
     this.price = parseFloat(data.price) || 0;
     this.isFree = data.isFree || (data.price === 0 || parseFloat(data.price) === 0);
     this.currency = data.currency || 'USD';
-    this.mwkPrice = data.mwkPrice || (data.price ? parseFloat(data.price) * 800 : 0);
+    // Explicit per-currency prices, e.g. { MWK: 85000, ZAR: 900 }. Currencies
+    // without an entry are converted from `price` at the current exchange rate
+    this.prices = data.prices || {};
+    this.mwkPrice = data.mwkPrice || this.prices.MWK || 0;
     this.discount = parseFloat(data.discount) || 0;
     this.discountPercentage = data.discountPercentage || 0;
+    // Optional installment payments, e.g. { enabled: true, count: 3, intervalDays: 30, unlock: 'full' }
+    this.installmentPlan = data.installmentPlan || null;
+    // Instructor's fraction of the course revenue after fees; null uses INSTRUCTOR_REVENUE_SHARE
+    this.revenueShare = data.revenueShare ?? null;
 
     // ⭐ RATINGS & REVIEWS
     this.averageRating = parseFloat(data.averageRating) || 0;
@@ -48,7 +56,7 @@ class Course {
     this.promoVideoType = data.promoVideoType || 'youtube'; // youtube, drive, file
     this.prerequisites = data.prerequisites || [];
     this.learningObjectives = data.learningObjectives || [];
-    this.curriculum = data.curriculum || [];
+    this.curriculum = data.curriculum || []; // module/lesson outline kept by curriculumService
     this.resources = data.resources || [];
     this.captions = data.captions || ['English'];
 
@@ -57,6 +65,7 @@ class Course {
     this.certificateTemplate = data.certificateTemplate || '';
     this.requiresAssessment = data.requiresAssessment || false;
     this.minPassingScore = data.minPassingScore || 60;
+    this.hasCertificate = data.hasCertificate ?? Boolean(this.certificateTemplate || this.requiresAssessment);
 
     // 🔧 GOOGLE DRIVE INTEGRATION (🆕)
     this.driveFolderId = data.driveFolderId || null; // Root folder for course
@@ -114,6 +123,7 @@ class Course {
 
       // Save to Firestore
       await courseRef.set(courseData, { merge: true });
+      await Course.reindex(this.id);
 
       console.log(`✅ Course saved: ${this.id}`);
       return this;
@@ -204,6 +214,7 @@ class Course {
 
       // Delete course document
       await db.collection('courses').doc(this.id).delete();
+      await Course.reindex(this.id);
 
       console.log(`✅ Course deleted: ${this.id}`);
       return true;
@@ -214,6 +225,18 @@ class Course {
     }
   }
 
+  /**
+   * Update the course search index; failures are logged, not thrown
+   */
+  static async reindex(courseId) {
+    try {
+      const searchService = require('../services/searchService');
+      await searchService.indexCourse(courseId);
+    } catch (error) {
+      console.error(`❌ Error indexing course ${courseId}:`, error.message);
+    }
+  }
+
   // ========================================
   // 📖 QUERY OPERATIONS (Static Methods)
   // ========================================
@@ -290,25 +313,25 @@ class Course {
   }
 
   /**
-   * Get all published courses
+   * Get published courses, newest first, a cursor page at a time
    */
-  static async getPublished(limit = 50, startAt = null) {
+  static async getPublished(limit = 50, cursor = null) {
     try {
       const db = admin.firestore();
-      let query = db.collection('courses')
-        .where('isPublished', '==', true)
-        .orderBy('createdAt', 'desc');
-
-      if (startAt) {
-        query = query.startAt(startAt);
-      }
-
-      const snapshot = await query.limit(limit).get();
-
-      return snapshot.docs.map(doc => new Course({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const { items: courses, pagination } = await paginationService.paginateQuery(
+        db.collection('courses').where('isPublished', '==', true),
+        {
+          orderBy: [['createdAt', 'desc']],
+          limit,
+          cursor,
+          map: doc => new Course({
+            id: doc.id,
+            ...doc.data()
+          })
+        }
+      );
+
+      return { courses, pagination };
 
     } catch (error) {
       console.error('❌ Error getting published courses:', error.message);
@@ -362,34 +385,27 @@ class Course {
   }
 
   /**
-   * Search courses by title or description
+   * Search published courses through the course search index, best match first
    */
   static async search(searchTerm, limit = 20) {
     try {
       const db = admin.firestore();
-      const lowerSearchTerm = searchTerm.toLowerCase();
+      const searchService = require('../services/searchService');
 
-      const snapshot = await db.collection('courses')
-        .where('isPublished', '==', true)
-        .get();
+      const { results } = await searchService.search(searchTerm, { limit });
+      if (results.length === 0) {
+        return [];
+      }
 
-      const results = snapshot.docs
-        .filter(doc => {
-          const data = doc.data();
-          return (
-            data.title.toLowerCase().includes(lowerSearchTerm) ||
-            data.description.toLowerCase().includes(lowerSearchTerm) ||
-            (data.tags && data.tags.some(tag => tag.toLowerCase().includes(lowerSearchTerm)))
-          );
-        })
-        .slice(0, limit)
+      // Ranked order from the search index
+      const docs = await db.getAll(...results.map(result => db.collection('courses').doc(result.courseId)));
+      return docs
+        .filter(doc => doc.exists)
         .map(doc => new Course({
           id: doc.id,
           ...doc.data()
         }));
 
-      return results;
-
     } catch (error) {
       console.error('❌ Error searching courses:', error.message);
       throw error;
@@ -668,9 +684,12 @@ class Course {
       price: this.price,
       isFree: this.isFree,
       currency: this.currency,
+      prices: this.prices,
       mwkPrice: this.mwkPrice,
       discount: this.discount,
       discountPercentage: this.discountPercentage,
+      installmentPlan: this.installmentPlan,
+      revenueShare: this.revenueShare,
       averageRating: this.averageRating,
       reviewCount: this.reviewCount,
       enrollmentCount: this.enrollmentCount,
@@ -688,6 +707,7 @@ class Course {
       certificateTemplate: this.certificateTemplate,
       requiresAssessment: this.requiresAssessment,
       minPassingScore: this.minPassingScore,
+      hasCertificate: this.hasCertificate,
       driveFolderId: this.driveFolderId,
       contentCount: this.contentCount,
       storageUsageGB: this.storageUsageGB,
@@ -727,8 +747,10 @@ class Course {
       price: this.price,
       isFree: this.isFree,
       currency: this.currency,
+      prices: this.prices,
       mwkPrice: this.mwkPrice,
       discount: this.discount,
+      installmentPlan: this.installmentPlan,
       averageRating: this.averageRating,
       reviewCount: this.reviewCount,
       enrollmentCount: this.enrollmentCount,
@@ -741,7 +763,8 @@ class Course {
       isFeatured: this.isFeatured,
       certificateTemplate: this.certificateTemplate,
       requiresAssessment: this.requiresAssessment,
-      minPassingScore: this.minPassingScore
+      minPassingScore: this.minPassingScore,
+      hasCertificate: this.hasCertificate
     };
   }
 
@@ -52,19 +52,10 @@ class Lesson {
     return snapshot.docs.map(doc => new Lesson({ id: doc.id, ...doc.data() }));
   }
 
+  // Video watch percentage (0-100); see progressService for completion and course progress
   async updateProgress(userId, progress) {
-    const progressRef = db.collection('progress').doc(`${userId}_${this.id}`);
-    await progressRef.set({
-      userId,
-      lessonId: this.id,
-      courseId: this.courseId,
-      progress: progress, // percentage 0-100
-      completed: progress === 100,
-      lastAccessed: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    }, { merge: true });
-    
-    return { userId, lessonId: this.id, progress };
+    const progressService = require('../services/progressService');
+    return progressService.recordWatch(userId, this.courseId, this.id, progress);
   }
 
   toJSON() {
@@ -1,4 +1,19 @@
 // Payment Model
+const admin = require('firebase-admin');
+
+// Allowed status transitions (from -> [to])
+const TRANSITIONS = {
+  pending: ['processing', 'pending_verification', 'completed', 'failed', 'expired'],
+  processing: ['pending', 'completed', 'failed', 'expired'],
+  pending_verification: ['completed', 'failed', 'rejected'],
+  failed: ['pending', 'processing', 'completed'], // pending: retried (paymentService.prepareRetry)
+  completed: ['refunded', 'partially_refunded'],
+  partially_refunded: ['refunded'],
+  expired: ['completed', 'pending'], // late success webhook after the sweeper ran, or a retry
+  rejected: [],
+  refunded: []
+};
+
 class Payment {
   constructor(data = {}) {
     this.id = data.id || null;
@@ -10,7 +25,7 @@ class Payment {
     this.method = data.method || null; // paychangu, paypal, bank_transfer
     this.network = data.network || null; // airtel, mpamba
     this.phoneNumber = data.phoneNumber || null;
-    this.status = data.status || 'pending'; // pending, processing, completed, failed, refunded, expired
+    this.status = data.status || 'pending'; // see TRANSITIONS
     this.transactionId = data.transactionId || null;
     this.paymentProvider = data.paymentProvider || null;
     this.fileUrl = data.fileUrl || null;
@@ -20,7 +35,7 @@ class Payment {
     this.completedAt = data.completedAt || null;
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
-    this.expiresAt = data.expiresAt || new Date(Date.now() + 15 * 60 * 1000).toISOString();
+    this.expiresAt = data.expiresAt || Payment.getExpiryDate();
     this.adminNotes = data.adminNotes || null;
   }
 
@@ -84,6 +99,85 @@ class Payment {
     delete data.transactionId;
     return data;
   }
+
+  // Pending orders are expired by paymentService.expireStalePayments after this time
+  static getExpiryDate(from = Date.now()) {
+    const minutes = parseInt(process.env.PAYMENT_EXPIRY_MINUTES) || 15;
+    return new Date(from + minutes * 60 * 1000).toISOString();
+  }
+
+  static historyEntry(from, to, actor = 'system', reason = '') {
+    return {
+      status: to,
+      from,
+      actor,
+      reason,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  static canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  // Move a payment to a new status inside a transaction and append the change to history.
+  // Extra fields in `updates` are written in the same transaction. Moving to the current
+  // status still writes `updates` (e.g. a capture id arriving after /verify-payment) but adds
+  // no history entry; any other move not in TRANSITIONS throws ILLEGAL_TRANSITION, as does
+  // a payment no longer in `from` when it is given (nothing is written then).
+  // Callers go through paymentService.transition, which runs the side effects of a change.
+  static async transition(paymentId, to, { actor = 'system', reason = '', updates = {}, from: expected = null } = {}) {
+    const db = admin.firestore();
+    const paymentRef = db.collection('payments').doc(paymentId);
+
+    return db.runTransaction(async (transaction) => {
+      const paymentDoc = await transaction.get(paymentRef);
+
+      if (!paymentDoc.exists) {
+        throw new Error('Payment not found');
+      }
+
+      const payment = paymentDoc.data();
+      const from = payment.status || 'pending';
+
+      if (expected && from !== expected) {
+        const error = new Error(`Payment is ${from}, not ${expected}`);
+        error.code = 'ILLEGAL_TRANSITION';
+        error.from = from;
+        error.to = to;
+        throw error;
+      }
+
+      if (from === to) {
+        if (Object.keys(updates).length > 0) {
+          transaction.update(paymentRef, {
+            ...updates,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
+        return { changed: false, from, to, payment };
+      }
+
+      if (!Payment.canTransition(from, to)) {
+        const error = new Error(`Illegal payment transition: ${from} -> ${to}`);
+        error.code = 'ILLEGAL_TRANSITION';
+        error.from = from;
+        error.to = to;
+        throw error;
+      }
+
+      transaction.update(paymentRef, {
+        ...updates,
+        status: to,
+        history: admin.firestore.FieldValue.arrayUnion(Payment.historyEntry(from, to, actor, reason)),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { changed: true, from, to, payment };
+    });
+  }
 }
 
+Payment.TRANSITIONS = TRANSITIONS;
+
 module.exports = Payment;
\ No newline at end of file
@@ -7,7 +7,9 @@ class User {
     this.displayName = data.displayName || '';
     this.photoURL = data.photoURL || '';
     this.phoneNumber = data.phoneNumber || '';
-    this.role = data.role || 'student'; // student, admin
+    this.role = data.role || 'student'; // student, instructor, org_admin, admin
+    // Organization the user belongs to (members and org admins)
+    this.organizationId = data.organizationId || null;
     this.country = data.country || 'Malawi';
     this.city = data.city || '';
     this.bio = data.bio || '';
@@ -97,6 +99,7 @@ class User {
       photoURL: this.photoURL,
       phoneNumber: this.phoneNumber,
       role: this.role,
+      organizationId: this.organizationId,
       country: this.country,
       city: this.city,
       bio: this.bio,
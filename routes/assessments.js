@@ -3,6 +3,7 @@ const express = require('express');
 const admin = require('firebase-admin');
 const router = express.Router();
 const Papa = require('papaparse');
+const paginationService = require('../services/paginationService');
 
 // Initialize Firestore
 const db = admin.firestore();
@@ -84,6 +85,8 @@ router.get('/stats', authenticateAdmin, async (req, res) => {
 // ======================
 // 2. GET ALL ASSESSMENTS
 // ======================
+// ?limit=20&cursor=<pagination.nextCursor>. Assessments live under each course,
+// so they are gathered and paged in memory
 router.get('/all', authenticateAdmin, async (req, res) => {
     try {
         const coursesSnapshot = await db.collection('courses').get();
@@ -110,9 +113,18 @@ router.get('/all', authenticateAdmin, async (req, res) => {
         // Sort by creation date (newest first)
         assessments.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
         
-        res.json({ success: true, assessments });
+        const page = paginationService.paginateArray(assessments, {
+            ...paginationService.parseParams(req.query),
+            orderBy: [['createdAt', 'desc']],
+            getId: assessment => `${assessment.courseId}/${assessment.id}`
+        });
+        
+        res.json({ success: true, assessments: page.items, pagination: page.pagination });
         
     } catch (error) {
+        if (error.message === 'Invalid cursor') {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Get assessments error:', error);
         res.status(500).json({ error: error.message });
     }
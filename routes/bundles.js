@@ -0,0 +1,194 @@
+// =============================================
+// COURSE BUNDLES API ROUTES
+// =============================================
+const express = require('express');
+const router = express.Router();
+const Bundle = require('../models/Bundle');
+const exchangeRateService = require('../services/exchangeRateService');
+const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+
+// Public view of a bundle with its courses and the saving against list prices
+async function toBundleResponse(bundle) {
+    const courses = await bundle.getCourses();
+    const listPrice = bundle.getListPrice(courses);
+
+    return {
+        ...bundle.toJSON(),
+        courses: courses.map(course => ({
+            id: course.id,
+            title: course.title,
+            price: parseFloat(course.priceUSD ?? course.price) || 0,
+            imageUrl: course.imageUrl || course.coverImage || ''
+        })),
+        listPrice,
+        savings: Math.max(0, Math.round((listPrice - bundle.price) * 100) / 100)
+    };
+}
+
+/**
+ * Get active bundles
+ * GET /api/bundles
+ */
+router.get('/', async (req, res) => {
+    try {
+        const bundles = await Bundle.getActive(Math.min(parseInt(req.query.limit) || 50, 100));
+        const results = await Promise.all(bundles.map(toBundleResponse));
+
+        res.json({
+            success: true,
+            bundles: results,
+            total: results.length
+        });
+
+    } catch (error) {
+        console.error('❌ Get bundles error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get bundles'
+        });
+    }
+});
+
+/**
+ * Get single bundle by ID
+ * GET /api/bundles/:bundleId?currency=MWK
+ */
+router.get('/:bundleId', async (req, res) => {
+    try {
+        const bundle = await Bundle.findById(req.params.bundleId);
+
+        if (!bundle || !bundle.isActive) {
+            return res.status(404).json({
+                success: false,
+                error: 'Bundle not found'
+            });
+        }
+
+        const result = await toBundleResponse(bundle);
+
+        if (req.query.currency) {
+            if (!exchangeRateService.isSupported(req.query.currency.toUpperCase())) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Unsupported currency'
+                });
+            }
+            result.localPrice = await exchangeRateService.getCoursePrice(bundle, req.query.currency);
+        }
+
+        res.json({
+            success: true,
+            bundle: result
+        });
+
+    } catch (error) {
+        console.error('❌ Get bundle error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get bundle'
+        });
+    }
+});
+
+/**
+ * Create bundle
+ * POST /api/bundles/admin/create
+ */
+router.post('/admin/create', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const pricing = exchangeRateService.validatePrices(req.body.prices);
+        if (!pricing.valid) {
+            return res.status(400).json({
+                success: false,
+                error: pricing.error
+            });
+        }
+
+        const bundle = new Bundle({
+            ...req.body,
+            id: req.body.id || null,
+            prices: pricing.prices,
+            createdBy: req.user.uid
+        });
+
+        const validation = bundle.validate();
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: validation.errors.join(', ')
+            });
+        }
+
+        // Fails if a course does not exist
+        await bundle.getCourses();
+        await bundle.save();
+
+        res.json({
+            success: true,
+            message: 'Bundle created successfully',
+            bundleId: bundle.id
+        });
+
+    } catch (error) {
+        console.error('❌ Create bundle error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message || 'Failed to create bundle'
+        });
+    }
+});
+
+/**
+ * Update bundle
+ * PUT /api/bundles/admin/:bundleId
+ */
+router.put('/admin/:bundleId', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const existing = await Bundle.findById(req.params.bundleId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Bundle not found'
+            });
+        }
+
+        const updates = { ...req.body };
+        if (updates.prices !== undefined) {
+            const pricing = exchangeRateService.validatePrices(updates.prices);
+            if (!pricing.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: pricing.error
+                });
+            }
+            updates.prices = pricing.prices;
+        }
+
+        const bundle = new Bundle({ ...existing.toJSON(), ...updates, id: existing.id });
+
+        const validation = bundle.validate();
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: validation.errors.join(', ')
+            });
+        }
+
+        await bundle.getCourses();
+        await bundle.save();
+
+        res.json({
+            success: true,
+            message: 'Bundle updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Update bundle error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message || 'Failed to update bundle'
+        });
+    }
+});
+
+module.exports = router;
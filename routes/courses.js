@@ -7,6 +7,14 @@ const multer = require('multer');
 const admin = require('firebase-admin');
 const courseService = require('../services/courseService');
 const googleDriveService = require('../services/googleDriveService');
+const exchangeRateService = require('../services/exchangeRateService');
+const membershipService = require('../services/membershipService');
+const installmentService = require('../services/installmentService');
+const earningsService = require('../services/earningsService');
+const searchService = require('../services/searchService');
+const paginationService = require('../services/paginationService');
+const curriculumService = require('../services/curriculumService');
+const progressService = require('../services/progressService');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 
 // Configure multer for file uploads
@@ -23,23 +31,39 @@ const upload = multer({
 
 /**
  * Get courses with pagination and filters
- * GET /api/courses?page=1&limit=12&category=tech&search=python
+ * GET /api/courses?limit=12&cursor=<pagination.nextCursor>&category=tech&search=python
+ * With search, courses come best match first, each with search.highlights
+ * ({ title, snippet } with matches wrapped in <mark>)
+ * Facets take comma separated values, e.g.
+ * ?level=beginner,intermediate&language=english&price=free,under-25&duration=2-5&rating=4&certificate=true
+ * and the response carries facets: { level: [{ value, label, count, selected }], ... }
  */
 router.get('/', async (req, res) => {
     try {
         const { 
-            page = 1, 
-            limit = 12, 
             category, 
+            subcategory,
+            level,
+            language,
+            price,
+            duration,
+            rating,
+            certificate,
             filter, 
             search, 
             sort = 'newest' 
         } = req.query;
 
         const courses = await courseService.getCourses({
-            page: parseInt(page),
-            limit: parseInt(limit),
+            ...paginationService.parseParams(req.query, { defaultLimit: 12, maxLimit: 50 }),
             category,
+            subcategory,
+            level,
+            language,
+            price,
+            duration,
+            rating,
+            certificate,
             filter,
             search,
             sort
@@ -51,6 +75,12 @@ router.get('/', async (req, res) => {
         });
 
     } catch (error) {
+        if (error.message === 'Invalid cursor') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
         console.error('❌ Get courses error:', error);
         res.status(500).json({ 
             success: false,
@@ -61,7 +91,7 @@ router.get('/', async (req, res) => {
 
 /**
  * Get single course by ID
- * GET /api/courses/:courseId
+ * GET /api/courses/:courseId?currency=MWK
  */
 router.get('/:courseId', async (req, res) => {
     try {
@@ -81,6 +111,17 @@ router.get('/:courseId', async (req, res) => {
             ...courseDoc.data()
         };
 
+        // Price in the requested currency (explicit price, else converted)
+        if (req.query.currency) {
+            if (!exchangeRateService.isSupported(req.query.currency.toUpperCase())) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Unsupported currency'
+                });
+            }
+            course.localPrice = await exchangeRateService.getCoursePrice(course, req.query.currency);
+        }
+
         res.json({ 
             success: true, 
             course 
@@ -174,49 +215,40 @@ router.get('/:courseId/recommendations', async (req, res) => {
 
 /**
  * Get course reviews
- * GET /api/courses/:courseId/reviews
+ * GET /api/courses/:courseId/reviews?sort=recent|helpful&limit=10&cursor=<pagination.nextCursor>
  */
 router.get('/:courseId/reviews', async (req, res) => {
     try {
-        const { page = 1, limit = 10, sort = 'recent' } = req.query;
+        const { sort = 'recent' } = req.query;
         const { courseId } = req.params;
 
-        let query = admin.firestore().collection('course_reviews')
+        const query = admin.firestore().collection('course_reviews')
             .where('courseId', '==', courseId)
             .where('isVerified', '==', true);
 
-        if (sort === 'helpful') {
-            query = query.orderBy('helpful', 'desc');
-        } else {
-            query = query.orderBy('createdAt', 'desc');
-        }
-
-        const snapshot = await query
-            .limit(parseInt(limit) * parseInt(page))
-            .get();
-
-        const reviews = snapshot.docs
-            .slice((parseInt(page) - 1) * parseInt(limit))
-            .map(doc => ({
+        const { items: reviews, pagination } = await paginationService.paginateQuery(query, {
+            ...paginationService.parseParams(req.query, { defaultLimit: 10, maxLimit: 50 }),
+            orderBy: [sort === 'helpful' ? ['helpful', 'desc'] : ['createdAt', 'desc']],
+            map: doc => ({
                 id: doc.id,
                 ...doc.data(),
                 createdAt: doc.data().createdAt?.toDate()
-            }));
-
-        const totalSnapshot = await admin.firestore().collection('course_reviews')
-            .where('courseId', '==', courseId)
-            .where('isVerified', '==', true)
-            .get();
+            })
+        });
 
         res.json({
             success: true,
             reviews,
-            total: totalSnapshot.size,
-            page: parseInt(page),
-            totalPages: Math.ceil(totalSnapshot.size / limit)
+            pagination
         });
 
     } catch (error) {
+        if (error.message === 'Invalid cursor') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
         console.error('❌ Get reviews error:', error);
         res.status(500).json({ 
             success: false,
@@ -236,7 +268,44 @@ router.get('/:courseId/reviews', async (req, res) => {
 router.post('/:courseId/enroll', authenticate, async (req, res) => {
     try {
         const { courseId } = req.params;
-        const { isFree = false } = req.body;
+
+        const courseDoc = await admin.firestore().collection('courses').doc(courseId).get();
+        if (!courseDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Course not found'
+            });
+        }
+
+        const course = { id: courseDoc.id, ...courseDoc.data() };
+        const isFree = !(parseFloat(course.priceUSD ?? course.price) > 0);
+
+        // Paid courses are bought through /api/payments; members join covered courses here
+        if (!isFree) {
+            const membership = await membershipService.findCoveringMembership(req.user.uid, course);
+            if (!membership) {
+                return res.status(402).json({
+                    success: false,
+                    error: 'This course requires a purchase or an active membership',
+                    code: 'ENTITLEMENT_REQUIRED'
+                });
+            }
+
+            const result = await membershipService.enrollWithMembership(req.user.uid, courseId, membership);
+            if (!result.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Already enrolled in this course'
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: result.resumed ? 'Course access resumed' : 'Successfully enrolled in course',
+                enrollmentId: result.enrollmentId,
+                membershipId: membership.id
+            });
+        }
 
         // Check if already enrolled
         const enrollmentSnap = await admin.firestore().collection('enrollments')
@@ -263,6 +332,7 @@ router.post('/:courseId/enroll', authenticate, async (req, res) => {
             progress: 0,
             completed: false,
             isFree: isFree,
+            accessSource: 'free',
             certificateId: null,
             lastAccessedAt: admin.firestore.FieldValue.serverTimestamp()
         });
@@ -405,6 +475,7 @@ router.post('/:courseId/review', authenticate, async (req, res) => {
             averageRating: newRating,
             reviewCount: (courseData.reviewCount || 0) + 1
         });
+        await courseService.reindexCourse(courseId);
 
         res.json({
             success: true,
@@ -465,6 +536,14 @@ router.post('/:courseId/upload', authenticate, requireAdmin, upload.single('file
             });
         }
 
+        // Content can only be attached to a lesson of this course
+        if (lessonId && !(await curriculumService.hasLesson(courseId, lessonId))) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Lesson not found in this course' 
+            });
+        }
+
         console.log(`📤 Uploading file "${file.originalname}" for course ${courseId}`);
 
         // ✅ STEP 1: UPLOAD TO GOOGLE DRIVE
@@ -513,15 +592,8 @@ router.post('/:courseId/upload', authenticate, requireAdmin, upload.single('file
 
         console.log(`✅ Firestore record created: ${contentRef.id}`);
 
-        // ✅ STEP 3: UPDATE COURSE DOCUMENT (auto-increment content count)
-        const courseDoc = await db.collection('courses').doc(courseId).get();
-        if (courseDoc.exists) {
-            const courseData = courseDoc.data();
-            await courseDoc.ref.update({
-                contentCount: (courseData.contentCount || 0) + 1,
-                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-            });
-        }
+        // ✅ STEP 3: UPDATE COURSE DOCUMENT (content count and search index)
+        await courseService.contentChanged(courseId, 1);
 
         // ✅ RESPONSE
         res.json({
@@ -571,6 +643,14 @@ router.post('/:courseId/upload/youtube', authenticate, requireAdmin, async (req,
             });
         }
 
+        // Content can only be attached to a lesson of this course
+        if (lessonId && !(await curriculumService.hasLesson(courseId, lessonId))) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Lesson not found in this course' 
+            });
+        }
+
         console.log(`📹 Saving YouTube link for course ${courseId}`);
 
         // ✅ STEP 1: VALIDATE AND EXTRACT METADATA
@@ -614,14 +694,7 @@ router.post('/:courseId/upload/youtube', authenticate, requireAdmin, async (req,
         console.log(`✅ YouTube link saved to Firestore: ${contentRef.id}`);
 
         // ✅ STEP 3: UPDATE COURSE
-        const courseDoc = await db.collection('courses').doc(courseId).get();
-        if (courseDoc.exists) {
-            const courseData = courseDoc.data();
-            await courseDoc.ref.update({
-                contentCount: (courseData.contentCount || 0) + 1,
-                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-            });
-        }
+        await courseService.contentChanged(courseId, 1);
 
         // ✅ RESPONSE
         res.json({
@@ -665,6 +738,14 @@ router.post('/:courseId/upload/html', authenticate, requireAdmin, async (req, re
             });
         }
 
+        // Content can only be attached to a lesson of this course
+        if (lessonId && !(await curriculumService.hasLesson(courseId, lessonId))) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Lesson not found in this course' 
+            });
+        }
+
         console.log(`📝 Uploading HTML content for course ${courseId}`);
 
         // ✅ STEP 1: UPLOAD TO GOOGLE DRIVE
@@ -709,14 +790,7 @@ router.post('/:courseId/upload/html', authenticate, requireAdmin, async (req, re
         });
 
         // ✅ STEP 3: UPDATE COURSE
-        const courseDoc = await db.collection('courses').doc(courseId).get();
-        if (courseDoc.exists) {
-            const courseData = courseDoc.data();
-            await courseDoc.ref.update({
-                contentCount: (courseData.contentCount || 0) + 1,
-                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-            });
-        }
+        await courseService.contentChanged(courseId, 1);
 
         // ✅ RESPONSE
         res.json({
@@ -752,6 +826,25 @@ router.get('/:courseId/contents', authenticate, async (req, res) => {
         const { courseId } = req.params;
         const { lessonId, type } = req.query;
 
+        // Enrolled students and members whose plan covers the course; admins always
+        let unlockedLessonIds = null;
+        if (req.user.role !== 'admin') {
+            const access = await membershipService.checkCourseAccess(req.user.uid, courseId);
+            if (!access.allowed) {
+                return res.status(403).json({
+                    success: false,
+                    error: access.reason,
+                    code: 'ENTITLEMENT_REQUIRED'
+                });
+            }
+
+            // Progressive installment plans open lessons as installments are paid
+            const installments = access.source === 'enrollment' && access.enrollment.installments;
+            if (installments) {
+                unlockedLessonIds = await installmentService.getUnlockedLessonIds(courseId, installments.unlockedFraction);
+            }
+        }
+
         let query = admin.firestore().collection('course_contents')
             .where('courseId', '==', courseId)
             .where('status', '==', 'active');
@@ -766,12 +859,17 @@ router.get('/:courseId/contents', authenticate, async (req, res) => {
 
         const snapshot = await query.orderBy('uploadedAt', 'desc').get();
 
-        const contents = snapshot.docs.map(doc => ({
+        const allContents = snapshot.docs.map(doc => ({
             id: doc.id,
             ...doc.data(),
             uploadedAt: doc.data().uploadedAt?.toDate()
         }));
 
+        // Course-level contents (no lesson) are always open
+        const contents = unlockedLessonIds
+            ? allContents.filter(content => !content.lessonId || unlockedLessonIds.includes(content.lessonId))
+            : allContents;
+
         // Get storage usage
         const storageUsage = await googleDriveService.getStorageUsage(courseId);
 
@@ -784,7 +882,8 @@ router.get('/:courseId/contents', authenticate, async (req, res) => {
                     totalGB: storageUsage.totalGB,
                     fileCount: storageUsage.fileCount
                 } : null,
-                count: contents.length
+                count: contents.length,
+                lockedCount: allContents.length - contents.length
             }
         });
 
@@ -834,14 +933,7 @@ router.delete('/:courseId/contents/:contentId', authenticate, requireAdmin, asyn
         await contentDoc.ref.delete();
 
         // Update course
-        const courseDoc = await db.collection('courses').doc(courseId).get();
-        if (courseDoc.exists) {
-            const courseData = courseDoc.data();
-            await courseDoc.ref.update({
-                contentCount: Math.max(0, (courseData.contentCount || 1) - 1),
-                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-            });
-        }
+        await courseService.contentChanged(courseId, -1);
 
         res.json({
             success: true,
@@ -888,6 +980,429 @@ router.get('/:courseId/storage', authenticate, requireAdmin, async (req, res) =>
     }
 });
 
+// ======================
+// CURRICULUM (MODULES & LESSONS)
+// ======================
+
+// Missing modules, lessons and content are 404s; anything else the service
+// rejects is a bad request
+function curriculumErrorStatus(error) {
+    return /not found/i.test(error.message) ? 404 : 400;
+}
+
+/**
+ * Get the course curriculum: modules in order with lesson outlines
+ * GET /api/courses/:courseId/modules
+ */
+router.get('/:courseId/modules', async (req, res) => {
+    try {
+        const curriculum = await curriculumService.getCurriculum(req.params.courseId);
+
+        res.json({
+            success: true,
+            ...curriculum
+        });
+
+    } catch (error) {
+        console.error('❌ Get modules error:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to get modules' 
+        });
+    }
+});
+
+/**
+ * Create a module at the end of the course
+ * POST /api/courses/:courseId/modules
+ * Body: { title, description }
+ */
+router.post('/:courseId/modules', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const module = await curriculumService.createModule(req.params.courseId, {
+            title: req.body.title,
+            description: req.body.description
+        }, req.user.uid);
+
+        res.status(201).json({
+            success: true,
+            module
+        });
+
+    } catch (error) {
+        console.error('❌ Create module error:', error);
+        res.status(curriculumErrorStatus(error)).json({ 
+            success: false,
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Reorder modules (drag and drop)
+ * PUT /api/courses/:courseId/modules/reorder
+ * Body: { moduleIds: [...every module id in the new order] }
+ */
+router.put('/:courseId/modules/reorder', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const curriculum = await curriculumService.reorderModules(req.params.courseId, req.body.moduleIds);
+
+        res.json({
+            success: true,
+            curriculum
+        });
+
+    } catch (error) {
+        console.error('❌ Reorder modules error:', error);
+        res.status(curriculumErrorStatus(error)).json({ 
+            success: false,
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Update a module
+ * PUT /api/courses/:courseId/modules/:moduleId
+ * Body: { title, description }
+ */
+router.put('/:courseId/modules/:moduleId', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { courseId, moduleId } = req.params;
+
+        const module = await curriculumService.updateModule(courseId, moduleId, {
+            title: req.body.title,
+            description: req.body.description
+        });
+
+        res.json({
+            success: true,
+            module
+        });
+
+    } catch (error) {
+        console.error('❌ Update module error:', error);
+        res.status(curriculumErrorStatus(error)).json({ 
+            success: false,
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Delete an empty module
+ * DELETE /api/courses/:courseId/modules/:moduleId
+ */
+router.delete('/:courseId/modules/:moduleId', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { courseId, moduleId } = req.params;
+
+        const curriculum = await curriculumService.deleteModule(courseId, moduleId);
+
+        res.json({
+            success: true,
+            message: 'Module deleted successfully',
+            curriculum
+        });
+
+    } catch (error) {
+        console.error('❌ Delete module error:', error);
+        res.status(curriculumErrorStatus(error)).json({ 
+            success: false,
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Create a lesson at the end of a module
+ * POST /api/courses/:courseId/modules/:moduleId/lessons
+ * Body: { title, description, contentType, content, videoUrl, videoDuration (minutes),
+ *         pdfUrl, externalLink, isFreePreview, completionCriteria, quizId }
+ */
+router.post('/:courseId/modules/:moduleId/lessons', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { courseId, moduleId } = req.params;
+
+        const lesson = await curriculumService.createLesson(courseId, moduleId, req.body, req.user.uid);
+
+        res.status(201).json({
+            success: true,
+            lesson
+        });
+
+    } catch (error) {
+        console.error('❌ Create lesson error:', error);
+        res.status(curriculumErrorStatus(error)).json({ 
+            success: false,
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Reorder a module's lessons; lessons dragged in from other modules move here
+ * PUT /api/courses/:courseId/modules/:moduleId/lessons/reorder
+ * Body: { lessonIds: [...lesson ids in the new order] }
+ */
+router.put('/:courseId/modules/:moduleId/lessons/reorder', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { courseId, moduleId } = req.params;
+
+        const curriculum = await curriculumService.reorderLessons(courseId, moduleId, req.body.lessonIds);
+
+        res.json({
+            success: true,
+            curriculum
+        });
+
+    } catch (error) {
+        console.error('❌ Reorder lessons error:', error);
+        res.status(curriculumErrorStatus(error)).json({ 
+            success: false,
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Get a lesson with its attached content items
+ * GET /api/courses/:courseId/modules/:moduleId/lessons/:lessonId
+ * Free preview lessons are open to any signed-in user
+ */
+router.get('/:courseId/modules/:moduleId/lessons/:lessonId', authenticate, async (req, res) => {
+    try {
+        const { courseId, moduleId, lessonId } = req.params;
+
+        const lesson = await curriculumService.getLessonWithContents(courseId, lessonId);
+        if (lesson.moduleId !== moduleId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Lesson not found'
+            });
+        }
+
+        if (req.user.role !== 'admin' && !lesson.isFreePreview) {
+            const access = await membershipService.checkCourseAccess(req.user.uid, courseId);
+            if (!access.allowed) {
+                return res.status(403).json({
+                    success: false,
+                    error: access.reason,
+                    code: 'ENTITLEMENT_REQUIRED'
+                });
+            }
+
+            const installments = access.source === 'enrollment' && access.enrollment.installments;
+            if (installments) {
+                const unlockedLessonIds = await installmentService.getUnlockedLessonIds(courseId, installments.unlockedFraction);
+                if (unlockedLessonIds && !unlockedLessonIds.includes(lessonId)) {
+                    return res.status(403).json({
+                        success: false,
+                        error: 'This lesson unlocks with your next installment',
+                        code: 'LESSON_LOCKED'
+                    });
+                }
+            }
+        }
+
+        res.json({
+            success: true,
+            lesson
+        });
+
+    } catch (error) {
+        console.error('❌ Get lesson error:', error);
+        res.status(curriculumErrorStatus(error) === 404 ? 404 : 500).json({ 
+            success: false,
+            error: error.message || 'Failed to get lesson' 
+        });
+    }
+});
+
+/**
+ * Update a lesson
+ * PUT /api/courses/:courseId/modules/:moduleId/lessons/:lessonId
+ * Body: any of the lesson fields accepted on create
+ */
+router.put('/:courseId/modules/:moduleId/lessons/:lessonId', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { courseId, lessonId } = req.params;
+
+        const lesson = await curriculumService.updateLesson(courseId, lessonId, req.body);
+
+        res.json({
+            success: true,
+            lesson
+        });
+
+    } catch (error) {
+        console.error('❌ Update lesson error:', error);
+        res.status(curriculumErrorStatus(error)).json({ 
+            success: false,
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Delete a lesson; its content items stay on the course, unattached
+ * DELETE /api/courses/:courseId/modules/:moduleId/lessons/:lessonId
+ */
+router.delete('/:courseId/modules/:moduleId/lessons/:lessonId', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { courseId, lessonId } = req.params;
+
+        const curriculum = await curriculumService.deleteLesson(courseId, lessonId);
+
+        res.json({
+            success: true,
+            message: 'Lesson deleted successfully',
+            curriculum
+        });
+
+    } catch (error) {
+        console.error('❌ Delete lesson error:', error);
+        res.status(curriculumErrorStatus(error)).json({ 
+            success: false,
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Attach an uploaded content item to a lesson (lessonId null detaches it)
+ * PUT /api/courses/:courseId/contents/:contentId/lesson
+ * Body: { lessonId }
+ */
+router.put('/:courseId/contents/:contentId/lesson', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { courseId, contentId } = req.params;
+
+        const content = await curriculumService.attachContent(courseId, contentId, req.body.lessonId || null);
+
+        res.json({
+            success: true,
+            content
+        });
+
+    } catch (error) {
+        console.error('❌ Attach content error:', error);
+        res.status(curriculumErrorStatus(error)).json({ 
+            success: false,
+            error: error.message 
+        });
+    }
+});
+
+// ======================
+// LESSON PROGRESS
+// ======================
+
+const PROGRESS_ERROR_STATUS = {
+    'Not enrolled in this course': 403,
+    'This lesson unlocks with your next installment': 403
+};
+
+function sendProgressError(res, error, label) {
+    const status = PROGRESS_ERROR_STATUS[error.message] || curriculumErrorStatus(error);
+    console.error(`❌ ${label} error:`, error);
+    res.status(status).json({
+        success: false,
+        error: error.message
+    });
+}
+
+/**
+ * Record opening a lesson
+ * POST /api/courses/:courseId/lessons/:lessonId/view
+ */
+router.post('/:courseId/lessons/:lessonId/view', authenticate, async (req, res) => {
+    try {
+        const { courseId, lessonId } = req.params;
+
+        const progress = await progressService.recordView(req.user.uid, courseId, lessonId);
+
+        res.json({
+            success: true,
+            ...progress
+        });
+
+    } catch (error) {
+        sendProgressError(res, error, 'Record lesson view');
+    }
+});
+
+/**
+ * Record how far the lesson video has been watched
+ * POST /api/courses/:courseId/lessons/:lessonId/watch
+ * Body: { percent } (0-100)
+ */
+router.post('/:courseId/lessons/:lessonId/watch', authenticate, async (req, res) => {
+    try {
+        const { courseId, lessonId } = req.params;
+
+        const progress = await progressService.recordWatch(req.user.uid, courseId, lessonId, req.body.percent);
+
+        res.json({
+            success: true,
+            ...progress
+        });
+
+    } catch (error) {
+        sendProgressError(res, error, 'Record watch progress');
+    }
+});
+
+/**
+ * Record a submitted lesson quiz attempt
+ * POST /api/courses/:courseId/lessons/:lessonId/quiz
+ * Body: { assessmentId }
+ */
+router.post('/:courseId/lessons/:lessonId/quiz', authenticate, async (req, res) => {
+    try {
+        const { courseId, lessonId } = req.params;
+
+        const progress = await progressService.recordQuiz(req.user.uid, courseId, lessonId, req.body.assessmentId);
+
+        res.json({
+            success: true,
+            ...progress
+        });
+
+    } catch (error) {
+        sendProgressError(res, error, 'Record lesson quiz');
+    }
+});
+
+/**
+ * Get the current user's progress in a course
+ * GET /api/courses/:courseId/progress
+ */
+router.get('/:courseId/progress', authenticate, async (req, res) => {
+    try {
+        const progress = await progressService.getProgress(req.user.uid, req.params.courseId);
+
+        if (!progress) {
+            return res.status(404).json({
+                success: false,
+                error: 'No progress recorded for this course'
+            });
+        }
+
+        res.json({
+            success: true,
+            progress
+        });
+
+    } catch (error) {
+        console.error('❌ Get progress error:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to get progress' 
+        });
+    }
+});
+
 // ======================
 // ADMIN COURSE MANAGEMENT
 // ======================
@@ -898,7 +1413,7 @@ router.get('/:courseId/storage', authenticate, requireAdmin, async (req, res) =>
  */
 router.post('/admin/create', authenticate, requireAdmin, async (req, res) => {
     try {
-        const { title, description, category, price, instructor } = req.body;
+        const { title, description, category, price, prices, installmentPlan, revenueShare, instructor } = req.body;
 
         // Validate required fields
         if (!title || !description || !category) {
@@ -908,6 +1423,30 @@ router.post('/admin/create', authenticate, requireAdmin, async (req, res) => {
             });
         }
 
+        const pricing = exchangeRateService.validatePrices(prices);
+        if (!pricing.valid) {
+            return res.status(400).json({
+                success: false,
+                error: pricing.error
+            });
+        }
+
+        const installments = installmentService.validateConfig(installmentPlan);
+        if (!installments.valid) {
+            return res.status(400).json({
+                success: false,
+                error: installments.error
+            });
+        }
+
+        const share = earningsService.validateShare(revenueShare);
+        if (!share.valid) {
+            return res.status(400).json({
+                success: false,
+                error: share.error
+            });
+        }
+
         const db = admin.firestore();
         const courseRef = db.collection('courses').doc();
 
@@ -918,6 +1457,9 @@ router.post('/admin/create', authenticate, requireAdmin, async (req, res) => {
             description: description.trim(),
             category: category.trim(),
             price: parseFloat(price) || 0,
+            prices: pricing.prices,
+            installmentPlan: installments.config,
+            revenueShare: share.share,
             instructor: instructor || req.user.uid,
             instructorEmail: req.user.email,
             status: 'draft', // Start as draft
@@ -930,6 +1472,8 @@ router.post('/admin/create', authenticate, requireAdmin, async (req, res) => {
             createdBy: req.user.uid
         });
 
+        await courseService.reindexCourse(courseRef.id);
+
         res.json({
             success: true,
             message: 'Course created successfully',
@@ -954,11 +1498,45 @@ router.put('/admin/:courseId', authenticate, requireAdmin, async (req, res) => {
         const { courseId } = req.params;
         const updateData = req.body;
 
+        if (updateData.prices !== undefined) {
+            const pricing = exchangeRateService.validatePrices(updateData.prices);
+            if (!pricing.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: pricing.error
+                });
+            }
+            updateData.prices = pricing.prices;
+        }
+
+        if (updateData.installmentPlan !== undefined) {
+            const installments = installmentService.validateConfig(updateData.installmentPlan);
+            if (!installments.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: installments.error
+                });
+            }
+            updateData.installmentPlan = installments.config;
+        }
+
+        if (updateData.revenueShare !== undefined) {
+            const share = earningsService.validateShare(updateData.revenueShare);
+            if (!share.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: share.error
+                });
+            }
+            updateData.revenueShare = share.share;
+        }
+
         // Add timestamp
         updateData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
 
         const db = admin.firestore();
         await db.collection('courses').doc(courseId).update(updateData);
+        await courseService.reindexCourse(courseId);
 
         res.json({
             success: true,
@@ -1006,6 +1584,7 @@ router.delete('/admin/:courseId', authenticate, requireAdmin, async (req, res) =
 
         // Delete course
         await db.collection('courses').doc(courseId).delete();
+        await courseService.reindexCourse(courseId);
 
         // Delete enrollments
         const enrollmentsSnap = await db.collection('enrollments')
@@ -1032,6 +1611,27 @@ router.delete('/admin/:courseId', authenticate, requireAdmin, async (req, res) =
     }
 });
 
+/**
+ * Rebuild the course search index
+ * POST /api/courses/admin/search/reindex
+ */
+router.post('/admin/search/reindex', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const result = await searchService.rebuildIndex({
+            dryRun: req.query.dryRun === 'true'
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('❌ Rebuild search index error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rebuild search index'
+        });
+    }
+});
+
 /**
  * Get course statistics for admin dashboard
  * GET /api/courses/admin/statistics
@@ -1085,11 +1685,11 @@ router.get('/admin/statistics', authenticate, requireAdmin, async (req, res) =>
 
 /**
  * Get all courses for admin (with pagination)
- * GET /api/courses/admin/all?page=1&limit=50&status=published
+ * GET /api/courses/admin/all?limit=50&cursor=<pagination.nextCursor>&status=published
  */
 router.get('/admin/all', authenticate, requireAdmin, async (req, res) => {
     try {
-        const { page = 1, limit = 50, status } = req.query;
+        const { status } = req.query;
 
         let query = admin.firestore().collection('courses');
 
@@ -1097,30 +1697,25 @@ router.get('/admin/all', authenticate, requireAdmin, async (req, res) => {
             query = query.where('status', '==', status);
         }
 
-        const snapshot = await query
-            .orderBy('createdAt', 'desc')
-            .get();
-
-        const courses = snapshot.docs
-            .slice((parseInt(page) - 1) * parseInt(limit), parseInt(page) * parseInt(limit))
-            .map(doc => ({
+        const { items: courses, pagination } = await paginationService.paginateQuery(query, {
+            ...paginationService.parseParams(req.query, { defaultLimit: 50, maxLimit: 200 }),
+            orderBy: [['createdAt', 'desc']],
+            map: doc => ({
                 id: doc.id,
                 ...doc.data(),
                 createdAt: doc.data().createdAt?.toDate()
-            }));
+            })
+        });
 
         res.json({
             success: true,
             courses,
-            total: snapshot.size,
-            page: parseInt(page),
-            limit: parseInt(limit),
-            totalPages: Math.ceil(snapshot.size / parseInt(limit))
+            pagination
         });
 
     } catch (error) {
         console.error('❌ Get all courses error:', error);
-        res.status(500).json({ 
+        res.status(error.message === 'Invalid cursor' ? 400 : 500).json({ 
             success: false,
             error: error.message || 'Failed to get courses' 
         });
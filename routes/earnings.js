@@ -0,0 +1,163 @@
+// =============================================
+// INSTRUCTOR EARNINGS & PAYOUTS API ROUTES
+// =============================================
+// Earnings are written by the payment flow (see services/earningsService.js);
+// these routes read the ledger and run the payout workflow
+const express = require('express');
+const router = express.Router();
+const earningsService = require('../services/earningsService');
+const { authMiddleware, adminMiddleware, instructorMiddleware } = require('../middleware/auth');
+
+/**
+ * Get the current instructor's balances, ledger and payouts
+ * GET /api/earnings/me
+ */
+router.get('/me', authMiddleware, instructorMiddleware, async (req, res) => {
+    try {
+        const earnings = await earningsService.getEarnings(req.user.uid, {
+            limit: Math.min(parseInt(req.query.limit) || 100, 500)
+        });
+
+        res.json({
+            success: true,
+            ...earnings
+        });
+
+    } catch (error) {
+        console.error('❌ Get earnings error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get earnings'
+        });
+    }
+});
+
+/**
+ * Request a payout of the available balance
+ * POST /api/earnings/payouts
+ * Body: { method: 'mobile_money', destination: { network, phoneNumber, accountName } }
+ *    or { method: 'bank', destination: { bankName, accountName, accountNumber, branch } }
+ */
+router.post('/payouts', authMiddleware, instructorMiddleware, async (req, res) => {
+    try {
+        const { method, destination } = req.body;
+
+        const payout = await earningsService.requestPayout(req.user.uid, { method, destination });
+
+        res.status(201).json({
+            success: true,
+            payout
+        });
+
+    } catch (error) {
+        console.error('❌ Request payout error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ======================
+// ADMIN
+// ======================
+
+/**
+ * List payouts
+ * GET /api/earnings/admin/payouts?status=requested
+ */
+router.get('/admin/payouts', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const payouts = await earningsService.listPayouts({
+            status: req.query.status || null,
+            limit: Math.min(parseInt(req.query.limit) || 50, 200)
+        });
+
+        res.json({
+            success: true,
+            payouts
+        });
+
+    } catch (error) {
+        console.error('❌ List payouts error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list payouts'
+        });
+    }
+});
+
+/**
+ * Get an instructor's balances, ledger and payouts
+ * GET /api/earnings/admin/instructors/:instructorId
+ */
+router.get('/admin/instructors/:instructorId', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const earnings = await earningsService.getEarnings(req.params.instructorId, {
+            limit: Math.min(parseInt(req.query.limit) || 100, 500)
+        });
+
+        res.json({
+            success: true,
+            ...earnings
+        });
+
+    } catch (error) {
+        console.error('❌ Get instructor earnings error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get earnings'
+        });
+    }
+});
+
+/**
+ * Approve, reject or mark a payout paid
+ * POST /api/earnings/admin/payouts/:payoutId/approve
+ * POST /api/earnings/admin/payouts/:payoutId/reject   Body: { reason }
+ * POST /api/earnings/admin/payouts/:payoutId/paid     Body: { reference }
+ */
+const PAYOUT_ACTIONS = {
+    approve: 'approved',
+    reject: 'rejected',
+    paid: 'paid'
+};
+
+router.post('/admin/payouts/:payoutId/:action', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const status = PAYOUT_ACTIONS[req.params.action];
+        if (!status) {
+            return res.status(404).json({
+                success: false,
+                error: 'Unknown payout action'
+            });
+        }
+
+        if (status === 'rejected' && !req.body.reason) {
+            return res.status(400).json({
+                success: false,
+                error: 'A reason is required to reject a payout'
+            });
+        }
+
+        const payout = await earningsService.updatePayoutStatus(req.params.payoutId, status, {
+            actor: req.user.uid,
+            reason: req.body.reason || '',
+            reference: req.body.reference || null
+        });
+
+        res.json({
+            success: true,
+            payout
+        });
+
+    } catch (error) {
+        console.error('❌ Update payout error:', error);
+        res.status(error.message === 'Payout not found' ? 404 : 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
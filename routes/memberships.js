@@ -0,0 +1,232 @@
+// =============================================
+// MEMBERSHIP PLANS API ROUTES
+// =============================================
+// Plans are bought and renewed through /api/payments/create-paychangu and
+// /api/payments/create-paypal with a planId instead of a courseId
+const express = require('express');
+const router = express.Router();
+const membershipService = require('../services/membershipService');
+const exchangeRateService = require('../services/exchangeRateService');
+const { authMiddleware, adminMiddleware, requireCronSecret } = require('../middleware/auth');
+
+/**
+ * Get active membership plans
+ * GET /api/memberships/plans?currency=MWK
+ */
+router.get('/plans', async (req, res) => {
+    try {
+        const plans = await membershipService.listPlans();
+
+        if (req.query.currency) {
+            const currency = req.query.currency.toUpperCase();
+            if (!exchangeRateService.isSupported(currency)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Unsupported currency'
+                });
+            }
+            for (const plan of plans) {
+                plan.localPrice = await exchangeRateService.getCoursePrice({ priceUSD: plan.price, prices: plan.prices }, currency);
+            }
+        }
+
+        res.json({
+            success: true,
+            plans
+        });
+
+    } catch (error) {
+        console.error('❌ Get membership plans error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get membership plans'
+        });
+    }
+});
+
+/**
+ * Get the current user's memberships
+ * GET /api/memberships/me
+ */
+router.get('/me', authMiddleware, async (req, res) => {
+    try {
+        const memberships = await membershipService.getUserMemberships(req.user.uid);
+
+        res.json({
+            success: true,
+            memberships
+        });
+
+    } catch (error) {
+        console.error('❌ Get memberships error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get memberships'
+        });
+    }
+});
+
+/**
+ * Check access to a course (enrollment or membership)
+ * GET /api/memberships/access/:courseId
+ */
+router.get('/access/:courseId', authMiddleware, async (req, res) => {
+    try {
+        const access = await membershipService.checkCourseAccess(req.user.uid, req.params.courseId);
+
+        res.json({
+            success: true,
+            allowed: access.allowed,
+            source: access.source,
+            membershipId: access.membership ? access.membership.id : null,
+            reason: access.reason
+        });
+
+    } catch (error) {
+        console.error('❌ Check course access error:', error);
+        res.status(error.message === 'Course not found' ? 404 : 500).json({
+            success: false,
+            error: error.message || 'Failed to check access'
+        });
+    }
+});
+
+/**
+ * Stop auto-renewal of a membership
+ * POST /api/memberships/:planId/cancel
+ */
+router.post('/:planId/cancel', authMiddleware, async (req, res) => {
+    try {
+        const membership = await membershipService.cancel(req.user.uid, req.params.planId);
+
+        res.json({
+            success: true,
+            message: `Membership will end on ${membership.currentPeriodEnd.slice(0, 10)}`,
+            membership
+        });
+
+    } catch (error) {
+        console.error('❌ Cancel membership error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message || 'Failed to cancel membership'
+        });
+    }
+});
+
+// ======================
+// ADMIN ROUTES
+// ======================
+
+/**
+ * Get all plans, including inactive ones
+ * GET /api/memberships/admin/plans
+ */
+router.get('/admin/plans', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const plans = await membershipService.listPlans({ activeOnly: false });
+
+        res.json({
+            success: true,
+            plans
+        });
+
+    } catch (error) {
+        console.error('❌ Get membership plans error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get membership plans'
+        });
+    }
+});
+
+/**
+ * Create plan
+ * POST /api/memberships/admin/plans
+ */
+router.post('/admin/plans', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const pricing = exchangeRateService.validatePrices(req.body.prices);
+        if (!pricing.valid) {
+            return res.status(400).json({
+                success: false,
+                error: pricing.error
+            });
+        }
+
+        const plan = await membershipService.createPlan({ ...req.body, prices: pricing.prices }, req.user.uid);
+
+        res.json({
+            success: true,
+            message: 'Membership plan created successfully',
+            plan
+        });
+
+    } catch (error) {
+        console.error('❌ Create membership plan error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message || 'Failed to create membership plan'
+        });
+    }
+});
+
+/**
+ * Update plan
+ * PUT /api/memberships/admin/plans/:planId
+ */
+router.put('/admin/plans/:planId', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const updates = { ...req.body };
+        if (updates.prices !== undefined) {
+            const pricing = exchangeRateService.validatePrices(updates.prices);
+            if (!pricing.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: pricing.error
+                });
+            }
+            updates.prices = pricing.prices;
+        }
+
+        const plan = await membershipService.updatePlan(req.params.planId, updates, req.user.uid);
+
+        res.json({
+            success: true,
+            message: 'Membership plan updated successfully',
+            plan
+        });
+
+    } catch (error) {
+        console.error('❌ Update membership plan error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message || 'Failed to update membership plan'
+        });
+    }
+});
+
+/**
+ * Renewal reminders, grace periods and expiry
+ * POST /api/memberships/cron/process-renewals
+ */
+router.post('/cron/process-renewals', requireCronSecret, async (req, res) => {
+    try {
+        const result = await membershipService.processRenewals({
+            limit: parseInt(req.query.limit) || 200,
+            dryRun: req.query.dryRun === 'true'
+        });
+
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('❌ Membership renewals cron error:', error);
+        res.status(500).json({ error: 'Membership renewal sweep failed' });
+    }
+});
+
+module.exports = router;
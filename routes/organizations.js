@@ -0,0 +1,417 @@
+// =============================================
+// ORGANIZATION API ROUTES
+// =============================================
+// Platform admins create organizations and set their contracted seat pool;
+// org admins invite members, allocate seats to courses and assign them.
+// Org admins buy extra seats through /api/payments/create-paychangu and
+// /api/payments/create-paypal with a courseId, `seats` and `organizationId`
+const express = require('express');
+const router = express.Router();
+const organizationService = require('../services/organizationService');
+const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+
+// Org admins of this organization or platform admins only
+function canManage(req, res) {
+    if (!organizationService.canManage(req.user, req.params.orgId)) {
+        res.status(403).json({
+            success: false,
+            error: 'Access denied'
+        });
+        return false;
+    }
+    return true;
+}
+
+// ======================
+// ADMIN
+// ======================
+
+/**
+ * Create an organization
+ * POST /api/organizations
+ * Body: { name, billing: { email, address, taxId }, seatsTotal, adminEmails: [] }
+ */
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { name, billing, seatsTotal, adminEmails } = req.body;
+
+        const organization = await organizationService.createOrganization({
+            name,
+            billing,
+            seatsTotal,
+            adminEmails: Array.isArray(adminEmails) ? adminEmails : []
+        }, req.user.uid);
+
+        res.status(201).json({
+            success: true,
+            organization
+        });
+
+    } catch (error) {
+        console.error('❌ Create organization error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * List organizations
+ * GET /api/organizations
+ */
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const organizations = await organizationService.listOrganizations({
+            limit: Math.min(parseInt(req.query.limit) || 50, 200)
+        });
+
+        res.json({
+            success: true,
+            organizations
+        });
+
+    } catch (error) {
+        console.error('❌ List organizations error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list organizations'
+        });
+    }
+});
+
+/**
+ * Update name, billing details, seat pool or status
+ * PUT /api/organizations/:orgId
+ */
+router.put('/:orgId', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { name, billing, seatsTotal, status } = req.body;
+
+        const organization = await organizationService.updateOrganization(req.params.orgId, {
+            name,
+            billing,
+            seatsTotal,
+            status
+        }, req.user.uid);
+
+        res.json({
+            success: true,
+            organization
+        });
+
+    } catch (error) {
+        console.error('❌ Update organization error:', error);
+        res.status(error.message === 'Organization not found' ? 404 : 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ======================
+// MEMBERS
+// ======================
+
+/**
+ * Pending organization invitations for the current user
+ * GET /api/organizations/invitations
+ */
+router.get('/invitations', authMiddleware, async (req, res) => {
+    try {
+        const invitations = await organizationService.getInvitations(req.user.email);
+
+        res.json({
+            success: true,
+            invitations
+        });
+
+    } catch (error) {
+        console.error('❌ Get invitations error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get invitations'
+        });
+    }
+});
+
+/**
+ * Accept an invitation and enroll in the courses assigned so far
+ * POST /api/organizations/:orgId/accept
+ */
+router.post('/:orgId/accept', authMiddleware, async (req, res) => {
+    try {
+        const result = await organizationService.acceptInvitation(req.params.orgId, {
+            uid: req.user.uid,
+            email: req.user.email
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('❌ Accept invitation error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Organization details with its course licenses
+ * GET /api/organizations/:orgId
+ */
+router.get('/:orgId', authMiddleware, async (req, res) => {
+    try {
+        if (!canManage(req, res)) return;
+
+        const organization = await organizationService.getOrganization(req.params.orgId);
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization not found'
+            });
+        }
+
+        const licenses = await organizationService.listLicenses(req.params.orgId);
+
+        res.json({
+            success: true,
+            organization,
+            licenses
+        });
+
+    } catch (error) {
+        console.error('❌ Get organization error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get organization'
+        });
+    }
+});
+
+/**
+ * List members and invitations
+ * GET /api/organizations/:orgId/members
+ */
+router.get('/:orgId/members', authMiddleware, async (req, res) => {
+    try {
+        if (!canManage(req, res)) return;
+
+        const members = await organizationService.listMembers(req.params.orgId);
+
+        res.json({
+            success: true,
+            members
+        });
+
+    } catch (error) {
+        console.error('❌ List members error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list members'
+        });
+    }
+});
+
+/**
+ * Invite members by email, or with a CSV upload (email, role, courseId columns)
+ * POST /api/organizations/:orgId/members
+ * Body: { members: [{ email, role, courseId }] } or multipart file
+ */
+router.post('/:orgId/members', authMiddleware, async (req, res) => {
+    try {
+        if (!canManage(req, res)) return;
+
+        const file = req.files && req.files.file;
+        let invitations = req.body.members;
+        if (file) {
+            invitations = organizationService.parseMembersCsv(file.data.toString('utf8'));
+        }
+
+        if (!Array.isArray(invitations) || invitations.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'members must be a non-empty array or a CSV file'
+            });
+        }
+
+        // Only platform admins can make someone an org admin
+        if (req.user.role !== 'admin' && invitations.some(invitation => invitation.role === 'org_admin')) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only platform admins can invite organization admins'
+            });
+        }
+
+        const results = await organizationService.inviteMembers(req.params.orgId, invitations, req.user.uid);
+
+        res.json({
+            success: true,
+            results
+        });
+
+    } catch (error) {
+        console.error('❌ Invite members error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Remove a member; seats in courses they have not finished are freed
+ * DELETE /api/organizations/:orgId/members/:email
+ */
+router.delete('/:orgId/members/:email', authMiddleware, async (req, res) => {
+    try {
+        if (!canManage(req, res)) return;
+
+        const result = await organizationService.removeMember(req.params.orgId, req.params.email, req.user.uid);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('❌ Remove member error:', error);
+        res.status(error.message === 'Member not found' ? 404 : 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ======================
+// LICENSES & SEATS
+// ======================
+
+/**
+ * Allocate seats from the pool to a course
+ * PUT /api/organizations/:orgId/licenses/:courseId
+ * Body: { seats }
+ */
+router.put('/:orgId/licenses/:courseId', authMiddleware, async (req, res) => {
+    try {
+        if (!canManage(req, res)) return;
+
+        const license = await organizationService.allocateLicense(
+            req.params.orgId,
+            req.params.courseId,
+            req.body.seats,
+            req.user.uid
+        );
+
+        res.json({
+            success: true,
+            license
+        });
+
+    } catch (error) {
+        console.error('❌ Allocate license error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Assign a course seat to a member
+ * POST /api/organizations/:orgId/assignments
+ * Body: { email, courseId }
+ */
+router.post('/:orgId/assignments', authMiddleware, async (req, res) => {
+    try {
+        if (!canManage(req, res)) return;
+
+        const { email, courseId } = req.body;
+        if (!email || !courseId) {
+            return res.status(400).json({
+                success: false,
+                error: 'email and courseId are required'
+            });
+        }
+
+        const assignment = await organizationService.assignSeat(req.params.orgId, email, courseId);
+
+        res.status(assignment.success ? 200 : 409).json(assignment);
+
+    } catch (error) {
+        console.error('❌ Assign seat error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ======================
+// REPORTS & INVOICES
+// ======================
+
+/**
+ * Progress and certificates across members
+ * GET /api/organizations/:orgId/reports/progress?format=csv
+ */
+router.get('/:orgId/reports/progress', authMiddleware, async (req, res) => {
+    try {
+        if (!canManage(req, res)) return;
+
+        const report = await organizationService.getProgressReport(req.params.orgId);
+
+        if (req.query.format === 'csv') {
+            res.set({
+                'Content-Type': 'text/csv',
+                'Content-Disposition': `attachment; filename="progress-${req.params.orgId}.csv"`
+            });
+            return res.send(organizationService.toReportCsv(report));
+        }
+
+        res.json({
+            success: true,
+            report
+        });
+
+    } catch (error) {
+        console.error('❌ Progress report error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build progress report'
+        });
+    }
+});
+
+/**
+ * Invoices billed to the organization
+ * GET /api/organizations/:orgId/invoices
+ * PDFs download from /api/payments/:paymentId/receipt
+ */
+router.get('/:orgId/invoices', authMiddleware, async (req, res) => {
+    try {
+        if (!canManage(req, res)) return;
+
+        const invoices = await organizationService.listInvoices(req.params.orgId, {
+            limit: Math.min(parseInt(req.query.limit) || 50, 200)
+        });
+
+        res.json({
+            success: true,
+            invoices
+        });
+
+    } catch (error) {
+        console.error('❌ List organization invoices error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list invoices'
+        });
+    }
+});
+
+module.exports = router;
@@ -4,8 +4,23 @@
 const express = require('express');
 const router = express.Router();
 const admin = require('firebase-admin');
-const { validatePaymentAmount, createPaymentOrder, verifyPayment } = require('../services/paymentService');
+const paymentService = require('../services/paymentService');
+const { validatePaymentAmount } = paymentService;
 const { uploadToGoogleDrive } = require('../services/googleDriveService');
+const webhookEventService = require('../services/webhookEventService');
+const paymentEventProcessor = require('../services/paymentEventProcessor');
+const Payment = require('../models/Payment');
+const { getAdapter } = require('../services/providers');
+const exchangeRateService = require('../services/exchangeRateService');
+const feeEngine = require('../services/feeEngine');
+const couponService = require('../services/couponService');
+const installmentService = require('../services/installmentService');
+const invoiceService = require('../services/invoiceService');
+const reconciliationService = require('../services/reconciliationService');
+const revenueAnalyticsService = require('../services/revenueAnalyticsService');
+const organizationService = require('../services/organizationService');
+const paginationService = require('../services/paginationService');
+const { authMiddleware, adminMiddleware, requireCronSecret } = require('../middleware/auth');
 
 // ===== MIDDLEWARE =====
 const authenticate = async (req, res, next) => {
@@ -25,13 +40,13 @@ const authenticate = async (req, res, next) => {
 };
 
 const validatePaymentData = (req, res, next) => {
-  const { amount, courseId, userId } = req.body;
+  const { amount, courseId, bundleId, planId, userId } = req.body;
   
   if (!amount || amount <= 0) {
     return res.status(400).json({ error: 'Invalid amount' });
   }
   
-  if (!courseId || !userId) {
+  if ((!courseId && !bundleId && !planId) || !userId) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
   
@@ -39,46 +54,64 @@ const validatePaymentData = (req, res, next) => {
 };
 
 // ===== PAYMENT CONFIG =====
-router.get('/config/payment-config', (req, res) => {
-  res.json({
-    success: true,
-    config: {
-      paychangu: {
-        publicKey: process.env.PAYCHANGU_PUBLIC_KEY,
-        mode: process.env.PAYCHANGU_MODE || 'test'
-      },
-      paypal: {
-        clientId: process.env.PAYPAL_CLIENT_ID || 'demo',
-        merchantId: process.env.PAYPAL_MERCHANT_ID
-      },
-      currency: {
-        base: 'USD',
-        mwkRate: parseInt(process.env.EXCHANGE_RATE) || 800,
-        tolerance: 0.01
-      },
-      fees: {
-        platform: 0.10,
-        paychangu: 0.03,
-        paypal: 0.029
+router.get('/config/payment-config', async (req, res) => {
+  try {
+    const mwkRate = await exchangeRateService.getRate('MWK');
+    const feeSchedule = await feeEngine.getSchedule();
+
+    res.json({
+      success: true,
+      config: {
+        paychangu: {
+          publicKey: process.env.PAYCHANGU_PUBLIC_KEY,
+          mode: process.env.PAYCHANGU_MODE || 'test'
+        },
+        paypal: {
+          clientId: process.env.PAYPAL_CLIENT_ID || 'demo',
+          merchantId: process.env.PAYPAL_MERCHANT_ID
+        },
+        currency: {
+          base: 'USD',
+          mwkRate: mwkRate.rate,
+          supported: Object.keys(exchangeRateService.SUPPORTED_CURRENCIES),
+          tolerance: 0.01
+        },
+        fees: {
+          scheduleId: feeSchedule.id,
+          platform: feeSchedule.platform,
+          methods: feeSchedule.methods
+        }
       }
-    }
-  });
+    });
+  } catch (error) {
+    console.error('Payment config error:', error);
+    res.status(500).json({ error: 'Failed to load payment config' });
+  }
 });
 
 // ===== VALIDATE AMOUNT =====
 router.post('/validate-amount', authenticate, async (req, res) => {
   try {
-    const { requiredAmount, paidAmount, courseId } = req.body;
+    const { requiredAmount, paidAmount, courseId, bundleId, planId, seats, method, couponCodes } = req.body;
     const userId = req.user.uid;
     
-    // Get course price from database
-    const courseDoc = await admin.firestore().collection('courses').doc(courseId).get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({ error: 'Course not found' });
+    // Get course (bundle or membership plan) price from database
+    let product;
+    try {
+      product = await paymentService.getCheckoutProduct({ courseId, bundleId, planId, seats });
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    let pricing;
+    try {
+      pricing = await couponService.priceWithDiscounts(product.id, product.pricing, couponCodes, userId);
+    } catch (error) {
+      return res.status(400).json({ success: false, valid: false, error: error.message, type: 'invalid_coupon' });
     }
     
-    const courseData = courseDoc.data();
-    const actualRequired = courseData.priceUSD * (1 + 0.10); // Including platform fee
+    const breakdown = await feeEngine.calculate(pricing.price, { method: method || 'paychangu' });
+    const actualRequired = breakdown.total; // Discounted price plus fees the student carries
     
     const validation = await validatePaymentAmount(actualRequired, paidAmount);
     
@@ -103,7 +136,9 @@ router.post('/validate-amount', authenticate, async (req, res) => {
       details: {
         required: actualRequired,
         paid: paidAmount,
-        overpayment: validation.overpayment || 0
+        overpayment: validation.overpayment || 0,
+        discounts: pricing,
+        fees: breakdown
       }
     });
     
@@ -155,77 +190,44 @@ router.post('/check-existing', authenticate, async (req, res) => {
 // ===== CREATE PAYCHANGU PAYMENT =====
 router.post('/create-paychangu', authenticate, validatePaymentData, async (req, res) => {
   try {
-    const { courseId, amount, phoneNumber, network, paymentPin } = req.body;
+    const { courseId, bundleId, planId, seats, recipients, organizationName, organizationId, amount, phoneNumber, network, couponCodes } = req.body;
     const userId = req.user.uid;
     
-    // Validate amount again
-    const courseDoc = await admin.firestore().collection('courses').doc(courseId).get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({ error: 'Course not found' });
-    }
-    
-    const courseData = courseDoc.data();
-    const requiredAmount = courseData.priceUSD * (1 + 0.10); // With platform fee
-    
-    const validation = await validatePaymentAmount(requiredAmount, amount);
-    if (!validation.valid) {
-      return res.status(400).json({
-        error: validation.message,
-        type: validation.type
-      });
-    }
-    
     // Validate phone number format
     if (!phoneNumber || !phoneNumber.match(/^\+?265\d{9}$/)) {
       return res.status(400).json({ error: 'Invalid phone number format' });
     }
     
-    // Generate order ID
-    const orderId = `MRTC-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
-    
-    // Create payment record
-    const paymentRef = admin.firestore().collection('payments').doc();
-    const paymentData = {
-      id: paymentRef.id,
-      orderId,
-      userId,
-      courseId,
-      courseTitle: courseData.title,
-      amount: {
-        usd: amount,
-        mwk: amount * (parseInt(process.env.EXCHANGE_RATE) || 800)
-      },
-      method: 'paychangu',
+    // Price the order (course, bundle, plan or seats), reserve its coupons and lock the MWK rate
+    const order = await paymentService.createOrder(userId, { courseId, bundleId, planId, seats, recipients, organizationName, organizationId }, 'paychangu', amount, {}, couponCodes, {
       network: network || 'airtel',
       phoneNumber,
-      status: 'pending',
-      currency: 'USD',
-      fees: {
-        platform: courseData.priceUSD * 0.10,
-        processing: amount * 0.03 // Paychangu fee
-      },
       paymentDetails: {
         provider: 'Paychangu',
         mode: process.env.PAYCHANGU_MODE || 'test',
         timestamp: new Date().toISOString()
-      },
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
+      }
+    });
     
-    await paymentRef.set(paymentData);
+    if (!order.success) {
+      return res.status(order.statusCode).json({ error: order.error, type: order.type });
+    }
+    
+    const paymentData = order.data;
+    const paymentRef = admin.firestore().collection('payments').doc(order.paymentId);
     
     // Create Paychangu payment request
     const paychanguResponse = await createPaychanguPayment({
       amount: paymentData.amount.mwk,
       phoneNumber,
       network,
-      orderId,
-      description: `MRTC eCampus: ${courseData.title}`,
+      orderId: order.orderId,
+      description: `MRTC eCampus: ${paymentData.courseTitle}`,
       callbackUrl: `${process.env.BASE_URL}/api/payments/paychangu-webhook`
     });
     
     if (!paychanguResponse.success) {
+      await failUnstartedOrder(paymentRef.id, userId, getAdapter('paychangu').classifyFailure(null, paychanguResponse.error), paychanguResponse.error);
       throw new Error('Paychangu payment creation failed');
     }
     
@@ -239,11 +241,11 @@ router.post('/create-paychangu', authenticate, validatePaymentData, async (req,
     res.json({
       success: true,
       paymentId: paymentRef.id,
-      orderId,
+      orderId: order.orderId,
       paymentUrl: paychanguResponse.paymentUrl,
       transactionId: paychanguResponse.transactionId,
       amount: {
-        usd: amount,
+        usd: paymentData.amount.usd,
         mwk: paymentData.amount.mwk
       }
     });
@@ -260,66 +262,40 @@ router.post('/create-paychangu', authenticate, validatePaymentData, async (req,
 // ===== CREATE PAYPAL ORDER =====
 router.post('/create-paypal', authenticate, validatePaymentData, async (req, res) => {
   try {
-    const { courseId, amount } = req.body;
+    const { courseId, bundleId, planId, seats, recipients, organizationName, organizationId, amount, couponCodes } = req.body;
     const userId = req.user.uid;
     
-    // Get course details
-    const courseDoc = await admin.firestore().collection('courses').doc(courseId).get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({ error: 'Course not found' });
-    }
-    
-    const courseData = courseDoc.data();
+    // Price the order (course, bundle, plan or seats), reserve its coupons and lock the MWK rate
+    const order = await paymentService.createOrder(userId, { courseId, bundleId, planId, seats, recipients, organizationName, organizationId }, 'paypal', amount, {}, couponCodes, {
+      paymentDetails: {
+        timestamp: new Date().toISOString()
+      }
+    });
     
-    // Validate amount
-    const requiredAmount = courseData.priceUSD * (1 + 0.10);
-    const validation = await validatePaymentAmount(requiredAmount, amount);
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.message });
+    if (!order.success) {
+      return res.status(order.statusCode).json({ error: order.error, type: order.type });
     }
     
-    // Generate order ID
-    const orderId = `MRTC-PAYPAL-${Date.now().toString(36).toUpperCase()}`;
+    const paymentRef = admin.firestore().collection('payments').doc(order.paymentId);
     
     // Create PayPal order
     const paypalResponse = await createPayPalOrder({
-      amount,
+      amount: order.data.amount.usd,
       currency: 'USD',
-      description: `MRTC eCampus: ${courseData.title}`,
-      orderId,
-      returnUrl: `${process.env.BASE_URL}/payment-success.html?order=${orderId}`,
-      cancelUrl: `${process.env.BASE_URL}/payment-cancel.html?order=${orderId}`
+      description: `MRTC eCampus: ${order.data.courseTitle}`,
+      orderId: order.orderId,
+      returnUrl: `${process.env.BASE_URL}/payment-success.html?order=${order.orderId}`,
+      cancelUrl: `${process.env.BASE_URL}/payment-cancel.html?order=${order.orderId}`
     });
     
     if (!paypalResponse.success) {
+      await failUnstartedOrder(paymentRef.id, userId, 'unknown', paypalResponse.error);
       throw new Error('PayPal order creation failed');
     }
     
-    // Create payment record
-    const paymentRef = admin.firestore().collection('payments').doc();
-    await paymentRef.set({
-      id: paymentRef.id,
-      orderId,
-      userId,
-      courseId,
-      courseTitle: courseData.title,
-      amount: {
-        usd: amount,
-        mwk: amount * (parseInt(process.env.EXCHANGE_RATE) || 800)
-      },
-      method: 'paypal',
-      status: 'pending',
-      currency: 'USD',
-      fees: {
-        platform: courseData.priceUSD * 0.10,
-        processing: (amount * 0.029) + 0.30 // PayPal fee
-      },
-      paymentDetails: {
-        paypalOrderId: paypalResponse.orderId,
-        approveUrl: paypalResponse.approveUrl,
-        timestamp: new Date().toISOString()
-      },
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    await paymentRef.update({
+      'paymentDetails.paypalOrderId': paypalResponse.orderId,
+      'paymentDetails.approveUrl': paypalResponse.approveUrl,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
     
@@ -376,65 +352,204 @@ router.post('/verify-payment', authenticate, async (req, res) => {
     // Verify payment with provider
     const verification = await verifyPayment(paymentData, method);
     
+    // Bank transfers stay in pending_verification until an admin reviews them
+    if (verification.requiresManualVerification) {
+      return res.json({
+        success: false,
+        status: paymentData.status,
+        error: verification.error,
+        requiresManualVerification: true
+      });
+    }
+
     if (!verification.success) {
       // Update payment status
-      await paymentRef.update({
-        status: 'failed',
-        verificationError: verification.error,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      const failureCode = method === 'paychangu' ? getAdapter('paychangu').classifyFailure(null, verification.error) : 'unknown';
+      const failureUpdates = paymentService.buildFailureUpdates(failureCode, verification.error);
+      await paymentService.transition(paymentRef.id, 'failed', {
+        actor: userId,
+        reason: verification.error,
+        updates: { verificationError: verification.error, ...failureUpdates }
       });
       
+      const failedPayment = { ...paymentData, ...failureUpdates, status: 'failed' };
       return res.json({
         success: false,
         status: 'failed',
         error: verification.error,
+        failure: paymentService.describeFailure(failedPayment),
         payment: {
           id: paymentDoc.id,
-          ...paymentData
+          ...failedPayment
         }
       });
     }
     
     // Update payment status
-    await paymentRef.update({
-      status: 'completed',
-      paymentDetails: {
-        ...paymentData.paymentDetails,
-        verifiedAt: new Date().toISOString(),
-        providerTransactionId: verification.transactionId
-      },
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    await paymentService.transition(paymentRef.id, 'completed', {
+      actor: userId,
+      reason: `Verified with ${method}`,
+      updates: {
+        'paymentDetails.verifiedAt': new Date().toISOString(),
+        'paymentDetails.providerTransactionId': verification.transactionId || null
+      }
     });
     
-    // Enroll user in course
-    const enrollmentResult = await enrollUserInCourse(userId, paymentData.courseId, paymentDoc.id);
+    // Enroll user in the course (every course for bundle orders), start / renew the membership,
+    // issue the seat codes of a sponsorship, or add seats to an organization
+    const { enrollments, membership, sponsorship = null, license = null } = await paymentService.fulfillPayment(paymentDoc.id, { ...paymentData, userId });
+    const enrollmentResult = enrollments[0] || { success: false, error: 'No courses on this order' };
     
     res.json({
       success: true,
       status: 'completed',
       verified: true,
-      enrolled: enrollmentResult.success,
+      enrolled: enrollments.length > 0 && enrollments.every(enrollment => enrollment.success),
       payment: {
         id: paymentDoc.id,
         ...paymentData,
         status: 'completed'
       },
-      enrollment: enrollmentResult
+      enrollment: enrollmentResult,
+      enrollments,
+      membership,
+      sponsorship,
+      license
     });
     
   } catch (error) {
+    if (error.code === 'ILLEGAL_TRANSITION') {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Payment verification error:', error);
     res.status(500).json({ error: 'Verification failed' });
   }
 });
 
+// ===== RETRY PAYMENT =====
+// Charge a failed or expired mobile money order again, optionally on another
+// phone number or network. Body: { phoneNumber, network }
+router.post('/:paymentId/retry', authenticate, async (req, res) => {
+  try {
+    const { phoneNumber, network } = req.body;
+    
+    let retry;
+    try {
+      retry = await paymentService.prepareRetry(req.params.paymentId, req.user.uid, { phoneNumber, network });
+    } catch (error) {
+      const status = error.message === 'Payment not found' ? 404 : error.message === 'Access denied' ? 403 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    
+    const { payment, reference, attempt } = retry;
+    const paychanguResponse = await createPaychanguPayment({
+      amount: payment.amount.mwk,
+      phoneNumber: payment.phoneNumber,
+      network: payment.network,
+      orderId: reference,
+      description: `MRTC eCampus: ${payment.courseTitle}`,
+      callbackUrl: `${process.env.BASE_URL}/api/payments/paychangu-webhook`
+    });
+    
+    if (!paychanguResponse.success) {
+      const failureUpdates = paymentService.buildFailureUpdates(
+        getAdapter('paychangu').classifyFailure(null, paychanguResponse.error),
+        paychanguResponse.error
+      );
+      await paymentService.transition(req.params.paymentId, 'failed', {
+        actor: req.user.uid,
+        reason: `Retry ${attempt} could not be started: ${paychanguResponse.error}`,
+        updates: failureUpdates
+      });
+      
+      return res.status(502).json({
+        error: 'Paychangu payment creation failed',
+        failure: paymentService.describeFailure({ ...payment, ...failureUpdates, status: 'failed' })
+      });
+    }
+    
+    await admin.firestore().collection('payments').doc(req.params.paymentId).update({
+      'paymentDetails.transactionId': paychanguResponse.transactionId,
+      'paymentDetails.paymentUrl': paychanguResponse.paymentUrl,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    res.json({
+      success: true,
+      paymentId: req.params.paymentId,
+      orderId: payment.orderId,
+      attempt,
+      paymentUrl: paychanguResponse.paymentUrl,
+      transactionId: paychanguResponse.transactionId,
+      amount: payment.amount
+    });
+    
+  } catch (error) {
+    if (error.code === 'ILLEGAL_TRANSITION') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Payment retry error:', error);
+    res.status(500).json({ error: 'Payment retry failed' });
+  }
+});
+
+// ===== HISTORY =====
+// The current user's payments, newest first: ?limit=20&cursor=<pagination.nextCursor>
+router.get('/history', authenticate, async (req, res) => {
+  try {
+    const result = await paymentService.getUserPayments(req.user.uid, paginationService.parseParams(req.query));
+
+    if (!result.success) {
+      return res.status(result.error === 'Invalid cursor' ? 400 : 500).json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Get payment history error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===== RECEIPT =====
+// Invoice PDF for a completed payment (owner, admin, or an admin of the organization it was for)
+router.get('/:paymentId/receipt', authMiddleware, async (req, res) => {
+  try {
+    const paymentDoc = await admin.firestore().collection('payments').doc(req.params.paymentId).get();
+    if (!paymentDoc.exists) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    
+    const payment = paymentDoc.data();
+    const orgAdmin = payment.organizationId && organizationService.canManage(req.user, payment.organizationId);
+    if (payment.userId !== req.user.uid && req.user.role !== 'admin' && !orgAdmin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    if (!['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
+      return res.status(409).json({ error: `No receipt for a ${payment.status} payment` });
+    }
+    
+    const { invoice, pdfBytes } = await invoiceService.getReceipt(paymentDoc.id);
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+      'Content-Length': pdfBytes.length
+    });
+    res.send(Buffer.from(pdfBytes));
+    
+  } catch (error) {
+    console.error('Receipt error:', error);
+    res.status(500).json({ error: 'Receipt generation failed' });
+  }
+});
+
 // ===== ENROLL USER =====
 router.post('/enroll-user', authenticate, async (req, res) => {
   try {
     const { courseId, paymentId } = req.body;
     const userId = req.user.uid;
     
-    const enrollmentResult = await enrollUserInCourse(userId, courseId, paymentId);
+    const enrollmentResult = await paymentService.enrollUserInCourse(userId, courseId, paymentId);
     
     if (!enrollmentResult.success) {
       return res.status(400).json({
@@ -462,7 +577,8 @@ router.post('/uploads/bank-proof', authenticate, async (req, res) => {
     }
     
     const file = req.files.file;
-    const { orderId, userId } = req.body;
+    const { orderId, courseId, bundleId, amount } = req.body;
+    const userId = req.user.uid;
     
     // Validate file
     const allowedTypes = ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'];
@@ -487,11 +603,25 @@ router.post('/uploads/bank-proof', authenticate, async (req, res) => {
     }
     
     // Create payment record for bank transfer
+    const product = courseId || bundleId
+      ? await paymentService.getCheckoutProduct({ courseId, bundleId }).catch(() => null)
+      : null;
+    const localPrice = await exchangeRateService.quote(product ? product.pricing : {}, parseFloat(amount) || 0, 'MWK');
     const paymentRef = admin.firestore().collection('payments').doc();
     await paymentRef.set({
       id: paymentRef.id,
       orderId,
       userId,
+      courseId: product ? product.courseId : courseId || null,
+      bundleId: product ? product.bundleId : null,
+      courseTitle: product ? product.title : null,
+      items: product ? paymentService.allocateItems(product, parseFloat(amount) || 0) : [],
+      amount: {
+        usd: parseFloat(amount) || 0,
+        mwk: localPrice.amount
+      },
+      exchangeRate: localPrice.exchangeRate,
+      currency: 'USD',
       method: 'bank_transfer',
       status: 'pending_verification',
       proof: {
@@ -525,185 +655,765 @@ router.post('/uploads/bank-proof', authenticate, async (req, res) => {
 // ===== PAYCHANGU WEBHOOK =====
 router.post('/paychangu-webhook', async (req, res) => {
   try {
-    const payload = req.body;
+    const result = await paymentEventProcessor.handleWebhook('paychangu', req, 'payments');
     
-    // Verify webhook signature
-    const signature = req.headers['x-paychangu-signature'];
-    if (!verifyPaychanguWebhook(payload, signature)) {
+    if (!result.valid) {
+      console.error('Invalid Paychangu webhook:', result.reason);
       return res.status(401).json({ error: 'Invalid signature' });
     }
     
-    const { transactionId, status, orderId, amount } = payload;
+    res.json({ success: true, duplicate: result.duplicate, status: result.outcome });
     
-    // Find payment
-    const paymentsSnapshot = await admin.firestore()
-      .collection('payments')
-      .where('orderId', '==', orderId)
-      .limit(1)
-      .get();
+  } catch (error) {
+    console.error('Webhook error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Webhook processing failed' });
+  }
+});
+
+// ===== PAYPAL WEBHOOK =====
+router.post('/paypal-webhook', async (req, res) => {
+  try {
+    const result = await paymentEventProcessor.handleWebhook('paypal', req, 'payments');
     
-    if (paymentsSnapshot.empty) {
-      return res.status(404).json({ error: 'Payment not found' });
+    if (!result.valid) {
+      console.error('Invalid PayPal webhook:', result.reason);
+      return res.status(401).json({ error: 'Invalid signature' });
     }
     
-    const paymentDoc = paymentsSnapshot.docs[0];
-    const paymentRef = paymentDoc.ref;
-    const paymentData = paymentDoc.data();
+    res.json({ success: true, duplicate: result.duplicate, status: result.outcome });
     
-    // Update payment status
-    let newStatus;
-    switch (status) {
-      case 'SUCCESS':
-        newStatus = 'completed';
-        break;
-      case 'FAILED':
-        newStatus = 'failed';
-        break;
-      case 'PENDING':
-        newStatus = 'pending';
-        break;
-      default:
-        newStatus = 'processing';
+  } catch (error) {
+    console.error('PayPal webhook error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Webhook processing failed' });
+  }
+});
+
+// ===== WEBHOOK EVENTS (ADMIN) =====
+router.get('/admin/webhook-events', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { provider, status, limit } = req.query;
+    const events = await webhookEventService.listEvents({ provider, status, limit });
+    
+    res.json({ success: true, events });
+    
+  } catch (error) {
+    console.error('List webhook events error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/webhook-events/:eventId', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const event = await webhookEventService.getEvent(req.params.eventId);
+    
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Webhook event not found' });
     }
     
-    await paymentRef.update({
-      status: newStatus,
-      'paymentDetails.webhookReceived': true,
-      'paymentDetails.webhookStatus': status,
-      'paymentDetails.transactionId': transactionId,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    res.json({ success: true, event });
+    
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/admin/webhook-events/:eventId/replay', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const event = await webhookEventService.getEvent(req.params.eventId);
+    
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Webhook event not found' });
+    }
+    
+    if (event.status === 'processed') {
+      return res.status(409).json({ success: false, error: 'Webhook event was already processed' });
+    }
     
-    // If payment completed, enroll user
-    if (status === 'SUCCESS') {
-      await enrollUserInCourse(paymentData.userId, paymentData.courseId, paymentDoc.id);
+    if (webhookEventService.isInFlight(event)) {
+      return res.status(409).json({ success: false, error: 'Webhook event is still being processed' });
     }
     
-    res.json({ success: true, status: newStatus });
+    const result = await paymentEventProcessor.replay(event.id, req.user.uid);
+    
+    res.json({ success: true, outcome: result.outcome });
     
   } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    console.error('Replay webhook event error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ===== PAYPAL WEBHOOK =====
-router.post('/paypal-webhook', async (req, res) => {
+// ===== BANK TRANSFER REVIEW (ADMIN) =====
+router.get('/admin/bank-transfers', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const payload = req.body;
-    const signature = req.headers['paypal-transmission-id'];
+    const result = await paymentService.getPendingBankTransfers(parseInt(req.query.limit) || 50);
     
-    // Verify PayPal webhook
-    if (!verifyPayPalWebhook(payload, signature)) {
-      return res.status(401).json({ error: 'Invalid signature' });
+    if (!result.success) {
+      return res.status(500).json(result);
     }
     
-    const { resource_type, event_type, resource } = payload;
+    res.json(result);
     
-    if (event_type === 'PAYMENT.CAPTURE.COMPLETED') {
-      const orderId = resource.supplementary_data.related_ids.order_id;
-      
-      // Find payment
-      const paymentsSnapshot = await admin.firestore()
-        .collection('payments')
-        .where('paymentDetails.paypalOrderId', '==', orderId)
-        .limit(1)
-        .get();
-      
-      if (!paymentsSnapshot.empty) {
-        const paymentDoc = paymentsSnapshot.docs[0];
-        const paymentRef = paymentDoc.ref;
-        const paymentData = paymentDoc.data();
-        
-        // Update payment status
-        await paymentRef.update({
-          status: 'completed',
-          'paymentDetails.captureId': resource.id,
-          'paymentDetails.captureStatus': resource.status,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        // Enroll user
-        await enrollUserInCourse(paymentData.userId, paymentData.courseId, paymentDoc.id);
-      }
+  } catch (error) {
+    console.error('List bank transfers error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/admin/bank-transfers/:paymentId/approve', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const result = await paymentService.approveBankTransfer(req.params.paymentId, req.user.uid, req.body.notes || '');
+    
+    if (!result.success) {
+      return res.status(result.code === 'ILLEGAL_TRANSITION' ? 409 : 400).json(result);
     }
     
-    res.json({ success: true });
+    res.json(result);
     
   } catch (error) {
-    console.error('PayPal webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    console.error('Approve bank transfer error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ===== HELPER FUNCTIONS =====
-async function enrollUserInCourse(userId, courseId, paymentId) {
+router.post('/admin/bank-transfers/:paymentId/reject', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    // Check if already enrolled
-    const enrollmentSnapshot = await admin.firestore()
-      .collection('enrollments')
-      .where('userId', '==', userId)
-      .where('courseId', '==', courseId)
-      .limit(1)
-      .get();
+    const { reason } = req.body;
     
-    if (!enrollmentSnapshot.empty) {
-      return {
-        success: false,
-        error: 'Already enrolled',
-        enrolled: true
-      };
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ success: false, error: 'Rejection reason is required' });
     }
     
-    // Create enrollment
-    const enrollmentRef = admin.firestore().collection('enrollments').doc();
-    await enrollmentRef.set({
-      id: enrollmentRef.id,
-      userId,
-      courseId,
+    const result = await paymentService.rejectBankTransfer(req.params.paymentId, req.user.uid, reason.trim());
+    
+    if (!result.success) {
+      return res.status(result.code === 'ILLEGAL_TRANSITION' ? 409 : 400).json(result);
+    }
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Reject bank transfer error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===== REFUNDS (ADMIN) =====
+router.post('/admin/payments/:paymentId/refund', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { amount, reason, revokeAccess } = req.body;
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ success: false, error: 'Refund reason is required' });
+    }
+    
+    const result = await paymentService.refundPayment(req.params.paymentId, reason.trim(), {
+      amount: amount !== undefined && amount !== null ? parseFloat(amount) : null,
+      actor: req.user.uid,
+      revokeAccess: typeof revokeAccess === 'boolean' ? revokeAccess : null
+    });
+    
+    if (!result.success) {
+      return res.status(result.code === 'ILLEGAL_TRANSITION' ? 409 : 400).json(result);
+    }
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Refund error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/credit-notes', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { paymentId, userId, limit } = req.query;
+    const result = await paymentService.getCreditNotes({
       paymentId,
-      enrolledAt: new Date().toISOString(),
-      status: 'active',
-      progress: 0,
-      completed: false,
-      certificateEligible: false,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-    
-    // Update user's enrolled courses
-    const userRef = admin.firestore().collection('users').doc(userId);
-    await userRef.update({
-      enrolledCourses: admin.firestore.FieldValue.arrayUnion(courseId),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      userId,
+      limit: Math.min(parseInt(limit) || 50, 200)
     });
     
-    // Update course enrollment count
-    const courseRef = admin.firestore().collection('courses').doc(courseId);
-    await courseRef.update({
-      totalEnrollments: admin.firestore.FieldValue.increment(1),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('List credit notes error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===== RECONCILIATION (ADMIN) =====
+// Settlement export goes in as a CSV upload (field "file") or as text in body.csv
+router.post('/admin/reconciliation', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { provider, from, to } = req.body;
+    const file = req.files && req.files.file;
+    const csv = file ? file.data.toString('utf8') : req.body.csv;
+    
+    if (!reconciliationService.PROVIDERS.includes(provider)) {
+      return res.status(400).json({ success: false, error: `provider must be one of: ${reconciliationService.PROVIDERS.join(', ')}` });
+    }
+    
+    if (!csv) {
+      return res.status(400).json({ success: false, error: 'Settlement CSV is required' });
+    }
+    
+    const report = await reconciliationService.runReconciliation({
+      provider,
+      csv,
+      filename: file ? file.name : (req.body.filename || null),
+      from: from || null,
+      to: to || null,
+      actor: req.user.uid
     });
     
-    // Send enrollment email
-    await sendEnrollmentEmail(userId, courseId);
+    res.status(201).json({ success: true, report });
     
-    return {
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/reconciliation', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const reports = await reconciliationService.listReports({
+      provider: req.query.provider || null,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+    res.json({ success: true, reports });
+  } catch (error) {
+    console.error('List reconciliation reports error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/reconciliation/:reportId', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const report = await reconciliationService.getReport(req.params.reportId, {
+      status: req.query.status || null
+    });
+    
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    
+    res.json({ success: true, report });
+    
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/reconciliation/:reportId/csv', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const report = await reconciliationService.getReport(req.params.reportId, {
+      status: req.query.status || null
+    });
+    
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="reconciliation-${report.provider}-${report.id}.csv"`
+    });
+    res.send(reconciliationService.toCsv(report));
+    
+  } catch (error) {
+    console.error('Reconciliation CSV error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===== REVENUE ANALYTICS (ADMIN) =====
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD&bucket=day|week|month (defaults to the last 30 days)
+router.get('/admin/analytics/revenue', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { from, to, bucket } = req.query;
+    
+    let report;
+    try {
+      report = await revenueAnalyticsService.getRevenue({ from, to, bucket: bucket || 'day' });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    res.json({ success: true, report });
+    
+  } catch (error) {
+    console.error('Revenue analytics error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rebuild daily rollups for a range, e.g. to backfill history
+router.post('/admin/analytics/revenue/rebuild', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { from, to } = req.body;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '') || from > to) {
+      return res.status(400).json({ success: false, error: 'from and to must be YYYY-MM-DD dates, from <= to' });
+    }
+    
+    const rebuilt = await revenueAnalyticsService.rebuildRange(from, to);
+    res.json({ success: true, rebuilt });
+    
+  } catch (error) {
+    console.error('Rebuild revenue rollups error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/cron/revenue-rollups', requireCronSecret, async (req, res) => {
+  try {
+    const result = await revenueAnalyticsService.refreshRollups({
+      limit: parseInt(req.query.limit) || 31,
+      dryRun: req.query.dryRun === 'true'
+    });
+    
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Revenue rollups cron error:', error);
+    res.status(500).json({ error: 'Revenue rollup refresh failed' });
+  }
+});
+
+// ===== EXCHANGE RATES =====
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const rates = await exchangeRateService.getCurrentRates();
+
+    res.json({
       success: true,
-      enrollmentId: enrollmentRef.id,
-      enrolledAt: new Date().toISOString()
-    };
+      base: exchangeRateService.BASE_CURRENCY,
+      currencies: exchangeRateService.getSupportedCurrencies(),
+      rates
+    });
+
+  } catch (error) {
+    console.error('Exchange rates error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/exchange-rates/:currency/history', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const history = await exchangeRateService.getHistory(
+      req.params.currency,
+      Math.min(parseInt(req.query.limit) || 50, 200)
+    );
+
+    res.json({ success: true, currency: req.params.currency.toUpperCase(), history });
+
+  } catch (error) {
+    console.error('Exchange rate history error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/admin/exchange-rates', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { currency, rate, effectiveFrom, note } = req.body;
+
+    if (!currency || !rate) {
+      return res.status(400).json({ success: false, error: 'currency and rate are required' });
+    }
+
+    const saved = await exchangeRateService.setRate(currency, rate, {
+      effectiveFrom,
+      note: note || '',
+      actor: req.user.uid
+    });
+
+    res.json({ success: true, rate: saved });
+
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ===== FEES =====
+router.get('/fees/quote', async (req, res) => {
+  try {
+    const { courseId, method, currency } = req.query;
+
+    if (!courseId || !method) {
+      return res.status(400).json({ success: false, error: 'courseId and method are required' });
+    }
+
+    const courseDoc = await admin.firestore().collection('courses').doc(courseId).get();
+    if (!courseDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
+
+    // Explicit per-currency course price, else converted from USD
+    const price = await exchangeRateService.getCoursePrice(courseDoc.data(), currency || 'USD');
+    const breakdown = await feeEngine.calculate(price.amount, { method, currency: price.currency });
+
+    res.json({ success: true, breakdown });
+
+  } catch (error) {
+    console.error('Fee quote error:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/fee-schedules', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const [current, history] = await Promise.all([
+      feeEngine.getSchedule(),
+      feeEngine.getScheduleHistory(Math.min(parseInt(req.query.limit) || 20, 100))
+    ]);
+
+    res.json({ success: true, current, history });
+
+  } catch (error) {
+    console.error('Fee schedules error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/admin/fee-schedules', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { platform, methods, currencies, effectiveFrom, note } = req.body;
+
+    const schedule = await feeEngine.saveSchedule({ platform, methods, currencies }, {
+      effectiveFrom,
+      note: note || '',
+      actor: req.user.uid
+    });
+
+    res.json({ success: true, schedule });
+
+  } catch (error) {
+    console.error('Save fee schedule error:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ===== COUPONS (ADMIN) =====
+router.get('/admin/coupons', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { active, limit } = req.query;
+    const coupons = await couponService.listCoupons({
+      active: active === undefined ? null : active === 'true',
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    res.json({ success: true, coupons });
+
+  } catch (error) {
+    console.error('List coupons error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/admin/coupons', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const coupon = await couponService.createCoupon(req.body, req.user.uid);
+    res.json({ success: true, coupon });
+
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    // ALREADY_EXISTS
+    const status = error.code === 6 ? 409 : 400;
+    res.status(status).json({
+      success: false,
+      error: error.code === 6 ? 'Coupon code already exists' : error.message
+    });
+  }
+});
+
+router.put('/admin/coupons/:code', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const coupon = await couponService.updateCoupon(req.params.code, req.body, req.user.uid);
+    res.json({ success: true, coupon });
+
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    res.status(error.message === 'Coupon not found' ? 404 : 400).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/coupons/:code/redemptions', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const coupon = await couponService.getCoupon(req.params.code);
+    if (!coupon) {
+      return res.status(404).json({ success: false, error: 'Coupon not found' });
+    }
+
+    const redemptions = await couponService.getRedemptions(req.params.code, Math.min(parseInt(req.query.limit) || 100, 500));
+    res.json({ success: true, coupon, redemptions });
+
+  } catch (error) {
+    console.error('Coupon redemptions error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===== INSTALLMENTS =====
+// Start a plan and pay the first installment
+router.post('/installments/start', authenticate, async (req, res) => {
+  try {
+    const { courseId, amount, phoneNumber, network } = req.body;
+    const userId = req.user.uid;
+    
+    if (!courseId) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    // A plan whose first payment never went through can be paid again
+    let plan = await installmentService.getPlan(installmentService.getPlanId(userId, courseId));
+    if (!plan || plan.status !== 'pending') {
+      try {
+        plan = await installmentService.createPlan(userId, courseId);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    
+    const result = await createInstallmentOrder(plan, userId, { amount, phoneNumber, network });
+    res.status(result.statusCode || 200).json(result.body);
     
   } catch (error) {
-    console.error('Enrollment error:', error);
-    throw error;
+    console.error('Installment start error:', error);
+    res.status(500).json({ error: 'Installment payment creation failed', details: error.message });
+  }
+});
+
+// Pay the next installment of a plan
+router.post('/installments/:planId/pay', authenticate, async (req, res) => {
+  try {
+    const { amount, phoneNumber, network } = req.body;
+    const userId = req.user.uid;
+    
+    const plan = await installmentService.getPlan(req.params.planId);
+    if (!plan) {
+      return res.status(404).json({ error: 'Installment plan not found' });
+    }
+    if (plan.userId !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (['completed', 'cancelled'].includes(plan.status)) {
+      return res.status(400).json({ error: `Installment plan is ${plan.status}` });
+    }
+    
+    const result = await createInstallmentOrder(plan, userId, { amount, phoneNumber, network });
+    res.status(result.statusCode || 200).json(result.body);
+    
+  } catch (error) {
+    console.error('Installment payment error:', error);
+    res.status(500).json({ error: 'Installment payment creation failed', details: error.message });
+  }
+});
+
+router.get('/installments', authenticate, async (req, res) => {
+  try {
+    const plans = await installmentService.getUserPlans(req.user.uid);
+    res.json({
+      success: true,
+      plans: plans.map(plan => ({ ...plan, progress: installmentService.getProgress(plan) }))
+    });
+  } catch (error) {
+    console.error('Get installment plans error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admin/installments', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const plans = await installmentService.listPlans({
+      status: req.query.status || null,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+    res.json({ success: true, plans });
+  } catch (error) {
+    console.error('Get installment plans error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
+});
+
+// Due-date reminders and suspension of overdue plans
+router.post('/cron/installments', requireCronSecret, async (req, res) => {
+  try {
+    const result = await installmentService.processDueInstallments({
+      limit: parseInt(req.query.limit) || 200,
+      dryRun: req.query.dryRun === 'true'
+    });
+    
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Installments cron error:', error);
+    res.status(500).json({ error: 'Installment sweep failed' });
+  }
+});
+
+// ===== EXPIRE STALE PAYMENTS (CRON) =====
+router.post('/cron/expire-payments', requireCronSecret, async (req, res) => {
+  try {
+    const result = await paymentService.expireStalePayments({
+      limit: parseInt(req.query.limit) || 200,
+      dryRun: req.query.dryRun === 'true'
+    });
+    
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Expire payments cron error:', error);
+    res.status(500).json({ error: 'Expiry sweep failed' });
+  }
+});
+
+// ===== CHECKOUT REMINDERS (CRON) =====
+router.post('/cron/checkout-reminders', requireCronSecret, async (req, res) => {
+  try {
+    const result = await paymentService.sendCheckoutReminders({
+      limit: parseInt(req.query.limit) || 200,
+      dryRun: req.query.dryRun === 'true'
+    });
+    
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('Checkout reminders cron error:', error);
+    res.status(500).json({ error: 'Checkout reminder sweep failed' });
+  }
+});
+
+// ===== HELPER FUNCTIONS =====
+// Fail an order whose provider charge could not be started, giving its coupon uses back
+async function failUnstartedOrder(paymentId, userId, failureCode, message) {
+  await paymentService.transition(paymentId, 'failed', {
+    actor: userId,
+    reason: `Provider payment could not be started: ${message}`,
+    updates: paymentService.buildFailureUpdates(failureCode, message)
+  });
 }
 
-async function sendEnrollmentEmail(userId, courseId) {
-  // Implementation for sending email
-  // You can use nodemailer or your email service
-  console.log(`Enrollment email sent for user ${userId}, course ${courseId}`);
-  return { success: true };
+// PayChangu order for the next unpaid installment of a plan. Resolves to { statusCode, body }
+async function createInstallmentOrder(plan, userId, { amount, phoneNumber, network }) {
+  const installment = installmentService.getNextInstallment(plan);
+  if (!installment) {
+    return { statusCode: 400, body: { error: 'All installments are paid' } };
+  }
+  
+  const fees = await feeEngine.calculate(installment.amount, { method: 'paychangu' });
+  const validation = await validatePaymentAmount(fees.total, amount);
+  if (!validation.valid) {
+    return { statusCode: 400, body: { error: validation.message, type: validation.type, required: fees.total } };
+  }
+  
+  if (!phoneNumber || !phoneNumber.match(/^\+?265\d{9}$/)) {
+    return { statusCode: 400, body: { error: 'Invalid phone number format' } };
+  }
+  
+  const courseDoc = await admin.firestore().collection('courses').doc(plan.courseId).get();
+  const localPrice = await exchangeRateService.quote(courseDoc.exists ? courseDoc.data() : {}, amount, 'MWK');
+  
+  const orderId = `MRTC-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+  const title = `${plan.courseTitle} (installment ${installment.number} of ${plan.count})`;
+  
+  const paymentRef = admin.firestore().collection('payments').doc();
+  const paymentData = {
+    id: paymentRef.id,
+    orderId,
+    userId,
+    courseId: plan.courseId,
+    bundleId: null,
+    planId: null,
+    installmentPlanId: plan.id,
+    installmentNumber: installment.number,
+    courseTitle: title,
+    items: [{
+      courseId: plan.courseId,
+      title: plan.courseTitle,
+      listPrice: plan.totalAmount,
+      amount: installment.amount
+    }],
+    amount: {
+      usd: amount,
+      mwk: localPrice.amount
+    },
+    exchangeRate: localPrice.exchangeRate,
+    method: 'paychangu',
+    network: network || 'airtel',
+    phoneNumber,
+    status: 'pending',
+    currency: 'USD',
+    fees,
+    paymentDetails: {
+      provider: 'Paychangu',
+      mode: process.env.PAYCHANGU_MODE || 'test',
+      timestamp: new Date().toISOString()
+    },
+    expiresAt: Payment.getExpiryDate(),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  
+  await paymentRef.set(paymentData);
+  
+  const paychanguResponse = await createPaychanguPayment({
+    amount: paymentData.amount.mwk,
+    phoneNumber,
+    network,
+    orderId,
+    description: `MRTC eCampus: ${title}`,
+    callbackUrl: `${process.env.BASE_URL}/api/payments/paychangu-webhook`
+  });
+  
+  if (!paychanguResponse.success) {
+    throw new Error('Paychangu payment creation failed');
+  }
+  
+  await paymentRef.update({
+    'paymentDetails.transactionId': paychanguResponse.transactionId,
+    'paymentDetails.paymentUrl': paychanguResponse.paymentUrl,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      paymentId: paymentRef.id,
+      orderId,
+      planId: plan.id,
+      installment: installment.number,
+      paymentUrl: paychanguResponse.paymentUrl,
+      transactionId: paychanguResponse.transactionId,
+      amount: {
+        usd: amount,
+        mwk: paymentData.amount.mwk
+      }
+    }
+  };
 }
 
 async function createPaychanguPayment(data) {
@@ -939,27 +1649,4 @@ async function verifyBankTransfer(paymentData) {
   };
 }
 
-function verifyPaychanguWebhook(payload, signature) {
-  // Implement Paychangu webhook signature verification
-  // This should use Paychangu's webhook secret
-  const webhookSecret = process.env.PAYCHANGU_WEBHOOK_SECRET;
-  
-  // Simplified verification - in production, implement proper HMAC verification
-  if (!webhookSecret) return true; // For testing
-  
-  // TODO: Implement proper HMAC signature verification
-  return true;
-}
-
-function verifyPayPalWebhook(payload, signature) {
-  // Implement PayPal webhook signature verification
-  // This should use PayPal's webhook verification
-  const webhookId = process.env.PAYPAL_WEBHOOK_ID;
-  
-  if (!webhookId) return true; // For testing
-  
-  // TODO: Implement proper PayPal webhook verification
-  return true;
-}
-
 module.exports = router;
\ No newline at end of file
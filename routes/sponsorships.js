@@ -0,0 +1,160 @@
+// =============================================
+// SPONSORSHIP API ROUTES
+// =============================================
+// Seats are bought through /api/payments/create-paychangu and
+// /api/payments/create-paypal with a courseId plus `seats` (and optional
+// `recipients` emails and `organizationName`)
+const express = require('express');
+const router = express.Router();
+const sponsorshipService = require('../services/sponsorshipService');
+const { authMiddleware } = require('../middleware/auth');
+
+const REDEEM_ERROR_STATUS = {
+    SEAT_NOT_FOUND: 404,
+    SEAT_UNAVAILABLE: 409,
+    SEAT_RESERVED: 403,
+    ALREADY_ENROLLED: 409
+};
+
+// Sponsor or admin only
+async function loadOwnSponsorship(req, res) {
+    const sponsorship = await sponsorshipService.getSponsorship(req.params.sponsorshipId);
+
+    if (!sponsorship) {
+        res.status(404).json({
+            success: false,
+            error: 'Sponsorship not found'
+        });
+        return null;
+    }
+
+    if (sponsorship.sponsorId !== req.user.uid && req.user.role !== 'admin') {
+        res.status(403).json({
+            success: false,
+            error: 'Access denied'
+        });
+        return null;
+    }
+
+    return sponsorship;
+}
+
+/**
+ * Redeem a seat code and enroll in the sponsored course
+ * POST /api/sponsorships/redeem
+ * Body: { code }
+ */
+router.post('/redeem', authMiddleware, async (req, res) => {
+    try {
+        if (!req.body.code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Seat code is required'
+            });
+        }
+
+        const enrollment = await sponsorshipService.redeem(req.body.code, {
+            uid: req.user.uid,
+            email: req.user.email
+        });
+
+        res.json({
+            success: true,
+            message: 'Seat redeemed successfully',
+            ...enrollment
+        });
+
+    } catch (error) {
+        const status = REDEEM_ERROR_STATUS[error.code];
+        if (!status) {
+            console.error('❌ Redeem seat error:', error);
+        }
+        res.status(status || 500).json({
+            success: false,
+            error: status ? error.message : 'Failed to redeem seat',
+            code: error.code
+        });
+    }
+});
+
+/**
+ * Get the current user's sponsorships
+ * GET /api/sponsorships/me
+ */
+router.get('/me', authMiddleware, async (req, res) => {
+    try {
+        const sponsorships = await sponsorshipService.listForSponsor(req.user.uid);
+
+        res.json({
+            success: true,
+            sponsorships
+        });
+
+    } catch (error) {
+        console.error('❌ Get sponsorships error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get sponsorships'
+        });
+    }
+});
+
+/**
+ * Sponsor dashboard: seats, who redeemed them and their progress
+ * GET /api/sponsorships/:sponsorshipId
+ */
+router.get('/:sponsorshipId', authMiddleware, async (req, res) => {
+    try {
+        const sponsorship = await loadOwnSponsorship(req, res);
+        if (!sponsorship) return;
+
+        const dashboard = await sponsorshipService.getDashboard(sponsorship.id);
+
+        res.json({
+            success: true,
+            ...dashboard
+        });
+
+    } catch (error) {
+        console.error('❌ Get sponsorship error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get sponsorship'
+        });
+    }
+});
+
+/**
+ * Invite recipients by email to unused seats
+ * POST /api/sponsorships/:sponsorshipId/invite
+ * Body: { emails: ['student@example.com'] }
+ */
+router.post('/:sponsorshipId/invite', authMiddleware, async (req, res) => {
+    try {
+        const sponsorship = await loadOwnSponsorship(req, res);
+        if (!sponsorship) return;
+
+        if (!Array.isArray(req.body.emails) || req.body.emails.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'emails must be a non-empty array'
+            });
+        }
+
+        const invited = await sponsorshipService.invite(sponsorship.id, req.body.emails);
+
+        res.json({
+            success: true,
+            invited
+        });
+
+    } catch (error) {
+        console.error('❌ Invite to sponsorship error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
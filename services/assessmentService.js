@@ -1,6 +1,9 @@
 const admin = require('firebase-admin');
 const aiService = require('./aiService');
 
+// Score (%) needed to pass the mid and final assessments
+const PASSING_SCORE = 80;
+
 class AssessmentService {
     constructor() {
         this.db = admin.firestore();
@@ -10,17 +13,18 @@ class AssessmentService {
     async getStudentAssessment(courseId, userId, assessmentType = 'final') {
         try {
             // Get enrollment to check progress
-            const enrollmentQuery = await this.db.collection('enrollments')
-                .where('userId', '==', userId)
-                .where('courseId', '==', courseId)
-                .limit(1)
-                .get();
+            const membershipService = require('./membershipService');
+            const enrollment = await membershipService.findEnrollment(userId, courseId);
 
-            if (enrollmentQuery.empty) {
+            if (!enrollment) {
                 throw new Error('Student not enrolled in this course');
             }
 
-            const enrollment = enrollmentQuery.docs[0].data();
+            // Unlocked by lesson progress (see progressService)
+            const progressService = require('./progressService');
+            if (!(await progressService.canTakeAssessment(userId, courseId, assessmentType))) {
+                throw new Error(`The ${assessmentType} assessment is not unlocked yet`);
+            }
             
             // Check if assessment already taken
             if (assessmentType === 'mid' && enrollment.midAssessmentTaken) {
@@ -139,7 +143,7 @@ class AssessmentService {
             const score = Math.round((correctCount / assessment.totalQuestions) * 100);
             
             // Determine if passed (80% or higher)
-            const passed = score >= 80;
+            const passed = score >= PASSING_SCORE;
             
             // Generate feedback using AI
             const weakAreas = this.identifyWeakAreas(results);
@@ -176,6 +180,14 @@ class AssessmentService {
                 });
             }
 
+            // A passed mid unlocks the final; a passed final can complete the course
+            try {
+                const progressService = require('./progressService');
+                await progressService.recompute(assessment.userId, assessment.courseId);
+            } catch (error) {
+                console.error('Progress update after assessment failed:', error);
+            }
+
             return {
                 success: true,
                 score: score,
@@ -245,4 +257,5 @@ class AssessmentService {
     }
 }
 
-module.exports = new AssessmentService();
\ No newline at end of file
+module.exports = new AssessmentService();
+module.exports.PASSING_SCORE = PASSING_SCORE;
\ No newline at end of file
@@ -0,0 +1,413 @@
+// =============================================
+// COUPON SERVICE
+// =============================================
+// Coupons live in the `coupons` collection keyed by their upper-case code.
+// Every use is a `coupon_redemptions` document ({paymentId}_{code}) that moves
+// reserved -> redeemed when the payment completes, or reserved -> released when
+// it fails, expires or is rejected (and back to reserved when a failed or expired
+// order is retried). coupon.redemptionCount counts reserved and
+// redeemed uses so limits hold while a checkout is still open.
+const admin = require('firebase-admin');
+
+const COUPON_TYPES = ['percentage', 'fixed'];
+const COUPON_SCOPES = ['global', 'course'];
+
+// Payment statuses that settle a reservation
+const CONFIRM_STATUSES = ['completed'];
+const RELEASE_STATUSES = ['failed', 'expired', 'rejected'];
+
+class CouponService {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  normalizeCodes(codes) {
+    const list = Array.isArray(codes) ? codes : (codes ? [codes] : []);
+    return [...new Set(list.map(code => this.normalizeCode(code)).filter(Boolean))];
+  }
+
+  // Create a coupon
+  async createCoupon(data, actor = 'system') {
+    const code = this.normalizeCode(data.code);
+    const validation = this.validateCouponData({ ...data, code });
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const coupon = {
+      code,
+      description: data.description || '',
+      type: data.type,
+      value: parseFloat(data.value),
+      scope: data.scope || 'global',
+      courseIds: data.scope === 'course' ? data.courseIds : [],
+      minPurchase: parseFloat(data.minPurchase) || 0,
+      maxRedemptions: data.maxRedemptions ? parseInt(data.maxRedemptions) : null,
+      perUserLimit: data.perUserLimit !== undefined && data.perUserLimit !== null ? parseInt(data.perUserLimit) : 1,
+      stackable: Boolean(data.stackable),
+      startsAt: data.startsAt ? new Date(data.startsAt).toISOString() : null,
+      expiresAt: data.expiresAt ? new Date(data.expiresAt).toISOString() : null,
+      active: data.active !== false,
+      redemptionCount: 0,
+      createdBy: actor,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    // create() fails if the code is already taken
+    await this.db.collection('coupons').doc(code).create(coupon);
+    return coupon;
+  }
+
+  // Update editable coupon fields; the code and redemption count cannot change
+  async updateCoupon(code, data, actor = 'system') {
+    code = this.normalizeCode(code);
+    const couponRef = this.db.collection('coupons').doc(code);
+    const couponDoc = await couponRef.get();
+
+    if (!couponDoc.exists) {
+      throw new Error('Coupon not found');
+    }
+
+    const merged = { ...couponDoc.data(), ...data, code };
+    const validation = this.validateCouponData(merged);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const updates = {};
+    const editable = ['description', 'type', 'value', 'scope', 'courseIds', 'minPurchase',
+      'maxRedemptions', 'perUserLimit', 'stackable', 'startsAt', 'expiresAt', 'active'];
+    editable.forEach(field => {
+      if (data[field] !== undefined) updates[field] = data[field];
+    });
+
+    if (updates.value !== undefined) updates.value = parseFloat(updates.value);
+    if (updates.startsAt) updates.startsAt = new Date(updates.startsAt).toISOString();
+    if (updates.expiresAt) updates.expiresAt = new Date(updates.expiresAt).toISOString();
+
+    await couponRef.update({
+      ...updates,
+      updatedBy: actor,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { ...merged, ...updates };
+  }
+
+  validateCouponData(data) {
+    if (!data.code || !/^[A-Z0-9_-]{3,32}$/.test(data.code)) {
+      return { valid: false, error: 'Code must be 3-32 letters, digits, dashes or underscores' };
+    }
+
+    if (!COUPON_TYPES.includes(data.type)) {
+      return { valid: false, error: `type must be one of ${COUPON_TYPES.join(', ')}` };
+    }
+
+    const value = parseFloat(data.value);
+    if (isNaN(value) || value <= 0 || (data.type === 'percentage' && value > 100)) {
+      return { valid: false, error: 'value must be a positive amount (percentage at most 100)' };
+    }
+
+    if (data.scope && !COUPON_SCOPES.includes(data.scope)) {
+      return { valid: false, error: `scope must be one of ${COUPON_SCOPES.join(', ')}` };
+    }
+
+    if (data.scope === 'course' && (!Array.isArray(data.courseIds) || data.courseIds.length === 0)) {
+      return { valid: false, error: 'Course-scoped coupons need at least one courseId' };
+    }
+
+    if (data.startsAt && data.expiresAt && new Date(data.startsAt) >= new Date(data.expiresAt)) {
+      return { valid: false, error: 'expiresAt must be after startsAt' };
+    }
+
+    return { valid: true };
+  }
+
+  async getCoupon(code) {
+    const couponDoc = await this.db.collection('coupons').doc(this.normalizeCode(code)).get();
+    return couponDoc.exists ? couponDoc.data() : null;
+  }
+
+  async listCoupons({ active = null, limit = 50 } = {}) {
+    let query = this.db.collection('coupons');
+    if (active !== null) {
+      query = query.where('active', '==', active);
+    }
+
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Reasons a coupon cannot be used for this course / price, or null if it can.
+  // usedByUser is the number of this user's reserved or redeemed uses
+  checkEligibility(coupon, { courseId, price, usedByUser = 0, now = new Date() }) {
+    if (!coupon || !coupon.active) {
+      return 'Coupon is not valid';
+    }
+
+    if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+      return 'Coupon is not active yet';
+    }
+
+    if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+      return 'Coupon has expired';
+    }
+
+    if (coupon.scope === 'course' && !(coupon.courseIds || []).includes(courseId)) {
+      return 'Coupon does not apply to this course';
+    }
+
+    if (coupon.minPurchase && price < coupon.minPurchase) {
+      return `Coupon requires a minimum purchase of $${coupon.minPurchase.toFixed(2)}`;
+    }
+
+    if (coupon.maxRedemptions && (coupon.redemptionCount || 0) >= coupon.maxRedemptions) {
+      return 'Coupon usage limit reached';
+    }
+
+    if (coupon.perUserLimit && usedByUser >= coupon.perUserLimit) {
+      return 'You have already used this coupon';
+    }
+
+    return null;
+  }
+
+  // Discount from the course's own sale fields (discountPercentage wins over discount)
+  getCourseDiscount(courseData, price) {
+    const percentage = parseFloat(courseData.discountPercentage) || 0;
+    if (percentage > 0) {
+      return Math.min(price, price * percentage / 100);
+    }
+    return Math.min(price, parseFloat(courseData.discount) || 0);
+  }
+
+  couponAmount(coupon, price) {
+    const amount = coupon.type === 'percentage'
+      ? price * coupon.value / 100
+      : coupon.value;
+    return Math.min(price, amount);
+  }
+
+  // Apply the course sale discount and coupons to a course price.
+  // Stacking rules:
+  //   - several coupons can only be combined if every one of them is stackable
+  //   - a non-stackable coupon does not combine with the course sale discount;
+  //     whichever of the two saves more is applied
+  //   - percentages apply to the price left after earlier discounts
+  // Resolves to { originalPrice, courseDiscount, coupons: [{ code, type, value, amount }],
+  //               discountTotal, price }; throws if a code cannot be used
+  async priceWithDiscounts(courseId, courseData, codes, userId, { transaction = null } = {}) {
+    codes = this.normalizeCodes(codes);
+    const originalPrice = parseFloat(courseData.priceUSD ?? courseData.price) || 0;
+
+    const coupons = [];
+    for (const code of codes) {
+      const couponRef = this.db.collection('coupons').doc(code);
+      const couponDoc = transaction ? await transaction.get(couponRef) : await couponRef.get();
+      if (!couponDoc.exists) {
+        throw new Error(`Coupon ${code} is not valid`);
+      }
+
+      const usedByUser = userId ? await this.countUserRedemptions(code, userId, transaction) : 0;
+      const reason = this.checkEligibility(couponDoc.data(), { courseId, price: originalPrice, usedByUser });
+      if (reason) {
+        throw new Error(`${code}: ${reason}`);
+      }
+
+      coupons.push(couponDoc.data());
+    }
+
+    if (coupons.length > 1 && coupons.some(coupon => !coupon.stackable)) {
+      throw new Error('These coupons cannot be combined');
+    }
+
+    let courseDiscount = this.getCourseDiscount(courseData, originalPrice);
+
+    // A single non-stackable coupon competes with the course sale discount
+    if (coupons.length === 1 && !coupons[0].stackable && courseDiscount > 0) {
+      if (this.couponAmount(coupons[0], originalPrice) > courseDiscount) {
+        courseDiscount = 0;
+      } else {
+        throw new Error(`${coupons[0].code}: Coupon cannot be combined with the current course discount`);
+      }
+    }
+
+    let price = originalPrice - courseDiscount;
+    const applied = coupons.map(coupon => {
+      const amount = this.round(this.couponAmount(coupon, price));
+      price -= amount;
+      return { code: coupon.code, type: coupon.type, value: coupon.value, amount };
+    });
+
+    price = this.round(Math.max(0, price));
+
+    return {
+      originalPrice,
+      courseDiscount: this.round(courseDiscount),
+      coupons: applied,
+      discountTotal: this.round(originalPrice - price),
+      price
+    };
+  }
+
+  async countUserRedemptions(code, userId, transaction = null) {
+    const query = this.db.collection('coupon_redemptions')
+      .where('code', '==', code)
+      .where('userId', '==', userId)
+      .where('status', 'in', ['reserved', 'redeemed']);
+
+    const snapshot = transaction ? await transaction.get(query) : await query.get();
+    return snapshot.size;
+  }
+
+  // Atomically re-check the coupons and reserve one use of each for a payment.
+  // Resolves to the same pricing as priceWithDiscounts
+  async reserve(codes, { paymentId, userId, courseId, courseData }) {
+    codes = this.normalizeCodes(codes);
+    if (codes.length === 0) {
+      return this.priceWithDiscounts(courseId, courseData, [], userId);
+    }
+
+    return this.db.runTransaction(async (transaction) => {
+      const pricing = await this.priceWithDiscounts(courseId, courseData, codes, userId, { transaction });
+
+      pricing.coupons.forEach(applied => {
+        transaction.update(this.db.collection('coupons').doc(applied.code), {
+          redemptionCount: admin.firestore.FieldValue.increment(1),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        transaction.set(this.db.collection('coupon_redemptions').doc(`${paymentId}_${applied.code}`), {
+          code: applied.code,
+          paymentId,
+          userId,
+          courseId,
+          amount: applied.amount,
+          status: 'reserved',
+          history: [{ status: 'reserved', timestamp: new Date().toISOString() }],
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+
+      return pricing;
+    });
+  }
+
+  // Settle a payment's reservations after its status changed. Completed payments
+  // confirm them (re-counting a use that was already released, since the student
+  // paid); failed, expired and rejected payments give the uses back
+  async settleForPayment(paymentId, codes, status) {
+    codes = this.normalizeCodes(codes);
+    const confirm = CONFIRM_STATUSES.includes(status);
+    if (codes.length === 0 || (!confirm && !RELEASE_STATUSES.includes(status))) {
+      return { settled: 0 };
+    }
+
+    const next = confirm ? 'redeemed' : 'released';
+
+    return this.db.runTransaction(async (transaction) => {
+      const refs = codes.map(code => this.db.collection('coupon_redemptions').doc(`${paymentId}_${code}`));
+      const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+      let settled = 0;
+
+      docs.forEach((doc, index) => {
+        if (!doc.exists || doc.data().status === next) {
+          return;
+        }
+
+        const current = doc.data().status;
+        // reserved -> released gives the use back; released -> redeemed takes it again
+        const delta = next === 'released' ? (current === 'reserved' ? -1 : 0) : (current === 'released' ? 1 : 0);
+        if (delta !== 0) {
+          transaction.update(this.db.collection('coupons').doc(codes[index]), {
+            redemptionCount: admin.firestore.FieldValue.increment(delta),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
+
+        transaction.update(refs[index], {
+          status: next,
+          history: admin.firestore.FieldValue.arrayUnion({ status: next, paymentStatus: status, timestamp: new Date().toISOString() }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        settled++;
+      });
+
+      return { settled, status: next };
+    });
+  }
+
+  // Take back the uses a failed or expired order released, for a retry of that
+  // order (released -> reserved). Each coupon's limits are checked again against
+  // the order's price; if one can no longer be used nothing is reserved and this throws
+  async reclaimForPayment(paymentId, codes, { price = 0 } = {}) {
+    codes = this.normalizeCodes(codes);
+    if (codes.length === 0) {
+      return { reclaimed: 0 };
+    }
+
+    return this.db.runTransaction(async (transaction) => {
+      const refs = codes.map(code => this.db.collection('coupon_redemptions').doc(`${paymentId}_${code}`));
+      const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+      const reclaim = [];
+
+      for (const [index, doc] of docs.entries()) {
+        if (!doc.exists || doc.data().status !== 'released') {
+          continue;
+        }
+
+        const code = codes[index];
+        const redemption = doc.data();
+        const couponDoc = await transaction.get(this.db.collection('coupons').doc(code));
+        const usedByUser = await this.countUserRedemptions(code, redemption.userId, transaction);
+        const reason = this.checkEligibility(couponDoc.exists ? couponDoc.data() : null, {
+          courseId: redemption.courseId,
+          price,
+          usedByUser
+        });
+        if (reason) {
+          throw new Error(`${code}: ${reason}`);
+        }
+
+        reclaim.push(index);
+      }
+
+      reclaim.forEach(index => {
+        transaction.update(this.db.collection('coupons').doc(codes[index]), {
+          redemptionCount: admin.firestore.FieldValue.increment(1),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        transaction.update(refs[index], {
+          status: 'reserved',
+          history: admin.firestore.FieldValue.arrayUnion({ status: 'reserved', paymentStatus: 'pending', timestamp: new Date().toISOString() }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+
+      return { reclaimed: reclaim.length };
+    });
+  }
+
+  async getRedemptions(code, limit = 100) {
+    const snapshot = await this.db.collection('coupon_redemptions')
+      .where('code', '==', this.normalizeCode(code))
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = new CouponService();
@@ -3,68 +3,68 @@
 // =============================================
 const admin = require('firebase-admin');
 const { googleDriveService } = require('./googleDriveService');
+const exchangeRateService = require('./exchangeRateService');
+const membershipService = require('./membershipService');
+const installmentService = require('./installmentService');
+const earningsService = require('./earningsService');
+const searchService = require('./searchService');
+const facetService = require('./facetService');
+const paginationService = require('./paginationService');
+const curriculumService = require('./curriculumService');
+const progressService = require('./progressService');
 
 class CourseService {
   constructor() {
     this.db = admin.firestore();
   }
 
-  // Get all published courses with pagination
-  async getCourses({ page = 1, limit = 12, category = null, filter = 'all', search = '' }) {
+  // Get published courses a cursor page at a time. Catalog facets (category,
+  // subcategory, level, language, price, duration, rating, certificate) are
+  // counted over the whole published set. With a facet selected the set is
+  // filtered and paged in memory; without one only the page is read, and the
+  // counts come from the cached search index
+  async getCourses({ limit = 12, cursor = null, category = null, filter = 'all', search = '', ...facetParams }) {
     try {
-      let query = this.db.collection('courses').where('isPublished', '==', true);
+      const filters = facetService.parseFilters({ category, filter, ...facetParams });
 
-      // Apply filters
-      if (category && category !== 'all') {
-        query = query.where('category', '==', category);
+      if (search && search.trim()) {
+        return this.searchCourses({ limit, cursor, filter, search, filters });
       }
 
-      if (filter === 'free') {
-        query = query.where('price', '==', 0);
-      } else if (filter === 'paid') {
-        query = query.where('price', '>', 0);
-      } else if (filter === 'featured') {
-        query = query.where('isFeatured', '==', true);
-      }
+      let query = this.db.collection('courses').where('isPublished', '==', true);
 
-      // Apply search
-      if (search) {
-        query = query.orderBy('title');
+      if (filter === 'featured') {
+        query = query.where('isFeatured', '==', true);
       }
 
-      query = query.orderBy('createdAt', 'desc');
-
-      const snapshot = await query.get();
-      const allCourses = [];
-
-      snapshot.forEach(doc => {
+      const orderBy = [['createdAt', 'desc']];
+      const toCourse = doc => {
         const courseData = doc.data();
-        // Apply search filter in memory
-        if (search) {
-          const searchLower = search.toLowerCase();
-          const matches = 
-            courseData.title?.toLowerCase().includes(searchLower) ||
-            courseData.description?.toLowerCase().includes(searchLower) ||
-            courseData.category?.toLowerCase().includes(searchLower) ||
-            courseData.tags?.some(tag => tag.toLowerCase().includes(searchLower));
-
-          if (!matches) return;
-        }
-
-        allCourses.push({
+        return {
           id: doc.id,
           ...courseData,
           createdAt: courseData.createdAt?.toDate(),
           updatedAt: courseData.updatedAt?.toDate()
-        });
-      });
+        };
+      };
 
-      // Pagination
-      const total = allCourses.length;
-      const totalPages = Math.ceil(total / limit);
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + limit;
-      const courses = allCourses.slice(startIndex, endIndex);
+      let page;
+      let facets;
+      if (facetService.hasSelection(filters)) {
+        const snapshot = await query.orderBy('createdAt', 'desc').get();
+        const applied = facetService.apply(
+          snapshot.docs.map(toCourse),
+          filters,
+          course => facetService.getFacetValues(course)
+        );
+        facets = applied.facets;
+        page = paginationService.paginateArray(applied.items, { orderBy, limit, cursor });
+      } else {
+        page = await paginationService.paginateQuery(query, { orderBy, limit, cursor, map: toCourse });
+        const valuesList = await searchService.getFacetValues({ featured: filter === 'featured' });
+        facets = facetService.buildCounts(valuesList, filters);
+      }
+      const { items: courses, pagination } = page;
 
       // Add enrollment stats
       const coursesWithStats = await Promise.all(
@@ -76,14 +76,8 @@ class CourseService {
 
       return {
         courses: coursesWithStats,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
+        facets,
+        pagination
       };
     } catch (error) {
       console.error('Error getting courses:', error);
@@ -91,6 +85,54 @@ class CourseService {
     }
   }
 
+  // Ranked search over the course search index (see searchService); each course
+  // carries search.highlights with the matching words wrapped in <mark>
+  async searchCourses({ limit = 12, cursor = null, filter = 'all', search, filters = facetService.parseFilters() }) {
+    const { results: ranked, partial } = await searchService.search(search, {
+      filter: filter === 'featured' ? 'featured' : 'all'
+    });
+    const { items: results, facets } = facetService.apply(ranked, filters, result => result.facets);
+
+    const { items: pageResults, pagination } = paginationService.paginateArray(results, {
+      orderBy: [['score', 'desc']],
+      limit,
+      cursor,
+      getId: result => result.courseId
+    });
+    const courseDocs = pageResults.length > 0
+      ? await this.db.getAll(...pageResults.map(result => this.db.collection('courses').doc(result.courseId)))
+      : [];
+
+    const courses = await Promise.all(courseDocs.map(async (doc, index) => {
+      // Skip entries whose course went away since the index was loaded
+      if (!doc.exists) return null;
+
+      const courseData = doc.data();
+      const stats = await this.getCourseStats(doc.id);
+      return {
+        id: doc.id,
+        ...courseData,
+        createdAt: courseData.createdAt?.toDate(),
+        updatedAt: courseData.updatedAt?.toDate(),
+        ...stats,
+        search: {
+          score: pageResults[index].score,
+          highlights: pageResults[index].highlights
+        }
+      };
+    }));
+
+    return {
+      courses: courses.filter(Boolean),
+      facets,
+      search: {
+        query: search,
+        partial
+      },
+      pagination
+    };
+  }
+
   // Get single course by ID
   async getCourseById(courseId) {
     try {
@@ -255,9 +297,17 @@ class CourseService {
     }
   }
 
-  // Get course curriculum
+  // Get course curriculum: modules with lesson outlines (see curriculumService),
+  // or the legacy course_curriculum docs for courses not moved to modules yet
   async getCourseCurriculum(courseId) {
     try {
+      const { modules, unassignedLessons } = await curriculumService.getCurriculum(courseId);
+      if (modules.length > 0) {
+        return unassignedLessons.length > 0
+          ? [...modules, { id: null, title: '', lessons: unassignedLessons }]
+          : modules;
+      }
+
       const curriculumSnapshot = await this.db.collection('course_curriculum')
         .where('courseId', '==', courseId)
         .orderBy('order', 'asc')
@@ -281,7 +331,10 @@ class CourseService {
   }
 
   // Enroll student in course
-  async enrollStudent(courseId, studentId, studentEmail, isFree = false) {
+  // options.paymentMethod 'sponsored' or 'organization' enrolls in a paid course paid for
+  // by a sponsor seat (sponsorshipService.redeem) or an organization license
+  // (organizationService.assignSeat); sponsorshipId, seatCode and organizationId are stored with it
+  async enrollStudent(courseId, studentId, studentEmail, isFree = false, options = {}) {
     try {
       // Check if already enrolled
       const existingEnrollment = await this.db.collection('enrollments')
@@ -296,6 +349,17 @@ class CourseService {
       // Get course details
       const course = await this.getCourseById(courseId);
 
+      const prepaid = ['sponsored', 'organization'].includes(options.paymentMethod);
+
+      // A paid course can only be joined without payment through a membership that covers it
+      let membership = null;
+      if (isFree && !prepaid && parseFloat(course.priceUSD ?? course.price) > 0) {
+        membership = await membershipService.findCoveringMembership(studentId, course);
+        if (!membership) {
+          throw new Error('This course requires a purchase or an active membership');
+        }
+      }
+
       // Create enrollment record
       const enrollmentId = this.db.collection('enrollments').doc().id;
       const enrollmentData = {
@@ -313,8 +377,13 @@ class CourseService {
         status: 'active',
         isPaid: !isFree,
         paymentAmount: isFree ? 0 : course.price,
-        paymentMethod: isFree ? 'free' : null,
-        paymentStatus: isFree ? 'completed' : 'pending',
+        paymentMethod: options.paymentMethod || (membership ? 'membership' : (isFree ? 'free' : null)),
+        paymentStatus: isFree || prepaid ? 'completed' : 'pending',
+        accessSource: prepaid ? options.paymentMethod : (membership ? 'membership' : (isFree ? 'free' : 'purchase')),
+        membershipId: membership ? membership.id : null,
+        sponsorshipId: options.sponsorshipId || null,
+        seatCode: options.seatCode || null,
+        organizationId: options.organizationId || null,
         certificateEligible: false,
         lastAccessed: admin.firestore.FieldValue.serverTimestamp()
       };
@@ -328,16 +397,7 @@ class CourseService {
       });
 
       // Create initial progress record
-      await this.db.collection('student_progress').doc(`${studentId}_${courseId}`).set({
-        studentId,
-        courseId,
-        enrollmentId,
-        progress: 0,
-        completedModules: [],
-        quizScores: {},
-        lastActivity: admin.firestore.FieldValue.serverTimestamp(),
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+      await progressService.initProgress(studentId, courseId, enrollmentId);
 
       // Send enrollment confirmation email
       await this.sendEnrollmentEmail(studentEmail, course.title, isFree);
@@ -357,7 +417,7 @@ class CourseService {
   // Process course purchase (for paid courses)
   async processCoursePurchase(courseId, studentId, studentEmail, paymentData) {
     try {
-      const { amount, method, transactionId } = paymentData;
+      const { amount, method, transactionId, paymentId: existingPaymentId } = paymentData;
 
       // Get course price
       const course = await this.getCourseById(courseId);
@@ -370,30 +430,35 @@ class CourseService {
         throw new Error(`Payment amount (${paidAmount}) is less than required course price (${coursePrice})`);
       }
 
-      // Create payment record
-      const paymentId = this.db.collection('payments').doc().id;
-      const paymentRecord = {
-        paymentId,
-        studentId,
-        studentEmail,
-        courseId,
-        courseTitle: course.title,
-        amount: paidAmount,
-        originalPrice: coursePrice,
-        discount: paidAmount > coursePrice ? paidAmount - coursePrice : 0,
-        currency: 'USD',
-        localAmount: coursePrice * 800, // MWK equivalent
-        paymentMethod: method,
-        transactionId,
-        status: 'completed',
-        paymentDate: admin.firestore.FieldValue.serverTimestamp(),
-        metadata: {
-          exchangeRate: 800,
-          country: 'Malawi'
-        }
-      };
+      // Create payment record, unless the purchase settles an existing payment (e.g. bank transfer)
+      const paymentId = existingPaymentId || this.db.collection('payments').doc().id;
+      if (!existingPaymentId) {
+        const exchangeRate = await exchangeRateService.lockRate('MWK');
+        const localPrice = await exchangeRateService.getCoursePrice(course, 'MWK');
+        const paymentRecord = {
+          paymentId,
+          studentId,
+          studentEmail,
+          courseId,
+          courseTitle: course.title,
+          amount: paidAmount,
+          originalPrice: coursePrice,
+          discount: paidAmount > coursePrice ? paidAmount - coursePrice : 0,
+          currency: 'USD',
+          localAmount: localPrice.amount, // MWK equivalent
+          paymentMethod: method,
+          transactionId,
+          status: 'completed',
+          paymentDate: admin.firestore.FieldValue.serverTimestamp(),
+          exchangeRate,
+          metadata: {
+            exchangeRate: exchangeRate.rate,
+            country: 'Malawi'
+          }
+        };
 
-      await this.db.collection('payments').doc(paymentId).set(paymentRecord);
+        await this.db.collection('payments').doc(paymentId).set(paymentRecord);
+      }
 
       // Enroll student after successful payment
       const enrollment = await this.enrollStudent(courseId, studentId, studentEmail, false);
@@ -497,6 +562,21 @@ class CourseService {
       const courseId = courseData.id || this.db.collection('courses').doc().id;
       const isNew = !courseData.id;
 
+      const pricing = exchangeRateService.validatePrices(courseData.prices);
+      if (!pricing.valid) {
+        throw new Error(pricing.error);
+      }
+
+      const installments = installmentService.validateConfig(courseData.installmentPlan);
+      if (!installments.valid) {
+        throw new Error(installments.error);
+      }
+
+      const revenueShare = earningsService.validateShare(courseData.revenueShare);
+      if (!revenueShare.valid) {
+        throw new Error(revenueShare.error);
+      }
+
       // 🔥 Upload course files to Google Drive first
       let courseFileData = {};
       if (courseData.courseFile) {
@@ -523,7 +603,6 @@ class CourseService {
         salePrice: parseFloat(courseData.salePrice) || null,
         isFree: parseFloat(courseData.price) === 0,
         currency: courseData.currency || 'USD',
-        localPrice: (parseFloat(courseData.price) || 0) * 800,
         duration: courseData.duration || 0,
         level: courseData.level || 'beginner',
         language: courseData.language || 'english',
@@ -533,6 +612,7 @@ class CourseService {
         instructorName: courseData.instructorName || '',
         instructorImage: courseData.instructorImage || '',
         isFeatured: Boolean(courseData.isFeatured),
+        hasCertificate: Boolean(courseData.hasCertificate),
         isPublished: Boolean(courseData.isPublished),
         isApproved: Boolean(courseData.isApproved),
         learningOutcomes: courseData.learningOutcomes || [],
@@ -557,6 +637,19 @@ class CourseService {
         updatedBy: userId
       };
 
+      // Explicit per-currency prices, e.g. { MWK: 85000 }; other currencies are converted
+      if (courseData.prices !== undefined) {
+        course.prices = pricing.prices;
+      }
+
+      if (courseData.installmentPlan !== undefined) {
+        course.installmentPlan = installments.config;
+      }
+
+      if (courseData.revenueShare !== undefined) {
+        course.revenueShare = revenueShare.share;
+      }
+
       if (isNew) {
         course.createdAt = admin.firestore.FieldValue.serverTimestamp();
         course.createdBy = userId;
@@ -596,6 +689,8 @@ class CourseService {
       // This is critical for dashboard to track course counts
       await this.updateDashboardStats(courseId, isNew);
 
+      await this.reindexCourse(courseId);
+
       return {
         success: true,
         courseId,
@@ -647,6 +742,30 @@ class CourseService {
     }
   }
 
+  // Keep the search index in step with the course; a failed reindex must not fail the save
+  async reindexCourse(courseId) {
+    try {
+      await searchService.indexCourse(courseId);
+    } catch (error) {
+      console.error(`Search index update failed for course ${courseId}:`, error);
+    }
+  }
+
+  // A course_contents item was added (delta 1) or removed (-1): update the
+  // course's content count and reindex it, since content titles are searchable
+  async contentChanged(courseId, delta) {
+    const courseRef = this.db.collection('courses').doc(courseId);
+    const courseDoc = await courseRef.get();
+    if (courseDoc.exists) {
+      await courseRef.update({
+        contentCount: Math.max(0, (courseDoc.data().contentCount || 0) + delta),
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    await this.reindexCourse(courseId);
+  }
+
   // Delete course (admin function)
   async deleteCourse(courseId, userId) {
     try {
@@ -666,6 +785,7 @@ class CourseService {
 
         // Update dashboard stats
         await this.updateDashboardStats(courseId);
+        await this.reindexCourse(courseId);
 
         return {
           success: true,
@@ -684,6 +804,7 @@ class CourseService {
 
       // Update dashboard stats
       await this.updateDashboardStats(courseId);
+      await this.reindexCourse(courseId);
 
       return {
         success: true,
@@ -766,6 +887,7 @@ class CourseService {
         totalReviews: admin.firestore.FieldValue.increment(1),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
+      await this.reindexCourse(courseId);
 
       return {
         success: true,
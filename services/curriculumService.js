@@ -0,0 +1,458 @@
+// =============================================
+// CURRICULUM SERVICE
+// =============================================
+// A course is an ordered list of modules (the sections of the course page),
+// each holding an ordered list of lessons:
+//   modules/{moduleId} { courseId, title, description, order, lessonCount, duration }
+//   lessons/{lessonId} { courseId, moduleId, title, contentType, videoDuration, order, ... }
+// lesson.order runs across the whole course (module by module) so existing
+// readers such as installment unlocking keep working. After every change the
+// course gets its roll-ups: `lessons` (count), `duration` (hours) and
+// `curriculum`, an outline of module and lesson titles for the course page.
+// Drive content items (course_contents) are attached to a lesson by lessonId.
+const admin = require('firebase-admin');
+
+const CONTENT_TYPES = ['video', 'html', 'pdf', 'text', 'link'];
+
+// Fields an admin may set on a lesson
+const LESSON_FIELDS = [
+  'title',
+  'description',
+  'contentType',
+  'content',
+  'videoUrl',
+  'videoDuration',
+  'pdfUrl',
+  'externalLink',
+  'isFreePreview',
+  'completionCriteria',
+  'quizId'
+];
+
+// Modules, lessons and the course doc are rewritten in one batch of 500
+const MAX_CURRICULUM_ITEMS = 450;
+
+class CurriculumService {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  // ===== READS =====
+
+  async listModules(courseId) {
+    const snapshot = await this.db.collection('modules').where('courseId', '==', courseId).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  async listLessons(courseId) {
+    const snapshot = await this.db.collection('lessons').where('courseId', '==', courseId).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  async hasLessons(courseId) {
+    const snapshot = await this.db.collection('lessons').where('courseId', '==', courseId).limit(1).get();
+    return !snapshot.empty;
+  }
+
+  async getModule(courseId, moduleId) {
+    const moduleDoc = await this.db.collection('modules').doc(moduleId).get();
+    if (!moduleDoc.exists || moduleDoc.data().courseId !== courseId) {
+      throw new Error('Module not found');
+    }
+    return { id: moduleDoc.id, ...moduleDoc.data() };
+  }
+
+  async getLesson(courseId, lessonId) {
+    const lessonDoc = await this.db.collection('lessons').doc(lessonId).get();
+    if (!lessonDoc.exists || lessonDoc.data().courseId !== courseId) {
+      throw new Error('Lesson not found');
+    }
+    return { id: lessonDoc.id, ...lessonDoc.data() };
+  }
+
+  async hasLesson(courseId, lessonId) {
+    const lessonDoc = await this.db.collection('lessons').doc(lessonId).get();
+    return lessonDoc.exists && lessonDoc.data().courseId === courseId;
+  }
+
+  // A lesson with the Drive content items attached to it
+  async getLessonWithContents(courseId, lessonId) {
+    const lesson = await this.getLesson(courseId, lessonId);
+    const contentsSnapshot = await this.db.collection('course_contents')
+      .where('courseId', '==', courseId)
+      .where('lessonId', '==', lessonId)
+      .where('status', '==', 'active')
+      .get();
+
+    return {
+      ...lesson,
+      contents: contentsSnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        uploadedAt: doc.data().uploadedAt?.toDate()
+      }))
+    };
+  }
+
+  getLessonMinutes(lesson) {
+    return Math.max(parseFloat(lesson.videoDuration) || 0, 0);
+  }
+
+  // What anyone may see of a lesson on the course page
+  toOutlineLesson(lesson) {
+    return {
+      id: lesson.id,
+      moduleId: lesson.moduleId || null,
+      title: lesson.title,
+      description: lesson.description || '',
+      contentType: lesson.contentType || null,
+      videoDuration: this.getLessonMinutes(lesson),
+      order: lesson.order,
+      isFreePreview: Boolean(lesson.isFreePreview)
+    };
+  }
+
+  sortByOrder(items) {
+    return [...items].sort((a, b) =>
+      (a.order ?? Infinity) - (b.order ?? Infinity) || String(a.id).localeCompare(String(b.id))
+    );
+  }
+
+  // Modules in order, each with its lessons in order; lessons without a
+  // (known) module trail behind as unassignedLessons
+  buildOutline(modules, lessons) {
+    const sortedModules = this.sortByOrder(modules);
+    const moduleIds = new Set(sortedModules.map(module => module.id));
+    const sortedLessons = this.sortByOrder(lessons);
+
+    return {
+      modules: sortedModules.map(module => ({
+        ...module,
+        lessons: sortedLessons.filter(lesson => lesson.moduleId === module.id)
+      })),
+      unassignedLessons: sortedLessons.filter(lesson => !moduleIds.has(lesson.moduleId))
+    };
+  }
+
+  // Course curriculum; lessons are outlines unless full is set (admins)
+  async getCurriculum(courseId, { full = false } = {}) {
+    const [modules, lessons] = await Promise.all([this.listModules(courseId), this.listLessons(courseId)]);
+    const outline = this.buildOutline(modules, lessons);
+    const present = lesson => (full ? lesson : this.toOutlineLesson(lesson));
+
+    return {
+      modules: outline.modules.map(module => ({ ...module, lessons: module.lessons.map(present) })),
+      unassignedLessons: outline.unassignedLessons.map(present),
+      lessonCount: lessons.length,
+      duration: lessons.reduce((total, lesson) => total + this.getLessonMinutes(lesson), 0)
+    };
+  }
+
+  // ===== ROLL-UPS =====
+
+  // Renumber modules and lessons in outline order and write the roll-ups onto
+  // the modules and the course. Callers pass modules/lessons already carrying
+  // the order (and moduleId) they want; otherwise they are read fresh.
+  async syncCourse(courseId, { modules = null, lessons = null } = {}) {
+    const courseRef = this.db.collection('courses').doc(courseId);
+    const [courseDoc, currentModules, currentLessons] = await Promise.all([
+      courseRef.get(),
+      modules ? Promise.resolve(modules) : this.listModules(courseId),
+      lessons ? Promise.resolve(lessons) : this.listLessons(courseId)
+    ]);
+    if (!courseDoc.exists) {
+      throw new Error('Course not found');
+    }
+
+    const outline = this.buildOutline(currentModules, currentLessons);
+    const batch = this.db.batch();
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const summary = [];
+    let position = 0;
+    let totalMinutes = 0;
+
+    const placeLessons = (moduleLessons, moduleId) => moduleLessons.map(lesson => {
+      const minutes = this.getLessonMinutes(lesson);
+      totalMinutes += minutes;
+      batch.update(this.db.collection('lessons').doc(lesson.id), { moduleId: moduleId || '', order: position++ });
+      return {
+        lessonId: lesson.id,
+        title: lesson.title,
+        contentType: lesson.contentType || null,
+        duration: minutes,
+        isFreePreview: Boolean(lesson.isFreePreview)
+      };
+    });
+
+    outline.modules.forEach((module, index) => {
+      const lessonSummaries = placeLessons(module.lessons, module.id);
+      const duration = lessonSummaries.reduce((total, lesson) => total + lesson.duration, 0);
+
+      batch.update(this.db.collection('modules').doc(module.id), {
+        order: index,
+        lessonCount: lessonSummaries.length,
+        duration
+      });
+      summary.push({
+        moduleId: module.id,
+        title: module.title,
+        duration,
+        lessons: lessonSummaries
+      });
+    });
+
+    if (outline.unassignedLessons.length > 0) {
+      const lessonSummaries = placeLessons(outline.unassignedLessons, null);
+      summary.push({
+        moduleId: null,
+        title: '',
+        duration: lessonSummaries.reduce((total, lesson) => total + lesson.duration, 0),
+        lessons: lessonSummaries
+      });
+    }
+
+    const courseUpdates = {
+      curriculum: summary,
+      lessons: currentLessons.length,
+      updatedAt: now
+    };
+    // Courses whose lessons carry no durations keep the duration set by hand
+    if (totalMinutes > 0) {
+      courseUpdates.duration = Math.round(totalMinutes / 6) / 10;
+    }
+    batch.update(courseRef, courseUpdates);
+
+    await batch.commit();
+
+    const courseService = require('./courseService');
+    await courseService.reindexCourse(courseId);
+
+    return { modules: summary, lessonCount: currentLessons.length, duration: totalMinutes };
+  }
+
+  assertCapacity(modules, lessons) {
+    if (modules.length + lessons.length > MAX_CURRICULUM_ITEMS) {
+      throw new Error(`A course can have at most ${MAX_CURRICULUM_ITEMS} modules and lessons`);
+    }
+  }
+
+  // ===== MODULES =====
+
+  validateTitle(title) {
+    const value = String(title || '').trim();
+    if (!value) {
+      throw new Error('Title is required');
+    }
+    return value;
+  }
+
+  // New modules go to the end of the course
+  async createModule(courseId, { title, description = '' }, userId) {
+    const [modules, lessons] = await Promise.all([this.listModules(courseId), this.listLessons(courseId)]);
+    this.assertCapacity([...modules, {}], lessons);
+
+    const moduleRef = this.db.collection('modules').doc();
+    const module = {
+      courseId,
+      title: this.validateTitle(title),
+      description: String(description || ''),
+      order: modules.length,
+      lessonCount: 0,
+      duration: 0,
+      createdBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    await moduleRef.set(module);
+
+    await this.syncCourse(courseId, { modules: [...modules, { id: moduleRef.id, ...module }], lessons });
+    return this.getModule(courseId, moduleRef.id);
+  }
+
+  async updateModule(courseId, moduleId, { title, description }) {
+    await this.getModule(courseId, moduleId);
+
+    const updates = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    if (title !== undefined) updates.title = this.validateTitle(title);
+    if (description !== undefined) updates.description = String(description || '');
+
+    await this.db.collection('modules').doc(moduleId).update(updates);
+    await this.syncCourse(courseId);
+    return this.getModule(courseId, moduleId);
+  }
+
+  // Only empty modules can be deleted; move or delete their lessons first
+  async deleteModule(courseId, moduleId) {
+    await this.getModule(courseId, moduleId);
+
+    const lessons = await this.listLessons(courseId);
+    if (lessons.some(lesson => lesson.moduleId === moduleId)) {
+      throw new Error('Module still has lessons');
+    }
+
+    await this.db.collection('modules').doc(moduleId).delete();
+    return this.syncCourse(courseId, { lessons });
+  }
+
+  // moduleIds is the new order of every module in the course
+  async reorderModules(courseId, moduleIds) {
+    const modules = await this.listModules(courseId);
+    const ids = Array.isArray(moduleIds) ? moduleIds : [];
+
+    if (ids.length !== modules.length || new Set(ids).size !== ids.length ||
+        !modules.every(module => ids.includes(module.id))) {
+      throw new Error('moduleIds must list every module of the course exactly once');
+    }
+
+    return this.syncCourse(courseId, {
+      modules: modules.map(module => ({ ...module, order: ids.indexOf(module.id) }))
+    });
+  }
+
+  // ===== LESSONS =====
+
+  // Allowed lesson fields from a request body
+  pickLessonFields(data = {}) {
+    const fields = {};
+    LESSON_FIELDS.forEach(field => {
+      if (data[field] !== undefined) fields[field] = data[field];
+    });
+
+    if (fields.title !== undefined) {
+      fields.title = this.validateTitle(fields.title);
+    }
+    if (fields.contentType !== undefined && !CONTENT_TYPES.includes(fields.contentType)) {
+      throw new Error(`contentType must be one of: ${CONTENT_TYPES.join(', ')}`);
+    }
+    if (fields.videoDuration !== undefined) {
+      const minutes = parseFloat(fields.videoDuration);
+      if (isNaN(minutes) || minutes < 0) {
+        throw new Error('videoDuration must be a number of minutes');
+      }
+      fields.videoDuration = minutes;
+    }
+    if (fields.isFreePreview !== undefined) {
+      fields.isFreePreview = Boolean(fields.isFreePreview);
+    }
+    return fields;
+  }
+
+  // New lessons go to the end of their module
+  async createLesson(courseId, moduleId, data, userId) {
+    await this.getModule(courseId, moduleId);
+    const [modules, lessons] = await Promise.all([this.listModules(courseId), this.listLessons(courseId)]);
+    this.assertCapacity(modules, [...lessons, {}]);
+
+    const fields = this.pickLessonFields(data);
+    if (!fields.title) {
+      throw new Error('Title is required');
+    }
+
+    const lessonRef = this.db.collection('lessons').doc();
+    const lesson = {
+      description: '',
+      contentType: 'video',
+      videoDuration: 0,
+      isFreePreview: false,
+      completionCriteria: 'watch',
+      quizId: null,
+      ...fields,
+      courseId,
+      moduleId,
+      // After every lesson so far; syncCourse renumbers it into place
+      order: Math.max(-1, ...lessons.map(item => item.order ?? -1)) + 1,
+      createdBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    await lessonRef.set(lesson);
+    await this.syncCourse(courseId, { modules, lessons: [...lessons, { id: lessonRef.id, ...lesson }] });
+    return this.getLesson(courseId, lessonRef.id);
+  }
+
+  async updateLesson(courseId, lessonId, data) {
+    await this.getLesson(courseId, lessonId);
+    const fields = this.pickLessonFields(data);
+
+    await this.db.collection('lessons').doc(lessonId).update({
+      ...fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Titles and durations feed the course roll-ups
+    if (fields.title !== undefined || fields.videoDuration !== undefined ||
+        fields.contentType !== undefined || fields.isFreePreview !== undefined) {
+      await this.syncCourse(courseId);
+    }
+    return this.getLesson(courseId, lessonId);
+  }
+
+  // Content items attached to the lesson stay on the course, unattached
+  async deleteLesson(courseId, lessonId) {
+    await this.getLesson(courseId, lessonId);
+
+    const contentsSnapshot = await this.db.collection('course_contents')
+      .where('courseId', '==', courseId)
+      .where('lessonId', '==', lessonId)
+      .get();
+
+    const batch = this.db.batch();
+    contentsSnapshot.docs.forEach(doc => batch.update(doc.ref, { lessonId: null }));
+    batch.delete(this.db.collection('lessons').doc(lessonId));
+    await batch.commit();
+
+    return this.syncCourse(courseId);
+  }
+
+  // lessonIds is the new order of the module's lessons. Lessons of other
+  // modules in the list move into this one (drag and drop across modules);
+  // lessons of this module left out keep their relative order at the end.
+  async reorderLessons(courseId, moduleId, lessonIds) {
+    await this.getModule(courseId, moduleId);
+    const lessons = await this.listLessons(courseId);
+    const ids = Array.isArray(lessonIds) ? lessonIds : [];
+
+    if (ids.length === 0 || new Set(ids).size !== ids.length) {
+      throw new Error('lessonIds must be a non-empty list without duplicates');
+    }
+    const unknown = ids.find(id => !lessons.some(lesson => lesson.id === id));
+    if (unknown) {
+      throw new Error(`Lesson not found: ${unknown}`);
+    }
+
+    const remaining = this.sortByOrder(lessons.filter(lesson => lesson.moduleId === moduleId && !ids.includes(lesson.id)));
+    const sequence = [...ids, ...remaining.map(lesson => lesson.id)];
+
+    return this.syncCourse(courseId, {
+      lessons: lessons.map(lesson => (sequence.includes(lesson.id)
+        ? { ...lesson, moduleId, order: sequence.indexOf(lesson.id) }
+        : lesson))
+    });
+  }
+
+  // ===== CONTENT =====
+
+  // Attach a Drive content item to a lesson, or detach it with lessonId null
+  async attachContent(courseId, contentId, lessonId) {
+    const contentRef = this.db.collection('course_contents').doc(contentId);
+    const contentDoc = await contentRef.get();
+    if (!contentDoc.exists || contentDoc.data().courseId !== courseId) {
+      throw new Error('Content not found');
+    }
+
+    if (lessonId) {
+      await this.getLesson(courseId, lessonId);
+    }
+
+    await contentRef.update({
+      lessonId: lessonId || null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { id: contentId, ...contentDoc.data(), lessonId: lessonId || null };
+  }
+}
+
+module.exports = new CurriculumService();
+module.exports.CONTENT_TYPES = CONTENT_TYPES;
@@ -0,0 +1,419 @@
+// =============================================
+// EARNINGS SERVICE
+// =============================================
+// Instructor revenue share. For every completed order, each course's part of the
+// order's courseNet (what is left after platform and processing fees) is split
+// between the course instructor and MRTC. The instructor's part is written to the
+// ledger in instructor_earnings:
+//   {paymentId}_{courseId}     type 'earning', positive amount
+//   {creditNoteId}_{courseId}  type 'clawback', negative amount for a refund
+// Earnings become available for payout after a hold period that covers the refund
+// window. A payout request claims every open, available ledger entry (clawbacks
+// included), so a clawback after a payout is deducted from the next one.
+// Payouts (payouts/{id}) go requested -> approved -> paid, or rejected, which
+// releases their entries. The money itself is sent by the finance team.
+const admin = require('firebase-admin');
+const paymentService = require('./paymentService');
+
+// Instructor share of courseNet when the course does not set revenueShare
+const DEFAULT_SHARE = parseFloat(process.env.INSTRUCTOR_REVENUE_SHARE) || 0.7;
+const HOLD_DAYS = parseInt(process.env.INSTRUCTOR_EARNINGS_HOLD_DAYS) || 14;
+const MIN_PAYOUT = parseFloat(process.env.INSTRUCTOR_MIN_PAYOUT) || 10;
+
+const PAYOUT_METHODS = ['mobile_money', 'bank'];
+const MOBILE_NETWORKS = ['airtel', 'mpamba'];
+
+const PAYOUT_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['paid', 'rejected'],
+  paid: [],
+  rejected: []
+};
+
+// Ledger entries written per payout stay under the 500 writes of a transaction
+const MAX_ENTRIES_PER_PAYOUT = 450;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class EarningsService {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  // revenueShare is the instructor's fraction of courseNet, 0-1. null uses the default
+  validateShare(value) {
+    if (value === undefined || value === null || value === '') {
+      return { valid: true, share: null };
+    }
+
+    const share = parseFloat(value);
+    if (isNaN(share) || share < 0 || share > 1) {
+      return { valid: false, error: 'revenueShare must be a fraction between 0 and 1' };
+    }
+    return { valid: true, share };
+  }
+
+  getShare(course) {
+    const share = parseFloat(course.revenueShare);
+    return isNaN(share) ? DEFAULT_SHARE : share;
+  }
+
+  // Courses record their instructor in different fields depending on how they were created
+  getInstructorId(course) {
+    if (course.instructorId) return course.instructorId;
+    if (typeof course.instructor === 'string' && course.instructor) return course.instructor;
+    if (course.instructor && course.instructor.uid) return course.instructor.uid;
+    return course.createdBy || null;
+  }
+
+  // Write the instructor earnings of a completed order. Safe to call more than once
+  async recordForPayment(paymentId) {
+    const paymentDoc = await this.db.collection('payments').doc(paymentId).get();
+    if (!paymentDoc.exists) {
+      throw new Error('Payment not found');
+    }
+
+    const payment = paymentDoc.data();
+    if (payment.status !== 'completed') {
+      return [];
+    }
+
+    const gross = paymentService.getPaidAmount(payment);
+    const courseNet = parseFloat(payment.fees?.courseNet ?? payment.amount?.net);
+    const net = isNaN(courseNet) ? gross : courseNet;
+
+    const grossLines = paymentService.allocateAmount(payment, gross).filter(line => line.courseId);
+    const netLines = paymentService.allocateAmount(payment, net).filter(line => line.courseId);
+    if (netLines.length === 0) {
+      return []; // e.g. membership orders
+    }
+
+    const courseDocs = await this.db.getAll(...netLines.map(line => this.db.collection('courses').doc(line.courseId)));
+    const availableAt = new Date(Date.now() + HOLD_DAYS * DAY_MS).toISOString();
+
+    const batch = this.db.batch();
+    const entries = [];
+    netLines.forEach((line, index) => {
+      const courseDoc = courseDocs[index];
+      const course = courseDoc.exists ? courseDoc.data() : null;
+      const instructorId = course ? this.getInstructorId(course) : null;
+      if (!instructorId) return;
+
+      const share = this.getShare(course);
+      const entry = {
+        id: `${paymentId}_${line.courseId}`,
+        type: 'earning',
+        instructorId,
+        courseId: line.courseId,
+        courseTitle: course.title || '',
+        paymentId,
+        creditNoteId: null,
+        gross: grossLines[index] ? grossLines[index].amount : 0,
+        courseNet: line.amount,
+        share,
+        amount: round(line.amount * share),
+        currency: 'USD',
+        status: 'open',
+        payoutId: null,
+        availableAt,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      batch.create(this.db.collection('instructor_earnings').doc(entry.id), entry);
+      entries.push(entry);
+    });
+
+    if (entries.length === 0) {
+      return [];
+    }
+
+    try {
+      await batch.commit();
+    } catch (error) {
+      // gRPC ALREADY_EXISTS: recorded on an earlier call
+      if (error.code === 6) {
+        return [];
+      }
+      throw error;
+    }
+
+    return entries;
+  }
+
+  // Take back the refunded part of each course's earning. allocations are the
+  // credit note's per-course split of the refunded amount
+  async clawbackForRefund(paymentId, creditNoteId, allocations = []) {
+    const lines = allocations.filter(allocation => allocation.courseId && allocation.amount > 0);
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const earningDocs = await this.db.getAll(...lines.map(line =>
+      this.db.collection('instructor_earnings').doc(`${paymentId}_${line.courseId}`)
+    ));
+
+    const batch = this.db.batch();
+    const entries = [];
+    lines.forEach((line, index) => {
+      const earningDoc = earningDocs[index];
+      if (!earningDoc.exists) return;
+
+      const earning = earningDoc.data();
+      const fraction = earning.gross > 0 ? Math.min(1, line.amount / earning.gross) : 1;
+      const entry = {
+        id: `${creditNoteId}_${line.courseId}`,
+        type: 'clawback',
+        instructorId: earning.instructorId,
+        courseId: line.courseId,
+        courseTitle: earning.courseTitle || '',
+        paymentId,
+        creditNoteId,
+        gross: -line.amount,
+        courseNet: null,
+        share: earning.share,
+        amount: -round(earning.amount * fraction),
+        currency: earning.currency,
+        status: 'open',
+        payoutId: null,
+        availableAt: new Date().toISOString(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      batch.create(this.db.collection('instructor_earnings').doc(entry.id), entry);
+      entries.push(entry);
+    });
+
+    if (entries.length === 0) {
+      return [];
+    }
+
+    try {
+      await batch.commit();
+    } catch (error) {
+      // gRPC ALREADY_EXISTS: this credit note was already clawed back
+      if (error.code === 6) {
+        return [];
+      }
+      throw error;
+    }
+
+    return entries;
+  }
+
+  // Ledger, payouts and balances of one instructor
+  async getEarnings(instructorId, { limit = 100 } = {}) {
+    const [ledgerSnapshot, payoutSnapshot] = await Promise.all([
+      this.db.collection('instructor_earnings').where('instructorId', '==', instructorId).get(),
+      this.db.collection('payouts').where('instructorId', '==', instructorId).get()
+    ]);
+
+    const now = new Date().toISOString();
+    const summary = {
+      currency: 'USD',
+      lifetime: 0,
+      clawedBack: 0,
+      paidOut: 0,
+      inPayout: 0,
+      held: 0,
+      available: 0,
+      minPayout: MIN_PAYOUT
+    };
+
+    const entries = ledgerSnapshot.docs.map(doc => doc.data());
+    for (const entry of entries) {
+      if (entry.type === 'earning') {
+        summary.lifetime += entry.amount;
+      } else {
+        summary.clawedBack -= entry.amount;
+      }
+
+      if (entry.status === 'paid') {
+        summary.paidOut += entry.amount;
+      } else if (entry.status === 'in_payout') {
+        summary.inPayout += entry.amount;
+      } else if (entry.availableAt > now) {
+        summary.held += entry.amount;
+      } else {
+        summary.available += entry.amount;
+      }
+    }
+    Object.keys(summary).forEach(key => {
+      if (typeof summary[key] === 'number') summary[key] = round(summary[key]);
+    });
+
+    const byTime = (a, b) => (b.availableAt || '').localeCompare(a.availableAt || '');
+    const payouts = payoutSnapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => (b.requestedAt || '').localeCompare(a.requestedAt || ''));
+
+    return {
+      summary,
+      entries: entries.sort(byTime).slice(0, limit),
+      payouts
+    };
+  }
+
+  validateDestination(method, destination = {}) {
+    if (!PAYOUT_METHODS.includes(method)) {
+      return { valid: false, error: `method must be one of: ${PAYOUT_METHODS.join(', ')}` };
+    }
+
+    if (method === 'mobile_money') {
+      if (!MOBILE_NETWORKS.includes(destination.network)) {
+        return { valid: false, error: `network must be one of: ${MOBILE_NETWORKS.join(', ')}` };
+      }
+      if (!destination.phoneNumber || !String(destination.phoneNumber).match(/^\+?265\d{9}$/)) {
+        return { valid: false, error: 'Invalid phone number format' };
+      }
+      return {
+        valid: true,
+        destination: {
+          network: destination.network,
+          phoneNumber: String(destination.phoneNumber),
+          accountName: destination.accountName || ''
+        }
+      };
+    }
+
+    if (!destination.bankName || !destination.accountName || !destination.accountNumber) {
+      return { valid: false, error: 'bankName, accountName and accountNumber are required' };
+    }
+    return {
+      valid: true,
+      destination: {
+        bankName: destination.bankName,
+        accountName: destination.accountName,
+        accountNumber: String(destination.accountNumber),
+        branch: destination.branch || ''
+      }
+    };
+  }
+
+  // Claim the instructor's available open entries into a new payout request
+  async requestPayout(instructorId, { method, destination }) {
+    const validation = this.validateDestination(method, destination);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const payoutRef = this.db.collection('payouts').doc();
+    const openQuery = this.db.collection('instructor_earnings')
+      .where('instructorId', '==', instructorId)
+      .where('status', '==', 'open');
+
+    return this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(openQuery);
+      const now = new Date().toISOString();
+
+      const entries = snapshot.docs
+        .filter(doc => doc.data().availableAt <= now)
+        .sort((a, b) => a.data().availableAt.localeCompare(b.data().availableAt))
+        .slice(0, MAX_ENTRIES_PER_PAYOUT);
+
+      const amount = round(entries.reduce((sum, doc) => sum + doc.data().amount, 0));
+      if (amount < MIN_PAYOUT) {
+        throw new Error(`Available balance ${amount.toFixed(2)} USD is below the minimum payout of ${MIN_PAYOUT.toFixed(2)} USD`);
+      }
+
+      const payout = {
+        id: payoutRef.id,
+        instructorId,
+        amount,
+        currency: 'USD',
+        method,
+        destination: validation.destination,
+        entryIds: entries.map(doc => doc.id),
+        status: 'requested',
+        reference: null,
+        history: [{ status: 'requested', actor: instructorId, reason: '', timestamp: now }],
+        requestedAt: now,
+        updatedAt: now
+      };
+
+      transaction.set(payoutRef, payout);
+      entries.forEach(doc => transaction.update(doc.ref, {
+        status: 'in_payout',
+        payoutId: payoutRef.id
+      }));
+
+      return payout;
+    });
+  }
+
+  async getPayout(payoutId) {
+    const payoutDoc = await this.db.collection('payouts').doc(payoutId).get();
+    return payoutDoc.exists ? payoutDoc.data() : null;
+  }
+
+  async listPayouts({ status = null, limit = 50 } = {}) {
+    let query = this.db.collection('payouts');
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.orderBy('requestedAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Move a payout through its workflow. Paying marks its entries paid; rejecting
+  // puts them back so they are included in the next request
+  async updatePayoutStatus(payoutId, to, { actor = 'system', reason = '', reference = null } = {}) {
+    const payoutRef = this.db.collection('payouts').doc(payoutId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const payoutDoc = await transaction.get(payoutRef);
+      if (!payoutDoc.exists) {
+        throw new Error('Payout not found');
+      }
+
+      const payout = payoutDoc.data();
+      if (!(PAYOUT_TRANSITIONS[payout.status] || []).includes(to)) {
+        throw new Error(`Cannot move a ${payout.status} payout to ${to}`);
+      }
+      if (to === 'paid' && !reference) {
+        throw new Error('A transaction reference is required to mark a payout paid');
+      }
+
+      const now = new Date().toISOString();
+      const updates = {
+        status: to,
+        history: admin.firestore.FieldValue.arrayUnion({ status: to, actor, reason, timestamp: now }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      if (to === 'approved') {
+        updates.approvedBy = actor;
+        updates.approvedAt = now;
+      }
+      if (to === 'paid') {
+        updates.reference = reference;
+        updates.paidAt = now;
+      }
+      if (to === 'rejected') {
+        updates.rejectionReason = reason;
+      }
+
+      transaction.update(payoutRef, updates);
+
+      if (to === 'paid' || to === 'rejected') {
+        payout.entryIds.forEach(entryId => {
+          const entryRef = this.db.collection('instructor_earnings').doc(entryId);
+          transaction.update(entryRef, to === 'paid'
+            ? { status: 'paid' }
+            : { status: 'open', payoutId: null });
+        });
+      }
+
+      return {
+        ...payout,
+        ...updates,
+        history: [...payout.history, { status: to, actor, reason, timestamp: now }],
+        updatedAt: now
+      };
+    });
+  }
+}
+
+module.exports = new EarningsService();
+module.exports.PAYOUT_METHODS = PAYOUT_METHODS;
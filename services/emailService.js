@@ -271,6 +271,313 @@ class EmailService {
             return { success: false, error: error.message };
         }
     }
+
+    // Send bank transfer rejection notice
+    async sendBankTransferRejectedEmail(email, userName, courseName, orderId, reason) {
+        try {
+            const mailOptions = {
+                from: `"MRTC eCampus" <${process.env.EMAIL_USER}>`,
+                to: email,
+                subject: `Bank Transfer Not Approved: ${courseName}`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <h2 style="color: #ef4444;">Bank Transfer Not Approved</h2>
+                        <p>Hello ${userName},</p>
+                        <p>We could not verify the bank transfer proof you uploaded for:</p>
+
+                        <div style="background-color: #fef2f2; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #ef4444;">
+                            <h3 style="margin-top: 0; color: #991b1b;">${courseName}</h3>
+                            <p><strong>Order:</strong> ${orderId || 'N/A'}</p>
+                            <p><strong>Reason:</strong> ${reason}</p>
+                        </div>
+
+                        <p>Please upload a new proof of payment or contact support if you believe this is a mistake.</p>
+
+                        <p>Best regards,<br>
+                        <strong>MRTC eCampus Team</strong></p>
+                    </div>
+                `
+            };
+
+            await this.transporter.sendMail(mailOptions);
+            console.log(`Bank transfer rejection email sent to: ${email}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error sending bank transfer rejection email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Send payment expired notice
+    async sendPaymentExpiredEmail(email, userName, courseName, courseId, orderId) {
+        try {
+            const retryLink = `${process.env.BASE_URL}/course/${courseId}`;
+
+            const mailOptions = {
+                from: `"MRTC eCampus" <${process.env.EMAIL_USER}>`,
+                to: email,
+                subject: `Payment Expired: ${courseName}`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <h2 style="color: #f59e0b;">Your Payment Has Expired ⏰</h2>
+                        <p>Hello ${userName},</p>
+                        <p>We did not receive confirmation for your payment in time, so the order below has expired:</p>
+
+                        <div style="background-color: #fffbeb; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #f59e0b;">
+                            <h3 style="margin-top: 0; color: #92400e;">${courseName}</h3>
+                            <p><strong>Order:</strong> ${orderId}</p>
+                        </div>
+
+                        <p>You can start a new payment at any time.</p>
+                        <p>If you were charged, there is no need to pay again - your enrollment will be completed as soon as the provider confirms the payment.</p>
+
+                        <div style="text-align: center; margin: 20px 0;">
+                            <a href="${retryLink}"
+                               style="background-color: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+                                Try Again
+                            </a>
+                        </div>
+
+                        <p>Best regards,<br>
+                        <strong>MRTC eCampus Team</strong></p>
+                    </div>
+                `
+            };
+
+            await this.transporter.sendMail(mailOptions);
+            console.log(`Payment expired email sent to: ${email}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error sending payment expired email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Reminder for a checkout that failed or expired; links to the retry page while
+    // the order still has attempts left, otherwise to the course
+    async sendCheckoutReminderEmail(email, userName, courseName, { paymentId, courseId, failure }) {
+        try {
+            const link = failure.retryable
+                ? `${process.env.BASE_URL}/payment-retry.html?paymentId=${paymentId}`
+                : courseId ? `${process.env.BASE_URL}/course/${courseId}` : process.env.BASE_URL;
+
+            const mailOptions = {
+                from: `"MRTC eCampus" <${process.env.EMAIL_USER}>`,
+                to: email,
+                subject: `Finish enrolling in ${courseName}`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <h2 style="color: #3b82f6;">Your Course Is Still Waiting 📚</h2>
+                        <p>Hello ${userName},</p>
+                        <p>Your payment for <strong>${courseName}</strong> did not go through.</p>
+
+                        <div style="background-color: #eff6ff; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #3b82f6;">
+                            <p style="margin: 0;">${failure.message}</p>
+                        </div>
+
+                        ${failure.retryable
+                            ? '<p>Your order is saved, so you can pay again in a few taps - with the same or a different phone number or network.</p>'
+                            : '<p>You can start a new checkout at any time.</p>'}
+
+                        <div style="text-align: center; margin: 20px 0;">
+                            <a href="${link}"
+                               style="background-color: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+                                ${failure.retryable ? 'Retry Payment' : 'View Course'}
+                            </a>
+                        </div>
+
+                        <p>Best regards,<br>
+                        <strong>MRTC eCampus Team</strong></p>
+                    </div>
+                `
+            };
+
+            await this.transporter.sendMail(mailOptions);
+            console.log(`Checkout reminder email sent to: ${email}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error sending checkout reminder email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Send payment confirmation with the invoice PDF attached
+    async sendPaymentConfirmationEmail(email, userName, invoice, pdfBuffer) {
+        try {
+            const receiptLink = `${process.env.BASE_URL}/api/payments/${invoice.paymentId}/receipt`;
+            const total = `${invoice.currency} ${Number(invoice.total).toFixed(2)}`;
+
+            const mailOptions = {
+                from: `"MRTC eCampus" <${process.env.EMAIL_USER}>`,
+                to: email,
+                subject: `Payment Received: ${invoice.title} (${invoice.number})`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <h2 style="color: #10b981;">Payment Received ✅</h2>
+                        <p>Hello ${userName},</p>
+                        <p>Thank you for your payment. Your invoice is attached to this email.</p>
+
+                        <div style="background-color: #f0fdf4; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #10b981;">
+                            <h3 style="margin-top: 0; color: #065f46;">${invoice.title}</h3>
+                            <p><strong>Invoice:</strong> ${invoice.number}</p>
+                            <p><strong>Total:</strong> ${total}</p>
+                            ${invoice.orderId ? `<p><strong>Order:</strong> ${invoice.orderId}</p>` : ''}
+                        </div>
+
+                        <p>You can download the receipt again at any time from <a href="${receiptLink}">your payment history</a>.</p>
+
+                        <p>Best regards,<br>
+                        <strong>MRTC eCampus Team</strong></p>
+                    </div>
+                `,
+                attachments: [{
+                    filename: `${invoice.number}.pdf`,
+                    content: pdfBuffer,
+                    contentType: 'application/pdf'
+                }]
+            };
+
+            await this.transporter.sendMail(mailOptions);
+            console.log(`Payment confirmation email sent to: ${email}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error sending payment confirmation email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Send installment due / overdue notice
+    async sendInstallmentReminderEmail(email, userName, courseName, installment, count, overdue = false) {
+        try {
+            const payLink = `${process.env.BASE_URL}/my-courses.html?installments=1`;
+            const color = overdue ? '#ef4444' : '#3b82f6';
+
+            const mailOptions = {
+                from: `"MRTC eCampus" <${process.env.EMAIL_USER}>`,
+                to: email,
+                subject: overdue
+                    ? `Installment Overdue: ${courseName}`
+                    : `Installment Due Soon: ${courseName}`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <h2 style="color: ${color};">${overdue ? 'Your Installment Is Overdue' : 'Your Next Installment Is Due Soon'}</h2>
+                        <p>Hello ${userName},</p>
+                        <p>${overdue
+                            ? 'We have not received the installment below, so your access to the course is paused until it is paid:'
+                            : 'This is a reminder that your next installment is coming up:'}</p>
+
+                        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid ${color};">
+                            <h3 style="margin-top: 0;">${courseName}</h3>
+                            <p><strong>Installment:</strong> ${installment.number} of ${count}</p>
+                            <p><strong>Amount:</strong> $${installment.amount.toFixed(2)}</p>
+                            <p><strong>Due:</strong> ${installment.dueDate.slice(0, 10)}</p>
+                        </div>
+
+                        <div style="text-align: center; margin: 20px 0;">
+                            <a href="${payLink}"
+                               style="background-color: ${color}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+                                Pay Installment
+                            </a>
+                        </div>
+
+                        <p>Best regards,<br>
+                        <strong>MRTC eCampus Team</strong></p>
+                    </div>
+                `
+            };
+
+            await this.transporter.sendMail(mailOptions);
+            console.log(`Installment reminder email sent to: ${email}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error sending installment reminder email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async sendSponsorshipInviteEmail(email, sponsorName, courseName, code) {
+        try {
+            const redeemLink = `${process.env.BASE_URL}/redeem.html?code=${encodeURIComponent(code)}`;
+
+            const mailOptions = {
+                from: `"MRTC eCampus" <${process.env.EMAIL_USER}>`,
+                to: email,
+                subject: `You've been given a seat in ${courseName}`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <h2 style="color: #10b981;">A Course Has Been Paid For You</h2>
+                        <p>Hello,</p>
+                        <p><strong>${sponsorName}</strong> has sponsored your place in the course below on MRTC eCampus.</p>
+
+                        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #10b981;">
+                            <h3 style="margin-top: 0;">${courseName}</h3>
+                            <p><strong>Your seat code:</strong> <code style="font-size: 16px;">${code}</code></p>
+                        </div>
+
+                        <p>Sign in (or create an account with this email address) and redeem the code to start learning.</p>
+
+                        <div style="text-align: center; margin: 20px 0;">
+                            <a href="${redeemLink}"
+                               style="background-color: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+                                Redeem My Seat
+                            </a>
+                        </div>
+
+                        <p>Best regards,<br>
+                        <strong>MRTC eCampus Team</strong></p>
+                    </div>
+                `
+            };
+
+            await this.transporter.sendMail(mailOptions);
+            console.log(`Sponsorship invite email sent to: ${email}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error sending sponsorship invite email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async sendOrganizationInviteEmail(email, organizationName, role = 'member') {
+        try {
+            const joinLink = `${process.env.BASE_URL}/organization-invite.html`;
+            const isAdmin = role === 'org_admin';
+
+            const mailOptions = {
+                from: `"MRTC eCampus" <${process.env.EMAIL_USER}>`,
+                to: email,
+                subject: `You're invited to join ${organizationName} on MRTC eCampus`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <h2 style="color: #3b82f6;">Join ${organizationName}</h2>
+                        <p>Hello,</p>
+                        <p><strong>${organizationName}</strong> has invited you to MRTC eCampus${isAdmin
+                            ? ' as an organization administrator. You will be able to invite members, assign course seats and follow their progress.'
+                            : '. Courses your organization assigns to you will appear in your account once you join.'}</p>
+
+                        <p>Sign in (or create an account) with this email address and accept the invitation.</p>
+
+                        <div style="text-align: center; margin: 20px 0;">
+                            <a href="${joinLink}"
+                               style="background-color: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+                                Accept Invitation
+                            </a>
+                        </div>
+
+                        <p>Best regards,<br>
+                        <strong>MRTC eCampus Team</strong></p>
+                    </div>
+                `
+            };
+
+            await this.transporter.sendMail(mailOptions);
+            console.log(`Organization invite email sent to: ${email}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error sending organization invite email:', error);
+            return { success: false, error: error.message };
+        }
+    }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,287 @@
+// =============================================
+// EXCHANGE RATE SERVICE
+// =============================================
+// Rates are stored in the `exchange_rates` collection as units of `currency`
+// per 1 USD, each with an effectiveFrom date. Nothing is ever overwritten, so
+// the collection doubles as the rate history.
+const admin = require('firebase-admin');
+
+const BASE_CURRENCY = 'USD';
+
+const SUPPORTED_CURRENCIES = {
+  USD: { symbol: '$', decimals: 2, name: 'US Dollar' },
+  MWK: { symbol: 'MK', decimals: 0, name: 'Malawian Kwacha' },
+  ZAR: { symbol: 'R', decimals: 2, name: 'South African Rand' },
+  ZMW: { symbol: 'K', decimals: 2, name: 'Zambian Kwacha' },
+  KES: { symbol: 'KSh', decimals: 2, name: 'Kenyan Shilling' },
+  TZS: { symbol: 'TSh', decimals: 0, name: 'Tanzanian Shilling' },
+  EUR: { symbol: '€', decimals: 2, name: 'Euro' },
+  GBP: { symbol: '£', decimals: 2, name: 'British Pound' }
+};
+
+// Used only when neither Firestore nor the environment has a rate
+const DEFAULT_RATES = {
+  MWK: 800
+};
+
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+class ExchangeRateService {
+  constructor() {
+    this.db = null;
+    this.cache = new Map();
+  }
+
+  // Firestore is resolved lazily so the service also works when Firebase Admin
+  // is not initialized (rates then come from the environment)
+  getDb() {
+    if (!this.db && admin.apps.length > 0) {
+      this.db = admin.firestore();
+    }
+    return this.db;
+  }
+
+  isSupported(currency) {
+    return Boolean(SUPPORTED_CURRENCIES[currency]);
+  }
+
+  getSupportedCurrencies() {
+    return Object.entries(SUPPORTED_CURRENCIES).map(([code, info]) => ({ code, ...info }));
+  }
+
+  // Rate in effect for a currency at a point in time. Resolves to
+  // { currency, rate, effectiveFrom, source, rateId }
+  async getRate(currency, at = null) {
+    currency = String(currency || '').toUpperCase();
+
+    if (!this.isSupported(currency)) {
+      throw new Error(`Unsupported currency: ${currency}`);
+    }
+
+    if (currency === BASE_CURRENCY) {
+      return { currency, rate: 1, effectiveFrom: null, source: 'base', rateId: null };
+    }
+
+    const cached = !at && this.cache.get(currency);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    let value = null;
+    const db = this.getDb();
+
+    if (db) {
+      const atISO = (at ? new Date(at) : new Date()).toISOString();
+      const snapshot = await db.collection('exchange_rates')
+        .where('currency', '==', currency)
+        .where('effectiveFrom', '<=', atISO)
+        .orderBy('effectiveFrom', 'desc')
+        .limit(1)
+        .get();
+
+      if (!snapshot.empty) {
+        const doc = snapshot.docs[0];
+        const data = doc.data();
+        value = {
+          currency,
+          rate: data.rate,
+          effectiveFrom: data.effectiveFrom,
+          source: data.source || 'manual',
+          rateId: doc.id
+        };
+      }
+    }
+
+    if (!value) {
+      value = this.getEnvironmentRate(currency);
+    }
+
+    if (!at) {
+      this.cache.set(currency, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    }
+
+    return value;
+  }
+
+  // EXCHANGE_RATE_<CODE> from the environment; EXCHANGE_RATE is the legacy MWK rate
+  getEnvironmentRate(currency) {
+    const rate = parseFloat(process.env[`EXCHANGE_RATE_${currency}`]) ||
+      (currency === 'MWK' ? parseFloat(process.env.EXCHANGE_RATE) : NaN);
+
+    if (rate > 0) {
+      return { currency, rate, effectiveFrom: null, source: 'environment', rateId: null };
+    }
+
+    if (DEFAULT_RATES[currency]) {
+      return { currency, rate: DEFAULT_RATES[currency], effectiveFrom: null, source: 'default', rateId: null };
+    }
+
+    throw new Error(`No exchange rate configured for ${currency}`);
+  }
+
+  async getCurrentRates() {
+    const rates = {};
+    for (const currency of Object.keys(SUPPORTED_CURRENCIES)) {
+      try {
+        rates[currency] = await this.getRate(currency);
+      } catch (error) {
+        // Currency is supported but no rate has been set yet
+        rates[currency] = null;
+      }
+    }
+    return rates;
+  }
+
+  // Convert between any two supported currencies via USD
+  async convert(amount, from, to, at = null) {
+    const [fromRate, toRate] = await Promise.all([this.getRate(from, at), this.getRate(to, at)]);
+    const rate = toRate.rate / fromRate.rate;
+
+    return {
+      amount: this.round(parseFloat(amount) * rate, to),
+      rate,
+      from: fromRate,
+      to: toRate
+    };
+  }
+
+  // Snapshot of the rate to store on an order so later rate changes do not affect it
+  async lockRate(currency) {
+    const rate = await this.getRate(currency);
+    return {
+      base: BASE_CURRENCY,
+      currency: rate.currency,
+      rate: rate.rate,
+      rateId: rate.rateId,
+      source: rate.source,
+      effectiveFrom: rate.effectiveFrom,
+      lockedAt: new Date().toISOString()
+    };
+  }
+
+  // Record a new rate; effectiveFrom defaults to now
+  async setRate(currency, rate, { effectiveFrom = null, actor = 'system', source = 'manual', note = '' } = {}) {
+    currency = String(currency || '').toUpperCase();
+    rate = parseFloat(rate);
+
+    if (!this.isSupported(currency) || currency === BASE_CURRENCY) {
+      throw new Error(`Unsupported currency: ${currency}`);
+    }
+
+    if (!rate || rate <= 0) {
+      throw new Error('Rate must be a positive number');
+    }
+
+    const db = this.getDb();
+    if (!db) {
+      throw new Error('Firestore is not available');
+    }
+
+    const effectiveDate = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (isNaN(effectiveDate.getTime())) {
+      throw new Error('Invalid effectiveFrom date');
+    }
+
+    const rateRef = db.collection('exchange_rates').doc();
+    const data = {
+      id: rateRef.id,
+      base: BASE_CURRENCY,
+      currency,
+      rate,
+      effectiveFrom: effectiveDate.toISOString(),
+      source,
+      note,
+      createdBy: actor,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    await rateRef.set(data);
+    this.cache.delete(currency);
+
+    return data;
+  }
+
+  async getHistory(currency, limit = 50) {
+    const db = this.getDb();
+    if (!db) {
+      return [];
+    }
+
+    const snapshot = await db.collection('exchange_rates')
+      .where('currency', '==', String(currency).toUpperCase())
+      .orderBy('effectiveFrom', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  // Course price in a currency: an explicit per-currency price wins over conversion
+  async getCoursePrice(course, currency) {
+    currency = String(currency || BASE_CURRENCY).toUpperCase();
+
+    if (course.prices && course.prices[currency] !== undefined && course.prices[currency] !== null) {
+      return { amount: parseFloat(course.prices[currency]), currency, explicit: true, rate: null };
+    }
+
+    const basePrice = parseFloat(course.priceUSD ?? course.price) || 0;
+    const converted = await this.convert(basePrice, BASE_CURRENCY, currency);
+
+    return { amount: converted.amount, currency, explicit: false, rate: converted.rate };
+  }
+
+  // Amount to charge in `currency` for a USD checkout total, plus the rate lock to
+  // store on the order. With an explicit course price the total keeps the same
+  // ratio to it as the USD total has to the USD price (i.e. fees carry over)
+  async quote(course, usdAmount, currency) {
+    currency = String(currency || BASE_CURRENCY).toUpperCase();
+    const exchangeRate = await this.lockRate(currency);
+    const basePrice = parseFloat(course.priceUSD ?? course.price) || 0;
+    const explicitPrice = course.prices ? course.prices[currency] : undefined;
+
+    const amount = explicitPrice !== undefined && explicitPrice !== null && basePrice > 0
+      ? this.round(parseFloat(explicitPrice) * (usdAmount / basePrice), currency)
+      : this.round(usdAmount * exchangeRate.rate, currency);
+
+    return { amount, currency, explicit: explicitPrice !== undefined && explicitPrice !== null, exchangeRate };
+  }
+
+  // Validate a { CODE: amount } map of explicit course prices
+  validatePrices(prices) {
+    if (prices === null || prices === undefined) {
+      return { valid: true, prices: {} };
+    }
+
+    if (typeof prices !== 'object' || Array.isArray(prices)) {
+      return { valid: false, error: 'prices must be an object of currency codes to amounts' };
+    }
+
+    const cleaned = {};
+    for (const [code, amount] of Object.entries(prices)) {
+      const currency = code.toUpperCase();
+      const value = parseFloat(amount);
+
+      if (!this.isSupported(currency)) {
+        return { valid: false, error: `Unsupported currency: ${code}` };
+      }
+
+      if (isNaN(value) || value < 0) {
+        return { valid: false, error: `Invalid price for ${currency}` };
+      }
+
+      cleaned[currency] = this.round(value, currency);
+    }
+
+    return { valid: true, prices: cleaned };
+  }
+
+  round(amount, currency) {
+    const decimals = SUPPORTED_CURRENCIES[currency]?.decimals ?? 2;
+    const factor = Math.pow(10, decimals);
+    return Math.round(amount * factor) / factor;
+  }
+}
+
+module.exports = new ExchangeRateService();
+module.exports.BASE_CURRENCY = BASE_CURRENCY;
+module.exports.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
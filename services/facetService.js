@@ -0,0 +1,192 @@
+// =============================================
+// COURSE CATALOG FACETS
+// =============================================
+// Multi-select filters for the course catalog. Values within a facet are OR'ed,
+// facets are AND'ed together. Counts are disjunctive: each facet is counted over
+// the courses matching every *other* selected facet, so picking "beginner" does
+// not zero out the other levels in the sidebar.
+
+const FACETS = ['category', 'subcategory', 'level', 'language', 'price', 'duration', 'rating', 'certificate'];
+
+// Course price (in the course currency) buckets; `max` is exclusive
+const PRICE_RANGES = [
+  { value: 'free', label: 'Free', max: 0 },
+  { value: 'under-25', label: 'Under 25', max: 25 },
+  { value: '25-50', label: '25 - 50', max: 50 },
+  { value: '50-100', label: '50 - 100', max: 100 },
+  { value: '100-plus', label: '100+', max: Infinity }
+];
+
+// Course duration buckets in hours; `max` is exclusive
+const DURATION_RANGES = [
+  { value: 'under-2', label: 'Under 2 hours', max: 2 },
+  { value: '2-5', label: '2 - 5 hours', max: 5 },
+  { value: '5-10', label: '5 - 10 hours', max: 10 },
+  { value: '10-20', label: '10 - 20 hours', max: 20 },
+  { value: '20-plus', label: '20+ hours', max: Infinity }
+];
+
+// "N stars & up"; a single threshold applies
+const RATING_THRESHOLDS = [4.5, 4, 3.5, 3];
+
+class FacetService {
+  // Lower-cased values from a comma separated string or an array
+  parseList(value) {
+    const values = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(values
+      .map(item => String(item).trim().toLowerCase())
+      .filter(item => item && item !== 'all'))];
+  }
+
+  // Selected facets from query params. The legacy `category` and
+  // `filter=free|paid` params fold into the category and price facets
+  parseFilters(params = {}) {
+    const filters = {
+      category: this.parseList(params.category),
+      subcategory: this.parseList(params.subcategory),
+      level: this.parseList(params.level),
+      language: this.parseList(params.language),
+      price: this.parseList(params.price)
+        .filter(value => PRICE_RANGES.some(range => range.value === value)),
+      duration: this.parseList(params.duration)
+        .filter(value => DURATION_RANGES.some(range => range.value === value)),
+      rating: null,
+      certificate: ['true', '1', 'yes'].includes(String(params.certificate).toLowerCase())
+    };
+
+    if (params.filter === 'free') {
+      filters.price = ['free'];
+    } else if (params.filter === 'paid') {
+      filters.price = PRICE_RANGES.filter(range => range.value !== 'free').map(range => range.value);
+    }
+
+    const rating = parseFloat(params.rating);
+    if (rating > 0 && rating <= 5) {
+      filters.rating = rating;
+    }
+
+    return filters;
+  }
+
+  getPriceRange(price) {
+    const amount = parseFloat(price) || 0;
+    if (amount <= 0) return 'free';
+    return PRICE_RANGES.find(range => range.value !== 'free' && amount < range.max).value;
+  }
+
+  getDurationRange(duration) {
+    const hours = parseFloat(duration) || 0;
+    return DURATION_RANGES.find(range => hours < range.max).value;
+  }
+
+  // What a course contributes to each facet. Older courses have no
+  // hasCertificate flag; those with a certificate template or final assessment issue one
+  getFacetValues(course) {
+    const hasCertificate = course.hasCertificate !== undefined
+      ? Boolean(course.hasCertificate)
+      : Boolean(course.certificateTemplate || course.requiresAssessment);
+
+    return {
+      category: course.category || null,
+      subcategory: course.subcategory || null,
+      level: course.level || null,
+      language: course.language || null,
+      price: this.getPriceRange(course.price),
+      duration: this.getDurationRange(course.duration),
+      rating: parseFloat(course.averageRating) || 0,
+      certificate: hasCertificate
+    };
+  }
+
+  // Whether any facet is selected
+  hasSelection(filters) {
+    return FACETS.some(facet => (Array.isArray(filters[facet]) ? filters[facet].length > 0 : Boolean(filters[facet])));
+  }
+
+  // Whether facet values match the selection, ignoring the `except` facet
+  matches(values, filters, except = null) {
+    for (const facet of FACETS) {
+      if (facet === except) continue;
+
+      if (facet === 'rating') {
+        if (filters.rating && values.rating < filters.rating) return false;
+      } else if (facet === 'certificate') {
+        if (filters.certificate && !values.certificate) return false;
+      } else if (filters[facet].length > 0) {
+        if (!values[facet] || !filters[facet].includes(String(values[facet]).toLowerCase())) return false;
+      }
+    }
+    return true;
+  }
+
+  // Per-facet counts over the current result set:
+  // { level: [{ value, label, count, selected }], ... }
+  buildCounts(valuesList, filters) {
+    const facets = {};
+
+    for (const facet of FACETS) {
+      const pool = valuesList.filter(values => this.matches(values, filters, facet));
+
+      if (facet === 'rating') {
+        facets.rating = RATING_THRESHOLDS.map(threshold => ({
+          value: String(threshold),
+          label: `${threshold} & up`,
+          count: pool.filter(values => values.rating >= threshold).length,
+          selected: filters.rating === threshold
+        }));
+      } else if (facet === 'certificate') {
+        facets.certificate = [{
+          value: 'true',
+          label: 'Certificate of completion',
+          count: pool.filter(values => values.certificate).length,
+          selected: filters.certificate
+        }];
+      } else if (facet === 'price' || facet === 'duration') {
+        const ranges = facet === 'price' ? PRICE_RANGES : DURATION_RANGES;
+        facets[facet] = ranges.map(range => ({
+          value: range.value,
+          label: range.label,
+          count: pool.filter(values => values[facet] === range.value).length,
+          selected: filters[facet].includes(range.value)
+        }));
+      } else {
+        // Free-form values: keep the first spelling seen as the label
+        const counts = new Map();
+        pool.forEach(values => {
+          if (!values[facet]) return;
+          const key = String(values[facet]).toLowerCase();
+          const current = counts.get(key) || { value: key, label: String(values[facet]), count: 0 };
+          current.count++;
+          counts.set(key, current);
+        });
+
+        // Selected values stay visible even when nothing else matches them
+        filters[facet].forEach(value => {
+          if (!counts.has(value)) counts.set(value, { value, label: value, count: 0 });
+        });
+
+        facets[facet] = [...counts.values()]
+          .map(item => ({ ...item, selected: filters[facet].includes(item.value) }))
+          .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+      }
+    }
+
+    return facets;
+  }
+
+  // Narrow items to the selection and count facets over all of them;
+  // getValues maps an item to its facet values. Returns { items, facets }
+  apply(items, filters, getValues) {
+    const valuesList = items.map(getValues);
+
+    return {
+      items: items.filter((item, index) => this.matches(valuesList[index], filters)),
+      facets: this.buildCounts(valuesList, filters)
+    };
+  }
+}
+
+module.exports = new FacetService();
+module.exports.PRICE_RANGES = PRICE_RANGES;
+module.exports.DURATION_RANGES = DURATION_RANGES;
+module.exports.RATING_THRESHOLDS = RATING_THRESHOLDS;
@@ -0,0 +1,289 @@
+// =============================================
+// FEE ENGINE
+// =============================================
+// Single place where checkout fees are calculated. A fee schedule holds:
+//   platform            -> { percent, fixed, absorbedBy, min, cap }
+//   methods.<method>    -> { percent, fixed, absorbedBy, min, cap }  (processing fee)
+//   currencies.<CODE>   -> { rounding: 'nearest' | 'up' | 'down', increment }
+// percent is a fraction of the amount, fixed is in USD (converted for other
+// currencies), min / cap are per-currency maps, e.g. { USD: 0.5, MWK: 400 }.
+//
+// absorbedBy decides who carries a fee:
+//   'student'  -> added on top of the course price
+//   'platform' -> included in the course price (reduces courseNet)
+//
+// Schedules are stored in `fee_schedules` with an effectiveFrom date and are
+// never overwritten; every breakdown records the schedule it was built from.
+const admin = require('firebase-admin');
+const exchangeRateService = require('./exchangeRateService');
+
+const DEFAULT_SCHEDULE = {
+  platform: {
+    percent: parseFloat(process.env.PLATFORM_FEE_RATE) || 0.10,
+    fixed: 0,
+    absorbedBy: 'student'
+  },
+  methods: {
+    paychangu: { percent: 0.03, fixed: 0, absorbedBy: 'platform' },
+    paypal: { percent: 0.029, fixed: 0.30, absorbedBy: 'platform' },
+    bank_transfer: { percent: 0, fixed: 0, absorbedBy: 'platform' }
+  },
+  currencies: {
+    USD: { rounding: 'nearest', increment: 0.01 },
+    MWK: { rounding: 'up', increment: 1 }
+  }
+};
+
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+const ABSORBERS = ['student', 'platform'];
+
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+class FeeEngine {
+  constructor() {
+    this.db = null;
+    this.cache = null;
+  }
+
+  getDb() {
+    if (!this.db && admin.apps.length > 0) {
+      this.db = admin.firestore();
+    }
+    return this.db;
+  }
+
+  // Schedule currently in effect: the latest stored one, else the defaults
+  async getSchedule() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.value;
+    }
+
+    let value = { id: 'default', ...DEFAULT_SCHEDULE };
+    const db = this.getDb();
+
+    if (db) {
+      const snapshot = await db.collection('fee_schedules')
+        .where('effectiveFrom', '<=', new Date().toISOString())
+        .orderBy('effectiveFrom', 'desc')
+        .limit(1)
+        .get();
+
+      if (!snapshot.empty) {
+        value = { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+      }
+    }
+
+    this.cache = { value, expiresAt: Date.now() + CACHE_TTL_MS };
+    return value;
+  }
+
+  // Store a new schedule version; effectiveFrom defaults to now
+  async saveSchedule(schedule, { effectiveFrom = null, actor = 'system', note = '' } = {}) {
+    const validation = this.validateSchedule(schedule);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const db = this.getDb();
+    if (!db) {
+      throw new Error('Firestore is not available');
+    }
+
+    const effectiveDate = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (isNaN(effectiveDate.getTime())) {
+      throw new Error('Invalid effectiveFrom date');
+    }
+
+    const scheduleRef = db.collection('fee_schedules').doc();
+    const data = {
+      id: scheduleRef.id,
+      platform: schedule.platform,
+      methods: schedule.methods,
+      currencies: schedule.currencies || {},
+      effectiveFrom: effectiveDate.toISOString(),
+      note,
+      createdBy: actor,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    await scheduleRef.set(data);
+    this.cache = null;
+
+    return data;
+  }
+
+  async getScheduleHistory(limit = 20) {
+    const db = this.getDb();
+    if (!db) {
+      return [];
+    }
+
+    const snapshot = await db.collection('fee_schedules')
+      .orderBy('effectiveFrom', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  validateSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') {
+      return { valid: false, error: 'Schedule is required' };
+    }
+
+    if (!schedule.methods || typeof schedule.methods !== 'object' || Object.keys(schedule.methods).length === 0) {
+      return { valid: false, error: 'At least one payment method rate is required' };
+    }
+
+    const rules = { platform: schedule.platform, ...schedule.methods };
+    for (const [name, rule] of Object.entries(rules)) {
+      if (!rule || typeof rule !== 'object') {
+        return { valid: false, error: `Missing fee rule: ${name}` };
+      }
+
+      const percent = parseFloat(rule.percent || 0);
+      if (isNaN(percent) || percent < 0 || percent >= 1) {
+        return { valid: false, error: `${name}: percent must be a fraction between 0 and 1` };
+      }
+
+      if (isNaN(parseFloat(rule.fixed || 0)) || parseFloat(rule.fixed || 0) < 0) {
+        return { valid: false, error: `${name}: fixed must be a non-negative amount` };
+      }
+
+      if (!ABSORBERS.includes(rule.absorbedBy)) {
+        return { valid: false, error: `${name}: absorbedBy must be one of ${ABSORBERS.join(', ')}` };
+      }
+    }
+
+    for (const [currency, rule] of Object.entries(schedule.currencies || {})) {
+      if (!exchangeRateService.isSupported(currency)) {
+        return { valid: false, error: `Unsupported currency: ${currency}` };
+      }
+
+      if (rule.rounding && !ROUNDING_MODES.includes(rule.rounding)) {
+        return { valid: false, error: `${currency}: rounding must be one of ${ROUNDING_MODES.join(', ')}` };
+      }
+
+      if (rule.increment !== undefined && !(parseFloat(rule.increment) > 0)) {
+        return { valid: false, error: `${currency}: increment must be positive` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  // Round an amount using the schedule's rule for the currency
+  round(amount, currency, schedule) {
+    const rule = (schedule.currencies || {})[currency] || {};
+    const decimals = exchangeRateService.SUPPORTED_CURRENCIES[currency]?.decimals ?? 2;
+    const increment = parseFloat(rule.increment) || Math.pow(10, -decimals);
+    const steps = amount / increment;
+
+    let rounded;
+    switch (rule.rounding) {
+      case 'up':
+        // Tolerate float noise such as 3.0000000004 steps
+        rounded = Math.ceil(steps - 1e-9);
+        break;
+      case 'down':
+        rounded = Math.floor(steps + 1e-9);
+        break;
+      default:
+        rounded = Math.round(steps);
+    }
+
+    return parseFloat((rounded * increment).toFixed(Math.max(decimals, 2)));
+  }
+
+  // Apply the rule's per-currency minimum and cap
+  clamp(fee, rule, currency) {
+    const min = rule.min ? parseFloat(rule.min[currency]) : NaN;
+    const cap = rule.cap ? parseFloat(rule.cap[currency]) : NaN;
+
+    if (!isNaN(min) && fee < min) fee = min;
+    if (!isNaN(cap) && fee > cap) fee = cap;
+    return fee;
+  }
+
+  // Fee breakdown for a course price paid with a given method. Resolves to
+  // { scheduleId, currency, method, price, fees: { platform, processing }, total,
+  //   netReceived, courseNet, studentFees, exchangeRate, calculatedAt }
+  // total is what the student pays, netReceived what remains after the provider's
+  // processing fee and courseNet what remains after the platform fee as well
+  async calculate(price, { method, currency = 'USD' } = {}) {
+    const schedule = await this.getSchedule();
+    const methodRule = schedule.methods[method];
+
+    if (!methodRule) {
+      throw new Error(`No fee rate configured for payment method: ${method}`);
+    }
+
+    currency = String(currency).toUpperCase();
+    price = parseFloat(price) || 0;
+
+    // Fixed fees are configured in USD
+    const usdRate = currency === 'USD' ? 1 : (await exchangeRateService.getRate(currency)).rate;
+
+    // Platform fee is a share of the course price
+    const platformRule = schedule.platform;
+    const platformFee = price > 0
+      ? this.round(this.clamp(
+        price * (parseFloat(platformRule.percent) || 0) + (parseFloat(platformRule.fixed) || 0) * usdRate,
+        platformRule,
+        currency
+      ), currency, schedule)
+      : 0;
+
+    const chargeBeforeProcessing = price + (platformRule.absorbedBy === 'student' ? platformFee : 0);
+
+    // Processing fee is charged by the provider on the amount collected. When the
+    // student absorbs it, gross up so that total - fee covers the charge
+    const percent = parseFloat(methodRule.percent) || 0;
+    const fixed = (parseFloat(methodRule.fixed) || 0) * usdRate;
+    let processingFee = 0;
+    let total = chargeBeforeProcessing;
+
+    if (chargeBeforeProcessing > 0) {
+      if (methodRule.absorbedBy === 'student') {
+        const grossed = (chargeBeforeProcessing + fixed) / (1 - percent);
+        processingFee = this.round(this.clamp(grossed - chargeBeforeProcessing, methodRule, currency), currency, schedule);
+        total = chargeBeforeProcessing + processingFee;
+      } else {
+        processingFee = this.round(this.clamp(chargeBeforeProcessing * percent + fixed, methodRule, currency), currency, schedule);
+      }
+    }
+
+    total = this.round(total, currency, schedule);
+    const netReceived = this.round(total - processingFee, currency, schedule);
+
+    return {
+      scheduleId: schedule.id,
+      currency,
+      method,
+      price,
+      fees: {
+        platform: {
+          amount: platformFee,
+          percent: parseFloat(platformRule.percent) || 0,
+          fixed: parseFloat(platformRule.fixed) || 0,
+          absorbedBy: platformRule.absorbedBy
+        },
+        processing: {
+          amount: processingFee,
+          percent,
+          fixed: parseFloat(methodRule.fixed) || 0,
+          absorbedBy: methodRule.absorbedBy
+        }
+      },
+      total,
+      netReceived,
+      courseNet: this.round(netReceived - platformFee, currency, schedule),
+      studentFees: this.round(total - price, currency, schedule),
+      exchangeRate: usdRate,
+      calculatedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new FeeEngine();
+module.exports.DEFAULT_SCHEDULE = DEFAULT_SCHEDULE;
@@ -0,0 +1,467 @@
+// =============================================
+// INSTALLMENT SERVICE
+// =============================================
+// Courses can allow paying in installments through course.installmentPlan:
+//   { enabled, count (2-12), intervalDays, unlock: 'full' | 'progressive', graceDays }
+// A student's plan for a course is installment_plans/{userId}_{courseId}. Every
+// installment is paid with its own PayChangu order (payment.installmentPlanId /
+// installmentNumber). The first payment enrolls the student; with 'progressive'
+// unlock each payment opens the next share of the lessons. An installment still
+// unpaid graceDays after its due date suspends the enrollment until it is paid.
+const admin = require('firebase-admin');
+
+const UNLOCK_MODES = ['full', 'progressive'];
+
+const DEFAULT_CONFIG = {
+  enabled: false,
+  count: 3,
+  intervalDays: 30,
+  unlock: 'full',
+  graceDays: 0
+};
+
+const REMINDER_DAYS = parseInt(process.env.INSTALLMENT_REMINDER_DAYS) || 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class InstallmentService {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  getPlanId(userId, courseId) {
+    return `${userId}_${courseId}`;
+  }
+
+  // Validate a course's installment settings. Resolves missing fields to the defaults
+  validateConfig(config) {
+    if (config === null || config === undefined) {
+      return { valid: true, config: null };
+    }
+
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      return { valid: false, error: 'installmentPlan must be an object' };
+    }
+
+    const merged = { ...DEFAULT_CONFIG, ...config };
+    const count = parseInt(merged.count);
+    const intervalDays = parseInt(merged.intervalDays);
+    const graceDays = parseInt(merged.graceDays);
+
+    if (!(count >= 2 && count <= 12)) {
+      return { valid: false, error: 'Installment count must be between 2 and 12' };
+    }
+
+    if (!(intervalDays >= 7 && intervalDays <= 90)) {
+      return { valid: false, error: 'Installment interval must be between 7 and 90 days' };
+    }
+
+    if (!UNLOCK_MODES.includes(merged.unlock)) {
+      return { valid: false, error: `unlock must be one of ${UNLOCK_MODES.join(', ')}` };
+    }
+
+    if (!(graceDays >= 0)) {
+      return { valid: false, error: 'graceDays must be zero or more' };
+    }
+
+    return {
+      valid: true,
+      config: {
+        enabled: Boolean(merged.enabled),
+        count,
+        intervalDays,
+        unlock: merged.unlock,
+        graceDays
+      }
+    };
+  }
+
+  // The course's installment settings, or null when it is paid in full only
+  getCourseConfig(course) {
+    const config = course.installmentPlan;
+    if (!config || !config.enabled) {
+      return null;
+    }
+    return { ...DEFAULT_CONFIG, ...config };
+  }
+
+  // Split a total into `count` amounts; the rounding remainder goes on the first
+  splitAmount(total, count) {
+    const cents = Math.round(total * 100);
+    const base = Math.floor(cents / count);
+    return Array.from({ length: count }, (_, index) =>
+      (index === 0 ? base + (cents - base * count) : base) / 100
+    );
+  }
+
+  // Start a plan for a course. The first installment is due immediately
+  async createPlan(userId, courseId) {
+    const courseDoc = await this.db.collection('courses').doc(courseId).get();
+    if (!courseDoc.exists) {
+      throw new Error('Course not found');
+    }
+
+    const course = { id: courseDoc.id, ...courseDoc.data() };
+    const config = this.getCourseConfig(course);
+    if (!config) {
+      throw new Error('This course cannot be paid in installments');
+    }
+
+    const price = parseFloat(course.priceUSD ?? course.price) || 0;
+    if (price <= 0) {
+      throw new Error('Free courses do not need an installment plan');
+    }
+
+    const planRef = this.db.collection('installment_plans').doc(this.getPlanId(userId, courseId));
+    const now = new Date();
+
+    const installments = this.splitAmount(price, config.count).map((amount, index) => ({
+      number: index + 1,
+      amount,
+      dueDate: new Date(now.getTime() + index * config.intervalDays * DAY_MS).toISOString(),
+      status: 'pending',
+      paymentId: null,
+      paidAt: null
+    }));
+
+    const plan = {
+      id: planRef.id,
+      userId,
+      courseId,
+      courseTitle: course.title || '',
+      totalAmount: price,
+      currency: 'USD',
+      count: config.count,
+      intervalDays: config.intervalDays,
+      unlock: config.unlock,
+      graceDays: config.graceDays,
+      installments,
+      paidCount: 0,
+      paidAmount: 0,
+      nextDueDate: installments[0].dueDate,
+      status: 'pending', // pending (nothing paid yet), active, suspended, completed, cancelled
+      reminderSentFor: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    await this.db.runTransaction(async (transaction) => {
+      const existing = await transaction.get(planRef);
+      if (existing.exists && existing.data().status !== 'cancelled') {
+        throw new Error(existing.data().status === 'completed'
+          ? 'This course is already paid'
+          : 'An installment plan already exists for this course');
+      }
+      transaction.set(planRef, plan);
+    });
+
+    return plan;
+  }
+
+  async getPlan(planId) {
+    const planDoc = await this.db.collection('installment_plans').doc(planId).get();
+    return planDoc.exists ? { id: planDoc.id, ...planDoc.data() } : null;
+  }
+
+  async getUserPlans(userId) {
+    const snapshot = await this.db.collection('installment_plans')
+      .where('userId', '==', userId)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  async listPlans({ status = null, limit = 50 } = {}) {
+    let query = this.db.collection('installment_plans');
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.orderBy('nextDueDate').limit(limit).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  // First installment that is not paid yet
+  getNextInstallment(plan) {
+    return plan.installments.find(installment => installment.status !== 'paid') || null;
+  }
+
+  // Share of the lessons a plan gives access to
+  getUnlockedFraction(plan) {
+    if (plan.unlock !== 'progressive' || plan.paidCount >= plan.count) {
+      return plan.paidCount > 0 ? 1 : 0;
+    }
+    return plan.paidCount / plan.count;
+  }
+
+  // Lesson ids open under a progressive plan, in course order. null means every lesson
+  async getUnlockedLessonIds(courseId, fraction) {
+    if (fraction >= 1) {
+      return null;
+    }
+
+    const snapshot = await this.db.collection('lessons')
+      .where('courseId', '==', courseId)
+      .orderBy('order', 'asc')
+      .get();
+
+    const unlocked = Math.ceil(snapshot.size * fraction);
+    return snapshot.docs.slice(0, unlocked).map(doc => doc.id);
+  }
+
+  // Enrollment summary kept in enrollment.installments
+  getProgress(plan) {
+    const next = this.getNextInstallment(plan);
+    return {
+      planId: plan.id,
+      count: plan.count,
+      paid: plan.paidCount,
+      paidAmount: plan.paidAmount,
+      totalAmount: plan.totalAmount,
+      unlock: plan.unlock,
+      unlockedFraction: this.getUnlockedFraction(plan),
+      nextDueDate: next ? next.dueDate : null,
+      nextAmount: next ? next.amount : null,
+      status: plan.status
+    };
+  }
+
+  // Mark an installment paid after its order completes, then enroll the student
+  // (first payment) or refresh the enrollment. Safe to call more than once
+  async recordPayment(paymentId, payment) {
+    const planRef = this.db.collection('installment_plans').doc(payment.installmentPlanId);
+
+    const plan = await this.db.runTransaction(async (transaction) => {
+      const planDoc = await transaction.get(planRef);
+      if (!planDoc.exists) {
+        throw new Error('Installment plan not found');
+      }
+
+      const current = { id: planDoc.id, ...planDoc.data() };
+      if (current.installments.some(installment => installment.paymentId === paymentId && installment.status === 'paid')) {
+        return { ...current, alreadyApplied: true };
+      }
+
+      const number = payment.installmentNumber;
+      const installments = current.installments.map(installment => installment.number === number
+        ? { ...installment, status: 'paid', paymentId, paidAt: new Date().toISOString() }
+        : installment);
+
+      const paid = installments.filter(installment => installment.status === 'paid');
+      const next = installments.find(installment => installment.status !== 'paid');
+
+      // Still suspended if the next installment is itself past its grace period
+      let status = 'completed';
+      if (next) {
+        const graceEnd = new Date(new Date(next.dueDate).getTime() + (current.graceDays || 0) * DAY_MS);
+        status = graceEnd < new Date() ? 'suspended' : 'active';
+      }
+
+      const updates = {
+        installments,
+        paidCount: paid.length,
+        paidAmount: Math.round(paid.reduce((sum, installment) => sum + installment.amount, 0) * 100) / 100,
+        nextDueDate: next ? next.dueDate : null,
+        status,
+        reminderSentFor: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      if (status === 'completed') {
+        updates.completedAt = new Date().toISOString();
+      }
+
+      transaction.update(planRef, updates);
+      return { ...current, ...updates, alreadyApplied: false };
+    });
+
+    const enrollment = await this.syncEnrollment(plan, paymentId);
+    return { plan, enrollment };
+  }
+
+  // Create the installment enrollment on the first payment, otherwise update its
+  // status and progress from the plan
+  async syncEnrollment(plan, paymentId = null) {
+    const enrollmentRef = this.db.collection('enrollments').doc(`${plan.userId}_${plan.courseId}`);
+    const status = plan.status === 'suspended' ? 'suspended' : 'active';
+    const progress = this.getProgress(plan);
+
+    try {
+      await enrollmentRef.create({
+        id: enrollmentRef.id,
+        userId: plan.userId,
+        courseId: plan.courseId,
+        paymentId,
+        paymentMethod: 'installments',
+        accessSource: 'installment',
+        installmentPlanId: plan.id,
+        installments: progress,
+        enrolledAt: new Date().toISOString(),
+        status,
+        progress: 0,
+        completed: false,
+        certificateEligible: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      // gRPC ALREADY_EXISTS
+      if (error.code !== 6) {
+        throw error;
+      }
+
+      const existing = (await enrollmentRef.get()).data();
+      if (existing.installmentPlanId !== plan.id) {
+        return { success: false, error: 'Already enrolled', enrolled: true, enrollmentId: enrollmentRef.id };
+      }
+
+      await enrollmentRef.update({
+        status,
+        installments: progress,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return { success: true, enrollmentId: enrollmentRef.id, status };
+    }
+
+    const progressService = require('./progressService');
+    await progressService.initProgress(plan.userId, plan.courseId, enrollmentRef.id);
+
+    await this.db.collection('users').doc(plan.userId).update({
+      enrolledCourses: admin.firestore.FieldValue.arrayUnion(plan.courseId),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await this.db.collection('courses').doc(plan.courseId).update({
+      totalEnrollments: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { success: true, enrollmentId: enrollmentRef.id, status };
+  }
+
+  // Cron sweep: remind students before a due date and suspend access once an
+  // installment is past its grace period
+  async processDueInstallments({ limit = 200, dryRun = false } = {}) {
+    const now = new Date();
+    const reminderCutoff = new Date(now.getTime() + REMINDER_DAYS * DAY_MS).toISOString();
+    const results = {
+      checked: 0,
+      reminded: [],
+      suspended: [],
+      errors: []
+    };
+
+    try {
+      const snapshot = await this.db.collection('installment_plans')
+        .where('status', '==', 'active')
+        .where('nextDueDate', '<=', reminderCutoff)
+        .orderBy('nextDueDate')
+        .limit(limit)
+        .get();
+
+      results.checked = snapshot.size;
+
+      for (const doc of snapshot.docs) {
+        const plan = { id: doc.id, ...doc.data() };
+        const next = this.getNextInstallment(plan);
+        if (!next) {
+          continue;
+        }
+
+        try {
+          const graceEnd = new Date(new Date(next.dueDate).getTime() + (plan.graceDays || 0) * DAY_MS);
+
+          if (graceEnd < now) {
+            results.suspended.push(doc.id);
+            if (dryRun) {
+              continue;
+            }
+
+            const installments = plan.installments.map(installment =>
+              installment.number === next.number ? { ...installment, status: 'overdue' } : installment);
+            const suspended = { ...plan, installments, status: 'suspended' };
+
+            await doc.ref.update({
+              installments,
+              status: 'suspended',
+              suspendedAt: now.toISOString(),
+              updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            await this.syncEnrollment(suspended);
+            await this.notify(plan, next, 'installment_overdue', 'Installment overdue',
+              `Installment ${next.number} of ${plan.count} for ${plan.courseTitle} is overdue, so course access is paused. Pay it to continue.`);
+            continue;
+          }
+
+          if (plan.reminderSentFor === next.dueDate) {
+            continue;
+          }
+
+          results.reminded.push(doc.id);
+          if (dryRun) {
+            continue;
+          }
+
+          await doc.ref.update({ reminderSentFor: next.dueDate });
+          await this.notify(plan, next, 'installment_due', 'Installment due soon',
+            `Installment ${next.number} of ${plan.count} for ${plan.courseTitle} ($${next.amount.toFixed(2)}) is due on ${next.dueDate.slice(0, 10)}.`);
+
+        } catch (error) {
+          console.error(`Installment plan ${doc.id} sweep error:`, error);
+          results.errors.push({ planId: doc.id, error: error.message });
+        }
+      }
+
+      return {
+        success: true,
+        dryRun,
+        ...results
+      };
+
+    } catch (error) {
+      console.error('Installment sweep error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // In-app notification plus email
+  async notify(plan, installment, type, title, message) {
+    try {
+      await this.db.collection('notifications').add({
+        userId: plan.userId,
+        type,
+        title,
+        message,
+        data: {
+          planId: plan.id,
+          courseId: plan.courseId,
+          installmentNumber: installment.number
+        },
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const userDoc = await this.db.collection('users').doc(plan.userId).get();
+      if (userDoc.exists && userDoc.data().email) {
+        const user = userDoc.data();
+        const emailService = require('./emailService');
+        await emailService.sendInstallmentReminderEmail(
+          user.email,
+          user.displayName || user.email.split('@')[0],
+          plan.courseTitle,
+          installment,
+          plan.count,
+          type === 'installment_overdue'
+        );
+      }
+
+    } catch (error) {
+      // Notification failures must not stop the sweep
+      console.error(`Installment notification error (${plan.id}):`, error);
+    }
+  }
+}
+
+module.exports = new InstallmentService();
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
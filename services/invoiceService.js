@@ -0,0 +1,387 @@
+// =============================================
+// INVOICE SERVICE
+// =============================================
+// Every completed payment gets one invoice, stored at invoices/{paymentId} with a
+// gap-free number per year (MRTC-INV-2026-000001) taken from counters/invoices_{year}
+// in the same transaction. The invoice stores a snapshot of the lines, fees and
+// exchange rate at issue time; the PDF is rendered from that snapshot on demand.
+const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const admin = require('firebase-admin');
+
+// Statuses that can have an invoice
+const INVOICE_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const COMPANY = {
+  name: process.env.INVOICE_COMPANY_NAME || 'MRTC Solutions',
+  address: process.env.INVOICE_COMPANY_ADDRESS || 'Lilongwe, Malawi',
+  email: process.env.INVOICE_COMPANY_EMAIL || process.env.EMAIL_USER || '',
+  taxId: process.env.INVOICE_TAX_ID || '',
+  website: 'mrtc-ecampus.web.app'
+};
+
+const METHOD_LABELS = {
+  paychangu: 'PayChangu (mobile money)',
+  paypal: 'PayPal',
+  bank_transfer: 'Bank transfer'
+};
+
+class InvoiceService {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  formatNumber(year, sequence) {
+    return `MRTC-INV-${year}-${String(sequence).padStart(6, '0')}`;
+  }
+
+  // Issue the invoice for a completed payment. Safe to call more than once;
+  // resolves to { invoice, created }
+  async issueForPayment(paymentId) {
+    const paymentRef = this.db.collection('payments').doc(paymentId);
+    const invoiceRef = this.db.collection('invoices').doc(paymentId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const [invoiceDoc, paymentDoc] = await Promise.all([
+        transaction.get(invoiceRef),
+        transaction.get(paymentRef)
+      ]);
+
+      if (invoiceDoc.exists) {
+        return { invoice: invoiceDoc.data(), created: false };
+      }
+
+      if (!paymentDoc.exists) {
+        throw new Error('Payment not found');
+      }
+
+      const payment = { id: paymentDoc.id, ...paymentDoc.data() };
+      if (!INVOICE_STATUSES.includes(payment.status)) {
+        throw new Error(`No invoice for a ${payment.status} payment`);
+      }
+
+      const userDoc = await transaction.get(this.db.collection('users').doc(payment.userId));
+      const user = userDoc.exists ? userDoc.data() : {};
+
+      // Organization seat orders are billed to the organization
+      let organization = null;
+      if (payment.organizationId) {
+        const orgDoc = await transaction.get(this.db.collection('organizations').doc(payment.organizationId));
+        organization = orgDoc.exists ? orgDoc.data() : null;
+      }
+
+      const year = new Date().getUTCFullYear();
+      const counterRef = this.db.collection('counters').doc(`invoices_${year}`);
+      const counterDoc = await transaction.get(counterRef);
+      const sequence = (counterDoc.exists ? counterDoc.data().last || 0 : 0) + 1;
+
+      const invoice = {
+        ...this.buildInvoice(payment, user, organization),
+        id: paymentId,
+        number: this.formatNumber(year, sequence),
+        year,
+        sequence,
+        issuedAt: new Date().toISOString(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      transaction.set(counterRef, {
+        last: sequence,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      transaction.set(invoiceRef, invoice);
+      transaction.update(paymentRef, { invoiceNumber: invoice.number });
+
+      return { invoice, created: true };
+    });
+  }
+
+  // Snapshot of everything the PDF shows
+  buildInvoice(payment, user = {}, organization = null) {
+    const fees = payment.fees || null;
+    const paid = typeof payment.amount === 'number'
+      ? payment.amount
+      : parseFloat(payment.amount?.usd ?? payment.amount?.requested) || 0;
+
+    const lines = Array.isArray(payment.items) && payment.items.length > 0
+      ? payment.items.map(item => ({
+        description: item.title || payment.courseTitle || item.courseId,
+        listPrice: parseFloat(item.listPrice) || 0,
+        amount: parseFloat(item.amount) || 0
+      }))
+      : [{
+        description: payment.courseTitle || 'Course',
+        listPrice: parseFloat(payment.coursePrice ?? fees?.price ?? paid) || 0,
+        amount: parseFloat(fees?.price ?? paid) || 0
+      }];
+
+    // Bundle and installment lines name the courses; the order title says what was bought
+    const title = payment.courseTitle || lines[0].description;
+
+    const rate = payment.exchangeRate && typeof payment.exchangeRate === 'object' ? payment.exchangeRate : null;
+    const localAmount = payment.amount?.mwk
+      ? { currency: 'MWK', amount: payment.amount.mwk }
+      : null;
+
+    return {
+      paymentId: payment.id,
+      orderId: payment.orderId || null,
+      userId: payment.userId,
+      organizationId: organization ? organization.id : null,
+      title,
+      billTo: {
+        name: user.displayName || (user.email || '').split('@')[0] || 'Student',
+        email: organization?.billing?.email || user.email || null,
+        organization: organization ? organization.name : user.organizationName || null,
+        address: organization?.billing?.address || null,
+        taxId: organization?.billing?.taxId || null
+      },
+      method: payment.method || null,
+      transactionId: payment.paymentDetails?.transactionId ||
+        payment.paymentDetails?.captureId ||
+        payment.paymentDetails?.providerTransactionId ||
+        null,
+      lines,
+      subtotal: Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100,
+      discountTotal: parseFloat(payment.discounts?.discountTotal) || 0,
+      couponCodes: payment.couponCodes || [],
+      fees: fees ? {
+        platform: {
+          amount: fees.fees.platform.amount,
+          absorbedBy: fees.fees.platform.absorbedBy
+        },
+        processing: {
+          amount: fees.fees.processing.amount,
+          absorbedBy: fees.fees.processing.absorbedBy
+        },
+        scheduleId: fees.scheduleId
+      } : null,
+      total: fees ? fees.total : paid,
+      amountPaid: paid,
+      currency: payment.currency || 'USD',
+      localAmount,
+      exchangeRate: rate ? {
+        currency: rate.currency || (localAmount && localAmount.currency) || null,
+        rate: rate.rate,
+        lockedAt: rate.lockedAt || null
+      } : null,
+      paidAt: payment.completedAt?.toDate
+        ? payment.completedAt.toDate().toISOString()
+        : (typeof payment.completedAt === 'string' ? payment.completedAt : new Date().toISOString()),
+      company: COMPANY
+    };
+  }
+
+  async getInvoice(paymentId) {
+    const invoiceDoc = await this.db.collection('invoices').doc(paymentId).get();
+    return invoiceDoc.exists ? invoiceDoc.data() : null;
+  }
+
+  // Invoice plus PDF bytes; issues the invoice first for completed payments that have none
+  async getReceipt(paymentId) {
+    let invoice = await this.getInvoice(paymentId);
+    if (!invoice) {
+      ({ invoice } = await this.issueForPayment(paymentId));
+    }
+
+    const pdfBytes = await this.renderPdf(invoice);
+    return { invoice, pdfBytes };
+  }
+
+  // Issue the invoice and email it with the payment confirmation
+  async issueAndSend(paymentId) {
+    const { invoice, created } = await this.issueForPayment(paymentId);
+    if (!created || !invoice.billTo.email) {
+      return { invoice, emailed: false };
+    }
+
+    const pdfBytes = await this.renderPdf(invoice);
+    const emailService = require('./emailService');
+    const result = await emailService.sendPaymentConfirmationEmail(
+      invoice.billTo.email,
+      invoice.billTo.name,
+      invoice,
+      Buffer.from(pdfBytes)
+    );
+
+    if (result.success) {
+      await this.db.collection('invoices').doc(paymentId).update({ emailedAt: new Date().toISOString() });
+    }
+
+    return { invoice, emailed: result.success };
+  }
+
+  formatMoney(amount, currency = 'USD') {
+    const decimals = currency === 'MWK' ? 0 : 2;
+    const value = Number(amount || 0).toLocaleString('en-US', {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    });
+    return currency === 'USD' ? `$${value}` : `${currency} ${value}`;
+  }
+
+  // Standard PDF fonts only cover Latin-1
+  pdfText(text) {
+    return String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+  }
+
+  // Render an invoice as an A4 PDF
+  async renderPdf(invoice) {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle(`Invoice ${invoice.number}`);
+    pdfDoc.setAuthor(invoice.company.name);
+
+    const page = pdfDoc.addPage([595.28, 841.89]); // A4 portrait
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const fontItalic = await pdfDoc.embedFont(StandardFonts.HelveticaOblique);
+
+    const blue = rgb(0.1, 0.3, 0.7);
+    const dark = rgb(0.15, 0.15, 0.15);
+    const grey = rgb(0.4, 0.4, 0.4);
+
+    const text = (value, x, y, options = {}) => page.drawText(this.pdfText(value), {
+      x,
+      y,
+      size: options.size || 10,
+      font: options.font || font,
+      color: options.color || dark
+    });
+
+    // Right-align against x
+    const textRight = (value, x, y, options = {}) => {
+      const safe = this.pdfText(value);
+      const width = (options.font || font).widthOfTextAtSize(safe, options.size || 10);
+      text(safe, x - width, y, options);
+    };
+
+    // Header: MRTC details and invoice meta
+    text('MRTC eCampus', 50, 780, { size: 22, font: fontBold, color: blue });
+    text(invoice.company.name, 50, 760, { color: grey });
+    text(invoice.company.address, 50, 746, { color: grey });
+    let companyY = 732;
+    if (invoice.company.email) {
+      text(invoice.company.email, 50, companyY, { color: grey });
+      companyY -= 14;
+    }
+    text(invoice.company.website, 50, companyY, { color: grey });
+    if (invoice.company.taxId) {
+      text(`Tax ID: ${invoice.company.taxId}`, 50, companyY - 14, { color: grey });
+    }
+
+    textRight('INVOICE / RECEIPT', 545, 780, { size: 16, font: fontBold, color: blue });
+    textRight(invoice.number, 545, 760, { font: fontBold });
+    textRight(`Issued: ${invoice.issuedAt.slice(0, 10)}`, 545, 746, { color: grey });
+    textRight(`Paid: ${invoice.paidAt.slice(0, 10)}`, 545, 732, { color: grey });
+    if (invoice.orderId) {
+      textRight(`Order: ${invoice.orderId}`, 545, 718, { color: grey });
+    }
+
+    page.drawLine({ start: { x: 50, y: 695 }, end: { x: 545, y: 695 }, thickness: 1, color: blue });
+
+    // Bill to
+    text('BILL TO', 50, 675, { size: 9, font: fontBold, color: grey });
+    text(invoice.billTo.name, 50, 660, { font: fontBold });
+    let billY = 646;
+    if (invoice.billTo.organization) {
+      text(invoice.billTo.organization, 50, billY);
+      billY -= 14;
+    }
+    if (invoice.billTo.address) {
+      text(invoice.billTo.address, 50, billY);
+      billY -= 14;
+    }
+    if (invoice.billTo.taxId) {
+      text(`Tax ID: ${invoice.billTo.taxId}`, 50, billY);
+      billY -= 14;
+    }
+    if (invoice.billTo.email) {
+      text(invoice.billTo.email, 50, billY, { color: grey });
+    }
+
+    text('PAYMENT', 330, 675, { size: 9, font: fontBold, color: grey });
+    text(METHOD_LABELS[invoice.method] || invoice.method || 'N/A', 330, 660);
+    if (invoice.transactionId) {
+      text(`Ref: ${invoice.transactionId}`, 330, 646, { color: grey });
+    }
+
+    // Line items
+    let y = Math.min(600, billY - 28);
+    page.drawRectangle({ x: 50, y: y - 6, width: 495, height: 22, color: rgb(0.93, 0.95, 0.99) });
+    text('Description', 58, y, { font: fontBold });
+    textRight('List price', 440, y, { font: fontBold });
+    textRight(`Amount (${invoice.currency})`, 537, y, { font: fontBold });
+    y -= 26;
+
+    text(invoice.title, 58, y, { font: fontItalic, color: grey });
+    y -= 18;
+
+    for (const line of invoice.lines) {
+      text(line.description.length > 60 ? `${line.description.slice(0, 57)}...` : line.description, 58, y);
+      textRight(this.formatMoney(line.listPrice, invoice.currency), 440, y, { color: grey });
+      textRight(this.formatMoney(line.amount, invoice.currency), 537, y);
+      y -= 18;
+    }
+
+    page.drawLine({ start: { x: 300, y: y + 6 }, end: { x: 545, y: y + 6 }, thickness: 0.5, color: grey });
+    y -= 10;
+
+    // Totals and fee breakdown
+    const totalRow = (label, value, options = {}) => {
+      text(label, 310, y, options);
+      textRight(value, 537, y, options);
+      y -= 16;
+    };
+
+    if (invoice.discountTotal > 0) {
+      const codes = invoice.couponCodes.length > 0 ? ` (${invoice.couponCodes.join(', ')})` : '';
+      totalRow(`Discounts applied${codes}`, `-${this.formatMoney(invoice.discountTotal, invoice.currency)}`, { color: grey });
+    }
+    totalRow('Subtotal', this.formatMoney(invoice.subtotal, invoice.currency));
+
+    if (invoice.fees) {
+      for (const [key, label] of [['platform', 'Platform fee'], ['processing', 'Payment processing fee']]) {
+        const fee = invoice.fees[key];
+        if (!fee || !(fee.amount > 0)) {
+          continue;
+        }
+        if (fee.absorbedBy === 'student') {
+          totalRow(label, this.formatMoney(fee.amount, invoice.currency));
+        } else {
+          totalRow(`${label} (included, paid by MRTC)`, this.formatMoney(fee.amount, invoice.currency), { color: grey });
+        }
+      }
+    }
+
+    y -= 4;
+    page.drawRectangle({ x: 300, y: y - 6, width: 245, height: 22, color: rgb(0.93, 0.95, 0.99) });
+    totalRow('Total', this.formatMoney(invoice.total, invoice.currency), { font: fontBold, size: 12 });
+    if (Math.abs(invoice.amountPaid - invoice.total) >= 0.01) {
+      totalRow('Amount paid', this.formatMoney(invoice.amountPaid, invoice.currency), { font: fontBold });
+    }
+
+    // Currency and exchange rate
+    y -= 20;
+    text(`All amounts in ${invoice.currency}.`, 50, y, { color: grey });
+    if (invoice.localAmount) {
+      y -= 14;
+      let conversion = `Charged ${this.formatMoney(invoice.localAmount.amount, invoice.localAmount.currency)}`;
+      if (invoice.exchangeRate && invoice.exchangeRate.rate) {
+        conversion += ` at 1 ${invoice.currency} = ${invoice.exchangeRate.rate} ${invoice.exchangeRate.currency || invoice.localAmount.currency}`;
+        if (invoice.exchangeRate.lockedAt) {
+          conversion += ` (rate locked ${invoice.exchangeRate.lockedAt.slice(0, 10)})`;
+        }
+      }
+      text(`${conversion}.`, 50, y, { color: grey });
+    }
+
+    // Footer
+    page.drawLine({ start: { x: 50, y: 90 }, end: { x: 545, y: 90 }, thickness: 0.5, color: grey });
+    text('Thank you for learning with MRTC eCampus.', 50, 72, { font: fontBold, color: blue });
+    text('Empowering Malawi Through Digital Learning', 50, 58, { size: 9, color: grey });
+    textRight(`${invoice.company.website}  |  ${invoice.number}`, 545, 58, { size: 9, font: fontItalic, color: grey });
+
+    return pdfDoc.save();
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,601 @@
+// =============================================
+// MEMBERSHIP SERVICE
+// =============================================
+// All-access plans live in `membership_plans`:
+//   { name, interval: 'monthly' | 'annual', price (USD), prices, scope: 'all' | 'category',
+//     category, graceDays, isActive }
+// A user's membership of a plan is memberships/{userId}_{planId}. Every completed
+// order for the plan (first purchase or renewal, through PayChangu or PayPal)
+// extends currentPeriodEnd by one interval. Past that date the membership is in
+// its grace period until graceEndsAt and keeps access; after that it expires and
+// enrollments made through it are suspended until the next renewal.
+const admin = require('firebase-admin');
+
+const INTERVALS = ['monthly', 'annual'];
+const PLAN_SCOPES = ['all', 'category'];
+
+// Statuses that still grant access
+const ACCESS_STATUSES = ['active', 'grace'];
+
+const DEFAULT_GRACE_DAYS = parseInt(process.env.MEMBERSHIP_GRACE_DAYS) || 3;
+const RENEWAL_REMINDER_DAYS = parseInt(process.env.MEMBERSHIP_RENEWAL_REMINDER_DAYS) || 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MembershipService {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  getMembershipId(userId, planId) {
+    return `${userId}_${planId}`;
+  }
+
+  // Create a plan
+  async createPlan(data, actor = 'system') {
+    const validation = this.validatePlan(data);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const planRef = data.id
+      ? this.db.collection('membership_plans').doc(data.id)
+      : this.db.collection('membership_plans').doc();
+
+    const plan = {
+      id: planRef.id,
+      name: data.name.trim(),
+      description: data.description || '',
+      interval: data.interval,
+      price: parseFloat(data.price),
+      prices: data.prices || {},
+      scope: data.scope || 'all',
+      category: data.scope === 'category' ? data.category : null,
+      graceDays: data.graceDays !== undefined ? parseInt(data.graceDays) : DEFAULT_GRACE_DAYS,
+      isActive: data.isActive !== false,
+      createdBy: actor,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    // create() fails if the id is already taken
+    try {
+      await planRef.create(plan);
+    } catch (error) {
+      if (error.code === 6) {
+        throw new Error(`Membership plan already exists: ${planRef.id}`);
+      }
+      throw error;
+    }
+
+    return plan;
+  }
+
+  // Update a plan. Existing memberships keep their scope until their next renewal
+  async updatePlan(planId, updates, actor = 'system') {
+    const planRef = this.db.collection('membership_plans').doc(planId);
+    const planDoc = await planRef.get();
+    if (!planDoc.exists) {
+      throw new Error('Membership plan not found');
+    }
+
+    const merged = { ...planDoc.data(), ...updates };
+    const validation = this.validatePlan(merged);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const allowed = ['name', 'description', 'interval', 'price', 'prices', 'scope', 'category', 'graceDays', 'isActive'];
+    const data = {};
+    for (const key of allowed) {
+      if (updates[key] !== undefined) {
+        data[key] = updates[key];
+      }
+    }
+    if (data.price !== undefined) data.price = parseFloat(data.price);
+    if (data.graceDays !== undefined) data.graceDays = parseInt(data.graceDays);
+    if (merged.scope !== 'category') data.category = null;
+
+    await planRef.update({
+      ...data,
+      updatedBy: actor,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { id: planId, ...planDoc.data(), ...data };
+  }
+
+  validatePlan(data) {
+    if (!data || !data.name || !String(data.name).trim()) {
+      return { valid: false, error: 'Plan name is required' };
+    }
+
+    if (!INTERVALS.includes(data.interval)) {
+      return { valid: false, error: `interval must be one of ${INTERVALS.join(', ')}` };
+    }
+
+    if (!(parseFloat(data.price) > 0)) {
+      return { valid: false, error: 'Price must be greater than zero' };
+    }
+
+    const scope = data.scope || 'all';
+    if (!PLAN_SCOPES.includes(scope)) {
+      return { valid: false, error: `scope must be one of ${PLAN_SCOPES.join(', ')}` };
+    }
+
+    if (scope === 'category' && !data.category) {
+      return { valid: false, error: 'Category plans need a category' };
+    }
+
+    if (data.graceDays !== undefined && !(parseInt(data.graceDays) >= 0)) {
+      return { valid: false, error: 'graceDays must be zero or more' };
+    }
+
+    return { valid: true };
+  }
+
+  async getPlan(planId) {
+    const planDoc = await this.db.collection('membership_plans').doc(planId).get();
+    return planDoc.exists ? { id: planDoc.id, ...planDoc.data() } : null;
+  }
+
+  async listPlans({ activeOnly = true } = {}) {
+    let query = this.db.collection('membership_plans');
+    if (activeOnly) {
+      query = query.where('isActive', '==', true);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.price - b.price);
+  }
+
+  async getUserMemberships(userId) {
+    const snapshot = await this.db.collection('memberships')
+      .where('userId', '==', userId)
+      .get();
+
+    return snapshot.docs.map(doc => {
+      const membership = { id: doc.id, ...doc.data() };
+      return { ...membership, status: this.getEffectiveStatus(membership) };
+    });
+  }
+
+  // Status from the dates, so access is right even before the expiry sweep runs
+  getEffectiveStatus(membership, now = new Date()) {
+    if (membership.status === 'cancelled' || membership.status === 'expired') {
+      return membership.status;
+    }
+
+    const iso = now.toISOString();
+    if (iso <= membership.currentPeriodEnd) {
+      return 'active';
+    }
+    if (membership.autoRenew !== false && membership.graceEndsAt && iso <= membership.graceEndsAt) {
+      return 'grace';
+    }
+    return 'expired';
+  }
+
+  // Whether a membership covers a course
+  covers(membership, course) {
+    if (course.status && course.status !== 'published' && !course.isPublished) {
+      return false;
+    }
+    if (membership.scope === 'category') {
+      return course.category === membership.category;
+    }
+    return true;
+  }
+
+  // An access-granting membership of the user that covers the course, if any
+  async findCoveringMembership(userId, course) {
+    const memberships = await this.getUserMemberships(userId);
+    return memberships.find(membership =>
+      ACCESS_STATUSES.includes(membership.status) && this.covers(membership, course)
+    ) || null;
+  }
+
+  // Entitlement check for course contents. Resolves to
+  // { allowed, source: 'free' | 'enrollment' | 'membership' | null, enrollment, membership, reason }
+  async checkCourseAccess(userId, courseId) {
+    const courseDoc = await this.db.collection('courses').doc(courseId).get();
+    if (!courseDoc.exists) {
+      throw new Error('Course not found');
+    }
+
+    const course = { id: courseDoc.id, ...courseDoc.data() };
+    const enrollment = await this.findEnrollment(userId, courseId);
+
+    // Purchased (or admin-granted) enrollments do not depend on a membership
+    if (enrollment && enrollment.status !== 'refunded' && enrollment.status !== 'suspended' && enrollment.accessSource !== 'membership') {
+      return { allowed: true, source: 'enrollment', enrollment, membership: null, reason: null };
+    }
+
+    const membership = await this.findCoveringMembership(userId, course);
+    if (membership) {
+      return { allowed: true, source: 'membership', enrollment, membership, reason: null };
+    }
+
+    if (!(parseFloat(course.priceUSD ?? course.price) > 0)) {
+      return { allowed: true, source: 'free', enrollment, membership: null, reason: null };
+    }
+
+    let reason = 'You are not enrolled in this course';
+    if (enrollment && enrollment.accessSource === 'membership') {
+      reason = 'Your membership has expired. Renew it to continue this course.';
+    } else if (enrollment && enrollment.accessSource === 'installment' && enrollment.status === 'suspended') {
+      reason = 'An installment is overdue. Pay it to continue this course.';
+    }
+
+    return {
+      allowed: false,
+      source: null,
+      enrollment,
+      membership: null,
+      reason
+    };
+  }
+
+  async findEnrollment(userId, courseId) {
+    const [byUser, byStudent] = await Promise.all([
+      this.db.collection('enrollments').where('userId', '==', userId).where('courseId', '==', courseId).limit(1).get(),
+      this.db.collection('enrollments').where('studentId', '==', userId).where('courseId', '==', courseId).limit(1).get()
+    ]);
+
+    const doc = byUser.docs[0] || byStudent.docs[0];
+    return doc ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  // Enroll through a membership. Resumes an enrollment suspended by an earlier expiry
+  async enrollWithMembership(userId, courseId, membership) {
+    const enrollmentRef = this.db.collection('enrollments').doc(`${userId}_${courseId}`);
+
+    try {
+      await enrollmentRef.create({
+        id: enrollmentRef.id,
+        userId,
+        courseId,
+        paymentId: null,
+        paymentMethod: 'membership',
+        accessSource: 'membership',
+        membershipId: membership.id,
+        enrolledAt: new Date().toISOString(),
+        status: 'active',
+        progress: 0,
+        completed: false,
+        certificateEligible: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      // gRPC ALREADY_EXISTS
+      if (error.code !== 6) {
+        throw error;
+      }
+
+      const existing = (await enrollmentRef.get()).data();
+      if (existing.accessSource !== 'membership' || existing.status === 'active') {
+        return { success: false, error: 'Already enrolled', enrolled: true, enrollmentId: enrollmentRef.id };
+      }
+
+      await enrollmentRef.update({
+        status: 'active',
+        membershipId: membership.id,
+        resumedAt: new Date().toISOString(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return { success: true, enrollmentId: enrollmentRef.id, resumed: true };
+    }
+
+    const progressService = require('./progressService');
+    await progressService.initProgress(userId, courseId, enrollmentRef.id);
+
+    await this.db.collection('users').doc(userId).update({
+      enrolledCourses: admin.firestore.FieldValue.arrayUnion(courseId),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await this.db.collection('courses').doc(courseId).update({
+      totalEnrollments: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { success: true, enrollmentId: enrollmentRef.id, resumed: false };
+  }
+
+  addInterval(date, interval) {
+    const next = new Date(date);
+    const day = next.getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + (interval === 'annual' ? 12 : 1));
+
+    // Jan 31 + 1 month is the last day of February, not March 3
+    const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(day, lastDay));
+    return next;
+  }
+
+  // Grant (or extend) a membership period for a completed plan order.
+  // Safe to call more than once for the same payment
+  async activateFromPayment(paymentId, payment) {
+    const plan = await this.getPlan(payment.planId);
+    if (!plan) {
+      throw new Error('Membership plan not found');
+    }
+
+    const membershipId = this.getMembershipId(payment.userId, plan.id);
+    const membershipRef = this.db.collection('memberships').doc(membershipId);
+
+    const membership = await this.db.runTransaction(async (transaction) => {
+      const membershipDoc = await transaction.get(membershipRef);
+      const existing = membershipDoc.exists ? membershipDoc.data() : null;
+
+      if (existing && (existing.paymentIds || []).includes(paymentId)) {
+        return { id: membershipId, ...existing, alreadyApplied: true };
+      }
+
+      // Renewals paid before expiry (or during grace) continue from the period end
+      const now = new Date();
+      const status = existing ? this.getEffectiveStatus(existing, now) : 'expired';
+      const start = ACCESS_STATUSES.includes(status) ? new Date(existing.currentPeriodEnd) : now;
+      const end = this.addInterval(start, plan.interval);
+      const graceEnd = new Date(end.getTime() + (parseInt(plan.graceDays) || 0) * DAY_MS);
+
+      const data = {
+        id: membershipId,
+        userId: payment.userId,
+        planId: plan.id,
+        planName: plan.name,
+        interval: plan.interval,
+        scope: plan.scope || 'all',
+        category: plan.category || null,
+        status: 'active',
+        autoRenew: true,
+        currentPeriodStart: start.toISOString(),
+        currentPeriodEnd: end.toISOString(),
+        graceEndsAt: graceEnd.toISOString(),
+        lastPaymentId: paymentId,
+        paymentIds: admin.firestore.FieldValue.arrayUnion(paymentId),
+        renewalReminderFor: null,
+        history: admin.firestore.FieldValue.arrayUnion({
+          event: existing ? 'renewed' : 'started',
+          paymentId,
+          periodEnd: end.toISOString(),
+          timestamp: now.toISOString()
+        }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      if (!existing) {
+        data.startedAt = now.toISOString();
+        data.createdAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+
+      transaction.set(membershipRef, data, { merge: true });
+
+      return {
+        id: membershipId,
+        userId: payment.userId,
+        planId: plan.id,
+        planName: plan.name,
+        status: 'active',
+        currentPeriodStart: data.currentPeriodStart,
+        currentPeriodEnd: data.currentPeriodEnd,
+        graceEndsAt: data.graceEndsAt,
+        alreadyApplied: false
+      };
+    });
+
+    if (!membership.alreadyApplied) {
+      await this.setEnrollmentsStatus(membershipId, 'suspended', 'active');
+    }
+
+    return membership;
+  }
+
+  // Stop auto-renewal; access continues until the paid period ends, without a grace period
+  async cancel(userId, planId, actor = userId) {
+    const membershipRef = this.db.collection('memberships').doc(this.getMembershipId(userId, planId));
+    const membershipDoc = await membershipRef.get();
+    if (!membershipDoc.exists) {
+      throw new Error('Membership not found');
+    }
+
+    await membershipRef.update({
+      autoRenew: false,
+      cancelledAt: new Date().toISOString(),
+      history: admin.firestore.FieldValue.arrayUnion({
+        event: 'auto_renew_cancelled',
+        actor,
+        timestamp: new Date().toISOString()
+      }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { id: membershipDoc.id, ...membershipDoc.data(), autoRenew: false };
+  }
+
+  // End a membership immediately, e.g. when its order is refunded
+  async revoke(userId, planId, reason = '', actor = 'system') {
+    const membershipId = this.getMembershipId(userId, planId);
+    const membershipRef = this.db.collection('memberships').doc(membershipId);
+    const membershipDoc = await membershipRef.get();
+    if (!membershipDoc.exists) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    await membershipRef.update({
+      status: 'cancelled',
+      autoRenew: false,
+      currentPeriodEnd: now,
+      graceEndsAt: now,
+      history: admin.firestore.FieldValue.arrayUnion({
+        event: 'revoked',
+        actor,
+        reason,
+        timestamp: now
+      }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await this.setEnrollmentsStatus(membershipId, 'active', 'suspended');
+    return membershipId;
+  }
+
+  // Move enrollments made through a membership between active and suspended
+  async setEnrollmentsStatus(membershipId, from, to) {
+    const snapshot = await this.db.collection('enrollments')
+      .where('membershipId', '==', membershipId)
+      .where('status', '==', from)
+      .get();
+
+    await Promise.all(snapshot.docs.map(doc => doc.ref.update({
+      status: to,
+      [to === 'suspended' ? 'suspendedAt' : 'resumedAt']: new Date().toISOString(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    })));
+
+    return snapshot.size;
+  }
+
+  // Cron sweep: send renewal reminders, move lapsed memberships into grace and
+  // expire them (suspending their enrollments) once grace is over. Only
+  // memberships with something to do are selected, so ones already reminded or
+  // still inside their grace period do not use up `limit`
+  async processRenewals({ limit = 200, dryRun = false } = {}) {
+    const now = new Date();
+    const reminderCutoff = new Date(now.getTime() + RENEWAL_REMINDER_DAYS * DAY_MS).toISOString();
+    const results = {
+      checked: 0,
+      reminded: [],
+      grace: [],
+      expired: [],
+      errors: []
+    };
+
+    try {
+      const memberships = this.db.collection('memberships');
+      const snapshots = await Promise.all([
+        // Due a reminder for the current period
+        memberships
+          .where('status', '==', 'active')
+          .where('autoRenew', '==', true)
+          .where('renewalReminderFor', '==', null)
+          .where('currentPeriodEnd', '<=', reminderCutoff)
+          .orderBy('currentPeriodEnd')
+          .limit(limit)
+          .get(),
+        // Past the period end: into grace, or expired
+        memberships
+          .where('status', '==', 'active')
+          .where('currentPeriodEnd', '<', now.toISOString())
+          .orderBy('currentPeriodEnd')
+          .limit(limit)
+          .get(),
+        // Past the end of grace
+        memberships
+          .where('status', '==', 'grace')
+          .where('graceEndsAt', '<', now.toISOString())
+          .orderBy('graceEndsAt')
+          .limit(limit)
+          .get()
+      ]);
+
+      const docs = [...new Map(snapshots
+        .flatMap(snapshot => snapshot.docs)
+        .map(doc => [doc.id, doc])).values()].slice(0, limit);
+
+      results.checked = docs.length;
+
+      for (const doc of docs) {
+        const membership = { id: doc.id, ...doc.data() };
+        const status = this.getEffectiveStatus(membership, now);
+
+        try {
+          if (status === 'active') {
+            if (!membership.autoRenew || membership.renewalReminderFor === membership.currentPeriodEnd) {
+              continue;
+            }
+            results.reminded.push(doc.id);
+            if (!dryRun) {
+              await doc.ref.update({ renewalReminderFor: membership.currentPeriodEnd });
+              await this.notify(membership, 'membership_renewal_due', 'Membership renewal due',
+                `Your ${membership.planName} membership renews on ${membership.currentPeriodEnd.slice(0, 10)}. Pay the renewal to keep access to your courses.`);
+            }
+            continue;
+          }
+
+          if (status === membership.status) {
+            continue;
+          }
+
+          results[status === 'grace' ? 'grace' : 'expired'].push(doc.id);
+          if (dryRun) {
+            continue;
+          }
+
+          await doc.ref.update({
+            status,
+            history: admin.firestore.FieldValue.arrayUnion({
+              event: status,
+              timestamp: now.toISOString()
+            }),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+          if (status === 'grace') {
+            await this.notify(membership, 'membership_grace', 'Membership renewal overdue',
+              `Your ${membership.planName} membership has lapsed. Renew before ${membership.graceEndsAt.slice(0, 10)} to keep access.`);
+          } else {
+            await this.setEnrollmentsStatus(doc.id, 'active', 'suspended');
+            await this.notify(membership, 'membership_expired', 'Membership expired',
+              `Your ${membership.planName} membership has expired and access to its courses is paused. Renew at any time to continue where you left off.`);
+          }
+
+        } catch (error) {
+          console.error(`Membership ${doc.id} renewal sweep error:`, error);
+          results.errors.push({ membershipId: doc.id, error: error.message });
+        }
+      }
+
+      return {
+        success: true,
+        dryRun,
+        ...results
+      };
+
+    } catch (error) {
+      console.error('Membership renewal sweep error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async notify(membership, type, title, message) {
+    try {
+      await this.db.collection('notifications').add({
+        userId: membership.userId,
+        type,
+        title,
+        message,
+        data: {
+          membershipId: membership.id,
+          planId: membership.planId
+        },
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      // Notification failures must not stop the sweep
+      console.error(`Membership notification error (${membership.id}):`, error);
+    }
+  }
+}
+
+module.exports = new MembershipService();
+module.exports.INTERVALS = INTERVALS;
+module.exports.PLAN_SCOPES = PLAN_SCOPES;
@@ -0,0 +1,598 @@
+// =============================================
+// ORGANIZATION SERVICE
+// =============================================
+// Organization (cohort) accounts own a pool of seats:
+//   organizations/{orgId}                     { name, billing, seatsTotal, seatsAllocated, memberCount }
+//   organizations/{orgId}/licenses/{courseId} { seats, used }  pool seats allocated to a course
+//   organization_members/{orgId}_{email}      { role: member | org_admin, status: invited | active | removed,
+//                                               assignedCourses }
+// Seats come from the platform admin (contract licenses) or from course seat
+// orders an org admin pays for with organizationId at checkout. Assigning a seat
+// to an active member enrolls them with paymentMethod 'organization'; seats assigned
+// to invited members are enrolled when they accept. Enrollments carry
+// organizationId, which is what reports and Firestore rules key on.
+const admin = require('firebase-admin');
+
+const MEMBER_ROLES = ['member', 'org_admin'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class OrganizationService {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  getMemberId(orgId, email) {
+    return `${orgId}_${String(email).trim().toLowerCase()}`;
+  }
+
+  // Platform admins manage every organization; org admins only their own
+  canManage(user, orgId) {
+    return Boolean(user) && (user.role === 'admin' || (user.role === 'org_admin' && user.organizationId === orgId));
+  }
+
+  async assertCanManage(userId, orgId) {
+    const userDoc = await this.db.collection('users').doc(userId).get();
+    if (!userDoc.exists || !this.canManage(userDoc.data(), orgId)) {
+      throw new Error('Only organization admins can do this');
+    }
+  }
+
+  async getOrganization(orgId) {
+    const orgDoc = await this.db.collection('organizations').doc(orgId).get();
+    return orgDoc.exists ? orgDoc.data() : null;
+  }
+
+  async listOrganizations({ limit = 50 } = {}) {
+    const snapshot = await this.db.collection('organizations')
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  validateBilling(billing = {}) {
+    if (!billing.email || !EMAIL_PATTERN.test(billing.email)) {
+      throw new Error('A valid billing email is required');
+    }
+    return {
+      email: billing.email.trim().toLowerCase(),
+      address: billing.address || '',
+      taxId: billing.taxId || ''
+    };
+  }
+
+  // Platform admin: create an organization and invite its first admins
+  async createOrganization({ name, billing, seatsTotal = 0, adminEmails = [] }, actor = 'system') {
+    if (!name || !name.trim()) {
+      throw new Error('Organization name is required');
+    }
+    const seats = parseInt(seatsTotal) || 0;
+    if (seats < 0) {
+      throw new Error('seatsTotal cannot be negative');
+    }
+
+    const orgRef = this.db.collection('organizations').doc();
+    const organization = {
+      id: orgRef.id,
+      name: name.trim(),
+      billing: this.validateBilling(billing),
+      seatsTotal: seats,
+      seatsAllocated: 0,
+      memberCount: 0,
+      paymentIds: [],
+      status: 'active',
+      createdBy: actor,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    await orgRef.set(organization);
+    const invited = await this.inviteMembers(orgRef.id, adminEmails.map(email => ({ email, role: 'org_admin' })), actor);
+
+    return { ...organization, invited };
+  }
+
+  // Platform admin: change name, billing or the contracted seat pool
+  async updateOrganization(orgId, updates, actor = 'system') {
+    const orgRef = this.db.collection('organizations').doc(orgId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const orgDoc = await transaction.get(orgRef);
+      if (!orgDoc.exists) {
+        throw new Error('Organization not found');
+      }
+
+      const organization = orgDoc.data();
+      const changes = { updatedBy: actor, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+
+      if (updates.name !== undefined) {
+        if (!String(updates.name).trim()) throw new Error('Organization name is required');
+        changes.name = String(updates.name).trim();
+      }
+      if (updates.billing !== undefined) {
+        changes.billing = this.validateBilling({ ...organization.billing, ...updates.billing });
+      }
+      if (updates.seatsTotal !== undefined) {
+        const seats = parseInt(updates.seatsTotal);
+        if (isNaN(seats) || seats < organization.seatsAllocated) {
+          throw new Error(`seatsTotal cannot be below the ${organization.seatsAllocated} seats already allocated to courses`);
+        }
+        changes.seatsTotal = seats;
+      }
+      if (updates.status !== undefined) {
+        if (!['active', 'suspended'].includes(updates.status)) throw new Error('status must be active or suspended');
+        changes.status = updates.status;
+      }
+
+      transaction.update(orgRef, changes);
+      return { ...organization, ...changes, updatedAt: new Date().toISOString() };
+    });
+  }
+
+  // ===== MEMBERS =====
+
+  // Members from a CSV with an email column and optional role and courseId columns
+  parseMembersCsv(csvText) {
+    const reconciliationService = require('./reconciliationService');
+    const [headers, ...rows] = reconciliationService.parseCsv(csvText);
+    if (!headers) {
+      throw new Error('CSV file is empty');
+    }
+
+    const columns = headers.map(header => reconciliationService.normalizeHeader(header));
+    const emailColumn = columns.indexOf('email');
+    if (emailColumn < 0) {
+      throw new Error('CSV needs an email column');
+    }
+
+    const roleColumn = columns.indexOf('role');
+    const courseColumn = columns.indexOf('courseid');
+    return rows.map(cells => ({
+      email: (cells[emailColumn] || '').trim(),
+      role: roleColumn >= 0 ? (cells[roleColumn] || '').trim() || 'member' : 'member',
+      courseId: courseColumn >= 0 ? (cells[courseColumn] || '').trim() || null : null
+    }));
+  }
+
+  // Invite people by email. Existing members are left as they are; rows with a
+  // courseId also get a seat in that course. Resolves to the per-row results
+  async inviteMembers(orgId, invitations, actor = 'system') {
+    const organization = await this.getOrganization(orgId);
+    if (!organization) {
+      throw new Error('Organization not found');
+    }
+
+    const results = [];
+    for (const invitation of invitations) {
+      const email = String(invitation.email || '').trim().toLowerCase();
+      const role = invitation.role || 'member';
+
+      if (!EMAIL_PATTERN.test(email)) {
+        results.push({ email, success: false, error: 'Invalid email address' });
+        continue;
+      }
+      if (!MEMBER_ROLES.includes(role)) {
+        results.push({ email, success: false, error: `role must be one of: ${MEMBER_ROLES.join(', ')}` });
+        continue;
+      }
+
+      const memberRef = this.db.collection('organization_members').doc(this.getMemberId(orgId, email));
+      let created = true;
+      try {
+        await memberRef.create({
+          orgId,
+          email,
+          userId: null,
+          role,
+          status: 'invited',
+          assignedCourses: [],
+          invitedBy: actor,
+          invitedAt: new Date().toISOString(),
+          joinedAt: null
+        });
+      } catch (error) {
+        // gRPC ALREADY_EXISTS: already a member or invited
+        if (error.code !== 6) throw error;
+        created = false;
+      }
+
+      if (created) {
+        const emailService = require('./emailService');
+        await emailService.sendOrganizationInviteEmail(email, organization.name, role);
+      }
+
+      const result = { email, success: true, invited: created };
+      if (invitation.courseId) {
+        try {
+          result.assignment = await this.assignSeat(orgId, email, invitation.courseId);
+        } catch (error) {
+          result.assignment = { success: false, error: error.message };
+        }
+      }
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  async listMembers(orgId) {
+    const snapshot = await this.db.collection('organization_members')
+      .where('orgId', '==', orgId)
+      .get();
+    return snapshot.docs.map(doc => doc.data()).filter(member => member.status !== 'removed');
+  }
+
+  // Pending invitations for the signed-in user's email
+  async getInvitations(email) {
+    const snapshot = await this.db.collection('organization_members')
+      .where('email', '==', String(email).toLowerCase())
+      .where('status', '==', 'invited')
+      .get();
+
+    const invitations = snapshot.docs.map(doc => doc.data());
+    const orgDocs = invitations.length > 0
+      ? await this.db.getAll(...invitations.map(invitation => this.db.collection('organizations').doc(invitation.orgId)))
+      : [];
+
+    return invitations.map((invitation, index) => ({
+      ...invitation,
+      organizationName: orgDocs[index].exists ? orgDocs[index].data().name : null
+    }));
+  }
+
+  // Join an organization the user was invited to and take up the seats assigned so far
+  async acceptInvitation(orgId, user) {
+    const email = String(user.email || '').toLowerCase();
+    const memberRef = this.db.collection('organization_members').doc(this.getMemberId(orgId, email));
+    const userRef = this.db.collection('users').doc(user.uid);
+    const orgRef = this.db.collection('organizations').doc(orgId);
+
+    const member = await this.db.runTransaction(async (transaction) => {
+      const [memberDoc, userDoc] = await Promise.all([
+        transaction.get(memberRef),
+        transaction.get(userRef)
+      ]);
+
+      if (!memberDoc.exists || memberDoc.data().status !== 'invited') {
+        throw new Error('No pending invitation for this account');
+      }
+
+      const existing = userDoc.exists ? userDoc.data() : {};
+      if (existing.organizationId && existing.organizationId !== orgId) {
+        throw new Error('This account already belongs to another organization');
+      }
+
+      const member = memberDoc.data();
+      const userUpdates = {
+        organizationId: orgId,
+        updatedAt: new Date().toISOString()
+      };
+      // Platform admins keep their role
+      if (member.role === 'org_admin' && existing.role !== 'admin') {
+        userUpdates.role = 'org_admin';
+      }
+
+      transaction.update(memberRef, { status: 'active', userId: user.uid, joinedAt: new Date().toISOString() });
+      transaction.set(userRef, userUpdates, { merge: true });
+      transaction.update(orgRef, {
+        memberCount: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { ...member, status: 'active', userId: user.uid };
+    });
+
+    const enrollments = [];
+    for (const courseId of member.assignedCourses || []) {
+      enrollments.push({ courseId, ...(await this.enrollMember(orgId, member, courseId)) });
+    }
+
+    return { member, enrollments };
+  }
+
+  // Remove a member: seats in courses they have not finished go back to the pool
+  async removeMember(orgId, email, actor = 'system') {
+    const memberRef = this.db.collection('organization_members').doc(this.getMemberId(orgId, email));
+    const memberDoc = await memberRef.get();
+    if (!memberDoc.exists || memberDoc.data().status === 'removed') {
+      throw new Error('Member not found');
+    }
+
+    const member = memberDoc.data();
+    const released = [];
+
+    for (const courseId of member.assignedCourses || []) {
+      const enrollment = member.userId ? await this.findOrgEnrollment(orgId, member.userId, courseId) : null;
+      const finished = enrollment && (enrollment.data().status === 'completed' || (parseFloat(enrollment.data().progress) || 0) >= 100);
+      if (finished) continue;
+
+      if (enrollment) {
+        await enrollment.ref.update({
+          status: 'suspended',
+          suspendedReason: 'Removed from organization',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+      await this.db.collection('organizations').doc(orgId).collection('licenses').doc(courseId).update({
+        used: admin.firestore.FieldValue.increment(-1)
+      });
+      released.push(courseId);
+    }
+
+    await memberRef.update({
+      status: 'removed',
+      removedBy: actor,
+      removedAt: new Date().toISOString(),
+      assignedCourses: (member.assignedCourses || []).filter(courseId => !released.includes(courseId))
+    });
+
+    if (member.userId) {
+      const userRef = this.db.collection('users').doc(member.userId);
+      const userDoc = await userRef.get();
+      if (userDoc.exists && userDoc.data().organizationId === orgId) {
+        await userRef.update({
+          organizationId: null,
+          ...(userDoc.data().role === 'org_admin' ? { role: 'student' } : {}),
+          updatedAt: new Date().toISOString()
+        });
+      }
+      if (member.status === 'active') {
+        await this.db.collection('organizations').doc(orgId).update({
+          memberCount: admin.firestore.FieldValue.increment(-1)
+        });
+      }
+    }
+
+    return { email: member.email, released };
+  }
+
+  // ===== LICENSES & SEATS =====
+
+  async listLicenses(orgId) {
+    const snapshot = await this.db.collection('organizations').doc(orgId).collection('licenses').get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Set how many pool seats a course gets (not below the seats already used)
+  async allocateLicense(orgId, courseId, seats, actor = 'system') {
+    const count = parseInt(seats);
+    if (isNaN(count) || count < 0) {
+      throw new Error('seats must be zero or more');
+    }
+
+    const orgRef = this.db.collection('organizations').doc(orgId);
+    const licenseRef = orgRef.collection('licenses').doc(courseId);
+    const courseRef = this.db.collection('courses').doc(courseId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const [orgDoc, licenseDoc, courseDoc] = await Promise.all([
+        transaction.get(orgRef),
+        transaction.get(licenseRef),
+        transaction.get(courseRef)
+      ]);
+
+      if (!orgDoc.exists) throw new Error('Organization not found');
+      if (!courseDoc.exists) throw new Error('Course not found');
+
+      const organization = orgDoc.data();
+      const license = licenseDoc.exists ? licenseDoc.data() : { seats: 0, used: 0 };
+      if (count < license.used) {
+        throw new Error(`${license.used} seat(s) are already assigned in this course`);
+      }
+
+      const allocated = organization.seatsAllocated - license.seats + count;
+      if (allocated > organization.seatsTotal) {
+        throw new Error(`Only ${organization.seatsTotal - organization.seatsAllocated + license.seats} seat(s) available in the pool`);
+      }
+
+      const updated = {
+        courseId,
+        courseTitle: courseDoc.data().title || '',
+        seats: count,
+        used: license.used,
+        updatedBy: actor,
+        updatedAt: new Date().toISOString()
+      };
+      transaction.set(licenseRef, updated);
+      transaction.update(orgRef, { seatsAllocated: allocated, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+      return updated;
+    });
+  }
+
+  // Seats an org admin paid for at checkout go straight into that course's license.
+  // Safe to call more than once for the same payment
+  async addSeatsFromPayment(paymentId, payment) {
+    const orgRef = this.db.collection('organizations').doc(payment.organizationId);
+    const licenseRef = orgRef.collection('licenses').doc(payment.courseId);
+    const courseTitle = (payment.items && payment.items[0] && payment.items[0].title) || '';
+
+    return this.db.runTransaction(async (transaction) => {
+      const [orgDoc, licenseDoc] = await Promise.all([
+        transaction.get(orgRef),
+        transaction.get(licenseRef)
+      ]);
+
+      if (!orgDoc.exists) throw new Error('Organization not found');
+
+      const organization = orgDoc.data();
+      const license = licenseDoc.exists ? licenseDoc.data() : { courseId: payment.courseId, courseTitle, seats: 0, used: 0 };
+      if ((organization.paymentIds || []).includes(paymentId)) {
+        return license;
+      }
+
+      const updated = { ...license, seats: license.seats + payment.seats, updatedAt: new Date().toISOString() };
+      transaction.set(licenseRef, updated);
+      transaction.update(orgRef, {
+        seatsTotal: admin.firestore.FieldValue.increment(payment.seats),
+        seatsAllocated: admin.firestore.FieldValue.increment(payment.seats),
+        paymentIds: admin.firestore.FieldValue.arrayUnion(paymentId),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return updated;
+    });
+  }
+
+  // Give a member a seat in a course; active members are enrolled straight away
+  async assignSeat(orgId, email, courseId) {
+    const memberRef = this.db.collection('organization_members').doc(this.getMemberId(orgId, email));
+    const licenseRef = this.db.collection('organizations').doc(orgId).collection('licenses').doc(courseId);
+
+    const member = await this.db.runTransaction(async (transaction) => {
+      const [memberDoc, licenseDoc] = await Promise.all([
+        transaction.get(memberRef),
+        transaction.get(licenseRef)
+      ]);
+
+      if (!memberDoc.exists || memberDoc.data().status === 'removed') {
+        throw new Error('Member not found');
+      }
+      if (!licenseDoc.exists) {
+        throw new Error('The organization has no seats in this course');
+      }
+
+      const member = memberDoc.data();
+      const license = licenseDoc.data();
+      if ((member.assignedCourses || []).includes(courseId)) {
+        throw new Error('Member already has a seat in this course');
+      }
+      if (license.used >= license.seats) {
+        throw new Error('All seats in this course are assigned');
+      }
+
+      transaction.update(licenseRef, { used: admin.firestore.FieldValue.increment(1) });
+      transaction.update(memberRef, { assignedCourses: admin.firestore.FieldValue.arrayUnion(courseId) });
+
+      return member;
+    });
+
+    if (member.status !== 'active') {
+      return { success: true, courseId, enrolled: false, pending: true };
+    }
+
+    const enrollment = await this.enrollMember(orgId, member, courseId);
+    if (!enrollment.success) {
+      // Give the seat back, e.g. the member had already bought the course
+      await this.db.runTransaction(async (transaction) => {
+        transaction.update(licenseRef, { used: admin.firestore.FieldValue.increment(-1) });
+        transaction.update(memberRef, { assignedCourses: admin.firestore.FieldValue.arrayRemove(courseId) });
+      });
+    }
+
+    return { ...enrollment, courseId };
+  }
+
+  async enrollMember(orgId, member, courseId) {
+    try {
+      const courseService = require('./courseService');
+      const result = await courseService.enrollStudent(courseId, member.userId, member.email, false, {
+        paymentMethod: 'organization',
+        organizationId: orgId
+      });
+      return { success: true, enrolled: true, enrollmentId: result.enrollmentId };
+    } catch (error) {
+      return { success: false, enrolled: false, error: error.message };
+    }
+  }
+
+  async findOrgEnrollment(orgId, userId, courseId) {
+    const snapshot = await this.db.collection('enrollments')
+      .where('organizationId', '==', orgId)
+      .where('studentId', '==', userId)
+      .where('courseId', '==', courseId)
+      .limit(1)
+      .get();
+    return snapshot.empty ? null : snapshot.docs[0];
+  }
+
+  // ===== REPORTS =====
+
+  // Progress and certificates of every member enrollment, per member and per course
+  async getProgressReport(orgId) {
+    const [enrollmentSnapshot, members] = await Promise.all([
+      this.db.collection('enrollments').where('organizationId', '==', orgId).get(),
+      this.listMembers(orgId)
+    ]);
+
+    const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+    const rows = enrollmentSnapshot.docs.map(doc => {
+      const enrollment = doc.data();
+      const progress = parseFloat(enrollment.progress) || 0;
+      return {
+        enrollmentId: doc.id,
+        userId: enrollment.studentId,
+        email: enrollment.studentEmail,
+        courseId: enrollment.courseId,
+        courseTitle: enrollment.courseTitle || '',
+        status: enrollment.status,
+        progress,
+        completed: enrollment.status === 'completed' || progress >= 100,
+        certificateId: enrollment.certificateId || null,
+        certificateUrl: enrollment.certificateUrl || null,
+        certificateIssuedAt: toIso(enrollment.certificateIssuedAt),
+        enrolledAt: toIso(enrollment.enrollmentDate),
+        lastAccessed: toIso(enrollment.lastAccessed)
+      };
+    });
+
+    const courses = {};
+    for (const row of rows) {
+      const course = courses[row.courseId] = courses[row.courseId] || {
+        courseId: row.courseId,
+        courseTitle: row.courseTitle,
+        enrolled: 0,
+        started: 0,
+        completed: 0,
+        certificates: 0,
+        averageProgress: 0
+      };
+      course.enrolled++;
+      if (row.progress > 0) course.started++;
+      if (row.completed) course.completed++;
+      if (row.certificateId) course.certificates++;
+      course.averageProgress += row.progress;
+    }
+    Object.values(courses).forEach(course => {
+      course.averageProgress = course.enrolled > 0 ? Math.round(course.averageProgress / course.enrolled) : 0;
+    });
+
+    return {
+      orgId,
+      generatedAt: new Date().toISOString(),
+      summary: {
+        members: members.filter(member => member.status === 'active').length,
+        invited: members.filter(member => member.status === 'invited').length,
+        enrollments: rows.length,
+        completed: rows.filter(row => row.completed).length,
+        certificates: rows.filter(row => row.certificateId).length
+      },
+      courses: Object.values(courses),
+      enrollments: rows
+    };
+  }
+
+  toReportCsv(report) {
+    const reconciliationService = require('./reconciliationService');
+    const columns = ['email', 'courseTitle', 'courseId', 'status', 'progress', 'completed',
+      'certificateId', 'certificateIssuedAt', 'enrolledAt', 'lastAccessed'];
+
+    const lines = [columns.join(',')];
+    for (const row of report.enrollments) {
+      lines.push(columns.map(column => reconciliationService.toCsvValue(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  async listInvoices(orgId, { limit = 50 } = {}) {
+    const snapshot = await this.db.collection('invoices')
+      .where('organizationId', '==', orgId)
+      .orderBy('issuedAt', 'desc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+}
+
+module.exports = new OrganizationService();
+module.exports.MEMBER_ROLES = MEMBER_ROLES;
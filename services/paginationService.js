@@ -0,0 +1,150 @@
+// =============================================
+// CURSOR PAGINATION
+// =============================================
+// Listings page with opaque cursors instead of page numbers. A cursor is the
+// orderBy values of the last item on a page plus its id (the tie-breaker),
+// base64url encoded; clients pass pagination.nextCursor back as ?cursor=.
+// Every paged listing responds with
+//   { <items>, pagination: { limit, count, hasMore, nextCursor } }
+// (plus `total` where the whole set is in memory anyway).
+const admin = require('firebase-admin');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationService {
+  // { limit, cursor } from query params; limit is clamped to 1..maxLimit
+  parseParams(params = {}, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+    const limit = parseInt(params.limit) || defaultLimit;
+    return {
+      limit: Math.min(Math.max(limit, 1), maxLimit),
+      cursor: params.cursor || null
+    };
+  }
+
+  // Timestamps and Dates survive the JSON round trip as { _ts: [seconds, nanos] }
+  serializeValue(value) {
+    if (value instanceof admin.firestore.Timestamp) {
+      return { _ts: [value.seconds, value.nanoseconds] };
+    }
+    if (value instanceof Date) {
+      return this.serializeValue(admin.firestore.Timestamp.fromDate(value));
+    }
+    return value === undefined ? null : value;
+  }
+
+  deserializeValue(value) {
+    if (value && Array.isArray(value._ts)) {
+      return new admin.firestore.Timestamp(value._ts[0], value._ts[1]);
+    }
+    return value;
+  }
+
+  encodeCursor(values, id) {
+    const payload = JSON.stringify({ v: values.map(value => this.serializeValue(value)), id });
+    return Buffer.from(payload).toString('base64url');
+  }
+
+  decodeCursor(cursor, fieldCount) {
+    try {
+      const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!Array.isArray(payload.v) || payload.v.length !== fieldCount || typeof payload.id !== 'string') {
+        throw new Error('Malformed cursor');
+      }
+      return { values: payload.v.map(value => this.deserializeValue(value)), id: payload.id };
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+  }
+
+  getField(item, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+  }
+
+  buildPage(items, limit, getCursor, extra = {}) {
+    const hasMore = items.length > limit;
+    const pageItems = hasMore ? items.slice(0, limit) : items;
+
+    return {
+      items: pageItems,
+      pagination: {
+        limit,
+        count: pageItems.length,
+        hasMore,
+        nextCursor: hasMore ? getCursor(pageItems[pageItems.length - 1]) : null,
+        ...extra
+      }
+    };
+  }
+
+  // Page a Firestore query. orderBy is [[field, 'asc' | 'desc'], ...]; the
+  // document id breaks ties in the direction of the last field, which the
+  // composite index already covers. map turns a snapshot into an item.
+  // Resolves to { items, pagination }
+  async paginateQuery(query, { orderBy, limit = DEFAULT_LIMIT, cursor = null, map = doc => ({ id: doc.id, ...doc.data() }) }) {
+    const direction = orderBy[orderBy.length - 1][1];
+    let pageQuery = orderBy.reduce((current, [field, dir]) => current.orderBy(field, dir), query)
+      .orderBy(admin.firestore.FieldPath.documentId(), direction);
+
+    if (cursor) {
+      const { values, id } = this.decodeCursor(cursor, orderBy.length);
+      pageQuery = pageQuery.startAfter(...values, id);
+    }
+
+    const snapshot = await pageQuery.limit(limit + 1).get();
+    const getCursor = doc => this.encodeCursor(orderBy.map(([field]) => doc.get(field)), doc.id);
+    const page = this.buildPage(snapshot.docs, limit, getCursor);
+
+    return { items: page.items.map(map), pagination: page.pagination };
+  }
+
+  compareValues(a, b) {
+    const normalize = value => {
+      if (value instanceof admin.firestore.Timestamp) return value.toMillis();
+      if (value instanceof Date) return value.getTime();
+      return value;
+    };
+    const left = normalize(a);
+    const right = normalize(b);
+
+    if (left == null && right == null) return 0;
+    if (left == null) return -1;
+    if (right == null) return 1;
+    if (typeof left === 'number' && typeof right === 'number') return left - right;
+    return String(left).localeCompare(String(right));
+  }
+
+  // Page an array already sorted by orderBy, for listings that have to be
+  // assembled in memory (facet counts, search ranking, subcollections).
+  // Resumes after the cursor's item, or after its position when that item is gone.
+  // Returns { items, pagination } with the total
+  paginateArray(items, { orderBy, limit = DEFAULT_LIMIT, cursor = null, getId = item => item.id }) {
+    let start = 0;
+
+    if (cursor) {
+      const { values, id } = this.decodeCursor(cursor, orderBy.length);
+      const index = items.findIndex(item => getId(item) === id);
+
+      if (index !== -1) {
+        start = index + 1;
+      } else {
+        start = items.findIndex(item => {
+          for (let i = 0; i < orderBy.length; i++) {
+            const [field, dir] = orderBy[i];
+            const diff = this.compareValues(this.getField(item, field), values[i]);
+            if (diff !== 0) return dir === 'desc' ? diff < 0 : diff > 0;
+          }
+          return false;
+        });
+        if (start === -1) start = items.length;
+      }
+    }
+
+    const getCursor = item => this.encodeCursor(orderBy.map(([field]) => this.getField(item, field)), getId(item));
+    return this.buildPage(items.slice(start, start + limit + 1), limit, getCursor, { total: items.length });
+  }
+}
+
+module.exports = new PaginationService();
+module.exports.DEFAULT_LIMIT = DEFAULT_LIMIT;
+module.exports.MAX_LIMIT = MAX_LIMIT;
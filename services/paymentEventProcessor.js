@@ -0,0 +1,278 @@
+// =============================================
+// PAYMENT EVENT PROCESSOR
+// =============================================
+// Single pipeline for every payment provider webhook:
+// adapter.verify -> adapter.normalize -> webhook ledger -> apply()
+const admin = require('firebase-admin');
+const { getAdapter } = require('./providers');
+const webhookEventService = require('./webhookEventService');
+const paymentService = require('./paymentService');
+
+// Payment status each normalized event moves to
+const EVENT_STATUS = {
+  'payment.completed': 'completed',
+  'payment.failed': 'failed',
+  'payment.pending': 'pending',
+  'payment.refunded': 'refunded'
+};
+
+class PaymentEventProcessor {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  // Verify, record and apply a provider webhook.
+  // Resolves to { valid, reason } on a bad signature, otherwise { valid, duplicate, outcome }
+  async handleWebhook(provider, req, source) {
+    const adapter = getAdapter(provider);
+
+    const verification = await adapter.verify(req);
+    if (!verification.valid) {
+      return verification;
+    }
+
+    const payload = adapter.parse(req);
+    const event = adapter.normalize(payload);
+
+    // Skip deliveries we have already handled
+    const entry = await webhookEventService.begin({
+      provider,
+      source,
+      eventId: event.eventId,
+      eventType: event.rawType,
+      payload
+    });
+
+    if (entry.duplicate) {
+      console.log(`Duplicate ${provider} event ignored: ${event.eventId}`);
+      return { valid: true, duplicate: true };
+    }
+
+    const result = await webhookEventService.process(entry, (raw) => this.apply(adapter.normalize(raw)), payload);
+
+    return { valid: true, duplicate: false, outcome: result.outcome };
+  }
+
+  // Re-run a failed ledger entry through its provider adapter
+  async replay(ledgerId, actor) {
+    const entry = await webhookEventService.getEvent(ledgerId);
+    if (!entry) {
+      throw new Error('Webhook event not found');
+    }
+
+    const adapter = getAdapter(entry.provider);
+    return webhookEventService.replay(ledgerId, (raw) => this.apply(adapter.normalize(raw)), actor);
+  }
+
+  // Apply a normalized event to its payment. Returns the outcome recorded in the ledger
+  async apply(event) {
+    const nextStatus = EVENT_STATUS[event.type];
+    if (!nextStatus) {
+      console.log(`Unhandled ${event.provider} event:`, event.rawType);
+      return 'ignored';
+    }
+
+    const payment = await this.findPayment(event);
+    if (!payment) {
+      const error = new Error(`Payment not found for ${event.provider} order ${event.orderId || event.providerOrderId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (nextStatus === 'refunded') {
+      return this.applyRefund(event, payment);
+    }
+
+    // A late failure of an earlier charge must not fail the retry that replaced it
+    const currentReference = payment.data.paymentDetails?.chargeReference;
+    if (nextStatus === 'failed' && currentReference && event.orderId && event.orderId !== currentReference) {
+      return 'skipped_stale_attempt';
+    }
+
+    const update = {
+      'paymentDetails.webhookReceived': true,
+      'paymentDetails.webhookStatus': event.rawType
+    };
+
+    if (event.transactionId) {
+      update['paymentDetails.transactionId'] = event.transactionId;
+    }
+    if (event.network) {
+      update['paymentDetails.network'] = event.network;
+    }
+    if (event.payer) {
+      update['paymentDetails.payer'] = event.payer;
+    }
+    if (event.provider === 'paypal' && nextStatus === 'completed') {
+      update['paymentDetails.captureId'] = event.transactionId;
+      update['paymentDetails.captureStatus'] = event.raw.resource?.status || null;
+    }
+    if (nextStatus === 'failed') {
+      Object.assign(update, paymentService.buildFailureUpdates(event.failureCode, event.failureReason || `Payment ${event.rawType}`));
+    }
+    // A repeat completion (e.g. the capture webhook after /verify-payment) keeps the first completedAt
+    if (nextStatus === 'completed' && payment.data.status !== 'completed') {
+      update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    let result;
+    try {
+      result = await paymentService.transition(payment.ref.id, nextStatus, {
+        actor: `webhook:${event.provider}`,
+        reason: `${event.provider} webhook: ${event.rawType}`,
+        updates: update
+      });
+    } catch (error) {
+      if (error.code === 'ILLEGAL_TRANSITION') {
+        console.warn(`Ignoring ${event.type} for payment ${payment.ref.id}: ${error.message}`);
+        return `skipped_${error.from}`;
+      }
+      throw error;
+    }
+
+    // A completed payment that was never fulfilled (fulfillment threw, then the
+    // event was replayed or redelivered) is fulfilled now
+    if (!result.changed) {
+      if (nextStatus === 'completed' && !result.payment.fulfilledAt) {
+        await paymentService.fulfillPayment(payment.ref.id, payment.data);
+      }
+      return `already_${nextStatus}`;
+    }
+
+    await this.syncLegacyOrder(payment.data.orderId, nextStatus, event);
+
+    if (nextStatus === 'completed') {
+      await paymentService.fulfillPayment(payment.ref.id, payment.data);
+    }
+    if (nextStatus === 'failed') {
+      await paymentService.notifyPaymentFailed(payment.ref.id, result.payment, update.failureCode);
+    }
+
+    return nextStatus;
+  }
+
+  // Refund webhooks confirm refunds issued through paymentService.refundPayment (or the provider dashboard)
+  async applyRefund(event, payment) {
+    try {
+      const result = await paymentService.confirmRefund({
+        paymentId: payment.ref.id,
+        providerRefundId: event.refundId || event.transactionId,
+        amount: event.amount,
+        currency: event.currency,
+        actor: `webhook:${event.provider}`
+      });
+
+      await this.syncLegacyOrder(payment.data.orderId, result.status, event);
+
+      return result.alreadyConfirmed ? `already_${result.status}` : result.status;
+
+    } catch (error) {
+      if (error.code === 'ILLEGAL_TRANSITION') {
+        console.warn(`Ignoring ${event.type} for payment ${payment.ref.id}: ${error.message}`);
+        return `skipped_${error.from}`;
+      }
+      throw error;
+    }
+  }
+
+  // Locate the payment an event belongs to, creating it from a legacy payment_orders doc if needed
+  async findPayment(event) {
+    const payments = this.db.collection('payments');
+    const lookups = [];
+
+    if (event.orderId) {
+      lookups.push(payments.where('orderId', '==', event.orderId));
+      // Retried charges carry their own reference (see paymentService.prepareRetry)
+      lookups.push(payments.where('paymentDetails.chargeReferences', 'array-contains', event.orderId));
+    }
+    if (event.providerOrderId) {
+      lookups.push(payments.where('paymentDetails.paypalOrderId', '==', event.providerOrderId));
+    }
+    if (event.captureId) {
+      lookups.push(payments.where('paymentDetails.captureId', '==', event.captureId));
+    }
+    if (event.transactionId) {
+      lookups.push(payments.where('paymentDetails.transactionId', '==', event.transactionId));
+    }
+
+    for (const query of lookups) {
+      const snapshot = await query.limit(1).get();
+      if (!snapshot.empty) {
+        return { ref: snapshot.docs[0].ref, data: snapshot.docs[0].data() };
+      }
+    }
+
+    return this.createFromLegacyOrder(event);
+  }
+
+  // Orders placed through the old payment_orders flow have no payments doc yet
+  async createFromLegacyOrder(event) {
+    if (!event.orderId) {
+      return null;
+    }
+
+    const ordersSnapshot = await this.db.collection('payment_orders')
+      .where('orderId', '==', event.orderId)
+      .limit(1)
+      .get();
+
+    if (ordersSnapshot.empty) {
+      return null;
+    }
+
+    const order = ordersSnapshot.docs[0].data();
+    const ref = this.db.collection('payments').doc(`${event.provider.toUpperCase()}-${order.orderId}`);
+    const data = {
+      id: ref.id,
+      orderId: order.orderId,
+      userId: order.userId,
+      courseId: order.courseId,
+      amount: {
+        usd: order.totalAmount,
+        mwk: order.amountMWK
+      },
+      currency: order.currency,
+      method: event.provider,
+      status: order.status === 'completed' ? 'completed' : 'pending',
+      paymentDetails: {
+        provider: event.provider,
+        legacyOrder: true
+      },
+      history: [{
+        status: 'created',
+        timestamp: new Date().toISOString(),
+        message: 'Payment created from payment order'
+      }],
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    await ref.set(data, { merge: true });
+    return { ref, data };
+  }
+
+  // Keep the legacy payment_orders doc in step with its payment
+  async syncLegacyOrder(orderId, status, event) {
+    if (!orderId) {
+      return;
+    }
+
+    const ordersSnapshot = await this.db.collection('payment_orders')
+      .where('orderId', '==', orderId)
+      .limit(1)
+      .get();
+
+    if (ordersSnapshot.empty) {
+      return;
+    }
+
+    await ordersSnapshot.docs[0].ref.update({
+      status,
+      paymentStatus: status,
+      transactionId: event.transactionId || null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+}
+
+module.exports = new PaymentEventProcessor();
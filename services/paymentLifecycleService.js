@@ -0,0 +1,53 @@
+// =============================================
+// PAYMENT LIFECYCLE
+// =============================================
+// Side effects of a payment status change, run by paymentService.transition
+// once the change is committed: coupon reservations are confirmed or released,
+// completed orders get their invoice and instructor earnings, and the revenue
+// rollup of the order's day is rebuilt. A failing step is logged and does not
+// undo the status change or stop the steps after it.
+const couponService = require('./couponService');
+const invoiceService = require('./invoiceService');
+
+class PaymentLifecycleService {
+  // Takes the Payment.transition result; its `payment` is the data from before the change
+  async onStatusChanged(paymentId, { to, payment }) {
+    // Confirm or release coupon reservations held by the order
+    if ((payment.couponCodes || []).length > 0) {
+      try {
+        await couponService.settleForPayment(paymentId, payment.couponCodes, to);
+      } catch (error) {
+        console.error(`Coupon settlement failed for payment ${paymentId}:`, error);
+      }
+    }
+
+    if (to === 'completed') {
+      await this.onCompleted(paymentId);
+    }
+
+    // Revenue rollups group orders by the day they were created; rebuild that day
+    const revenueAnalyticsService = require('./revenueAnalyticsService');
+    await revenueAnalyticsService.markStale(payment.createdAt).catch(error => {
+      console.error(`Revenue rollup update failed for payment ${paymentId}:`, error);
+    });
+  }
+
+  async onCompleted(paymentId) {
+    // Every completed payment gets a numbered invoice, emailed with the confirmation
+    try {
+      await invoiceService.issueAndSend(paymentId);
+    } catch (error) {
+      console.error(`Invoice failed for payment ${paymentId}:`, error);
+    }
+
+    // Credit the course instructors with their share of the order
+    const earningsService = require('./earningsService');
+    try {
+      await earningsService.recordForPayment(paymentId);
+    } catch (error) {
+      console.error(`Instructor earnings failed for payment ${paymentId}:`, error);
+    }
+  }
+}
+
+module.exports = new PaymentLifecycleService();
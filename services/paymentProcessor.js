@@ -1,51 +1,7 @@
 // Payment Processor Service
-class PaymentProcessor {
-  constructor() {
-    this.exchangeRate = parseInt(process.env.EXCHANGE_RATE) || 800;
-    this.platformFeeRate = 0.10;
-  }
-
-  // Calculate total amount with fees
-  calculateTotal(amount, method) {
-    let feeRate = 0;
-    let fixedFee = 0;
-
-    switch (method) {
-      case 'paychangu':
-        feeRate = 0.03; // 3%
-        break;
-      case 'paypal':
-        feeRate = 0.029; // 2.9%
-        fixedFee = 0.30;
-        break;
-      case 'bank_transfer':
-        feeRate = 0;
-        break;
-      default:
-        feeRate = 0.03;
-    }
-
-    const platformFee = amount * this.platformFeeRate;
-    const paymentFee = (amount * feeRate) + fixedFee;
-    const total = amount + platformFee + paymentFee;
-
-    return {
-      amount,
-      platformFee,
-      paymentFee,
-      total,
-      breakdown: {
-        amount,
-        platformFee,
-        paymentFee,
-        total,
-        feeRate: feeRate * 100,
-        fixedFee,
-        platformFeeRate: this.platformFeeRate * 100
-      }
-    };
-  }
+const exchangeRateService = require('./exchangeRateService');
 
+class PaymentProcessor {
   // Validate payment amount
   validateAmount(paidAmount, requiredAmount) {
     const tolerance = 0.01; // $0.01
@@ -78,19 +34,12 @@ class PaymentProcessor {
     };
   }
 
-  // Convert currency
-  convertCurrency(amount, fromCurrency, toCurrency) {
+  // Convert currency at the current stored rate
+  async convertCurrency(amount, fromCurrency, toCurrency) {
     if (fromCurrency === toCurrency) return amount;
 
-    if (fromCurrency === 'USD' && toCurrency === 'MWK') {
-      return amount * this.exchangeRate;
-    }
-
-    if (fromCurrency === 'MWK' && toCurrency === 'USD') {
-      return amount / this.exchangeRate;
-    }
-
-    throw new Error('Unsupported currency conversion');
+    const converted = await exchangeRateService.convert(amount, fromCurrency, toCurrency);
+    return converted.amount;
   }
 
   // Generate unique transaction ID
@@ -108,7 +57,7 @@ class PaymentProcessor {
 
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD'
+      currency
     }).format(amount);
   }
 }
@@ -2,6 +2,41 @@
 // PAYMENT SERVICE
 // =============================================
 const admin = require('firebase-admin');
+const Payment = require('../models/Payment');
+const Course = require('../models/Course');
+const Bundle = require('../models/Bundle');
+const { adapters } = require('./providers');
+const feeEngine = require('./feeEngine');
+const exchangeRateService = require('./exchangeRateService');
+const couponService = require('./couponService');
+const paymentLifecycleService = require('./paymentLifecycleService');
+const membershipService = require('./membershipService');
+const installmentService = require('./installmentService');
+const sponsorshipService = require('./sponsorshipService');
+const organizationService = require('./organizationService');
+const paginationService = require('./paginationService');
+const progressService = require('./progressService');
+
+// Whether a confirmed refund removes course access: 'full' (default), 'always' or 'never'
+const REFUND_REVOKE_ACCESS = process.env.REFUND_REVOKE_ACCESS || 'full';
+
+// Enrollment statuses a new purchase of the course reactivates
+const REACTIVATE_STATUSES = ['refunded', 'suspended'];
+
+// Mobile money charges one order may make, counting the first one
+const PAYMENT_MAX_ATTEMPTS = parseInt(process.env.PAYMENT_MAX_ATTEMPTS) || 3;
+
+// How long after a failed or expired checkout the reminder email goes out
+const CHECKOUT_REMINDER_DELAY_HOURS = parseFloat(process.env.CHECKOUT_REMINDER_DELAY_HOURS) || 24;
+
+// What we tell the student for each failure code (see providers/index.js)
+const FAILURE_MESSAGES = {
+  insufficient_funds: 'Your mobile money balance was too low for this payment. Top up your wallet and try again.',
+  timeout: 'The payment prompt on your phone timed out before it was approved. Try again and approve it when it appears.',
+  user_cancelled: 'The payment was cancelled on your phone. Try again when you are ready.',
+  invalid_account: 'This phone number is not registered for mobile money on the selected network. Check the number or switch network.',
+  unknown: 'The payment could not be completed. Try again, or use a different phone number or network.'
+};
 
 class PaymentService {
   constructor() {
@@ -50,23 +85,66 @@ class PaymentService {
     };
   }
 
-  // Create payment order
-  async createPaymentOrder(userId, courseId, method, amount, metadata = {}) {
+  // Create payment order. couponCodes are validated against the course and
+  // reserved for this order in one transaction
+  async createPaymentOrder(userId, courseId, method, amount, metadata = {}, couponCodes = []) {
+    return this.createOrder(userId, { courseId }, method, amount, metadata, couponCodes);
+  }
+
+  // One order for every course in a bundle
+  async createBundleOrder(userId, bundleId, method, amount, metadata = {}, couponCodes = []) {
+    return this.createOrder(userId, { bundleId }, method, amount, metadata, couponCodes);
+  }
+
+  // First purchase or renewal of a membership plan
+  async createMembershipOrder(userId, planId, method, amount, metadata = {}, couponCodes = []) {
+    return this.createOrder(userId, { planId }, method, amount, metadata, couponCodes);
+  }
+
+  // seats turns a course order into a sponsorship: the buyer gets seat codes
+  // instead of an enrollment (see sponsorshipService). With organizationId the
+  // seats go to that organization's pool instead (see organizationService).
+  // The MWK rate is locked on the order here. details holds provider fields
+  // (phoneNumber, network, paymentDetails) stored on the payment as they are.
+  // Failures carry the HTTP status the checkout routes answer with
+  async createOrder(userId, { courseId = null, bundleId = null, planId = null, seats = null, recipients = [], organizationName = '', organizationId = null }, method, amount, metadata = {}, couponCodes = [], details = {}) {
+    let paymentId = null;
+    let reserved = false;
+
     try {
-      // Get course details
-      const courseDoc = await this.db.collection('courses').doc(courseId).get();
-      if (!courseDoc.exists) {
-        throw new Error('Course not found');
-      }
-      
-      const courseData = courseDoc.data();
+      const product = await this.getCheckoutProduct({ courseId, bundleId, planId, seats }).catch(error => {
+        throw Object.assign(error, { statusCode: 404 });
+      });
+      const seatOrder = await this.getSeatOrder(userId, product, { recipients, organizationName, organizationId }).catch(error => {
+        throw Object.assign(error, { statusCode: 400 });
+      });
       
       // Generate order ID
       const orderId = this.generateOrderId();
-      const paymentId = this.generatePaymentId();
+      paymentId = this.generatePaymentId();
+      
+      // Check the discounted amount before reserving anything
+      const quote = await couponService.priceWithDiscounts(product.id, product.pricing, couponCodes, userId).catch(error => {
+        throw Object.assign(error, { statusCode: 400, type: 'invalid_coupon' });
+      });
+      const quotedFees = await feeEngine.calculate(quote.price, { method, currency: 'USD' });
+      const validation = await this.validatePaymentAmount(quotedFees.total, parseFloat(amount));
+      if (!validation.valid) {
+        throw Object.assign(new Error(validation.message), { statusCode: 400, type: validation.type });
+      }
       
-      // Calculate fees
-      const fees = this.calculateFees(amount, method, courseData.priceUSD);
+      // The reservation re-prices inside its transaction; the order is charged
+      // and stored at that price, so check the amount against it too
+      const pricing = await couponService.reserve(couponCodes, { paymentId, userId, courseId: product.id, courseData: product.pricing });
+      reserved = pricing.coupons.length > 0;
+      const fees = await feeEngine.calculate(pricing.price, { method, currency: 'USD' });
+      const reservedValidation = await this.validatePaymentAmount(fees.total, parseFloat(amount));
+      if (!reservedValidation.valid) {
+        throw Object.assign(new Error(reservedValidation.message), { statusCode: 400, type: reservedValidation.type });
+      }
+      
+      // Lock the MWK rate for this order so later rate changes do not affect it
+      const localPrice = await exchangeRateService.quote(product.pricing, parseFloat(amount), 'MWK');
       
       // Create payment document
       const paymentRef = this.db.collection('payments').doc(paymentId);
@@ -74,22 +152,31 @@ class PaymentService {
         id: paymentId,
         orderId,
         userId,
-        courseId,
-        courseTitle: courseData.title,
-        coursePrice: courseData.priceUSD,
+        courseId: product.courseId,
+        bundleId: product.bundleId,
+        planId: product.planId,
+        ...seatOrder,
+        courseTitle: product.title,
+        coursePrice: pricing.originalPrice,
+        items: this.allocateItems(product, pricing.price),
         method,
         status: 'pending',
+        currency: 'USD',
         amount: {
           requested: amount,
-          net: amount - fees.total,
+          usd: parseFloat(amount),
+          mwk: localPrice.amount,
+          total: fees.total,
+          net: fees.courseNet,
           currency: 'USD'
         },
-        fees: {
-          platform: fees.platform,
-          processing: fees.processing,
-          total: fees.total
-        },
+        exchangeRate: localPrice.exchangeRate,
+        discounts: pricing,
+        couponCodes: pricing.coupons.map(coupon => coupon.code),
+        fees,
         metadata,
+        ...details,
+        expiresAt: Payment.getExpiryDate(),
         history: [{
           status: 'created',
           timestamp: new Date().toISOString(),
@@ -110,34 +197,239 @@ class PaymentService {
       
     } catch (error) {
       console.error('Create payment order error:', error);
+      
+      // Give back coupon uses reserved for an order that was never written
+      if (reserved) {
+        await couponService.settleForPayment(paymentId, couponCodes, 'failed').catch(releaseError => {
+          console.error('Coupon release error:', releaseError);
+        });
+      }
+      
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        type: error.type,
+        statusCode: error.statusCode || 500
       };
     }
   }
 
+  // Who a seat order is for: a sponsorship with seat codes, or the seat pool of
+  // an organization the buyer administers
+  async getSeatOrder(userId, product, { recipients = [], organizationName = '', organizationId = null } = {}) {
+    if (!product.seats) {
+      return { sponsorship: null };
+    }
+
+    if (organizationId) {
+      await organizationService.assertCanManage(userId, organizationId);
+      return { sponsorship: null, organizationId, seats: product.seats };
+    }
+
+    return { sponsorship: sponsorshipService.buildOrderDetails(product.seats, { recipients, organizationName }) };
+  }
+
+  // Resolve what is being bought: a single course, a bundle of courses or a
+  // membership plan. `pricing` holds the fields the coupon, fee and exchange-rate services read
+  async getCheckoutProduct({ courseId = null, bundleId = null, planId = null, seats = null }) {
+    const sponsored = seats !== null && seats !== undefined && seats !== '';
+    if (sponsored && (planId || bundleId)) {
+      throw new Error('Seats can only be bought for a single course');
+    }
+
+    if (planId) {
+      const plan = await membershipService.getPlan(planId);
+      if (!plan || !plan.isActive) {
+        throw new Error('Membership plan not found');
+      }
+
+      return {
+        type: 'membership',
+        id: plan.id,
+        courseId: null,
+        bundleId: null,
+        planId: plan.id,
+        title: `${plan.name} membership`,
+        pricing: { priceUSD: plan.price, prices: plan.prices || {} },
+        courses: [],
+        bundle: null,
+        plan
+      };
+    }
+
+    if (bundleId) {
+      const bundle = await Bundle.findById(bundleId);
+      if (!bundle || !bundle.isActive) {
+        throw new Error('Bundle not found');
+      }
+
+      const courses = await bundle.getCourses();
+      return {
+        type: 'bundle',
+        id: bundle.id,
+        courseId: null,
+        bundleId: bundle.id,
+        planId: null,
+        title: bundle.title,
+        pricing: { priceUSD: bundle.price, prices: bundle.prices },
+        courses,
+        bundle
+      };
+    }
+
+    const courseDoc = await this.db.collection('courses').doc(courseId).get();
+    if (!courseDoc.exists) {
+      throw new Error('Course not found');
+    }
+
+    const course = { id: courseDoc.id, ...courseDoc.data() };
+
+    // Sponsored seats are priced per seat, in every currency
+    if (sponsored) {
+      const count = sponsorshipService.validateSeats(seats);
+      const unitPrice = parseFloat(course.priceUSD ?? course.price) || 0;
+      if (unitPrice <= 0) {
+        throw new Error('Free courses do not need sponsored seats');
+      }
+
+      const prices = {};
+      Object.entries(course.prices || {}).forEach(([currency, amount]) => {
+        prices[currency] = parseFloat(amount) * count;
+      });
+
+      return {
+        type: 'sponsorship',
+        id: course.id,
+        courseId: course.id,
+        bundleId: null,
+        planId: null,
+        seats: count,
+        title: `${course.title} (${count} seat${count === 1 ? '' : 's'})`,
+        pricing: { priceUSD: Math.round(unitPrice * count * 100) / 100, prices },
+        courses: [course],
+        bundle: null
+      };
+    }
+
+    return {
+      type: 'course',
+      id: course.id,
+      courseId: course.id,
+      bundleId: null,
+      planId: null,
+      title: course.title,
+      pricing: course,
+      courses: [course],
+      bundle: null
+    };
+  }
+
+  // Per-course revenue lines for an order ({ courseId, title, listPrice, amount }).
+  // Membership orders are not tied to courses and have none
+  allocateItems(product, amount) {
+    if (product.type === 'membership') {
+      return [];
+    }
+
+    if (product.bundle) {
+      return product.bundle.allocate(amount, product.courses);
+    }
+
+    const course = product.courses[0];
+    return [{
+      courseId: course.id,
+      title: course.title || '',
+      listPrice: parseFloat(course.priceUSD ?? course.price) || 0,
+      amount: Math.round(amount * 100) / 100
+    }];
+  }
+
+  // Courses an order grants access to
+  getPaymentCourseIds(payment) {
+    if (Array.isArray(payment.items) && payment.items.length > 0) {
+      return payment.items.map(item => item.courseId);
+    }
+    return payment.courseId ? [payment.courseId] : [];
+  }
+
+  // Split an amount (e.g. a refund) across the order's courses in proportion to
+  // their allocated revenue, the way Bundle.split shares a bundle price. Orders
+  // without items put it all on courseId
+  allocateAmount(payment, amount) {
+    const items = Array.isArray(payment.items) && payment.items.length > 0
+      ? payment.items
+      : [{ courseId: payment.courseId || null, amount: 1 }];
+
+    const amounts = Bundle.split(amount, items.map(item => parseFloat(item.amount) || 0));
+    return items.map((item, index) => ({ courseId: item.courseId, amount: amounts[index] }));
+  }
+
+  // Enroll the buyer in every course of a completed order
+  async enrollPaymentCourses(paymentId, payment) {
+    const results = [];
+    for (const courseId of this.getPaymentCourseIds(payment)) {
+      const result = await this.enrollUserInCourse(payment.userId, courseId, paymentId);
+      results.push({ courseId, ...result });
+    }
+    return results;
+  }
+
+  // Grant what a completed order paid for, then stamp fulfilledAt on the payment.
+  // Every grant is keyed by the payment, so running this again (a webhook replay
+  // after a failed fulfillment, /verify-payment racing the webhook) grants nothing twice
+  async fulfillPayment(paymentId, payment) {
+    const result = await this.grantPayment(paymentId, payment);
+
+    await this.db.collection('payments').doc(paymentId).update({
+      fulfilledAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return result;
+  }
+
+  // What an order paid for: a membership period, an installment (enrolling on
+  // the first one), sponsored seat codes, organization seats, or enrollment in its courses
+  async grantPayment(paymentId, payment) {
+    if (payment.organizationId && payment.seats) {
+      const license = await organizationService.addSeatsFromPayment(paymentId, payment);
+      return { enrollments: [], membership: null, license };
+    }
+
+    if (payment.sponsorship) {
+      const sponsorship = await sponsorshipService.issueFromPayment(paymentId, payment);
+      return { enrollments: [], membership: null, sponsorship };
+    }
+
+    if (payment.planId) {
+      const membership = await membershipService.activateFromPayment(paymentId, payment);
+      return { enrollments: [], membership };
+    }
+
+    if (payment.installmentPlanId) {
+      const { enrollment } = await installmentService.recordPayment(paymentId, payment);
+      return { enrollments: [{ courseId: payment.courseId, ...enrollment }], membership: null };
+    }
+
+    const enrollments = await this.enrollPaymentCourses(paymentId, payment);
+    return { enrollments, membership: null };
+  }
+
+  // Move a payment to a new status (see Payment.transition) and, when the status
+  // changed, run its side effects (see paymentLifecycleService)
+  async transition(paymentId, to, options = {}) {
+    const result = await Payment.transition(paymentId, to, options);
+    if (result.changed) {
+      await paymentLifecycleService.onStatusChanged(paymentId, result);
+    }
+    return result;
+  }
+
   // Verify payment
-  async verifyPayment(paymentId) {
+  async verifyPayment(paymentId, actor = 'system') {
     try {
-      const paymentRef = this.db.collection('payments').doc(paymentId);
-      const paymentDoc = await paymentRef.get();
-      
-      if (!paymentDoc.exists) {
-        throw new Error('Payment not found');
-      }
-      
-      const paymentData = paymentDoc.data();
-      
-      // Update payment status
-      await paymentRef.update({
-        status: 'completed',
-        'history': admin.firestore.FieldValue.arrayUnion({
-          status: 'completed',
-          timestamp: new Date().toISOString(),
-          message: 'Payment verified and completed'
-        }),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      await this.transition(paymentId, 'completed', {
+        actor,
+        reason: 'Payment verified and completed'
       });
       
       return {
@@ -150,41 +442,12 @@ class PaymentService {
       console.error('Verify payment error:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        code: error.code
       };
     }
   }
 
-  // Calculate fees
-  calculateFees(amount, method, coursePrice) {
-    const platformFeeRate = parseFloat(process.env.PLATFORM_FEE_RATE) || 0.10;
-    
-    // Platform fee (10% of course price)
-    const platformFee = coursePrice * platformFeeRate;
-    
-    // Processing fee based on method
-    let processingFee = 0;
-    switch (method) {
-      case 'paychangu':
-        processingFee = amount * 0.03; // 3%
-        break;
-      case 'paypal':
-        processingFee = (amount * 0.029) + 0.30; // 2.9% + $0.30
-        break;
-      case 'bank_transfer':
-        processingFee = 0;
-        break;
-      default:
-        processingFee = 0;
-    }
-    
-    return {
-      platform: platformFee,
-      processing: processingFee,
-      total: platformFee + processingFee
-    };
-  }
-
   // Generate order ID
   generateOrderId() {
     const timestamp = Date.now().toString(36).toUpperCase();
@@ -221,27 +484,18 @@ class PaymentService {
   }
 
   // Update payment status
-  async updatePaymentStatus(paymentId, status, message = '') {
+  async updatePaymentStatus(paymentId, status, message = '', actor = 'system') {
     try {
-      const paymentRef = this.db.collection('payments').doc(paymentId);
-      
-      await paymentRef.update({
-        status,
-        'history': admin.firestore.FieldValue.arrayUnion({
-          status,
-          timestamp: new Date().toISOString(),
-          message
-        }),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+      const result = await this.transition(paymentId, status, { actor, reason: message });
       
-      return { success: true };
+      return { success: true, from: result.from, changed: result.changed };
       
     } catch (error) {
       console.error('Update payment status error:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        code: error.code
       };
     }
   }
@@ -259,10 +513,15 @@ class PaymentService {
         .where('status', 'in', ['pending', 'processing', 'completed'])
         .get();
       
-      const duplicates = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      // Pending orders past their expiry no longer block a new attempt,
+      // even if the sweeper has not marked them expired yet
+      const now = new Date().toISOString();
+      const duplicates = snapshot.docs
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        }))
+        .filter(payment => payment.status === 'completed' || !payment.expiresAt || payment.expiresAt > now);
       
       return {
         success: true,
@@ -280,24 +539,18 @@ class PaymentService {
     }
   }
 
-  // Get user payments
-  async getUserPayments(userId, limit = 50) {
+  // Get user payments, newest first, a cursor page at a time
+  async getUserPayments(userId, { limit = 20, cursor = null } = {}) {
     try {
-      const snapshot = await this.db.collection('payments')
-        .where('userId', '==', userId)
-        .orderBy('createdAt', 'desc')
-        .limit(limit)
-        .get();
-      
-      const payments = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const { items: payments, pagination } = await paginationService.paginateQuery(
+        this.db.collection('payments').where('userId', '==', userId),
+        { orderBy: [['createdAt', 'desc']], limit, cursor }
+      );
       
       return {
         success: true,
         payments,
-        count: payments.length
+        pagination
       };
       
     } catch (error) {
@@ -309,29 +562,745 @@ class PaymentService {
     }
   }
 
-  // Refund payment
-  async refundPayment(paymentId, reason = '') {
+  // Refund payment (full when amount is omitted) through the provider's refund API.
+  // Provider refunds that are not completed synchronously are confirmed by the refund webhook.
+  async refundPayment(paymentId, reason = '', { amount = null, actor = 'system', revokeAccess = null } = {}) {
     try {
       const paymentRef = this.db.collection('payments').doc(paymentId);
-      
-      await paymentRef.update({
-        status: 'refunded',
-        refund: {
+      const creditNoteRef = this.db.collection('credit_notes').doc();
+
+      // The amount is reserved on the payment (refundedPending) in the transaction that
+      // writes the credit note, so concurrent refunds cannot add up to more than was paid.
+      // The credit note is written first so the refund is traceable even if the provider call fails
+      const { payment, refundAmount, providerRefund } = await this.db.runTransaction(async (transaction) => {
+        const paymentDoc = await transaction.get(paymentRef);
+        if (!paymentDoc.exists) {
+          throw new Error('Payment not found');
+        }
+
+        const payment = { id: paymentDoc.id, ...paymentDoc.data() };
+
+        if (!['completed', 'partially_refunded'].includes(payment.status)) {
+          const error = new Error(`Cannot refund a payment in status ${payment.status}`);
+          error.code = 'ILLEGAL_TRANSITION';
+          throw error;
+        }
+
+        const paidAmount = this.getPaidAmount(payment);
+        const pending = payment.refundedPending || 0;
+        const refundable = Math.round((paidAmount - (payment.refundedAmount || 0) - pending) * 100) / 100;
+        const refundAmount = amount === null ? refundable : Math.round(parseFloat(amount) * 100) / 100;
+
+        if (!(refundAmount > 0) || refundAmount > refundable) {
+          throw new Error(`Refund amount must be between 0 and ${refundable.toFixed(2)}`);
+        }
+
+        const providerRefund = this.getProviderRefundAmount(payment, refundAmount, reason);
+
+        transaction.set(creditNoteRef, {
+          id: creditNoteRef.id,
+          number: this.generateCreditNoteNumber(),
+          paymentId,
+          orderId: payment.orderId || null,
+          userId: payment.userId,
+          courseId: payment.courseId || null,
+          bundleId: payment.bundleId || null,
+          amount: refundAmount,
+          allocations: this.allocateAmount(payment, refundAmount),
+          currency: payment.currency || 'USD',
+          type: refundAmount >= refundable && !payment.refundedAmount && !pending ? 'full' : 'partial',
           reason,
+          provider: payment.method,
+          providerRefundId: null,
+          providerAmount: providerRefund.amount,
+          providerCurrency: providerRefund.currency,
+          revokeAccess,
+          accessRevoked: false,
+          status: 'pending',
+          createdBy: actor,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        transaction.update(paymentRef, {
+          refundedPending: Math.round((pending + refundAmount) * 100) / 100,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { payment, refundAmount, providerRefund };
+      });
+
+      const adapter = adapters[payment.method];
+      let providerResult;
+
+      try {
+        providerResult = adapter
+          ? await adapter.refund(payment, providerRefund)
+          : { refundId: null, status: 'completed', manual: true }; // e.g. bank transfer, paid back offline
+      } catch (error) {
+        const providerError = error.response?.data?.message || error.message;
+
+        // Nothing was refunded: give the reserved amount back
+        await this.db.runTransaction(async (transaction) => {
+          const paymentDoc = await transaction.get(paymentRef);
+          const pending = paymentDoc.data().refundedPending || 0;
+
+          transaction.update(paymentRef, {
+            refundedPending: Math.max(0, Math.round((pending - refundAmount) * 100) / 100),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          transaction.update(creditNoteRef, {
+            status: 'failed',
+            error: providerError,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        });
+        throw new Error(`Provider refund failed: ${providerError}`);
+      }
+
+      await creditNoteRef.update({
+        providerRefundId: providerResult.refundId,
+        manual: providerResult.manual || false,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      if (providerResult.status !== 'completed') {
+        return {
+          success: true,
+          paymentId,
+          creditNoteId: creditNoteRef.id,
+          status: 'pending_confirmation'
+        };
+      }
+
+      const confirmation = await this.confirmRefund({ paymentId, creditNoteId: creditNoteRef.id, actor });
+
+      return {
+        success: true,
+        paymentId,
+        creditNoteId: creditNoteRef.id,
+        ...confirmation
+      };
+
+    } catch (error) {
+      console.error('Refund payment error:', error);
+      return {
+        success: false,
+        error: error.message,
+        code: error.code
+      };
+    }
+  }
+
+  // Apply a refund the provider has completed. Matches the credit note by id, provider refund id
+  // or provider amount and currency, and creates one for refunds issued outside the platform
+  // (e.g. from the PayPal dashboard).
+  async confirmRefund({ paymentId, creditNoteId = null, providerRefundId = null, amount = null, currency = null, actor = 'system' }) {
+    const paymentRef = this.db.collection('payments').doc(paymentId);
+
+    const result = await this.db.runTransaction(async (transaction) => {
+      const paymentDoc = await transaction.get(paymentRef);
+      if (!paymentDoc.exists) {
+        throw new Error('Payment not found');
+      }
+
+      const payment = paymentDoc.data();
+
+      let creditNoteRef = null;
+      let creditNote = null;
+
+      if (creditNoteId) {
+        creditNoteRef = this.db.collection('credit_notes').doc(creditNoteId);
+        const creditNoteDoc = await transaction.get(creditNoteRef);
+        creditNote = creditNoteDoc.exists ? creditNoteDoc.data() : null;
+      } else if (providerRefundId) {
+        const snapshot = await transaction.get(this.db.collection('credit_notes')
+          .where('paymentId', '==', paymentId)
+          .where('providerRefundId', '==', providerRefundId)
+          .limit(1));
+        if (!snapshot.empty) {
+          creditNoteRef = snapshot.docs[0].ref;
+          creditNote = snapshot.docs[0].data();
+        }
+      }
+
+      // The webhook can arrive before refundPayment has stored the provider refund id:
+      // take a pending credit note that asked the provider for exactly this amount.
+      // Anything else is a separate refund and gets its own credit note below
+      if (!creditNote && providerRefundId && amount !== null && currency) {
+        const snapshot = await transaction.get(this.db.collection('credit_notes')
+          .where('paymentId', '==', paymentId)
+          .where('status', '==', 'pending'));
+        const match = snapshot.docs.find(doc => {
+          const note = doc.data();
+          return !note.providerRefundId &&
+            note.providerCurrency === String(currency).toUpperCase() &&
+            Math.abs(note.providerAmount - parseFloat(amount)) < 0.005;
+        });
+        if (match) {
+          creditNoteRef = match.ref;
+          creditNote = { ...match.data(), providerRefundId };
+        }
+      }
+
+      if (creditNote && creditNote.status === 'confirmed') {
+        return { status: payment.status, alreadyConfirmed: true };
+      }
+
+      const paidAmount = this.getPaidAmount(payment);
+
+      if (!creditNote) {
+        // Provider amounts for PayChangu are in MWK
+        const refundAmount = currency === 'MWK' && payment.amount?.mwk
+          ? amount * (payment.amount.usd / payment.amount.mwk)
+          : amount;
+
+        const creditAmount = Math.round((refundAmount ?? paidAmount) * 100) / 100;
+        creditNoteRef = this.db.collection('credit_notes').doc();
+        creditNote = {
+          id: creditNoteRef.id,
+          number: this.generateCreditNoteNumber(),
+          paymentId,
+          orderId: payment.orderId || null,
+          userId: payment.userId,
+          courseId: payment.courseId || null,
+          bundleId: payment.bundleId || null,
+          amount: creditAmount,
+          allocations: this.allocateAmount(payment, creditAmount),
+          currency: payment.currency || 'USD',
+          reason: 'Refund issued by provider',
+          provider: payment.method,
+          providerRefundId,
+          revokeAccess: null,
+          accessRevoked: false,
+          createdBy: actor,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+      }
+
+      const refundedAmount = Math.round(((payment.refundedAmount || 0) + creditNote.amount) * 100) / 100;
+      const isFull = refundedAmount >= paidAmount - 0.005;
+      const from = payment.status;
+      const to = isFull ? 'refunded' : 'partially_refunded';
+
+      if (from !== to && !Payment.canTransition(from, to)) {
+        const error = new Error(`Illegal payment transition: ${from} -> ${to}`);
+        error.code = 'ILLEGAL_TRANSITION';
+        error.from = from;
+        error.to = to;
+        throw error;
+      }
+
+      // A credit note from refundPayment settles the amount it reserved
+      const reserved = creditNote.status === 'pending' ? creditNote.amount : 0;
+
+      transaction.update(paymentRef, {
+        status: to,
+        refundedAmount,
+        refundedPending: Math.max(0, Math.round(((payment.refundedPending || 0) - reserved) * 100) / 100),
+        refund: {
+          creditNoteId: creditNoteRef.id,
+          amount: creditNote.amount,
+          reason: creditNote.reason,
           processedAt: new Date().toISOString()
         },
-        'history': admin.firestore.FieldValue.arrayUnion({
-          status: 'refunded',
-          timestamp: new Date().toISOString(),
-          message: `Payment refunded: ${reason}`
-        }),
+        history: admin.firestore.FieldValue.arrayUnion(
+          Payment.historyEntry(from, to, actor, `Refund ${creditNote.number}: ${creditNote.amount} ${creditNote.currency}`)
+        ),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
-      
-      return { success: true };
-      
+
+      transaction.set(creditNoteRef, {
+        ...creditNote,
+        type: isFull && creditNote.amount >= paidAmount - 0.005 ? 'full' : 'partial',
+        status: 'confirmed',
+        confirmedAt: new Date().toISOString(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return {
+        status: to,
+        creditNoteId: creditNoteRef.id,
+        revoke: this.shouldRevokeAccess(isFull, creditNote.revokeAccess),
+        userId: payment.userId,
+        courseIds: this.getPaymentCourseIds(payment),
+        planId: payment.planId || null,
+        createdAt: payment.createdAt,
+        allocations: creditNote.allocations || [],
+        sponsored: Boolean(payment.sponsorship)
+      };
+    });
+
+    const revoked = Boolean(result.revoke && ((result.courseIds && result.courseIds.length > 0) || result.planId));
+    if (revoked) {
+      for (const courseId of result.courseIds) {
+        await this.revokeCourseAccess(result.userId, courseId);
+      }
+      if (result.planId) {
+        await membershipService.revoke(result.userId, result.planId, `Refunded: ${paymentId}`, actor);
+      }
+      await this.db.collection('credit_notes').doc(result.creditNoteId).update({ accessRevoked: true });
+    }
+
+    // Unused seats of a fully refunded sponsorship stop working
+    if (result.sponsored && result.status === 'refunded') {
+      await sponsorshipService.revokeUnredeemed(paymentId, `Refunded: ${result.creditNoteId}`);
+    }
+
+    if (!result.alreadyConfirmed) {
+      // Refunds claw back the instructors' share of the refunded amount
+      const earningsService = require('./earningsService');
+      await earningsService.clawbackForRefund(paymentId, result.creditNoteId, result.allocations).catch(error => {
+        console.error(`Earnings clawback failed for payment ${paymentId}:`, error);
+      });
+
+      const revenueAnalyticsService = require('./revenueAnalyticsService');
+      await revenueAnalyticsService.markStale(result.createdAt).catch(error => {
+        console.error(`Revenue rollup update failed for payment ${paymentId}:`, error);
+      });
+    }
+
+    return {
+      status: result.status,
+      creditNoteId: result.creditNoteId,
+      alreadyConfirmed: result.alreadyConfirmed || false,
+      accessRevoked: revoked
+    };
+  }
+
+  // Refund policy: an explicit choice on the refund wins, otherwise REFUND_REVOKE_ACCESS
+  shouldRevokeAccess(isFullRefund, override = null) {
+    if (override !== null && override !== undefined) {
+      return Boolean(override);
+    }
+
+    switch (REFUND_REVOKE_ACCESS) {
+      case 'always':
+        return true;
+      case 'never':
+        return false;
+      default:
+        return isFullRefund;
+    }
+  }
+
+  async revokeCourseAccess(userId, courseId) {
+    const [byUser, byStudent] = await Promise.all([
+      this.db.collection('enrollments').where('userId', '==', userId).where('courseId', '==', courseId).get(),
+      this.db.collection('enrollments').where('studentId', '==', userId).where('courseId', '==', courseId).get()
+    ]);
+
+    const enrollments = [...byUser.docs, ...byStudent.docs].filter(doc => doc.data().status !== 'refunded');
+    if (enrollments.length === 0) {
+      return;
+    }
+
+    await Promise.all(enrollments.map(doc => doc.ref.update({
+      status: 'refunded',
+      refundedAt: admin.firestore.FieldValue.serverTimestamp()
+    })));
+
+    await this.db.collection('users').doc(userId).update({
+      enrolledCourses: admin.firestore.FieldValue.arrayRemove(courseId),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await this.db.collection('courses').doc(courseId).update({
+      totalEnrollments: admin.firestore.FieldValue.increment(-1)
+    });
+
+    const course = await Course.findById(courseId);
+    if (course) {
+      await course.decrementEnrollment();
+    }
+  }
+
+  // Amount originally paid, in the payment currency
+  getPaidAmount(payment) {
+    if (typeof payment.amount === 'number') {
+      return payment.amount;
+    }
+    return parseFloat(payment.amount?.usd ?? payment.amount?.requested) || 0;
+  }
+
+  // PayChangu charges in MWK, so refund the proportional MWK amount
+  getProviderRefundAmount(payment, amount, reason) {
+    if (payment.method === 'paychangu' && payment.amount?.mwk && payment.amount?.usd) {
+      return {
+        amount: Math.round(amount * (payment.amount.mwk / payment.amount.usd)),
+        currency: 'MWK',
+        reason
+      };
+    }
+
+    return {
+      amount,
+      currency: payment.currency || 'USD',
+      reason
+    };
+  }
+
+  // Generate credit note number
+  generateCreditNoteNumber() {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substr(2, 4).toUpperCase();
+    return `CN-${timestamp}-${random}`;
+  }
+
+  async getCreditNotes({ paymentId = null, userId = null, limit = 50 } = {}) {
+    try {
+      let query = this.db.collection('credit_notes');
+
+      if (paymentId) {
+        query = query.where('paymentId', '==', paymentId);
+      }
+
+      if (userId) {
+        query = query.where('userId', '==', userId);
+      }
+
+      const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+
+      return {
+        success: true,
+        creditNotes: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+      };
+
     } catch (error) {
-      console.error('Refund payment error:', error);
+      console.error('Get credit notes error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Mark pending orders past their expiresAt as expired and notify the users
+  async expireStalePayments({ limit = 200, dryRun = false } = {}) {
+    const now = new Date().toISOString();
+    const results = {
+      checked: 0,
+      expired: [],
+      skipped: [],
+      errors: []
+    };
+
+    try {
+      const snapshot = await this.db.collection('payments')
+        .where('status', 'in', ['pending', 'processing'])
+        .where('expiresAt', '<=', now)
+        .orderBy('expiresAt')
+        .limit(limit)
+        .get();
+
+      results.checked = snapshot.size;
+
+      for (const doc of snapshot.docs) {
+        if (dryRun) {
+          results.expired.push(doc.id);
+          continue;
+        }
+
+        try {
+          const transition = await this.transition(doc.id, 'expired', {
+            actor: 'system:expiry',
+            reason: 'Payment order expired before confirmation',
+            updates: {
+              expiredAt: new Date().toISOString(),
+              reminderDueAt: this.getReminderDueAt()
+            }
+          });
+
+          if (!transition.changed) {
+            results.skipped.push(doc.id);
+            continue;
+          }
+
+          results.expired.push(doc.id);
+          await this.notifyPaymentExpired(doc.id, transition.payment);
+
+        } catch (error) {
+          // A webhook moved the payment on between the query and the transaction
+          if (error.code === 'ILLEGAL_TRANSITION') {
+            results.skipped.push(doc.id);
+            continue;
+          }
+          console.error(`Expire payment ${doc.id} error:`, error);
+          results.errors.push({ paymentId: doc.id, error: error.message });
+        }
+      }
+
+      return {
+        success: true,
+        dryRun,
+        ...results
+      };
+
+    } catch (error) {
+      console.error('Expire stale payments error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // In-app notification plus email so the user knows to retry
+  async notifyPaymentExpired(paymentId, payment) {
+    try {
+      await this.db.collection('notifications').add({
+        userId: payment.userId,
+        type: 'payment_expired',
+        title: 'Payment expired',
+        message: `Your payment for ${payment.courseTitle || 'your course'} expired before it was confirmed. You can try again at any time.`,
+        data: {
+          paymentId,
+          orderId: payment.orderId,
+          courseId: payment.courseId
+        },
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const userDoc = await this.db.collection('users').doc(payment.userId).get();
+      if (userDoc.exists && userDoc.data().email) {
+        const user = userDoc.data();
+        const emailService = require('./emailService');
+        await emailService.sendPaymentExpiredEmail(
+          user.email,
+          user.displayName || user.email.split('@')[0],
+          payment.courseTitle || 'your course',
+          payment.courseId,
+          payment.orderId
+        );
+      }
+
+    } catch (error) {
+      // Notification failures must not undo the expiry
+      console.error(`Payment expired notification error (${paymentId}):`, error);
+    }
+  }
+
+  // ===== RETRY & RECOVERY =====
+
+  // Failure details to show the student: { code, message, retryable, attemptsLeft }
+  describeFailure(payment) {
+    const code = payment.failureCode || 'unknown';
+    const attemptsLeft = Math.max(PAYMENT_MAX_ATTEMPTS - (payment.attemptCount || 1), 0);
+
+    return {
+      code,
+      message: FAILURE_MESSAGES[code] || FAILURE_MESSAGES.unknown,
+      retryable: payment.method === 'paychangu' && ['failed', 'expired'].includes(payment.status) && attemptsLeft > 0,
+      attemptsLeft
+    };
+  }
+
+  getReminderDueAt(from = Date.now()) {
+    return new Date(from + CHECKOUT_REMINDER_DELAY_HOURS * 60 * 60 * 1000).toISOString();
+  }
+
+  // Fields written with a move to failed: the classified reason and when to remind
+  buildFailureUpdates(failureCode, failureReason) {
+    const code = FAILURE_MESSAGES[failureCode] ? failureCode : 'unknown';
+    return {
+      failureCode: code,
+      failureReason: failureReason || FAILURE_MESSAGES[code],
+      reminderDueAt: this.getReminderDueAt()
+    };
+  }
+
+  // Reopen a failed or expired mobile money order for another charge, optionally on
+  // a different phone number or network. The order, its price and coupons are kept,
+  // and the retry is refused when a coupon can no longer be used; each charge gets
+  // its own provider reference since PayChangu will not reuse one.
+  // Resolves to { payment, reference, attempt }
+  async prepareRetry(paymentId, userId, { phoneNumber = null, network = null } = {}) {
+    const paymentDoc = await this.db.collection('payments').doc(paymentId).get();
+    if (!paymentDoc.exists) {
+      throw new Error('Payment not found');
+    }
+
+    const payment = paymentDoc.data();
+    if (payment.userId !== userId) {
+      throw new Error('Access denied');
+    }
+
+    const failure = this.describeFailure(payment);
+    if (!failure.retryable) {
+      throw new Error(payment.method !== 'paychangu' || !['failed', 'expired'].includes(payment.status)
+        ? `A ${payment.status} ${payment.method} payment cannot be retried`
+        : `This order has used all ${PAYMENT_MAX_ATTEMPTS} payment attempts; please start a new checkout`);
+    }
+
+    if (!payment.amount?.mwk) {
+      throw new Error('This order has no locked MWK amount; please start a new checkout');
+    }
+
+    const nextPhone = phoneNumber || payment.phoneNumber;
+    if (!nextPhone || !/^\+?265\d{9}$/.test(nextPhone)) {
+      throw new Error('Invalid phone number format');
+    }
+    const nextNetwork = network || payment.network || 'airtel';
+    if (!['airtel', 'mpamba'].includes(nextNetwork)) {
+      throw new Error('network must be airtel or mpamba');
+    }
+
+    const attempt = (payment.attemptCount || 1) + 1;
+    const reference = `${payment.orderId}-${attempt}`;
+
+    // The failure or expiry gave the order's coupon uses back; the retry is charged
+    // the discounted price, so it needs them again
+    const couponCodes = payment.couponCodes || [];
+    const { reclaimed } = await couponService.reclaimForPayment(paymentId, couponCodes, { price: payment.coursePrice });
+
+    let transition;
+    try {
+      transition = await this.transition(paymentId, 'pending', {
+        actor: userId,
+        reason: `Retry ${attempt} of ${PAYMENT_MAX_ATTEMPTS}`,
+        updates: {
+          phoneNumber: nextPhone,
+          network: nextNetwork,
+          attemptCount: attempt,
+          attempts: admin.firestore.FieldValue.arrayUnion({
+            number: attempt - 1,
+            network: payment.network || null,
+            phoneNumber: payment.phoneNumber || null,
+            transactionId: payment.paymentDetails?.transactionId || null,
+            failureCode: payment.failureCode || (payment.status === 'expired' ? 'timeout' : 'unknown'),
+            endedAt: new Date().toISOString()
+          }),
+          failureCode: null,
+          failureReason: null,
+          reminderDueAt: null,
+          'paymentDetails.chargeReference': reference,
+          'paymentDetails.chargeReferences': admin.firestore.FieldValue.arrayUnion(reference),
+          expiresAt: Payment.getExpiryDate()
+        }
+      });
+    } catch (error) {
+      if (reclaimed > 0) {
+        await couponService.settleForPayment(paymentId, couponCodes, 'failed').catch(releaseError => {
+          console.error('Coupon release error:', releaseError);
+        });
+      }
+      throw error;
+    }
+
+    const previous = transition.payment;
+
+    return {
+      payment: { ...previous, phoneNumber: nextPhone, network: nextNetwork, attemptCount: attempt, status: 'pending' },
+      reference,
+      attempt
+    };
+  }
+
+  // In-app notification with the reason, so the student can retry from the order
+  async notifyPaymentFailed(paymentId, payment, failureCode) {
+    try {
+      const failure = this.describeFailure({ ...payment, status: 'failed', failureCode });
+
+      await this.db.collection('notifications').add({
+        userId: payment.userId,
+        type: 'payment_failed',
+        title: 'Payment failed',
+        message: failure.message,
+        data: {
+          paymentId,
+          orderId: payment.orderId,
+          courseId: payment.courseId || null,
+          failureCode: failure.code,
+          retryable: failure.retryable
+        },
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+    } catch (error) {
+      console.error(`Payment failed notification error (${paymentId}):`, error);
+    }
+  }
+
+  // Email students whose checkout failed or expired and who have not paid since.
+  // Each order gets one reminder, CHECKOUT_REMINDER_DELAY_HOURS after it stopped
+  async sendCheckoutReminders({ limit = 200, dryRun = false } = {}) {
+    const now = new Date().toISOString();
+    const results = {
+      checked: 0,
+      reminded: [],
+      skipped: [],
+      errors: []
+    };
+
+    try {
+      const snapshot = await this.db.collection('payments')
+        .where('reminderDueAt', '<=', now)
+        .orderBy('reminderDueAt')
+        .limit(limit)
+        .get();
+
+      results.checked = snapshot.size;
+
+      for (const doc of snapshot.docs) {
+        const payment = doc.data();
+
+        try {
+          const skipReason = await this.getReminderSkipReason(payment);
+          if (skipReason) {
+            results.skipped.push({ paymentId: doc.id, reason: skipReason });
+            if (!dryRun) {
+              await doc.ref.update({ reminderDueAt: null });
+            }
+            continue;
+          }
+
+          if (dryRun) {
+            results.reminded.push(doc.id);
+            continue;
+          }
+
+          const userDoc = await this.db.collection('users').doc(payment.userId).get();
+          const user = userDoc.exists ? userDoc.data() : {};
+          if (!user.email) {
+            results.skipped.push({ paymentId: doc.id, reason: 'no_email' });
+            await doc.ref.update({ reminderDueAt: null });
+            continue;
+          }
+
+          const failure = this.describeFailure(payment);
+          const emailService = require('./emailService');
+          const sent = await emailService.sendCheckoutReminderEmail(
+            user.email,
+            user.displayName || user.email.split('@')[0],
+            payment.courseTitle || 'your course',
+            { paymentId: doc.id, courseId: payment.courseId, failure }
+          );
+
+          if (!sent.success) {
+            throw new Error(sent.error || 'Reminder email failed');
+          }
+
+          await doc.ref.update({
+            reminderDueAt: null,
+            reminderSentAt: new Date().toISOString()
+          });
+          results.reminded.push(doc.id);
+
+        } catch (error) {
+          console.error(`Checkout reminder ${doc.id} error:`, error);
+          results.errors.push({ paymentId: doc.id, error: error.message });
+        }
+      }
+
+      return {
+        success: true,
+        dryRun,
+        ...results
+      };
+
+    } catch (error) {
+      console.error('Checkout reminders error:', error);
       return {
         success: false,
         error: error.message
@@ -339,7 +1308,327 @@ class PaymentService {
     }
   }
 
-  // Get payment statistics
+  // Why an order should not get a reminder, or null to send one
+  async getReminderSkipReason(payment) {
+    if (!['failed', 'expired'].includes(payment.status)) {
+      return `status_${payment.status}`;
+    }
+    if (payment.reminderSentAt) {
+      return 'already_reminded';
+    }
+    if (!payment.courseId) {
+      return null;
+    }
+
+    // The student may have bought the course with another order in the meantime;
+    // a refunded enrollment no longer gives access, so it still gets the reminder
+    const enrollment = await membershipService.findEnrollment(payment.userId, payment.courseId);
+
+    return enrollment && enrollment.status !== 'refunded' ? 'already_enrolled' : null;
+  }
+
+  // List bank transfers waiting for an admin, with user and course details
+  async getPendingBankTransfers(limit = 50) {
+    try {
+      const snapshot = await this.db.collection('payments')
+        .where('method', '==', 'bank_transfer')
+        .where('status', '==', 'pending_verification')
+        .orderBy('createdAt', 'asc')
+        .limit(limit)
+        .get();
+
+      const transfers = await Promise.all(snapshot.docs.map(async (doc) => {
+        const payment = doc.data();
+
+        const [userDoc, courseDoc] = await Promise.all([
+          payment.userId ? this.db.collection('users').doc(payment.userId).get() : null,
+          payment.courseId ? this.db.collection('courses').doc(payment.courseId).get() : null
+        ]);
+
+        const user = userDoc && userDoc.exists ? userDoc.data() : {};
+        const course = courseDoc && courseDoc.exists ? courseDoc.data() : {};
+
+        return {
+          id: doc.id,
+          orderId: payment.orderId,
+          user: {
+            id: payment.userId,
+            name: user.displayName || null,
+            email: user.email || null
+          },
+          course: {
+            id: payment.courseId || null,
+            title: course.title || payment.courseTitle || null,
+            price: course.priceUSD ?? course.price ?? null
+          },
+          amount: payment.amount || null,
+          currency: payment.currency || 'USD',
+          proof: payment.proof || null,
+          createdAt: payment.createdAt
+        };
+      }));
+
+      return {
+        success: true,
+        transfers,
+        count: transfers.length
+      };
+
+    } catch (error) {
+      console.error('Get pending bank transfers error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Approve a bank transfer: complete the payment and fulfill the order. Approving
+  // a completed transfer whose fulfillment failed finishes the fulfillment
+  async approveBankTransfer(paymentId, reviewerId, notes = '') {
+    try {
+      const { payment, user } = await this.getBankTransferForReview(paymentId, { unfulfilled: true });
+
+      if ((!payment.courseId && !payment.bundleId) || !user.email) {
+        throw new Error('Bank transfer is missing the course or student email');
+      }
+
+      // Claim the review before fulfilling: when two admins approve at once only
+      // the one whose transition moves the status records its review and grants the order
+      if (payment.status === 'pending_verification') {
+        await this.transition(paymentId, 'completed', {
+          actor: reviewerId,
+          reason: notes || 'Bank transfer approved',
+          from: 'pending_verification',
+          updates: {
+            review: {
+              decision: 'approved',
+              reviewerId,
+              notes,
+              reviewedAt: new Date().toISOString()
+            },
+            completedAt: admin.firestore.FieldValue.serverTimestamp()
+          }
+        });
+      }
+
+      const { enrollments } = await this.fulfillPayment(paymentId, payment);
+      const enrollmentIds = enrollments.map(enrollment => enrollment.enrollmentId).filter(Boolean);
+
+      await this.db.collection('payments').doc(paymentId).update({
+        enrollmentId: enrollmentIds[0] || null,
+        enrollmentIds
+      });
+
+      return {
+        success: true,
+        paymentId,
+        status: 'completed',
+        enrollmentId: enrollmentIds[0] || null
+      };
+
+    } catch (error) {
+      console.error('Approve bank transfer error:', error);
+      return {
+        success: false,
+        error: error.message,
+        code: error.code
+      };
+    }
+  }
+
+  // Reject a bank transfer and email the reason to the student
+  async rejectBankTransfer(paymentId, reviewerId, reason) {
+    try {
+      if (!reason) {
+        throw new Error('Rejection reason is required');
+      }
+
+      const { payment, user } = await this.getBankTransferForReview(paymentId);
+
+      await this.transition(paymentId, 'rejected', {
+        actor: reviewerId,
+        reason,
+        updates: {
+          review: {
+            decision: 'rejected',
+            reviewerId,
+            reason,
+            reviewedAt: new Date().toISOString()
+          }
+        }
+      });
+
+      if (user.email) {
+        const emailService = require('./emailService');
+        await emailService.sendBankTransferRejectedEmail(
+          user.email,
+          user.displayName || user.email.split('@')[0],
+          payment.courseTitle || 'your course',
+          payment.orderId,
+          reason
+        );
+      }
+
+      return {
+        success: true,
+        paymentId,
+        status: 'rejected'
+      };
+
+    } catch (error) {
+      console.error('Reject bank transfer error:', error);
+      return {
+        success: false,
+        error: error.message,
+        code: error.code
+      };
+    }
+  }
+
+  // A transfer still awaiting review; with `unfulfilled`, also one approved
+  // (completed) whose fulfillment never finished
+  async getBankTransferForReview(paymentId, { unfulfilled = false } = {}) {
+    const paymentDoc = await this.db.collection('payments').doc(paymentId).get();
+
+    if (!paymentDoc.exists) {
+      throw new Error('Payment not found');
+    }
+
+    const payment = paymentDoc.data();
+
+    if (payment.method !== 'bank_transfer') {
+      throw new Error('Payment is not a bank transfer');
+    }
+
+    const retryable = unfulfilled && payment.status === 'completed' && !payment.fulfilledAt;
+    if (payment.status !== 'pending_verification' && !retryable) {
+      const error = new Error(`Bank transfer already reviewed (${payment.status})`);
+      error.code = 'ILLEGAL_TRANSITION';
+      throw error;
+    }
+
+    const userDoc = await this.db.collection('users').doc(payment.userId).get();
+
+    return {
+      payment,
+      user: userDoc.exists ? userDoc.data() : {}
+    };
+  }
+
+  // Enroll a user after a successful payment (safe to call more than once). The
+  // enrollment, the user's enrolledCourses and the course count are written in
+  // one transaction, so a retry never finds an enrollment without them. Buying
+  // the course again reactivates a refunded or suspended enrollment, and turns
+  // one made through a membership into a purchased one
+  async enrollUserInCourse(userId, courseId, paymentId) {
+    try {
+      // Check if already enrolled (legacy enrollments are keyed by studentId)
+      const existing = await membershipService.findEnrollment(userId, courseId);
+
+      // Deterministic id so concurrent webhook deliveries cannot enroll twice
+      const enrollmentRef = this.db.collection('enrollments').doc(existing ? existing.id : `${userId}_${courseId}`);
+      const userRef = this.db.collection('users').doc(userId);
+      const courseRef = this.db.collection('courses').doc(courseId);
+
+      const outcome = await this.db.runTransaction(async (transaction) => {
+        const enrollmentDoc = await transaction.get(enrollmentRef);
+
+        if (enrollmentDoc.exists) {
+          const enrollment = enrollmentDoc.data();
+          const fromMembership = enrollment.accessSource === 'membership';
+          if (!fromMembership && !REACTIVATE_STATUSES.includes(enrollment.status)) {
+            return 'enrolled';
+          }
+
+          const updates = {
+            userId,
+            status: 'active',
+            paymentId,
+            refundedAt: null,
+            reactivatedAt: new Date().toISOString(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          };
+          // A purchase outlives the membership: without membershipId a later
+          // lapse (see membershipService.setEnrollmentsStatus) leaves it alone
+          if (fromMembership) {
+            Object.assign(updates, { accessSource: 'purchase', membershipId: null, paymentMethod: null });
+          }
+          transaction.update(enrollmentRef, updates);
+
+          // A refund took the course off the user and out of the count (see revokeCourseAccess)
+          if (enrollment.status === 'refunded') {
+            transaction.update(userRef, {
+              enrolledCourses: admin.firestore.FieldValue.arrayUnion(courseId),
+              updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.update(courseRef, {
+              totalEnrollments: admin.firestore.FieldValue.increment(1),
+              updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+          }
+
+          return 'reactivated';
+        }
+
+        transaction.create(enrollmentRef, {
+          id: enrollmentRef.id,
+          userId,
+          courseId,
+          paymentId,
+          enrolledAt: new Date().toISOString(),
+          status: 'active',
+          progress: 0,
+          completed: false,
+          certificateEligible: false,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // Update user's enrolled courses
+        transaction.update(userRef, {
+          enrolledCourses: admin.firestore.FieldValue.arrayUnion(courseId),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // Update course enrollment count
+        transaction.update(courseRef, {
+          totalEnrollments: admin.firestore.FieldValue.increment(1),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return 'created';
+      });
+
+      // Progress is the one write outside the transaction; this also finishes it
+      // when an earlier attempt stopped short, and keeps progress made before a refund
+      await progressService.initProgress(userId, courseId, enrollmentRef.id);
+
+      if (outcome === 'enrolled') {
+        return {
+          success: false,
+          error: 'Already enrolled',
+          enrolled: true
+        };
+      }
+
+      // Send enrollment email
+      console.log(`Enrollment email sent for user ${userId}, course ${courseId}`);
+
+      return {
+        success: true,
+        enrollmentId: enrollmentRef.id,
+        enrolledAt: new Date().toISOString(),
+        reactivated: outcome === 'reactivated'
+      };
+
+    } catch (error) {
+      console.error('Enrollment error:', error);
+      throw error;
+    }
+  }
+
+  // Quick payment counts for a recent window. Loads the payments into memory, so
+  // revenue reporting over longer ranges goes through revenueAnalyticsService
   async getPaymentStats(timePeriod = 'month') {
     try {
       const now = new Date();
@@ -362,11 +1651,13 @@ class PaymentService {
           startDate = new Date(now.setDate(now.getDate() - 30));
       }
       
+      // createdAt is a server timestamp, so compare against a Date
       const snapshot = await this.db.collection('payments')
-        .where('createdAt', '>=', startDate.toISOString())
+        .where('createdAt', '>=', startDate)
         .get();
       
       const payments = snapshot.docs.map(doc => doc.data());
+      const paid = payments.filter(p => ['completed', 'partially_refunded'].includes(p.status));
       
       const stats = {
         total: payments.length,
@@ -374,12 +1665,22 @@ class PaymentService {
         pending: payments.filter(p => p.status === 'pending').length,
         failed: payments.filter(p => p.status === 'failed').length,
         refunded: payments.filter(p => p.status === 'refunded').length,
-        totalAmount: payments.reduce((sum, p) => sum + p.amount.requested, 0),
-        netAmount: payments.reduce((sum, p) => sum + p.amount.net, 0),
+        totalAmount: Math.round(paid.reduce((sum, p) => sum + this.getPaidAmount(p), 0) * 100) / 100,
+        netAmount: Math.round(paid.reduce((sum, p) => sum + (parseFloat(p.fees?.courseNet ?? p.amount?.net) || 0), 0) * 100) / 100,
         byMethod: {},
-        byDay: {}
+        byDay: {},
+        byCourse: {}
       };
       
+      // Revenue per course; bundle orders are split by their allocated items
+      paid.forEach(payment => {
+        const paid = this.getPaidAmount(payment) - (payment.refundedAmount || 0);
+        this.allocateAmount(payment, paid).forEach(line => {
+          if (!line.courseId) return;
+          stats.byCourse[line.courseId] = Math.round(((stats.byCourse[line.courseId] || 0) + line.amount) * 100) / 100;
+        });
+      });
+      
       // Group by method
       payments.forEach(payment => {
         const method = payment.method;
@@ -388,7 +1689,9 @@ class PaymentService {
       
       // Group by day
       payments.forEach(payment => {
-        const date = new Date(payment.createdAt).toISOString().split('T')[0];
+        const createdAt = payment.createdAt?.toDate ? payment.createdAt.toDate() : new Date(payment.createdAt);
+        if (isNaN(createdAt.getTime())) return;
+        const date = createdAt.toISOString().split('T')[0];
         stats.byDay[date] = (stats.byDay[date] || 0) + 1;
       });
       
@@ -0,0 +1,167 @@
+// =============================================
+// PAYPAL WEBHOOK SIGNATURE VERIFIER
+// =============================================
+const crypto = require('crypto');
+const tls = require('tls');
+const axios = require('axios');
+
+// PayPal auth algorithm names mapped to Node digest names
+const SIGNATURE_ALGORITHMS = {
+  SHA256withRSA: 'RSA-SHA256',
+  SHA1withRSA: 'RSA-SHA1'
+};
+
+const CERT_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+class PaypalWebhookVerifier {
+  constructor() {
+    this.certCache = new Map();
+    this.trustedRoots = null;
+    this.crcTable = this.buildCrcTable();
+  }
+
+  // Verify a webhook request. Resolves to { valid, reason }
+  async verify(req) {
+    try {
+      const transmissionId = req.headers['paypal-transmission-id'];
+      const transmissionTime = req.headers['paypal-transmission-time'];
+      const transmissionSig = req.headers['paypal-transmission-sig'];
+      const certUrl = req.headers['paypal-cert-url'];
+      const authAlgo = req.headers['paypal-auth-algo'];
+      const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+
+      if (!webhookId) {
+        return { valid: false, reason: 'PAYPAL_WEBHOOK_ID is not configured' };
+      }
+
+      if (!transmissionId || !transmissionTime || !transmissionSig || !certUrl || !authAlgo) {
+        return { valid: false, reason: 'Missing PayPal transmission headers' };
+      }
+
+      // Reject stale transmissions
+      const toleranceSeconds = parseInt(process.env.PAYPAL_WEBHOOK_TOLERANCE_SECONDS) || 300;
+      const sentAt = new Date(transmissionTime).getTime();
+      if (isNaN(sentAt) || Math.abs(Date.now() - sentAt) > toleranceSeconds * 1000) {
+        return { valid: false, reason: 'Transmission time outside tolerance' };
+      }
+
+      const digest = SIGNATURE_ALGORITHMS[authAlgo];
+      if (!digest) {
+        return { valid: false, reason: `Unsupported auth algorithm: ${authAlgo}` };
+      }
+
+      // Fetch and validate the signing certificate chain
+      const leafCert = await this.getSigningCertificate(certUrl);
+
+      // PayPal signs "<transmissionId>|<transmissionTime>|<webhookId>|<crc32 of raw body>"
+      const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body));
+      const expected = `${transmissionId}|${transmissionTime}|${webhookId}|${this.crc32(rawBody)}`;
+
+      const signatureValid = crypto.verify(
+        digest,
+        Buffer.from(expected),
+        leafCert.publicKey,
+        Buffer.from(transmissionSig, 'base64')
+      );
+
+      if (!signatureValid) {
+        return { valid: false, reason: 'Signature mismatch' };
+      }
+
+      // A redelivered (or replayed) transmission is let through: the webhook ledger
+      // (see webhookEventService) applies each event once, and still retries one
+      // whose processing failed
+      return { valid: true };
+
+    } catch (error) {
+      console.error('PayPal signature verification error:', error.message);
+      return { valid: false, reason: error.message };
+    }
+  }
+
+  // Download the certificate chain and return the validated leaf certificate
+  async getSigningCertificate(certUrl) {
+    const url = new URL(certUrl);
+    if (url.protocol !== 'https:' || !url.hostname.endsWith('.paypal.com')) {
+      throw new Error(`Untrusted certificate URL: ${certUrl}`);
+    }
+
+    const cached = this.certCache.get(certUrl);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.cert;
+    }
+
+    const response = await axios.get(certUrl, { responseType: 'text', timeout: 10000 });
+    const pems = String(response.data).match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+    if (!pems || pems.length === 0) {
+      throw new Error('No certificates found at certificate URL');
+    }
+
+    const chain = pems.map(pem => new crypto.X509Certificate(pem));
+    this.validateChain(chain);
+
+    this.certCache.set(certUrl, { cert: chain[0], expiresAt: Date.now() + CERT_CACHE_TTL_MS });
+    return chain[0];
+  }
+
+  // Check validity dates, issuer links and that the chain ends at a trusted root
+  validateChain(chain) {
+    const now = Date.now();
+    const leaf = chain[0];
+
+    if (!/paypal/i.test(leaf.subject)) {
+      throw new Error('Signing certificate was not issued to PayPal');
+    }
+
+    chain.forEach((cert, index) => {
+      if (new Date(cert.validFrom).getTime() > now || new Date(cert.validTo).getTime() < now) {
+        throw new Error(`Certificate ${index} in chain is expired or not yet valid`);
+      }
+
+      const issuer = chain[index + 1];
+      if (issuer && (!cert.checkIssued(issuer) || !cert.verify(issuer.publicKey))) {
+        throw new Error(`Certificate ${index} in chain is not signed by its issuer`);
+      }
+    });
+
+    const top = chain[chain.length - 1];
+    const anchored = this.getTrustedRoots().some(root =>
+      root.fingerprint256 === top.fingerprint256 ||
+      (top.checkIssued(root) && top.verify(root.publicKey))
+    );
+
+    if (!anchored) {
+      throw new Error('Certificate chain does not end at a trusted root');
+    }
+  }
+
+  getTrustedRoots() {
+    if (!this.trustedRoots) {
+      this.trustedRoots = tls.rootCertificates.map(pem => new crypto.X509Certificate(pem));
+    }
+    return this.trustedRoots;
+  }
+
+  // CRC32 (IEEE) of a buffer as an unsigned decimal string
+  crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = this.crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString();
+  }
+
+  buildCrcTable() {
+    const table = new Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  }
+}
+
+module.exports = new PaypalWebhookVerifier();
@@ -0,0 +1,315 @@
+// =============================================
+// PROGRESS SERVICE
+// =============================================
+// Lesson-level progress and course completion, kept in
+//   student_progress/{userId}_{courseId} { lessons: { [lessonId]: { views, watchPercent,
+//     quizPassed, completed, ... } }, completedLessons, progress, midAssessmentUnlocked,
+//     finalAssessmentUnlocked, completedAt }
+// A lesson completes per its completionCriteria: 'watch' (video watched to
+// WATCH_COMPLETE_PERCENT, other lesson types on first view), 'quiz' (a passed
+// attempt) or 'both'. Course progress is mirrored onto the enrollment. The mid
+// assessment unlocks at MID_ASSESSMENT_PROGRESS, the final at 100% once the mid
+// (if the course has one) is passed. A course completes at 100%, after its final
+// assessment is passed when it has one. Courses whose material predates the
+// lessons collection (course_contents / curriculum) have no lesson progress to
+// track: recompute leaves them alone and their assessments are not gated.
+const admin = require('firebase-admin');
+const { PASSING_SCORE } = require('./assessmentService');
+
+const WATCH_COMPLETE_PERCENT = 90;
+const MID_ASSESSMENT_PROGRESS = 50;
+
+class ProgressService {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  progressRef(userId, courseId) {
+    return this.db.collection('student_progress').doc(`${userId}_${courseId}`);
+  }
+
+  // Starting record written at enrollment; recording creates it when missing.
+  // A re-enrollment (or a retried fulfillment) keeps the progress already made
+  async initProgress(userId, courseId, enrollmentId) {
+    try {
+      await this.progressRef(userId, courseId).create({
+        studentId: userId,
+        courseId,
+        enrollmentId,
+        progress: 0,
+        lessons: {},
+        completedLessons: [],
+        midAssessmentUnlocked: false,
+        finalAssessmentUnlocked: false,
+        completedAt: null,
+        lastActivity: admin.firestore.FieldValue.serverTimestamp(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      // gRPC ALREADY_EXISTS
+      if (error.code !== 6) {
+        throw error;
+      }
+    }
+  }
+
+  async getProgress(userId, courseId) {
+    const progressDoc = await this.progressRef(userId, courseId).get();
+    return progressDoc.exists ? { id: progressDoc.id, ...progressDoc.data() } : null;
+  }
+
+  // The learner's enrollment and the lesson, checking the lesson is open to them
+  async loadLesson(userId, courseId, lessonId) {
+    const membershipService = require('./membershipService');
+    const curriculumService = require('./curriculumService');
+    const installmentService = require('./installmentService');
+
+    const enrollment = await membershipService.findEnrollment(userId, courseId);
+    if (!enrollment || ['refunded', 'suspended'].includes(enrollment.status)) {
+      throw new Error('Not enrolled in this course');
+    }
+
+    const lesson = await curriculumService.getLesson(courseId, lessonId);
+
+    const installments = enrollment.installments;
+    if (installments) {
+      const unlockedLessonIds = await installmentService.getUnlockedLessonIds(courseId, installments.unlockedFraction);
+      if (unlockedLessonIds && !unlockedLessonIds.includes(lessonId)) {
+        throw new Error('This lesson unlocks with your next installment');
+      }
+    }
+
+    return { enrollment, lesson };
+  }
+
+  // Whether a lesson's state meets its completionCriteria
+  isLessonComplete(lesson, state) {
+    const watched = lesson.contentType && lesson.contentType !== 'video'
+      ? state.views > 0
+      : state.watchPercent >= WATCH_COMPLETE_PERCENT;
+
+    switch (lesson.completionCriteria) {
+      case 'quiz':
+        return Boolean(state.quizPassed);
+      case 'both':
+        return watched && Boolean(state.quizPassed);
+      default:
+        return watched;
+    }
+  }
+
+  // Apply changes to one lesson's state, then recompute the course. The
+  // read-modify-write runs in a transaction so concurrent watch / quiz
+  // updates to the same lesson both land
+  async updateLesson(userId, courseId, lessonId, apply) {
+    const { enrollment, lesson } = await this.loadLesson(userId, courseId, lessonId);
+    const ref = this.progressRef(userId, courseId);
+
+    const state = await this.db.runTransaction(async (transaction) => {
+      const progressDoc = await transaction.get(ref);
+      const previous = (progressDoc.exists && progressDoc.data().lessons?.[lessonId]) || {};
+      const now = admin.firestore.Timestamp.now();
+
+      const next = {
+        views: 0,
+        watchPercent: 0,
+        quizPassed: false,
+        quizScore: null,
+        firstViewedAt: now,
+        ...previous,
+        ...apply(previous),
+        lastViewedAt: now
+      };
+
+      const completed = Boolean(previous.completed) || this.isLessonComplete(lesson, next);
+      next.completed = completed;
+      next.completedAt = previous.completedAt || (completed ? now : null);
+
+      transaction.set(ref, {
+        studentId: userId,
+        courseId,
+        enrollmentId: enrollment.id,
+        lessons: { [lessonId]: next },
+        lastLessonId: lessonId,
+        lastActivity: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      return next;
+    });
+
+    const summary = await this.recompute(userId, courseId);
+    return { lesson: { lessonId, ...state }, ...summary };
+  }
+
+  // Opening a lesson; non-video lessons under 'watch' complete on their first view
+  async recordView(userId, courseId, lessonId) {
+    return this.updateLesson(userId, courseId, lessonId, previous => ({
+      views: (previous.views || 0) + 1
+    }));
+  }
+
+  // Furthest point reached in the lesson video, 0-100
+  async recordWatch(userId, courseId, lessonId, percent) {
+    const value = parseFloat(percent);
+    if (isNaN(value) || value < 0 || value > 100) {
+      throw new Error('percent must be a number between 0 and 100');
+    }
+
+    return this.updateLesson(userId, courseId, lessonId, previous => ({
+      views: Math.max(previous.views || 0, 1),
+      watchPercent: Math.max(previous.watchPercent || 0, Math.round(value))
+    }));
+  }
+
+  // A graded attempt (assessments/{assessmentId}) at the lesson quiz; the best score counts.
+  // Only an attempt at the lesson's own quiz (lesson.quizId) is accepted
+  async recordQuiz(userId, courseId, lessonId, assessmentId) {
+    const curriculumService = require('./curriculumService');
+    const lesson = await curriculumService.getLesson(courseId, lessonId);
+    if (!lesson.quizId || String(assessmentId || '') !== lesson.quizId) {
+      throw new Error('Quiz attempt is not for this lesson');
+    }
+
+    const assessmentDoc = await this.db.collection('assessments').doc(String(assessmentId || '')).get();
+    const attempt = assessmentDoc.exists ? assessmentDoc.data() : null;
+
+    if (!attempt || attempt.userId !== userId || attempt.courseId !== courseId) {
+      throw new Error('Quiz attempt not found');
+    }
+    if (attempt.status !== 'completed') {
+      throw new Error('Quiz attempt has not been submitted');
+    }
+
+    return this.updateLesson(userId, courseId, lessonId, previous => ({
+      quizPassed: Boolean(previous.quizPassed) || attempt.score >= PASSING_SCORE,
+      quizScore: Math.max(previous.quizScore || 0, attempt.score || 0),
+      quizAttemptId: assessmentId
+    }));
+  }
+
+  // Course progress from the lessons that exist now, assessment unlocks and,
+  // the first time everything is done, completion
+  async recompute(userId, courseId) {
+    const curriculumService = require('./curriculumService');
+    const membershipService = require('./membershipService');
+
+    const [lessons, courseDoc, enrollment] = await Promise.all([
+      curriculumService.listLessons(courseId),
+      this.db.collection('courses').doc(courseId).get(),
+      membershipService.findEnrollment(userId, courseId)
+    ]);
+    if (!courseDoc.exists) {
+      throw new Error('Course not found');
+    }
+    if (!enrollment) {
+      throw new Error('Not enrolled in this course');
+    }
+
+    const course = courseDoc.data();
+    const hasMidAssessment = (course.midAssessmentQuestions || []).length > 0;
+    const hasFinalAssessment = Boolean(course.requiresAssessment) || (course.finalAssessmentQuestions || []).length > 0;
+
+    if (lessons.length === 0) {
+      return {
+        progress: enrollment.progress || 0,
+        completedLessons: 0,
+        totalLessons: 0,
+        midAssessmentUnlocked: hasMidAssessment,
+        finalAssessmentUnlocked: hasFinalAssessment,
+        completed: Boolean(enrollment.completed),
+        justCompleted: false
+      };
+    }
+    const midPassed = (enrollment.midAssessmentScore || 0) >= PASSING_SCORE;
+    const finalPassed = (enrollment.finalAssessmentScore || 0) >= PASSING_SCORE;
+
+    const ref = this.progressRef(userId, courseId);
+
+    const result = await this.db.runTransaction(async (transaction) => {
+      const progressDoc = await transaction.get(ref);
+      const record = progressDoc.exists ? progressDoc.data() : {};
+
+      const completedLessons = lessons
+        .filter(lesson => record.lessons?.[lesson.id]?.completed)
+        .map(lesson => lesson.id);
+      const progress = Math.round((completedLessons.length / lessons.length) * 100);
+
+      const midAssessmentUnlocked = hasMidAssessment && progress >= MID_ASSESSMENT_PROGRESS;
+      const finalAssessmentUnlocked = hasFinalAssessment && progress === 100 && (!hasMidAssessment || midPassed);
+      const done = progress === 100 && (!hasFinalAssessment || finalPassed);
+      const justCompleted = done && !record.completedAt;
+
+      transaction.set(ref, {
+        studentId: userId,
+        courseId,
+        enrollmentId: enrollment.id,
+        completedLessons,
+        totalLessons: lessons.length,
+        progress,
+        midAssessmentUnlocked: Boolean(record.midAssessmentUnlocked) || midAssessmentUnlocked,
+        finalAssessmentUnlocked: Boolean(record.finalAssessmentUnlocked) || finalAssessmentUnlocked,
+        midAssessmentPassed: midPassed,
+        completedAt: record.completedAt || (done ? admin.firestore.FieldValue.serverTimestamp() : null),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      // Completed enrollments stay `active` so they keep showing in the student's courses
+      const enrollmentUpdates = {
+        progress,
+        completedLessons,
+        midAssessmentUnlocked: Boolean(record.midAssessmentUnlocked) || midAssessmentUnlocked,
+        finalAssessmentUnlocked: Boolean(record.finalAssessmentUnlocked) || finalAssessmentUnlocked,
+        lastAccessed: admin.firestore.FieldValue.serverTimestamp()
+      };
+      if (justCompleted) {
+        Object.assign(enrollmentUpdates, {
+          completed: true,
+          completedAt: admin.firestore.FieldValue.serverTimestamp(),
+          certificateEligible: true
+        });
+      }
+      transaction.update(this.db.collection('enrollments').doc(enrollment.id), enrollmentUpdates);
+
+      return {
+        progress,
+        completedLessons: completedLessons.length,
+        totalLessons: lessons.length,
+        midAssessmentUnlocked: enrollmentUpdates.midAssessmentUnlocked,
+        finalAssessmentUnlocked: enrollmentUpdates.finalAssessmentUnlocked,
+        completed: done || Boolean(record.completedAt),
+        justCompleted
+      };
+    });
+
+    if (result.justCompleted) {
+      try {
+        const Course = require('../models/Course');
+        const courseModel = await Course.findById(courseId);
+        if (courseModel) {
+          await courseModel.incrementCompletion();
+        }
+      } catch (error) {
+        // Completion is recorded on the enrollment already; the course counter can lag
+        console.error(`Completion count update failed for course ${courseId}:`, error);
+      }
+    }
+
+    return result;
+  }
+
+  // Whether the learner may start the mid or final assessment
+  async canTakeAssessment(userId, courseId, assessmentType) {
+    const curriculumService = require('./curriculumService');
+    if (!(await curriculumService.hasLessons(courseId))) {
+      return true;
+    }
+
+    const record = await this.getProgress(userId, courseId);
+    if (!record) return false;
+    return assessmentType === 'mid' ? Boolean(record.midAssessmentUnlocked) : Boolean(record.finalAssessmentUnlocked);
+  }
+}
+
+module.exports = new ProgressService();
+module.exports.WATCH_COMPLETE_PERCENT = WATCH_COMPLETE_PERCENT;
+module.exports.MID_ASSESSMENT_PROGRESS = MID_ASSESSMENT_PROGRESS;
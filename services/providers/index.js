@@ -0,0 +1,34 @@
+// =============================================
+// PAYMENT PROVIDER ADAPTERS
+// =============================================
+// Every adapter exposes the same interface:
+//   name                -> provider key used in the webhook ledger
+//   verify(req)         -> Promise<{ valid, reason }>
+//   parse(req)          -> provider payload
+//   normalize(payload)  -> { provider, eventId, type, rawType, orderId, providerOrderId,
+//                            transactionId, captureId, refundId, amount, currency,
+//                            failureReason, failureCode, payer, network, phone, raw }
+//   refund(payment, { amount, currency, reason })
+//                       -> Promise<{ refundId, status: 'completed' | 'pending', raw }>
+//   setHttpClient(client) -> replace the axios-compatible client used for API calls
+// where type is one of payment.completed | payment.failed | payment.pending |
+// payment.refunded, or null for events we do not act on, and failureCode (failed
+// events only) is one of insufficient_funds | timeout | user_cancelled |
+// invalid_account | unknown.
+const paychanguAdapter = require('./paychanguAdapter');
+const paypalAdapter = require('./paypalAdapter');
+
+const adapters = {
+  [paychanguAdapter.name]: paychanguAdapter,
+  [paypalAdapter.name]: paypalAdapter
+};
+
+function getAdapter(provider) {
+  const adapter = adapters[provider];
+  if (!adapter) {
+    throw new Error(`Unknown payment provider: ${provider}`);
+  }
+  return adapter;
+}
+
+module.exports = { adapters, getAdapter };
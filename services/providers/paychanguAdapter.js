@@ -0,0 +1,163 @@
+// =============================================
+// PAYCHANGU PROVIDER ADAPTER
+// =============================================
+const crypto = require('crypto');
+const axios = require('axios');
+
+// PayChangu event types / statuses mapped to normalized event types
+const EVENT_TYPES = {
+  'payment.success': 'payment.completed',
+  'payment.failed': 'payment.failed',
+  'payment.pending': 'payment.pending',
+  'payment.refunded': 'payment.refunded',
+  SUCCESS: 'payment.completed',
+  FAILED: 'payment.failed',
+  PENDING: 'payment.pending',
+  REFUNDED: 'payment.refunded'
+};
+
+// Failure codes PayChangu (and the mobile networks behind it) send, and the
+// wording they use when only a message is given. Anything else is 'unknown'
+const FAILURE_CODES = {
+  insufficient_funds: ['insufficient_funds', 'insufficient_balance', 'low_balance'],
+  timeout: ['timeout', 'timed_out', 'request_timeout', 'expired'],
+  user_cancelled: ['cancelled', 'canceled', 'user_cancelled', 'rejected_by_user', 'declined_by_user'],
+  invalid_account: ['invalid_msisdn', 'invalid_account', 'invalid_number', 'not_registered']
+};
+
+const FAILURE_PATTERNS = [
+  ['insufficient_funds', /insufficient|not enough|low balance/i],
+  ['timeout', /time(d)?[\s_-]?out|no response|expired/i],
+  ['user_cancelled', /cancel+ed|declined by (the )?(user|customer|subscriber)|rejected by (the )?(user|customer|subscriber)/i],
+  ['invalid_account', /invalid (msisdn|account|number|phone)|not registered/i]
+];
+
+class PaychanguAdapter {
+  constructor() {
+    this.name = 'paychangu';
+    this.http = axios;
+  }
+
+  // Swap the HTTP client (axios-compatible), e.g. for a mock in local testing
+  setHttpClient(client) {
+    this.http = client;
+  }
+
+  getApiBase() {
+    return process.env.PAYCHANGU_MODE === 'live'
+      ? 'https://api.paychangu.com/v1'
+      : 'https://api-test.paychangu.com/v1';
+  }
+
+  // Refund a mobile money transaction. Resolves to { refundId, status: 'completed' | 'pending', raw }
+  async refund(payment, { amount, currency, reason }) {
+    const transactionId = payment.paymentDetails?.transactionId;
+    if (!transactionId) {
+      throw new Error('PayChangu transaction id not found on payment');
+    }
+
+    const response = await this.http.post(`${this.getApiBase()}/payment/refund`, {
+      transaction_id: transactionId,
+      reference: payment.orderId,
+      amount,
+      currency,
+      reason
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.PAYCHANGU_SECRET_KEY}`
+      }
+    });
+
+    if (response.data.status !== 'success') {
+      throw new Error(response.data.message || 'PayChangu refund failed');
+    }
+
+    return {
+      refundId: response.data.refund_id || response.data.data?.refund_id || null,
+      status: response.data.data?.status === 'completed' ? 'completed' : 'pending',
+      raw: response.data
+    };
+  }
+
+  // Check the HMAC-SHA256 signature of the raw body. Resolves to { valid, reason }
+  async verify(req) {
+    const secret = process.env.PAYCHANGU_WEBHOOK_SECRET;
+    if (!secret) {
+      return { valid: false, reason: 'PAYCHANGU_WEBHOOK_SECRET is not configured' };
+    }
+
+    const signature = req.headers['x-paychangu-signature'];
+    if (!signature) {
+      return { valid: false, reason: 'Missing signature header' };
+    }
+
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body));
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+    const given = Buffer.from(String(signature));
+    const computed = Buffer.from(expected);
+    if (given.length !== computed.length || !crypto.timingSafeEqual(given, computed)) {
+      return { valid: false, reason: 'Signature mismatch' };
+    }
+
+    return { valid: true };
+  }
+
+  // Map a failure code or message to insufficient_funds | timeout | user_cancelled |
+  // invalid_account | unknown
+  classifyFailure(code, message) {
+    const normalizedCode = String(code || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    for (const [failure, codes] of Object.entries(FAILURE_CODES)) {
+      if (codes.includes(normalizedCode)) return failure;
+    }
+
+    const text = `${code || ''} ${message || ''}`;
+    const match = FAILURE_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : 'unknown';
+  }
+
+  parse(req) {
+    return req.body;
+  }
+
+  // Accepts both the event envelope ({ type, data }) and the flat callback ({ status, orderId })
+  normalize(payload) {
+    const isEnvelope = Boolean(payload.type && payload.data);
+    const data = isEnvelope ? payload.data : payload;
+    const rawType = isEnvelope ? payload.type : payload.status;
+
+    const orderId = data.reference || data.orderId || null;
+    const transactionId = data.transaction_id || data.transactionId || null;
+
+    // Without an event id or any reference, the body itself identifies the delivery
+    const reference = transactionId || orderId;
+    const fallbackId = reference
+      ? `${rawType}_${reference}`
+      : `body_${crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex')}`;
+
+    return {
+      provider: this.name,
+      eventId: String(payload.id || payload.event_id || payload.eventId || fallbackId),
+      type: EVENT_TYPES[rawType] || null,
+      rawType,
+      orderId,
+      providerOrderId: null,
+      transactionId,
+      captureId: null,
+      refundId: data.refund_id || null,
+      amount: data.amount !== undefined ? parseFloat(data.amount) : null,
+      currency: data.currency || null,
+      failureReason: data.reason || data.message || null,
+      failureCode: EVENT_TYPES[rawType] === 'payment.failed'
+        ? this.classifyFailure(data.failure_code || data.error_code, data.reason || data.message)
+        : null,
+      payer: null,
+      network: data.network || null,
+      phone: data.phone || null,
+      raw: payload
+    };
+  }
+}
+
+module.exports = new PaychanguAdapter();
@@ -0,0 +1,119 @@
+// =============================================
+// PAYPAL PROVIDER ADAPTER
+// =============================================
+const axios = require('axios');
+const paypalWebhookVerifier = require('../paypalWebhookVerifier');
+
+// PayPal event types mapped to normalized event types
+const EVENT_TYPES = {
+  'PAYMENT.CAPTURE.COMPLETED': 'payment.completed',
+  'PAYMENT.CAPTURE.DENIED': 'payment.failed',
+  'PAYMENT.CAPTURE.DECLINED': 'payment.failed',
+  'PAYMENT.CAPTURE.PENDING': 'payment.pending',
+  'PAYMENT.CAPTURE.REFUNDED': 'payment.refunded'
+};
+
+class PaypalAdapter {
+  constructor() {
+    this.name = 'paypal';
+    this.http = axios;
+  }
+
+  // Swap the HTTP client (axios-compatible), e.g. for a mock in local testing
+  setHttpClient(client) {
+    this.http = client;
+  }
+
+  getApiBase() {
+    return process.env.PAYPAL_MODE === 'live'
+      ? 'https://api-m.paypal.com'
+      : 'https://api-m.sandbox.paypal.com';
+  }
+
+  async getAccessToken() {
+    const credentials = Buffer.from(`${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_CLIENT_SECRET}`).toString('base64');
+    const response = await this.http.post(`${this.getApiBase()}/v1/oauth2/token`, 'grant_type=client_credentials', {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${credentials}`
+      }
+    });
+    return response.data.access_token;
+  }
+
+  // Refund a capture. Resolves to { refundId, status: 'completed' | 'pending', raw }
+  async refund(payment, { amount, currency, reason }) {
+    const captureId = payment.paymentDetails?.captureId || payment.paymentDetails?.providerTransactionId;
+    if (!captureId) {
+      throw new Error('PayPal capture id not found on payment');
+    }
+
+    const accessToken = await this.getAccessToken();
+    const response = await this.http.post(`${this.getApiBase()}/v2/payments/captures/${captureId}/refund`, {
+      amount: {
+        value: amount.toFixed(2),
+        currency_code: currency
+      },
+      invoice_id: payment.orderId,
+      note_to_payer: reason ? reason.substring(0, 255) : undefined
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`,
+        // Retrying the same refund request will not refund twice
+        'PayPal-Request-Id': `refund-${payment.id}-${amount.toFixed(2)}-${payment.refundedAmount || 0}-${payment.refundedPending || 0}`
+      }
+    });
+
+    return {
+      refundId: response.data.id,
+      status: response.data.status === 'COMPLETED' ? 'completed' : 'pending',
+      raw: response.data
+    };
+  }
+
+  // Certificate chain, signature and transmission time checks. Resolves to { valid, reason }
+  async verify(req) {
+    return paypalWebhookVerifier.verify(req);
+  }
+
+  parse(req) {
+    return req.body;
+  }
+
+  normalize(payload) {
+    const resource = payload.resource || {};
+    const isRefund = payload.event_type === 'PAYMENT.CAPTURE.REFUNDED';
+    // Refund resources link back to their capture with rel "up"
+    const upLink = (resource.links || []).find(link => link.rel === 'up');
+
+    return {
+      provider: this.name,
+      eventId: String(payload.id),
+      type: EVENT_TYPES[payload.event_type] || null,
+      rawType: payload.event_type,
+      orderId: resource.custom_id || resource.invoice_id || null,
+      providerOrderId: resource.supplementary_data?.related_ids?.order_id || null,
+      transactionId: resource.id || null,
+      captureId: isRefund
+        ? (upLink ? upLink.href.split('/').pop() : null)
+        : resource.id || null,
+      refundId: isRefund ? resource.id || null : null,
+      amount: resource.amount ? parseFloat(resource.amount.value) : null,
+      currency: resource.amount?.currency_code || null,
+      failureReason: payload.event_type === 'PAYMENT.CAPTURE.COMPLETED'
+        ? null
+        : resource.status_details?.reason || null,
+      failureCode: EVENT_TYPES[payload.event_type] === 'payment.failed' ? 'unknown' : null,
+      payer: resource.payer ? {
+        id: resource.payer.payer_id || null,
+        email: resource.payer.email_address || null
+      } : null,
+      network: null,
+      phone: null,
+      raw: payload
+    };
+  }
+}
+
+module.exports = new PaypalAdapter();
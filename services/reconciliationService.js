@@ -0,0 +1,411 @@
+// =============================================
+// RECONCILIATION SERVICE
+// =============================================
+// Checks Firestore payments against provider settlement exports (CSV).
+// Each settlement row is matched to a payment by transaction id, then by order
+// reference, and gets one status:
+//   matched          -> amounts and status agree
+//   amount_mismatch  -> settled amount differs from what the order charged
+//   status_mismatch  -> settled, but the payment is not completed
+//   duplicate        -> the same transaction (or payment) appears more than once
+//   orphaned         -> settled with no payment in Firestore
+// Completed payments in the period with no settlement row are reported as missing.
+// Reports are stored in reconciliation_reports/{id} with one items/{n} doc per line.
+const admin = require('firebase-admin');
+
+const PROVIDERS = ['paychangu', 'paypal'];
+
+// Settlement CSV headers per field, compared lower-case without spaces or punctuation
+const COLUMN_ALIASES = {
+  paychangu: {
+    transactionId: ['transactionid', 'chargeid', 'id'],
+    reference: ['txref', 'reference', 'merchantreference'],
+    amount: ['amount', 'settledamount'],
+    fee: ['fee', 'charges', 'transactionfee'],
+    currency: ['currency'],
+    status: ['status'],
+    settledAt: ['settledat', 'settlementdate', 'date', 'createdat']
+  },
+  paypal: {
+    transactionId: ['transactionid', 'captureid'],
+    reference: ['invoicenumber', 'invoiceid', 'referenceid', 'customnumber', 'customfield'],
+    amount: ['gross', 'grossamount', 'amount'],
+    fee: ['fee', 'feeamount'],
+    currency: ['currency'],
+    status: ['status'],
+    settledAt: ['date', 'transactiondate', 'settledat']
+  }
+};
+
+// Settlement statuses that count as money received
+const SETTLED_STATUSES = ['success', 'successful', 'completed', 'settled', 'paid', ''];
+
+// Amount differences below these are rounding
+const TOLERANCE = {
+  MWK: 1,
+  default: 0.01
+};
+
+const PADDING_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReconciliationService {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  // Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text || '').replace(/^﻿/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  toCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  parseAmount(value) {
+    const amount = parseFloat(String(value || '').replace(/[^0-9.-]/g, ''));
+    return isNaN(amount) ? null : amount;
+  }
+
+  // Settlement rows -> { line, transactionId, reference, amount, fee, currency, status, settledAt }
+  parseSettlement(provider, csvText) {
+    if (!PROVIDERS.includes(provider)) {
+      throw new Error(`Unsupported provider: ${provider}`);
+    }
+
+    const [headers, ...rows] = this.parseCsv(csvText);
+    if (!headers) {
+      throw new Error('Settlement file is empty');
+    }
+
+    const normalized = headers.map(header => this.normalizeHeader(header));
+    const columns = {};
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES[provider])) {
+      columns[field] = aliases.map(alias => normalized.indexOf(alias)).find(index => index >= 0);
+    }
+
+    if (columns.amount === undefined || (columns.transactionId === undefined && columns.reference === undefined)) {
+      throw new Error('Settlement file needs an amount column and a transaction id or reference column');
+    }
+
+    const cell = (cells, field) => (columns[field] === undefined ? '' : (cells[columns[field]] || '').trim());
+
+    return rows.map((cells, index) => {
+      const settledAt = new Date(cell(cells, 'settledAt'));
+      return {
+        line: index + 2, // 1-based, after the header
+        transactionId: cell(cells, 'transactionId') || null,
+        reference: cell(cells, 'reference') || null,
+        amount: this.parseAmount(cell(cells, 'amount')),
+        fee: this.parseAmount(cell(cells, 'fee')),
+        currency: (cell(cells, 'currency') || (provider === 'paychangu' ? 'MWK' : 'USD')).toUpperCase(),
+        status: cell(cells, 'status').toLowerCase(),
+        settledAt: isNaN(settledAt.getTime()) ? null : settledAt.toISOString()
+      };
+    });
+  }
+
+  // Payment period: the given dates, else the settlement dates padded a few days
+  // on each side for orders created before they settled
+  getPeriod(entries, from = null, to = null) {
+    const dates = entries.map(entry => entry.settledAt).filter(Boolean).sort();
+    const start = from ? new Date(from) : new Date(new Date(dates[0] || Date.now()).getTime() - PADDING_DAYS * DAY_MS);
+    const end = to ? new Date(to) : new Date(new Date(dates[dates.length - 1] || Date.now()).getTime() + PADDING_DAYS * DAY_MS);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error('Invalid reconciliation period');
+    }
+    return { from: start, to: end };
+  }
+
+  async loadPayments(provider, period) {
+    const snapshot = await this.db.collection('payments')
+      .where('method', '==', provider)
+      .where('createdAt', '>=', period.from)
+      .where('createdAt', '<=', period.to)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  // Provider ids a payment can be found under
+  getPaymentKeys(payment) {
+    const details = payment.paymentDetails || {};
+    return [
+      details.transactionId,
+      details.captureId,
+      details.providerTransactionId,
+      details.paypalOrderId
+    ].filter(Boolean).map(String);
+  }
+
+  // What the order should have settled for, in the settlement currency
+  getExpectedAmount(payment, currency) {
+    if (currency === 'MWK') {
+      return payment.amount?.mwk ?? null;
+    }
+    if (typeof payment.amount === 'number') {
+      return payment.amount;
+    }
+    return parseFloat(payment.amount?.usd ?? payment.fees?.total ?? payment.amount?.total ?? payment.amount?.requested) || null;
+  }
+
+  // Match settlement entries against payments. Returns { items, summary }
+  match(provider, entries, payments) {
+    const byKey = new Map();
+    const byOrderId = new Map();
+    for (const payment of payments) {
+      for (const key of this.getPaymentKeys(payment)) {
+        byKey.set(key, payment);
+      }
+      if (payment.orderId) {
+        byOrderId.set(String(payment.orderId), payment);
+      }
+    }
+
+    const seenTransactions = new Set();
+    const matchedPayments = new Map(); // paymentId -> first line
+    const items = [];
+
+    for (const entry of entries) {
+      const payment = (entry.transactionId && byKey.get(entry.transactionId)) ||
+        (entry.reference && (byOrderId.get(entry.reference) || byKey.get(entry.reference))) ||
+        (entry.transactionId && byOrderId.get(entry.transactionId)) ||
+        null;
+
+      const item = {
+        source: 'settlement',
+        line: entry.line,
+        transactionId: entry.transactionId,
+        reference: entry.reference,
+        settledAmount: entry.amount,
+        settledFee: entry.fee,
+        currency: entry.currency,
+        settlementStatus: entry.status,
+        settledAt: entry.settledAt,
+        paymentId: payment ? payment.id : null,
+        orderId: payment ? payment.orderId || null : null,
+        paymentStatus: payment ? payment.status : null,
+        expectedAmount: payment ? this.getExpectedAmount(payment, entry.currency) : null,
+        difference: null,
+        status: 'matched',
+        note: ''
+      };
+
+      const transactionKey = entry.transactionId || entry.reference;
+      if (transactionKey && seenTransactions.has(transactionKey)) {
+        item.status = 'duplicate';
+        item.note = 'Transaction appears more than once in the settlement file';
+      } else if (!payment) {
+        item.status = 'orphaned';
+        item.note = 'No payment found for this settlement';
+      } else if (matchedPayments.has(payment.id)) {
+        item.status = 'duplicate';
+        item.note = `Payment already settled on line ${matchedPayments.get(payment.id)}`;
+      } else {
+        matchedPayments.set(payment.id, entry.line);
+
+        const settled = SETTLED_STATUSES.includes(entry.status);
+        const tolerance = TOLERANCE[entry.currency] ?? TOLERANCE.default;
+        if (item.expectedAmount !== null && entry.amount !== null) {
+          item.difference = Math.round((entry.amount - item.expectedAmount) * 100) / 100;
+        }
+
+        if (item.difference !== null && Math.abs(item.difference) > tolerance) {
+          item.status = 'amount_mismatch';
+          item.note = `Settled ${entry.amount} ${entry.currency}, order charged ${item.expectedAmount}`;
+        } else if (settled && !['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
+          item.status = 'status_mismatch';
+          item.note = `Settled but payment is ${payment.status}`;
+        } else if (!settled && payment.status === 'completed') {
+          item.status = 'status_mismatch';
+          item.note = `Payment completed but settlement status is ${entry.status}`;
+        }
+      }
+
+      if (transactionKey) {
+        seenTransactions.add(transactionKey);
+      }
+      items.push(item);
+    }
+
+    // Completed in Firestore, never settled by the provider
+    for (const payment of payments) {
+      if (payment.status !== 'completed' || matchedPayments.has(payment.id)) {
+        continue;
+      }
+
+      items.push({
+        source: 'payments',
+        line: null,
+        transactionId: this.getPaymentKeys(payment)[0] || null,
+        reference: payment.orderId || null,
+        settledAmount: null,
+        settledFee: null,
+        currency: provider === 'paychangu' ? 'MWK' : (payment.currency || 'USD'),
+        settlementStatus: null,
+        settledAt: null,
+        paymentId: payment.id,
+        orderId: payment.orderId || null,
+        paymentStatus: payment.status,
+        expectedAmount: this.getExpectedAmount(payment, provider === 'paychangu' ? 'MWK' : 'USD'),
+        difference: null,
+        status: 'missing',
+        note: 'Completed payment not found in the settlement file'
+      });
+    }
+
+    const summary = {
+      settlementRows: entries.length,
+      payments: payments.length,
+      matched: 0,
+      amount_mismatch: 0,
+      status_mismatch: 0,
+      duplicate: 0,
+      orphaned: 0,
+      missing: 0
+    };
+    for (const item of items) {
+      summary[item.status]++;
+    }
+
+    return { items, summary };
+  }
+
+  // Import a settlement export, reconcile it and store the report
+  async runReconciliation({ provider, csv, filename = null, from = null, to = null, actor = 'system', dryRun = false }) {
+    const entries = this.parseSettlement(provider, csv);
+    const period = this.getPeriod(entries, from, to);
+    const payments = await this.loadPayments(provider, period);
+    const { items, summary } = this.match(provider, entries, payments);
+
+    const reportRef = this.db.collection('reconciliation_reports').doc();
+    const report = {
+      id: reportRef.id,
+      provider,
+      filename,
+      period: {
+        from: period.from.toISOString(),
+        to: period.to.toISOString()
+      },
+      summary,
+      issues: items.length - summary.matched,
+      createdBy: actor,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    if (dryRun) {
+      return { ...report, id: null, dryRun: true, createdAt: new Date().toISOString(), items };
+    }
+
+    await reportRef.set(report);
+
+    // Batches stay under Firestore's 500 writes limit
+    for (let start = 0; start < items.length; start += 400) {
+      const batch = this.db.batch();
+      items.slice(start, start + 400).forEach((item, offset) => {
+        const index = start + offset;
+        batch.set(reportRef.collection('items').doc(String(index).padStart(6, '0')), { index, ...item });
+      });
+      await batch.commit();
+    }
+
+    return { ...report, createdAt: new Date().toISOString(), items };
+  }
+
+  async listReports({ provider = null, limit = 20 } = {}) {
+    let query = this.db.collection('reconciliation_reports');
+    if (provider) {
+      query = query.where('provider', '==', provider);
+    }
+
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  // Report with its lines, optionally only one status
+  async getReport(reportId, { status = null } = {}) {
+    const reportRef = this.db.collection('reconciliation_reports').doc(reportId);
+    const reportDoc = await reportRef.get();
+    if (!reportDoc.exists) {
+      return null;
+    }
+
+    let query = reportRef.collection('items');
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.get();
+    const items = snapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => a.index - b.index);
+
+    return { id: reportDoc.id, ...reportDoc.data(), items };
+  }
+
+  toCsv(report) {
+    const columns = [
+      'status', 'source', 'line', 'transactionId', 'reference', 'paymentId', 'orderId',
+      'paymentStatus', 'settlementStatus', 'currency', 'settledAmount', 'expectedAmount',
+      'difference', 'settledFee', 'settledAt', 'note'
+    ];
+
+    const lines = [columns.join(',')];
+    for (const item of report.items) {
+      lines.push(columns.map(column => this.toCsvValue(item[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = new ReconciliationService();
+module.exports.PROVIDERS = PROVIDERS;
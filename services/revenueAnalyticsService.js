@@ -0,0 +1,361 @@
+// =============================================
+// REVENUE ANALYTICS SERVICE
+// =============================================
+// Revenue reporting is served from daily rollups in revenue_daily/{YYYY-MM-DD}
+// (UTC days) instead of scanning payments on every request. A rollup covers the
+// orders created that day, whatever their status is now, so conversion and refund
+// rates are per order cohort. Amounts are in USD unless the breakdown is by currency.
+//   gross  -> amount paid for completed orders
+//   fees   -> platform and processing fees charged on those orders
+//   net    -> gross - processing fees - refunds (what MRTC keeps)
+// Rollups are rebuilt by the revenue cron (yesterday and today) and whenever a
+// payment changes status the day it was created on is marked stale.
+const admin = require('firebase-admin');
+const paymentService = require('./paymentService');
+
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+const BUCKETS = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class RevenueAnalyticsService {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  dayKey(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  // PayChangu orders are reported by mobile money network, the rest by method
+  getNetwork(payment) {
+    if (payment.method !== 'paychangu') {
+      return payment.method || 'unknown';
+    }
+    const network = String(payment.network || 'airtel').toLowerCase();
+    return ['tnm', 'mpamba', 'tnm_mpamba'].includes(network) ? 'mpamba' : network;
+  }
+
+  // Currency the provider settled in, with the amount in that currency
+  getSettlement(payment, paidUSD) {
+    if (payment.method === 'paychangu' && payment.amount?.mwk) {
+      return { currency: 'MWK', amount: parseFloat(payment.amount.mwk) || 0 };
+    }
+    return { currency: payment.currency || payment.amount?.currency || 'USD', amount: paidUSD };
+  }
+
+  emptyTotals() {
+    return { gross: 0, platformFees: 0, processingFees: 0, refunds: 0, net: 0 };
+  }
+
+  // Add every number in source into target, recursing into nested maps
+  addInto(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (typeof value === 'number') {
+        target[key] = round((target[key] || 0) + value);
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        target[key] = this.addInto(target[key] || {}, value);
+      }
+    }
+    return target;
+  }
+
+  // Category of each course, looked up once per rollup
+  async getCourseCategories(courseIds) {
+    const categories = {};
+    if (courseIds.length === 0) {
+      return categories;
+    }
+
+    const refs = courseIds.map(courseId => this.db.collection('courses').doc(courseId));
+    const docs = await this.db.getAll(...refs);
+    docs.forEach(doc => {
+      categories[doc.id] = doc.exists ? (doc.data().category || 'general') : 'unknown';
+    });
+    return categories;
+  }
+
+  // Recompute the rollup for one UTC day from its payments and store it
+  async buildDailyRollup(day) {
+    const start = new Date(`${day}T00:00:00.000Z`);
+    if (isNaN(start.getTime())) {
+      throw new Error(`Invalid day: ${day}`);
+    }
+    const end = new Date(start.getTime() + DAY_MS);
+
+    const snapshot = await this.db.collection('payments')
+      .where('createdAt', '>=', start)
+      .where('createdAt', '<', end)
+      .get();
+    const payments = snapshot.docs.map(doc => doc.data());
+
+    const rollup = {
+      date: day,
+      orders: { created: payments.length, completed: 0, refunded: 0, byStatus: {} },
+      totals: this.emptyTotals(),
+      byCourse: {},
+      byCategory: {},
+      byCurrency: {},
+      byNetwork: {},
+      byMethod: {}
+    };
+
+    const paid = payments.filter(payment => PAID_STATUSES.includes(payment.status));
+    const courseIds = [...new Set(paid.flatMap(payment => paymentService.allocateAmount(payment, 0)
+      .map(line => line.courseId)
+      .filter(Boolean)))];
+    const categories = await this.getCourseCategories(courseIds);
+
+    for (const payment of payments) {
+      const status = payment.status || 'pending';
+      const network = this.getNetwork(payment);
+      const method = payment.method || 'unknown';
+      rollup.orders.byStatus[status] = (rollup.orders.byStatus[status] || 0) + 1;
+
+      for (const [group, key] of [['byNetwork', network], ['byMethod', method]]) {
+        rollup[group][key] = rollup[group][key] || { created: 0, completed: 0, ...this.emptyTotals() };
+        rollup[group][key].created++;
+      }
+
+      if (!PAID_STATUSES.includes(status)) {
+        continue;
+      }
+
+      const gross = paymentService.getPaidAmount(payment);
+      const refunds = status === 'refunded' ? gross : (parseFloat(payment.refundedAmount) || 0);
+      const platformFees = parseFloat(payment.fees?.fees?.platform?.amount) || 0;
+      const processingFees = parseFloat(payment.fees?.fees?.processing?.amount) || 0;
+      const totals = {
+        gross,
+        platformFees,
+        processingFees,
+        refunds,
+        net: round(gross - processingFees - refunds)
+      };
+
+      rollup.orders.completed++;
+      if (refunds > 0) rollup.orders.refunded++;
+      this.addInto(rollup.totals, totals);
+      this.addInto(rollup.byNetwork[network], { completed: 1, ...totals });
+      this.addInto(rollup.byMethod[method], { completed: 1, ...totals });
+
+      const settlement = this.getSettlement(payment, gross);
+      this.addInto(rollup.byCurrency, {
+        [settlement.currency]: { orders: 1, gross: settlement.amount, grossUSD: gross }
+      });
+
+      // Bundle orders are split across their courses by allocated revenue
+      const grossLines = paymentService.allocateAmount(payment, gross);
+      const netLines = paymentService.allocateAmount(payment, totals.net);
+      const refundLines = paymentService.allocateAmount(payment, refunds);
+      grossLines.forEach((line, index) => {
+        if (!line.courseId) return;
+        const share = { orders: 1, gross: line.amount, refunds: refundLines[index].amount, net: netLines[index].amount };
+        this.addInto(rollup.byCourse, { [line.courseId]: share });
+        this.addInto(rollup.byCategory, { [categories[line.courseId] || 'unknown']: share });
+      });
+    }
+
+    await this.db.collection('revenue_daily').doc(day).set({
+      ...rollup,
+      stale: false,
+      builtAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return rollup;
+  }
+
+  // Flag the rollup of the day an order was created on for rebuilding
+  async markStale(createdAt) {
+    const date = this.toDate(createdAt);
+    if (!date) return;
+
+    await this.db.collection('revenue_daily').doc(this.dayKey(date)).set({
+      date: this.dayKey(date),
+      stale: true
+    }, { merge: true });
+  }
+
+  // Cron: rebuild yesterday, today and any day marked stale
+  async refreshRollups({ limit = 31, dryRun = false } = {}) {
+    const today = new Date();
+    const days = new Set([
+      this.dayKey(new Date(today.getTime() - DAY_MS)),
+      this.dayKey(today)
+    ]);
+
+    const result = {
+      success: true,
+      dryRun,
+      checked: 0,
+      rebuilt: [],
+      errors: []
+    };
+
+    try {
+      const staleSnapshot = await this.db.collection('revenue_daily')
+        .where('stale', '==', true)
+        .limit(limit)
+        .get();
+      staleSnapshot.docs.forEach(doc => days.add(doc.id));
+      result.checked = days.size;
+
+      for (const day of [...days].sort()) {
+        if (dryRun) {
+          result.rebuilt.push(day);
+          continue;
+        }
+        try {
+          await this.buildDailyRollup(day);
+          result.rebuilt.push(day);
+        } catch (error) {
+          console.error(`Revenue rollup failed for ${day}:`, error);
+          result.errors.push({ day, error: error.message });
+        }
+      }
+
+      return result;
+
+    } catch (error) {
+      console.error('Refresh revenue rollups error:', error);
+      return { ...result, success: false, error: error.message };
+    }
+  }
+
+  // Days from..to inclusive, as YYYY-MM-DD
+  listDays(from, to) {
+    const days = [];
+    for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+      days.push(this.dayKey(new Date(time)));
+    }
+    return days;
+  }
+
+  // Rebuild every day in a range, e.g. to backfill history
+  async rebuildRange(from, to) {
+    const days = this.listDays(new Date(`${from}T00:00:00.000Z`), new Date(`${to}T00:00:00.000Z`));
+    if (days.length > MAX_RANGE_DAYS) {
+      throw new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    const rebuilt = [];
+    for (const day of days) {
+      await this.buildDailyRollup(day);
+      rebuilt.push(day);
+    }
+    return rebuilt;
+  }
+
+  bucketKey(day, bucket) {
+    if (bucket === 'month') {
+      return day.slice(0, 7);
+    }
+    if (bucket === 'week') {
+      // Weeks start on Monday
+      const date = new Date(`${day}T00:00:00.000Z`);
+      const offset = (date.getUTCDay() + 6) % 7;
+      return this.dayKey(new Date(date.getTime() - offset * DAY_MS));
+    }
+    return day;
+  }
+
+  // Revenue report for a date range, from the stored rollups. Today's rollup is
+  // rebuilt on read so the report includes orders placed since the last cron run
+  async getRevenue({ from = null, to = null, bucket = 'day' } = {}) {
+    if (!BUCKETS.includes(bucket)) {
+      throw new Error(`bucket must be one of: ${BUCKETS.join(', ')}`);
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 29 * DAY_MS);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+      throw new Error('Invalid date range');
+    }
+    if ((end - start) / DAY_MS > MAX_RANGE_DAYS) {
+      throw new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    const fromDay = this.dayKey(start);
+    const toDay = this.dayKey(end);
+    const today = this.dayKey(new Date());
+
+    const snapshot = await this.db.collection('revenue_daily')
+      .where('date', '>=', fromDay)
+      .where('date', '<=', toDay)
+      .get();
+
+    const rollups = {};
+    snapshot.docs.forEach(doc => {
+      rollups[doc.id] = doc.data();
+    });
+
+    if (today >= fromDay && today <= toDay) {
+      rollups[today] = await this.buildDailyRollup(today);
+    }
+
+    const report = {
+      from: fromDay,
+      to: toDay,
+      bucket,
+      orders: { created: 0, completed: 0, refunded: 0, byStatus: {} },
+      totals: this.emptyTotals(),
+      byCourse: {},
+      byCategory: {},
+      byCurrency: {},
+      byNetwork: {},
+      byMethod: {},
+      series: [],
+      missingDays: [],
+      staleDays: []
+    };
+
+    const series = {};
+    for (const day of this.listDays(new Date(`${fromDay}T00:00:00.000Z`), new Date(`${toDay}T00:00:00.000Z`))) {
+      const key = this.bucketKey(day, bucket);
+      series[key] = series[key] || { period: key, created: 0, completed: 0, ...this.emptyTotals() };
+
+      const rollup = rollups[day];
+      if (!rollup || !rollup.totals) {
+        report.missingDays.push(day);
+        continue;
+      }
+      if (rollup.stale) {
+        report.staleDays.push(day);
+      }
+
+      for (const field of ['orders', 'totals', 'byCourse', 'byCategory', 'byCurrency', 'byNetwork', 'byMethod']) {
+        this.addInto(report[field], rollup[field]);
+      }
+      this.addInto(series[key], {
+        created: rollup.orders.created,
+        completed: rollup.orders.completed,
+        ...rollup.totals
+      });
+    }
+
+    report.series = Object.values(series);
+    report.conversion = {
+      created: report.orders.created,
+      completed: report.orders.completed,
+      rate: report.orders.created > 0 ? round(report.orders.completed / report.orders.created) : 0
+    };
+    report.refundRate = {
+      orders: report.orders.completed > 0 ? round(report.orders.refunded / report.orders.completed) : 0,
+      amount: report.totals.gross > 0 ? round(report.totals.refunds / report.totals.gross) : 0
+    };
+
+    return report;
+  }
+}
+
+module.exports = new RevenueAnalyticsService();
+module.exports.BUCKETS = BUCKETS;
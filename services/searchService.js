@@ -0,0 +1,516 @@
+// =============================================
+// COURSE SEARCH SERVICE
+// =============================================
+// Courses are indexed when they are saved, published or deleted, into
+//   search_index/{courseId} { fields: { title, tags, objectives, lessons, description }
+//                             -> { stem: count }, words, text, facets }
+// Stems come from the course language (English or Chichewa). Queries are matched
+// against an in-memory copy of the published entries: exact stems, prefixes of
+// indexed words (search-as-you-type) and stems within one or two edits (typos),
+// scored BM25-style with per-field weights.
+const admin = require('firebase-admin');
+const facetService = require('./facetService');
+
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// How much a hit in each field counts
+const FIELD_WEIGHTS = {
+  title: 5,
+  tags: 3,
+  objectives: 2,
+  lessons: 1.5,
+  description: 1
+};
+
+// How much each kind of match counts against an exact stem
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.8,
+  typo: 0.6,
+  typo2: 0.4
+};
+
+const PREFIX_MIN_LENGTH = 2;
+const SNIPPET_RADIUS = 80;
+
+const STOP_WORDS = new Set([
+  // English
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'our', 'the', 'this', 'that', 'to', 'what', 'with', 'you', 'your',
+  // Chichewa
+  'ndi', 'kapena', 'koma', 'wa', 'ya', 'la', 'za', 'kwa', 'pa', 'mu', 'ku', 'cha', 'zomwe',
+  'amene', 'kuti', 'ife', 'inu', 'iwo', 'uyu', 'ichi', 'izi'
+]);
+
+// Chichewa verb extensions (passive, causative, applicative, reciprocal, stative)
+// without their final vowel, longest first, and noun class / infinitive prefixes
+const CHICHEWA_SUFFIXES = ['itsidw', 'etsedw', 'ikidw', 'ekedw', 'idw', 'edw', 'its', 'ets',
+  'iran', 'eran', 'an', 'ir', 'er', 'ik', 'ek'];
+const CHICHEWA_PREFIXES = ['chi', 'zi', 'ma', 'mi', 'mu', 'ku', 'ka', 'ti', 'a', 'u'];
+const CHICHEWA_LANGUAGES = ['chichewa', 'chinyanja', 'nyanja', 'ny'];
+
+class SearchService {
+  constructor() {
+    this.db = admin.firestore();
+    this.cache = null;
+  }
+
+  // ===== TEXT ANALYSIS =====
+
+  getLanguage(language) {
+    return CHICHEWA_LANGUAGES.includes(String(language || '').trim().toLowerCase()) ? 'chichewa' : 'english';
+  }
+
+  // Lowercase, strip accents (ŵ -> w) and apostrophes (ng'ombe -> ngombe)
+  normalize(text) {
+    return String(text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/['’]/g, '')
+      .toLowerCase();
+  }
+
+  // Words of a text, without stop words unless that would leave nothing
+  tokenize(text, { keepStopWords = false } = {}) {
+    const words = this.normalize(text).match(/[a-z0-9]+/g) || [];
+    if (keepStopWords) return words;
+
+    const filtered = words.filter(word => !STOP_WORDS.has(word));
+    return filtered.length > 0 ? filtered : words;
+  }
+
+  stem(word, language = 'english') {
+    return language === 'chichewa' ? this.stemChichewa(word) : this.stemEnglish(word);
+  }
+
+  // Light suffix stripping: plurals, -ing / -ed, and common derivations
+  stemEnglish(word) {
+    if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+    let stem = word;
+    if (stem.endsWith('sses')) {
+      stem = stem.slice(0, -2);
+    } else if (stem.endsWith('ies')) {
+      stem = stem.slice(0, -2);
+    } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+      stem = stem.slice(0, -1);
+    }
+
+    for (const [suffix, replacement] of [['ational', 'ate'], ['ization', 'ize'], ['ation', 'ate'], ['ness', ''], ['ment', ''], ['ly', '']]) {
+      if (stem.endsWith(suffix) && stem.length - suffix.length >= 4) {
+        stem = stem.slice(0, -suffix.length) + replacement;
+        break;
+      }
+    }
+
+    const inflection = stem.match(/^(.+?)(ing|ed)$/);
+    if (inflection && /[aeiouy]/.test(inflection[1]) && inflection[1].length >= 3) {
+      stem = inflection[1];
+      // programm(ing) -> program
+      if (/([^aeiouylsz])\1$/.test(stem)) {
+        stem = stem.slice(0, -1);
+      }
+    }
+
+    // study / studies -> studi
+    if (/[^aeiou]y$/.test(stem) && stem.length > 3) {
+      stem = stem.slice(0, -1) + 'i';
+    }
+
+    return stem;
+  }
+
+  // Chichewa is prefix-heavy: kuphunzira / maphunziro / phunziro -> phunz
+  stemChichewa(word) {
+    if (word.length <= 4 || /^\d+$/.test(word)) return word;
+
+    let stem = word;
+    const prefix = CHICHEWA_PREFIXES.find(candidate => stem.startsWith(candidate) && stem.length - candidate.length >= 5);
+    if (prefix) {
+      stem = stem.slice(prefix.length);
+    }
+
+    // Final vowel, then the verb extension: phunzira / phunziro -> phunzir -> phunz
+    if (/[aeiou]$/.test(stem) && stem.length > 4) {
+      stem = stem.slice(0, -1);
+    }
+    const suffix = CHICHEWA_SUFFIXES.find(candidate => stem.endsWith(candidate) && stem.length - candidate.length >= 4);
+    if (suffix) {
+      stem = stem.slice(0, -suffix.length);
+    }
+
+    return stem;
+  }
+
+  // Optimal string alignment distance, giving up once it exceeds maxDistance
+  editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previous2[j - 2] + 1);
+        }
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > maxDistance) return maxDistance + 1;
+      previous2 = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  // ===== INDEXING =====
+
+  // Lesson titles live in the course curriculum array, the course_curriculum
+  // collection and titled course_contents (YouTube links, HTML lessons)
+  async getLessonTitles(courseId, course) {
+    const titles = [];
+    const collect = (items) => {
+      (Array.isArray(items) ? items : []).forEach(item => {
+        if (!item || typeof item !== 'object') return;
+        if (item.title) titles.push(String(item.title));
+        collect(item.lessons);
+      });
+    };
+
+    collect(course.curriculum);
+
+    const [curriculumSnapshot, contentsSnapshot] = await Promise.all([
+      this.db.collection('course_curriculum').where('courseId', '==', courseId).get(),
+      this.db.collection('course_contents').where('courseId', '==', courseId).get()
+    ]);
+
+    collect(curriculumSnapshot.docs.map(doc => doc.data()));
+    contentsSnapshot.docs.forEach(doc => {
+      const content = doc.data();
+      if (content.status !== 'deleted' && content.title) {
+        titles.push(String(content.title));
+      }
+    });
+
+    return [...new Set(titles)];
+  }
+
+  // Index entry for a course: the text snippets are cut from plus stem counts per field
+  buildEntry(courseId, course, lessonTitles = []) {
+    const language = this.getLanguage(course.language);
+    const text = {
+      title: course.title || '',
+      description: [course.shortDescription, course.description].filter(Boolean).join(' '),
+      tags: (course.tags || []).map(String),
+      objectives: [...(course.learningObjectives || []), ...(course.learningOutcomes || [])].map(String),
+      lessons: lessonTitles
+    };
+
+    const fields = {};
+    const words = new Set();
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      const value = Array.isArray(text[field]) ? text[field].join(' ') : text[field];
+      fields[field] = {};
+      this.tokenize(value, { keepStopWords: true }).forEach(word => {
+        words.add(word);
+        if (STOP_WORDS.has(word)) return;
+        const stem = this.stem(word, language);
+        fields[field][stem] = (fields[field][stem] || 0) + 1;
+      });
+    }
+
+    const price = parseFloat(course.price) || 0;
+    const createdAt = course.createdAt?.toDate ? course.createdAt.toDate().toISOString() : course.createdAt || null;
+
+    return {
+      courseId,
+      language,
+      isPublished: Boolean(course.isPublished || course.status === 'published') &&
+        !course.isArchived && course.status !== 'archived',
+      category: course.category || null,
+      level: course.level || null,
+      price,
+      isFree: price === 0,
+      isFeatured: Boolean(course.isFeatured),
+      enrollmentCount: course.enrollmentCount || course.totalStudents || 0,
+      createdAt: typeof createdAt === 'string' ? createdAt : null,
+      facets: facetService.getFacetValues(course),
+      text,
+      fields,
+      words: [...words]
+    };
+  }
+
+  // (Re)index one course; removes the entry when the course no longer exists
+  async indexCourse(courseId) {
+    const courseDoc = await this.db.collection('courses').doc(courseId).get();
+    if (!courseDoc.exists) {
+      await this.removeCourse(courseId);
+      return null;
+    }
+
+    const course = courseDoc.data();
+    const lessonTitles = await this.getLessonTitles(courseId, course);
+    const entry = this.buildEntry(courseId, course, lessonTitles);
+
+    await this.db.collection('search_index').doc(courseId).set({
+      ...entry,
+      indexedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    this.cache = null;
+
+    return entry;
+  }
+
+  async removeCourse(courseId) {
+    await this.db.collection('search_index').doc(courseId).delete();
+    this.cache = null;
+  }
+
+  // Reindex every course, e.g. after changing the analyzer
+  async rebuildIndex({ dryRun = false } = {}) {
+    const snapshot = await this.db.collection('courses').get();
+    const results = { checked: snapshot.size, indexed: [], errors: [] };
+
+    for (const doc of snapshot.docs) {
+      if (dryRun) {
+        results.indexed.push(doc.id);
+        continue;
+      }
+      try {
+        await this.indexCourse(doc.id);
+        results.indexed.push(doc.id);
+      } catch (error) {
+        console.error(`Search index ${doc.id} error:`, error);
+        results.errors.push({ courseId: doc.id, error: error.message });
+      }
+    }
+
+    return { success: true, dryRun, ...results };
+  }
+
+  // Published entries with their document frequencies, cached for CACHE_TTL_MS
+  async getIndex() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.value;
+    }
+
+    const snapshot = await this.db.collection('search_index')
+      .where('isPublished', '==', true)
+      .get();
+
+    const entries = snapshot.docs.map(doc => doc.data());
+    const documentFrequency = new Map();
+    const words = new Map();
+
+    for (const entry of entries) {
+      const stems = new Set();
+      Object.values(entry.fields || {}).forEach(counts => Object.keys(counts).forEach(stem => stems.add(stem)));
+      stems.forEach(stem => documentFrequency.set(stem, (documentFrequency.get(stem) || 0) + 1));
+
+      (entry.words || []).forEach(word => {
+        if (STOP_WORDS.has(word)) return;
+        if (!words.has(word)) words.set(word, new Set());
+        words.get(word).add(this.stem(word, entry.language));
+      });
+    }
+
+    const value = { entries, documentFrequency, words };
+    this.cache = { value, expiresAt: Date.now() + CACHE_TTL_MS };
+    return value;
+  }
+
+  // Facet values of every published course (or only the featured ones), for
+  // catalog counts that do not need the courses themselves
+  async getFacetValues({ featured = false } = {}) {
+    const { entries } = await this.getIndex();
+    return entries
+      .filter(entry => !featured || entry.isFeatured)
+      .map(entry => entry.facets || facetService.getFacetValues(entry));
+  }
+
+  // ===== SEARCH =====
+
+  // Stems a query word can match, each with how much the match counts
+  expandTerm(token, index) {
+    const variants = new Map();
+    const add = (stem, weight) => {
+      if (index.documentFrequency.has(stem) && weight > (variants.get(stem) || 0)) {
+        variants.set(stem, weight);
+      }
+    };
+
+    add(this.stemEnglish(token), MATCH_WEIGHTS.exact);
+    add(this.stemChichewa(token), MATCH_WEIGHTS.exact);
+
+    if (token.length >= PREFIX_MIN_LENGTH) {
+      for (const [word, stems] of index.words) {
+        if (word.length > token.length && word.startsWith(token)) {
+          stems.forEach(stem => add(stem, MATCH_WEIGHTS.prefix));
+        }
+      }
+    }
+
+    const queryStem = this.stemEnglish(token);
+    const maxDistance = queryStem.length >= 8 ? 2 : queryStem.length >= 4 ? 1 : 0;
+    if (maxDistance > 0) {
+      for (const stem of index.documentFrequency.keys()) {
+        const distance = this.editDistance(queryStem, stem, maxDistance);
+        if (distance > 0 && distance <= maxDistance) {
+          add(stem, distance === 1 ? MATCH_WEIGHTS.typo : MATCH_WEIGHTS.typo2);
+        }
+      }
+    }
+
+    return variants;
+  }
+
+  // Ranked published courses for a query. Courses matching every query word come
+  // first; when none do, courses matching any word are returned with partial: true.
+  // Resolves to { total, partial, results: [{ courseId, score, highlights, facets }] }
+  async search(query, { category = null, filter = 'all', limit = null } = {}) {
+    const tokens = [...new Set(this.tokenize(query))];
+    if (tokens.length === 0) {
+      return { total: 0, partial: false, results: [] };
+    }
+
+    const index = await this.getIndex();
+    const entries = index.entries.filter(entry => {
+      if (category && category !== 'all' && entry.category !== category) return false;
+      if (filter === 'free') return entry.isFree;
+      if (filter === 'paid') return !entry.isFree;
+      if (filter === 'featured') return entry.isFeatured;
+      return true;
+    });
+
+    const documentCount = index.entries.length;
+    const expansions = tokens.map(token => this.expandTerm(token, index));
+    const normalizedQuery = this.tokenize(query, { keepStopWords: true }).join(' ');
+
+    const scored = [];
+    for (const entry of entries) {
+      let score = 0;
+      let matched = 0;
+      const matchedStems = new Set();
+
+      expansions.forEach(variants => {
+        let best = 0;
+        for (const [stem, weight] of variants) {
+          let fieldScore = 0;
+          for (const [field, fieldWeight] of Object.entries(FIELD_WEIGHTS)) {
+            const count = entry.fields?.[field]?.[stem] || 0;
+            if (count > 0) {
+              fieldScore += fieldWeight * count / (count + 1.2);
+            }
+          }
+          if (fieldScore === 0) continue;
+
+          matchedStems.add(stem);
+          const documentFrequency = index.documentFrequency.get(stem) || 0;
+          const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+          best = Math.max(best, weight * idf * fieldScore);
+        }
+        if (best > 0) {
+          matched++;
+          score += best;
+        }
+      });
+
+      if (matched === 0) continue;
+
+      // The whole query in the title, then a nudge for popular courses
+      if (tokens.length > 1 && this.tokenize(entry.text.title, { keepStopWords: true }).join(' ').includes(normalizedQuery)) {
+        score *= 1.5;
+      }
+      score *= 1 + 0.05 * Math.log10(1 + entry.enrollmentCount);
+
+      scored.push({ entry, score, matched, matchedStems });
+    }
+
+    const complete = scored.filter(result => result.matched === tokens.length);
+    const partial = complete.length === 0 && scored.length > 0;
+    const ranked = (partial ? scored : complete)
+      .sort((a, b) => b.matched - a.matched || b.score - a.score || String(b.entry.createdAt).localeCompare(String(a.entry.createdAt)));
+
+    const results = (limit ? ranked.slice(0, limit) : ranked).map(result => ({
+      courseId: result.entry.courseId,
+      score: Math.round(result.score * 1000) / 1000,
+      highlights: this.highlight(result.entry, result.matchedStems, tokens),
+      // Entries indexed before facets existed only know category, level and price
+      facets: result.entry.facets || facetService.getFacetValues(result.entry)
+    }));
+
+    return { total: ranked.length, partial, results };
+  }
+
+  // ===== HIGHLIGHTING =====
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // HTML-escaped text with matching words wrapped in <mark>. With a radius, only
+  // the part around the first match is kept. Returns null when nothing matches
+  markText(text, isMatch, radius = 0) {
+    const words = [...String(text).matchAll(/[\p{L}\p{N}'’]+/gu)];
+    const first = words.find(word => isMatch(word[0]));
+    if (!first) return null;
+
+    let start = 0;
+    let end = text.length;
+    if (radius > 0) {
+      start = Math.max(0, first.index - radius);
+      end = Math.min(text.length, first.index + first[0].length + radius);
+      // Do not cut words in half
+      while (start > 0 && /\S/.test(text[start - 1])) start--;
+      while (end < text.length && /\S/.test(text[end])) end++;
+    }
+
+    let html = '';
+    let cursor = start;
+    for (const word of words) {
+      if (word.index < start || word.index >= end) continue;
+      html += this.escapeHtml(text.slice(cursor, word.index));
+      html += isMatch(word[0]) ? `<mark>${this.escapeHtml(word[0])}</mark>` : this.escapeHtml(word[0]);
+      cursor = word.index + word[0].length;
+    }
+    html += this.escapeHtml(text.slice(cursor, end));
+
+    return `${start > 0 ? '…' : ''}${html.trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  // Highlighted title plus a snippet from the first other field that matched
+  highlight(entry, matchedStems, tokens) {
+    const isMatch = (rawWord) => {
+      const word = this.normalize(rawWord);
+      return matchedStems.has(this.stem(word, entry.language)) ||
+        tokens.some(token => token.length >= PREFIX_MIN_LENGTH && word.startsWith(token));
+    };
+
+    const title = this.markText(entry.text.title, isMatch) || this.escapeHtml(entry.text.title);
+
+    for (const field of ['description', 'objectives', 'lessons', 'tags']) {
+      const value = entry.text[field];
+      const text = Array.isArray(value) ? value.join(field === 'tags' ? ', ' : ' • ') : value;
+      const snippet = text ? this.markText(text, isMatch, SNIPPET_RADIUS) : null;
+      if (snippet) {
+        return { title, snippet, field };
+      }
+    }
+
+    return { title, snippet: null, field: null };
+  }
+}
+
+module.exports = new SearchService();
+module.exports.FIELD_WEIGHTS = FIELD_WEIGHTS;
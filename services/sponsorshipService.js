@@ -0,0 +1,370 @@
+// =============================================
+// SPONSORSHIP SERVICE
+// =============================================
+// Sponsors (employers, NGOs) buy seats in a course through the normal checkout
+// with `seats` set. The completed order becomes sponsorships/{paymentId} with one
+// redeemable code per seat in sponsorship_seats/{code}:
+//   available -> invited (reserved for an email) -> redeemed
+// Redeeming enrolls the student through courseService.enrollStudent with
+// paymentMethod 'sponsored'. A refunded sponsorship revokes its unused seats.
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+// Seats plus the sponsorship doc must fit in one batch of 500 writes
+const MAX_SEATS = Math.min(parseInt(process.env.SPONSORSHIP_MAX_SEATS) || 400, 400);
+
+// No 0/O or 1/I so codes can be read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class SponsorshipService {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  generateCode() {
+    const bytes = crypto.randomBytes(8);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `SPN-${chars.slice(0, 4)}-${chars.slice(4)}`;
+  }
+
+  validateSeats(seats) {
+    const count = parseInt(seats);
+    if (isNaN(count) || count < 1 || count > MAX_SEATS || String(count) !== String(seats).trim()) {
+      throw new Error(`seats must be a whole number between 1 and ${MAX_SEATS}`);
+    }
+    return count;
+  }
+
+  // Lower-cased, de-duplicated recipient emails; no more than there are seats
+  normalizeRecipients(recipients = [], seats = MAX_SEATS) {
+    const emails = [...new Set((recipients || []).map(email => String(email).trim().toLowerCase()).filter(Boolean))];
+
+    const invalid = emails.find(email => !EMAIL_PATTERN.test(email));
+    if (invalid) {
+      throw new Error(`Invalid email address: ${invalid}`);
+    }
+    if (emails.length > seats) {
+      throw new Error(`${emails.length} recipients for ${seats} seat(s)`);
+    }
+    return emails;
+  }
+
+  // Sponsorship details stored on the order at checkout
+  buildOrderDetails(seats, { recipients = [], organizationName = '' } = {}) {
+    const count = this.validateSeats(seats);
+    return {
+      seats: count,
+      recipients: this.normalizeRecipients(recipients, count),
+      organizationName: String(organizationName || '').trim()
+    };
+  }
+
+  // Create the sponsorship and its seat codes for a completed order, inviting
+  // the recipients given at checkout. Safe to call more than once
+  async issueFromPayment(paymentId, payment) {
+    const sponsorshipRef = this.db.collection('sponsorships').doc(paymentId);
+    const existing = await sponsorshipRef.get();
+    if (existing.exists) {
+      return existing.data();
+    }
+
+    const details = payment.sponsorship;
+    const userDoc = await this.db.collection('users').doc(payment.userId).get();
+    const user = userDoc.exists ? userDoc.data() : {};
+
+    const sponsorship = {
+      id: paymentId,
+      paymentId,
+      orderId: payment.orderId || null,
+      sponsorId: payment.userId,
+      sponsorName: details.organizationName || user.displayName || user.email || 'A sponsor',
+      sponsorEmail: user.email || null,
+      organizationName: details.organizationName || '',
+      courseId: payment.courseId,
+      courseTitle: (payment.items && payment.items[0] && payment.items[0].title) || payment.courseTitle || '',
+      seats: details.seats,
+      redeemedCount: 0,
+      status: 'active',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const now = new Date().toISOString();
+    const seats = [];
+    const batch = this.db.batch();
+    batch.create(sponsorshipRef, sponsorship);
+
+    for (let index = 0; index < details.seats; index++) {
+      const invitedEmail = details.recipients[index] || null;
+      const seat = {
+        code: this.generateCode(),
+        sponsorshipId: paymentId,
+        sponsorId: payment.userId,
+        courseId: payment.courseId,
+        status: invitedEmail ? 'invited' : 'available',
+        invitedEmail,
+        invitedAt: invitedEmail ? now : null,
+        redeemedBy: null,
+        redeemedEmail: null,
+        redeemedAt: null,
+        enrollmentId: null
+      };
+      batch.create(this.db.collection('sponsorship_seats').doc(seat.code), seat);
+      seats.push(seat);
+    }
+
+    try {
+      await batch.commit();
+    } catch (error) {
+      // gRPC ALREADY_EXISTS: issued by a concurrent call
+      if (error.code === 6) {
+        return (await sponsorshipRef.get()).data();
+      }
+      throw error;
+    }
+
+    await this.sendInvites(sponsorship, seats.filter(seat => seat.invitedEmail));
+    return sponsorship;
+  }
+
+  async sendInvites(sponsorship, seats) {
+    const emailService = require('./emailService');
+    for (const seat of seats) {
+      const result = await emailService.sendSponsorshipInviteEmail(
+        seat.invitedEmail,
+        sponsorship.sponsorName,
+        sponsorship.courseTitle,
+        seat.code
+      );
+      if (!result.success) {
+        console.error(`Sponsorship invite to ${seat.invitedEmail} failed:`, result.error);
+      }
+    }
+  }
+
+  async getSponsorship(sponsorshipId) {
+    const sponsorshipDoc = await this.db.collection('sponsorships').doc(sponsorshipId).get();
+    return sponsorshipDoc.exists ? sponsorshipDoc.data() : null;
+  }
+
+  async listForSponsor(sponsorId) {
+    const snapshot = await this.db.collection('sponsorships')
+      .where('sponsorId', '==', sponsorId)
+      .orderBy('createdAt', 'desc')
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async getSeats(sponsorshipId) {
+    const snapshot = await this.db.collection('sponsorship_seats')
+      .where('sponsorshipId', '==', sponsorshipId)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Reserve available seats for the given emails and send each one its code
+  async invite(sponsorshipId, emails) {
+    const sponsorshipRef = this.db.collection('sponsorships').doc(sponsorshipId);
+    const seatsQuery = this.db.collection('sponsorship_seats').where('sponsorshipId', '==', sponsorshipId);
+
+    const { sponsorship, invited } = await this.db.runTransaction(async (transaction) => {
+      const [sponsorshipDoc, seatsSnapshot] = await Promise.all([
+        transaction.get(sponsorshipRef),
+        transaction.get(seatsQuery)
+      ]);
+
+      if (!sponsorshipDoc.exists) {
+        throw new Error('Sponsorship not found');
+      }
+      const sponsorship = sponsorshipDoc.data();
+      if (sponsorship.status !== 'active') {
+        throw new Error(`Sponsorship is ${sponsorship.status}`);
+      }
+
+      const seats = seatsSnapshot.docs.map(doc => ({ ref: doc.ref, ...doc.data() }));
+      const taken = new Set(seats.flatMap(seat => [seat.invitedEmail, seat.redeemedEmail]).filter(Boolean));
+      const recipients = this.normalizeRecipients(emails, sponsorship.seats).filter(email => !taken.has(email));
+      const available = seats.filter(seat => seat.status === 'available');
+
+      if (recipients.length > available.length) {
+        throw new Error(`Only ${available.length} seat(s) left for ${recipients.length} new recipient(s)`);
+      }
+
+      const now = new Date().toISOString();
+      const invited = recipients.map((email, index) => {
+        const seat = available[index];
+        transaction.update(seat.ref, { status: 'invited', invitedEmail: email, invitedAt: now });
+        return { code: seat.code, invitedEmail: email };
+      });
+
+      return { sponsorship, invited };
+    });
+
+    await this.sendInvites(sponsorship, invited);
+    return invited;
+  }
+
+  // Claim a seat for the user and enroll them in the sponsored course
+  async redeem(code, user) {
+    const seatRef = this.db.collection('sponsorship_seats').doc(String(code || '').trim().toUpperCase());
+    const email = String(user.email || '').toLowerCase();
+
+    const seat = await this.db.runTransaction(async (transaction) => {
+      const seatDoc = await transaction.get(seatRef);
+      if (!seatDoc.exists) {
+        const error = new Error('Invalid seat code');
+        error.code = 'SEAT_NOT_FOUND';
+        throw error;
+      }
+
+      const seat = seatDoc.data();
+      const sponsorshipRef = this.db.collection('sponsorships').doc(seat.sponsorshipId);
+      const sponsorshipDoc = await transaction.get(sponsorshipRef);
+
+      if (!['available', 'invited'].includes(seat.status) || sponsorshipDoc.data().status !== 'active') {
+        const error = new Error(seat.status === 'redeemed' ? 'This seat has already been used' : 'This seat is no longer valid');
+        error.code = 'SEAT_UNAVAILABLE';
+        throw error;
+      }
+      if (seat.status === 'invited' && seat.invitedEmail !== email) {
+        const error = new Error('This seat was reserved for a different email address');
+        error.code = 'SEAT_RESERVED';
+        throw error;
+      }
+
+      transaction.update(seatRef, {
+        status: 'redeemed',
+        redeemedBy: user.uid,
+        redeemedEmail: email,
+        redeemedAt: new Date().toISOString()
+      });
+      transaction.update(sponsorshipRef, {
+        redeemedCount: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return seat;
+    });
+
+    try {
+      const courseService = require('./courseService');
+      const enrollment = await courseService.enrollStudent(seat.courseId, user.uid, email, false, {
+        paymentMethod: 'sponsored',
+        sponsorshipId: seat.sponsorshipId,
+        seatCode: seat.code
+      });
+
+      await seatRef.update({ enrollmentId: enrollment.enrollmentId });
+      return { ...enrollment, courseId: seat.courseId, sponsorshipId: seat.sponsorshipId };
+
+    } catch (error) {
+      // Give the seat back so it can still be used
+      await this.db.runTransaction(async (transaction) => {
+        transaction.update(seatRef, {
+          status: seat.status,
+          redeemedBy: null,
+          redeemedEmail: null,
+          redeemedAt: null
+        });
+        transaction.update(this.db.collection('sponsorships').doc(seat.sponsorshipId), {
+          redeemedCount: admin.firestore.FieldValue.increment(-1),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+
+      if (error.message === 'Student is already enrolled in this course') {
+        error.code = 'ALREADY_ENROLLED';
+      }
+      throw error;
+    }
+  }
+
+  // Refunded sponsorship: unused seats stop working, redeemed ones keep their enrollment
+  async revokeUnredeemed(sponsorshipId, reason = '') {
+    const sponsorshipRef = this.db.collection('sponsorships').doc(sponsorshipId);
+    const sponsorshipDoc = await sponsorshipRef.get();
+    if (!sponsorshipDoc.exists) {
+      return 0;
+    }
+
+    const seats = await this.getSeats(sponsorshipId);
+    const unused = seats.filter(seat => ['available', 'invited'].includes(seat.status));
+
+    const batch = this.db.batch();
+    unused.forEach(seat => batch.update(this.db.collection('sponsorship_seats').doc(seat.code), { status: 'revoked' }));
+    batch.update(sponsorshipRef, {
+      status: 'revoked',
+      revokedReason: reason,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await batch.commit();
+
+    return unused.length;
+  }
+
+  // Seats with the progress of the students who redeemed them
+  async getDashboard(sponsorshipId) {
+    const sponsorship = await this.getSponsorship(sponsorshipId);
+    if (!sponsorship) {
+      return null;
+    }
+
+    const seats = await this.getSeats(sponsorshipId);
+    const enrollmentIds = seats.map(seat => seat.enrollmentId).filter(Boolean);
+    const enrollmentDocs = enrollmentIds.length > 0
+      ? await this.db.getAll(...enrollmentIds.map(id => this.db.collection('enrollments').doc(id)))
+      : [];
+
+    const enrollments = {};
+    enrollmentDocs.filter(doc => doc.exists).forEach(doc => {
+      enrollments[doc.id] = doc.data();
+    });
+
+    const summary = { seats: seats.length, available: 0, invited: 0, redeemed: 0, revoked: 0, completed: 0, averageProgress: 0 };
+    let progressTotal = 0;
+
+    const rows = seats.map(seat => {
+      summary[seat.status] = (summary[seat.status] || 0) + 1;
+      const enrollment = seat.enrollmentId ? enrollments[seat.enrollmentId] : null;
+
+      let progress = null;
+      if (enrollment) {
+        const percent = parseFloat(enrollment.progress) || 0;
+        const completed = enrollment.status === 'completed' || percent >= 100;
+        progressTotal += percent;
+        if (completed) summary.completed++;
+        progress = {
+          percent,
+          completed,
+          status: enrollment.status,
+          completedLessons: (enrollment.completedLessons || []).length,
+          certificateEligible: Boolean(enrollment.certificateEligible),
+          lastAccessed: enrollment.lastAccessed?.toDate
+            ? enrollment.lastAccessed.toDate().toISOString()
+            : enrollment.lastAccessed || null
+        };
+      }
+
+      return {
+        code: seat.code,
+        status: seat.status,
+        invitedEmail: seat.invitedEmail,
+        redeemedEmail: seat.redeemedEmail,
+        redeemedAt: seat.redeemedAt,
+        progress
+      };
+    });
+
+    const withProgress = rows.filter(row => row.progress).length;
+    summary.averageProgress = withProgress > 0 ? Math.round(progressTotal / withProgress) : 0;
+
+    return { sponsorship, summary, seats: rows };
+  }
+}
+
+module.exports = new SponsorshipService();
+module.exports.MAX_SEATS = MAX_SEATS;
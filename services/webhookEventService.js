@@ -0,0 +1,176 @@
+// =============================================
+// WEBHOOK EVENT LEDGER
+// =============================================
+const admin = require('firebase-admin');
+
+// A delivery stuck in "processing" longer than this is treated as abandoned
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+class WebhookEventService {
+  constructor() {
+    this.db = admin.firestore();
+    this.collection = this.db.collection('webhook_events');
+  }
+
+  // Whether another attempt at the event is still running (and not abandoned)
+  isInFlight(event) {
+    return event.status === 'processing' &&
+      Date.now() - new Date(event.lastAttemptAt).getTime() < STALE_PROCESSING_MS;
+  }
+
+  // Ledger document id for a provider event
+  getEventDocId(provider, eventId) {
+    return `${provider}_${String(eventId).replace(/[\/.#$\[\]]/g, '_')}`;
+  }
+
+  // Record an incoming delivery. Resolves to { id, duplicate, attempts }
+  async begin({ provider, source, eventId, eventType, payload }) {
+    const id = this.getEventDocId(provider, eventId);
+    const ref = this.collection.doc(id);
+    const now = new Date().toISOString();
+
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+
+      if (!doc.exists) {
+        transaction.set(ref, {
+          id,
+          provider,
+          source,
+          eventId: String(eventId),
+          eventType: eventType || null,
+          payload,
+          status: 'processing',
+          attempts: 1,
+          duplicateCount: 0,
+          outcome: null,
+          error: null,
+          receivedAt: now,
+          lastAttemptAt: now,
+          processedAt: null,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { id, duplicate: false, attempts: 1 };
+      }
+
+      const event = doc.data();
+
+      // Already handled (or being handled) - just count the retry
+      if (event.status === 'processed' || this.isInFlight(event)) {
+        transaction.update(ref, {
+          duplicateCount: admin.firestore.FieldValue.increment(1),
+          lastDuplicateAt: now,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { id, duplicate: true, status: event.status, attempts: event.attempts };
+      }
+
+      // Previous attempt failed or was abandoned - try again
+      transaction.update(ref, {
+        status: 'processing',
+        attempts: admin.firestore.FieldValue.increment(1),
+        lastAttemptAt: now,
+        error: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return { id, duplicate: false, attempts: (event.attempts || 0) + 1 };
+    });
+  }
+
+  // Mark an event as successfully processed
+  async markProcessed(id, outcome = 'processed') {
+    await this.collection.doc(id).update({
+      status: 'processed',
+      outcome,
+      error: null,
+      processedAt: new Date().toISOString(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // Mark an event as failed so it can be retried or replayed
+  async markFailed(id, error) {
+    await this.collection.doc(id).update({
+      status: 'failed',
+      outcome: 'error',
+      error: error?.message || String(error),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // Run a processor for a delivery and record the outcome in the ledger
+  async process(entry, processor, payload) {
+    try {
+      const outcome = await processor(payload);
+      await this.markProcessed(entry.id, outcome || 'processed');
+      return { success: true, outcome: outcome || 'processed' };
+    } catch (error) {
+      await this.markFailed(entry.id, error);
+      throw error;
+    }
+  }
+
+  // Get a single ledger entry
+  async getEvent(id) {
+    const doc = await this.collection.doc(id).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  // List ledger entries, newest first
+  async listEvents({ provider = null, status = null, limit = 50 } = {}) {
+    let query = this.collection;
+
+    if (provider) {
+      query = query.where('provider', '==', provider);
+    }
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query
+      .orderBy('receivedAt', 'desc')
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  // Re-run a failed (or abandoned) event from its stored payload
+  async replay(id, processor, actor) {
+    const ref = this.collection.doc(id);
+
+    const entry = await this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+
+      if (!doc.exists) {
+        throw new Error('Webhook event not found');
+      }
+
+      const event = doc.data();
+      if (event.status === 'processed') {
+        throw new Error('Webhook event was already processed');
+      }
+      if (this.isInFlight(event)) {
+        throw new Error('Webhook event is still being processed');
+      }
+
+      transaction.update(ref, {
+        status: 'processing',
+        attempts: admin.firestore.FieldValue.increment(1),
+        lastAttemptAt: new Date().toISOString(),
+        replays: admin.firestore.FieldValue.arrayUnion({
+          by: actor || 'system',
+          at: new Date().toISOString()
+        }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { id, ...event };
+    });
+
+    return this.process(entry, processor, entry.payload);
+  }
+}
+
+module.exports = new WebhookEventService();
@@ -63,7 +63,8 @@ async function setupDatabase() {
                 language: 'English',
                 price: 49.99,
                 currency: 'USD',
-                mwkPrice: 39992, // 49.99 * 800
+                mwkPrice: 39992,
+                prices: { MWK: 39992 },
                 isFree: false,
                 featured: true,
                 rating: 4.9,
@@ -89,6 +90,31 @@ async function setupDatabase() {
             console.log(`✅ Created course: ${course.title}`);
         }
         
+        // ======================
+        // 1b. CREATE SAMPLE BUNDLE
+        // ======================
+        const bundles = [
+            {
+                id: 'digital-skills-web-dev',
+                title: 'Digital Skills 101 + Web Development Bootcamp',
+                description: 'Start with the digital basics, then build and publish your own websites',
+                courseIds: ['digital-skills-101', 'web-development-bootcamp'],
+                type: 'learning_path',
+                price: 44.99,
+                currency: 'USD',
+                prices: { MWK: 35992 },
+                allocationWeights: null,
+                isActive: true,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }
+        ];
+        
+        for (const bundle of bundles) {
+            await db.collection('bundles').doc(bundle.id).set(bundle);
+            console.log(`✅ Created bundle: ${bundle.title}`);
+        }
+        
         // ======================
         // 2. CREATE ASSESSMENTS FOR DIGITAL SKILLS COURSE
         // ======================
@@ -255,6 +281,7 @@ async function setupDatabase() {
         console.log('\n🎉 Database setup completed successfully!');
         console.log('\n📊 Sample Data Created:');
         console.log('   - 2 Courses (1 free, 1 paid)');
+        console.log('   - 1 Bundle (Digital Skills 101 + Web Development Bootcamp)');
         console.log('   - 2 Assessments (mid & final) with questions');
         console.log('   - 8 Lessons for Digital Skills course');
         console.log('\n🚀 Your backend is ready to use!');
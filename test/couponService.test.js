@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { install } = require('./support/firebase');
+
+const db = install();
+const couponService = require('../services/couponService');
+
+const course = { title: 'Course', priceUSD: 100 };
+
+async function createCoupon(code, data = {}) {
+  return couponService.createCoupon({ code, type: 'percentage', value: 10, ...data }, 'admin1');
+}
+
+test('createCoupon normalizes the code and refuses duplicates and bad data', async () => {
+  const coupon = await createCoupon(' welcome10 ');
+
+  assert.equal(coupon.code, 'WELCOME10');
+  assert.equal(coupon.perUserLimit, 1);
+  assert.equal(db.data('coupons/WELCOME10').redemptionCount, 0);
+
+  await assert.rejects(createCoupon('WELCOME10'), error => error.code === 6);
+  await assert.rejects(createCoupon('X'), /Code must be 3-32/);
+  await assert.rejects(createCoupon('HALFOFF', { value: 150 }), /percentage at most 100/);
+  await assert.rejects(createCoupon('COURSEONLY', { scope: 'course', courseIds: [] }), /at least one courseId/);
+});
+
+test('percentage coupons apply to the price left after earlier discounts', async () => {
+  await createCoupon('STACK10', { stackable: true });
+  await createCoupon('STACK5', { type: 'fixed', value: 5, stackable: true });
+
+  const pricing = await couponService.priceWithDiscounts('c1', course, ['stack5', 'STACK10'], 'u1');
+
+  assert.deepEqual(pricing.coupons.map(coupon => [coupon.code, coupon.amount]), [['STACK5', 5], ['STACK10', 9.5]]);
+  assert.equal(pricing.price, 85.5);
+  assert.equal(pricing.discountTotal, 14.5);
+});
+
+test('non-stackable coupons do not combine', async () => {
+  await createCoupon('SOLO20', { value: 20 });
+
+  await assert.rejects(
+    couponService.priceWithDiscounts('c1', course, ['SOLO20', 'STACK10'], 'u1'),
+    /These coupons cannot be combined/
+  );
+});
+
+test('a non-stackable coupon replaces a smaller course sale discount and loses to a larger one', async () => {
+  const onSale = { ...course, discountPercentage: 15 };
+
+  const better = await couponService.priceWithDiscounts('c1', onSale, ['SOLO20'], 'u1');
+  assert.equal(better.courseDiscount, 0);
+  assert.equal(better.price, 80);
+
+  await assert.rejects(
+    couponService.priceWithDiscounts('c1', { ...course, discountPercentage: 25 }, ['SOLO20'], 'u1'),
+    /cannot be combined with the current course discount/
+  );
+
+  const stacked = await couponService.priceWithDiscounts('c1', onSale, ['STACK10'], 'u1');
+  assert.equal(stacked.courseDiscount, 15);
+  assert.equal(stacked.price, 76.5);
+});
+
+test('eligibility covers scope, dates, minimum purchase and limits', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  const base = { active: true, type: 'fixed', value: 5 };
+  const check = (coupon, options = {}) => couponService.checkEligibility({ ...base, ...coupon }, { courseId: 'c1', price: 100, now, ...options });
+
+  assert.equal(check({}), null);
+  assert.equal(check({ active: false }), 'Coupon is not valid');
+  assert.equal(check({ startsAt: '2026-07-01T00:00:00Z' }), 'Coupon is not active yet');
+  assert.equal(check({ expiresAt: '2026-06-01T00:00:00Z' }), 'Coupon has expired');
+  assert.equal(check({ scope: 'course', courseIds: ['c2'] }), 'Coupon does not apply to this course');
+  assert.match(check({ minPurchase: 150 }), /minimum purchase of \$150\.00/);
+  assert.equal(check({ maxRedemptions: 3, redemptionCount: 3 }), 'Coupon usage limit reached');
+  assert.equal(check({ perUserLimit: 1 }, { usedByUser: 1 }), 'You have already used this coupon');
+});
+
+test('reserve counts the use and settling confirms or gives it back', async () => {
+  await createCoupon('LAUNCH', { value: 50, maxRedemptions: 2 });
+
+  const pricing = await couponService.reserve(['launch'], { paymentId: 'pay1', userId: 'u1', courseId: 'c1', courseData: course });
+
+  assert.equal(pricing.price, 50);
+  assert.equal(db.data('coupons/LAUNCH').redemptionCount, 1);
+  assert.equal(db.data('coupon_redemptions/pay1_LAUNCH').status, 'reserved');
+
+  // The same user cannot reserve it again while the first use is open
+  await assert.rejects(
+    couponService.reserve(['LAUNCH'], { paymentId: 'pay2', userId: 'u1', courseId: 'c1', courseData: course }),
+    /already used this coupon/
+  );
+
+  assert.deepEqual(await couponService.settleForPayment('pay1', ['LAUNCH'], 'expired'), { settled: 1, status: 'released' });
+  assert.equal(db.data('coupons/LAUNCH').redemptionCount, 0);
+  assert.deepEqual(await couponService.settleForPayment('pay1', ['LAUNCH'], 'failed'), { settled: 0, status: 'released' });
+  assert.equal(db.data('coupons/LAUNCH').redemptionCount, 0);
+
+  // A late completion of the expired order takes the use again
+  await couponService.settleForPayment('pay1', ['LAUNCH'], 'completed');
+  assert.equal(db.data('coupons/LAUNCH').redemptionCount, 1);
+  assert.equal(db.data('coupon_redemptions/pay1_LAUNCH').status, 'redeemed');
+
+  assert.deepEqual(await couponService.settleForPayment('pay1', ['LAUNCH'], 'pending'), { settled: 0 });
+});
+
+test('concurrent reservations cannot exceed maxRedemptions', async () => {
+  await createCoupon('LASTONE', { value: 10, maxRedemptions: 1 });
+
+  const results = await Promise.allSettled(['u1', 'u2'].map((userId, index) => couponService.reserve(['LASTONE'], {
+    paymentId: `race${index}`,
+    userId,
+    courseId: 'c1',
+    courseData: course
+  })));
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.match(results.find(result => result.status === 'rejected').reason.message, /usage limit reached/);
+  assert.equal(db.data('coupons/LASTONE').redemptionCount, 1);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { install, stubModule, Timestamp } = require('./support/firebase');
+const services = require('./support/services');
+
+const db = install();
+services.stub();
+stubModule('./services/googleDriveService', { googleDriveService: {} });
+const courseService = require('../services/courseService');
+
+function seedCatalog() {
+  const levels = ['beginner', 'beginner', 'advanced', 'beginner', 'advanced'];
+  levels.forEach((level, i) => {
+    const course = { title: `Course ${i}`, level, price: 0, isPublished: true, createdAt: new Timestamp(1760000000 + i, 0) };
+    db.seed(`courses/cat${i}`, course);
+    db.seed(`search_index/cat${i}`, { courseId: `cat${i}`, isPublished: true, facets: { level } });
+  });
+  db.seed('courses/draft', { title: 'Draft', level: 'beginner', isPublished: false, createdAt: new Timestamp(1760000100, 0) });
+}
+
+test('an unfiltered catalog is paged by query with counts from the search index', async () => {
+  seedCatalog();
+
+  const first = await courseService.getCourses({ limit: 2 });
+  assert.deepEqual(first.courses.map(course => course.id), ['cat4', 'cat3']);
+  assert.ok(first.courses[0].createdAt instanceof Date);
+  assert.equal(first.pagination.hasMore, true);
+  assert.deepEqual(first.facets.level.map(item => [item.value, item.count]), [['beginner', 3], ['advanced', 2]]);
+
+  const ids = first.courses.map(course => course.id);
+  let cursor = first.pagination.nextCursor;
+  while (cursor) {
+    const page = await courseService.getCourses({ limit: 2, cursor });
+    ids.push(...page.courses.map(course => course.id));
+    cursor = page.pagination.nextCursor;
+  }
+  assert.deepEqual(ids, ['cat4', 'cat3', 'cat2', 'cat1', 'cat0']);
+});
+
+test('a faceted catalog is filtered in memory and counted over the published courses', async () => {
+  const result = await courseService.getCourses({ limit: 2, level: 'advanced' });
+
+  assert.deepEqual(result.courses.map(course => course.id), ['cat4', 'cat2']);
+  assert.equal(result.pagination.total, 2);
+  assert.equal(result.pagination.hasMore, false);
+  assert.deepEqual(result.facets.level.find(item => item.value === 'advanced'), { value: 'advanced', label: 'advanced', count: 2, selected: true });
+});
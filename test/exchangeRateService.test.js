@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { install } = require('./support/firebase');
+
+install({ initialized: true });
+const exchangeRateService = require('../services/exchangeRateService');
+
+const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+test('USD is the base and MWK falls back to the default rate', async () => {
+  assert.deepEqual(await exchangeRateService.getRate('usd'), { currency: 'USD', rate: 1, effectiveFrom: null, source: 'base', rateId: null });
+
+  const mwk = await exchangeRateService.getRate('MWK');
+  assert.equal(mwk.rate, 800);
+  assert.equal(mwk.source, 'default');
+
+  await assert.rejects(exchangeRateService.getRate('XYZ'), /Unsupported currency: XYZ/);
+  await assert.rejects(exchangeRateService.getRate('ZAR'), /No exchange rate configured for ZAR/);
+});
+
+test('a stored rate replaces the default and later rates wait for their effective date', async () => {
+  const current = await exchangeRateService.setRate('mwk', 1750, { actor: 'admin1', note: 'Bank rate' });
+  await exchangeRateService.setRate('MWK', 1800, { effectiveFrom: daysFromNow(7) });
+
+  const rate = await exchangeRateService.getRate('MWK');
+  assert.deepEqual(
+    { rate: rate.rate, source: rate.source, rateId: rate.rateId },
+    { rate: 1750, source: 'manual', rateId: current.id }
+  );
+  assert.equal((await exchangeRateService.getRate('MWK', daysFromNow(8))).rate, 1800);
+
+  const history = await exchangeRateService.getHistory('MWK');
+  assert.deepEqual(history.map(entry => entry.rate), [1800, 1750]);
+  assert.equal(history[1].createdBy, 'admin1');
+});
+
+test('setRate refuses the base currency and non-positive rates', async () => {
+  await assert.rejects(exchangeRateService.setRate('USD', 1), /Unsupported currency: USD/);
+  await assert.rejects(exchangeRateService.setRate('ZAR', 0), /Rate must be a positive number/);
+  await assert.rejects(exchangeRateService.setRate('ZAR', 18, { effectiveFrom: 'someday' }), /Invalid effectiveFrom date/);
+});
+
+test('convert goes through USD and rounds to the target currency', async () => {
+  await exchangeRateService.setRate('ZAR', 18.5);
+
+  const converted = await exchangeRateService.convert(100, 'ZAR', 'MWK');
+  assert.equal(converted.amount, 9459);
+  assert.equal(converted.rate, 1750 / 18.5);
+});
+
+test('quote keeps the fee ratio on an explicit price and converts otherwise', async () => {
+  const course = { priceUSD: 100, prices: { MWK: 150000 } };
+
+  // 110 USD is the 100 USD price plus fees, so the MWK total carries the same 10%
+  const explicit = await exchangeRateService.quote(course, 110, 'MWK');
+  assert.equal(explicit.amount, 165000);
+  assert.equal(explicit.explicit, true);
+  assert.equal(explicit.exchangeRate.rate, 1750);
+  assert.equal(explicit.exchangeRate.base, 'USD');
+
+  const converted = await exchangeRateService.quote({ priceUSD: 100 }, 110.01, 'MWK');
+  assert.equal(converted.amount, 192518);
+  assert.equal(converted.explicit, false);
+});
+
+test('getCoursePrice prefers an explicit price', async () => {
+  assert.deepEqual(
+    await exchangeRateService.getCoursePrice({ priceUSD: 20, prices: { MWK: 30000 } }, 'mwk'),
+    { amount: 30000, currency: 'MWK', explicit: true, rate: null }
+  );
+
+  const converted = await exchangeRateService.getCoursePrice({ price: 20 }, 'MWK');
+  assert.equal(converted.amount, 35000);
+  assert.equal(converted.explicit, false);
+});
+
+test('validatePrices upper-cases codes and rounds to the currency', () => {
+  assert.deepEqual(exchangeRateService.validatePrices({ mwk: 1500.6, zar: '99.999' }), { valid: true, prices: { MWK: 1501, ZAR: 100 } });
+  assert.deepEqual(exchangeRateService.validatePrices(null), { valid: true, prices: {} });
+  assert.match(exchangeRateService.validatePrices({ XYZ: 1 }).error, /Unsupported currency: XYZ/);
+  assert.match(exchangeRateService.validatePrices({ MWK: -1 }).error, /Invalid price for MWK/);
+  assert.match(exchangeRateService.validatePrices([1]).error, /prices must be an object/);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { install } = require('./support/firebase');
+
+install({ initialized: true });
+const feeEngine = require('../services/feeEngine');
+
+const amounts = breakdown => ({
+  platform: breakdown.fees.platform.amount,
+  processing: breakdown.fees.processing.amount,
+  total: breakdown.total,
+  netReceived: breakdown.netReceived,
+  courseNet: breakdown.courseNet,
+  studentFees: breakdown.studentFees
+});
+
+test('the default schedule adds the platform fee and absorbs processing', async () => {
+  const breakdown = await feeEngine.calculate(100, { method: 'paychangu' });
+
+  assert.equal(breakdown.scheduleId, 'default');
+  assert.equal(breakdown.currency, 'USD');
+  assert.deepEqual(amounts(breakdown), {
+    platform: 10,
+    processing: 3.3,
+    total: 110,
+    netReceived: 106.7,
+    courseNet: 96.7,
+    studentFees: 10
+  });
+});
+
+test('fixed processing fees are added to the percentage', async () => {
+  const breakdown = await feeEngine.calculate(100, { method: 'paypal' });
+
+  assert.equal(breakdown.fees.processing.amount, 3.49);
+  assert.equal(breakdown.netReceived, 106.51);
+});
+
+test('MWK fees round up to whole kwacha and convert fixed fees at the current rate', async () => {
+  const paychangu = await feeEngine.calculate(80000, { method: 'paychangu', currency: 'mwk' });
+
+  assert.equal(paychangu.currency, 'MWK');
+  assert.deepEqual(amounts(paychangu), {
+    platform: 8000,
+    processing: 2640,
+    total: 88000,
+    netReceived: 85360,
+    courseNet: 77360,
+    studentFees: 8000
+  });
+
+  // 88000 * 0.029 + 0.30 USD at 800 MWK, without float noise pushing it to 2793
+  const paypal = await feeEngine.calculate(80000, { method: 'paypal', currency: 'MWK' });
+  assert.equal(paypal.exchangeRate, 800);
+  assert.equal(paypal.fees.processing.amount, 2792);
+});
+
+test('free courses carry no fees', async () => {
+  const breakdown = await feeEngine.calculate(0, { method: 'paypal' });
+
+  assert.deepEqual(amounts(breakdown), {
+    platform: 0,
+    processing: 0,
+    total: 0,
+    netReceived: 0,
+    courseNet: 0,
+    studentFees: 0
+  });
+});
+
+test('an unknown method is refused', async () => {
+  await assert.rejects(feeEngine.calculate(100, { method: 'cash' }), /No fee rate configured for payment method: cash/);
+});
+
+test('round follows the currency rule of the schedule', () => {
+  const schedule = { currencies: { MWK: { rounding: 'up', increment: 50 }, USD: { rounding: 'down' } } };
+
+  assert.equal(feeEngine.round(100.2, 'MWK', schedule), 150);
+  assert.equal(feeEngine.round(3.0000000004 * 50, 'MWK', schedule), 150);
+  assert.equal(feeEngine.round(1.239, 'USD', schedule), 1.23);
+  assert.equal(feeEngine.round(1.236, 'EUR', schedule), 1.24);
+});
+
+test('a saved schedule takes effect: student gross-up, minimum and cap', async () => {
+  const saved = await feeEngine.saveSchedule({
+    platform: { percent: 0.05, fixed: 0, absorbedBy: 'platform', min: { USD: 1 }, cap: { USD: 4 } },
+    methods: { paychangu: { percent: 0.03, fixed: 0, absorbedBy: 'student' } }
+  }, { actor: 'admin1', note: 'Students pay processing' });
+
+  const capped = await feeEngine.calculate(97, { method: 'paychangu' });
+
+  assert.equal(capped.scheduleId, saved.id);
+  assert.deepEqual(amounts(capped), {
+    platform: 4,
+    processing: 3,
+    total: 100,
+    netReceived: 97,
+    courseNet: 93,
+    studentFees: 3
+  });
+
+  const floored = await feeEngine.calculate(10, { method: 'paychangu' });
+  assert.deepEqual(amounts(floored), {
+    platform: 1,
+    processing: 0.31,
+    total: 10.31,
+    netReceived: 10,
+    courseNet: 9,
+    studentFees: 0.31
+  });
+
+  await assert.rejects(feeEngine.calculate(10, { method: 'paypal' }), /No fee rate configured/);
+
+  const history = await feeEngine.getScheduleHistory();
+  assert.equal(history[0].id, saved.id);
+  assert.equal(history[0].createdBy, 'admin1');
+});
+
+test('validateSchedule rejects malformed schedules', () => {
+  const method = { percent: 0.03, fixed: 0, absorbedBy: 'platform' };
+  const platform = { percent: 0.1, fixed: 0, absorbedBy: 'student' };
+
+  assert.deepEqual(feeEngine.validateSchedule({ platform, methods: { paychangu: method } }), { valid: true });
+  assert.match(feeEngine.validateSchedule(null).error, /Schedule is required/);
+  assert.match(feeEngine.validateSchedule({ platform, methods: {} }).error, /At least one payment method/);
+  assert.match(feeEngine.validateSchedule({ methods: { paychangu: method } }).error, /Missing fee rule: platform/);
+  assert.match(feeEngine.validateSchedule({ platform: { ...platform, percent: 10 }, methods: { paychangu: method } }).error, /platform: percent/);
+  assert.match(feeEngine.validateSchedule({ platform, methods: { paypal: { ...method, fixed: -1 } } }).error, /paypal: fixed/);
+  assert.match(feeEngine.validateSchedule({ platform, methods: { paypal: { ...method, absorbedBy: 'bank' } } }).error, /paypal: absorbedBy/);
+  assert.match(feeEngine.validateSchedule({ platform, methods: { paychangu: method }, currencies: { XYZ: {} } }).error, /Unsupported currency: XYZ/);
+  assert.match(feeEngine.validateSchedule({ platform, methods: { paychangu: method }, currencies: { MWK: { rounding: 'bankers' } } }).error, /MWK: rounding/);
+  assert.match(feeEngine.validateSchedule({ platform, methods: { paychangu: method }, currencies: { MWK: { increment: 0 } } }).error, /MWK: increment/);
+});
+
+test('saveSchedule refuses an invalid schedule', async () => {
+  await assert.rejects(feeEngine.saveSchedule({ platform: {}, methods: {} }), /At least one payment method/);
+});
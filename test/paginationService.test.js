@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { install, Timestamp } = require('./support/firebase');
+
+const db = install();
+const paginationService = require('../services/paginationService');
+
+// Pages through a query until the last page, returning every id in order
+async function collectQuery(query, orderBy, limit) {
+  const ids = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    const page = await paginationService.paginateQuery(query, { orderBy, limit, cursor });
+    ids.push(...page.items.map(item => item.id));
+    assert.equal(page.pagination.count, page.items.length);
+    cursor = page.pagination.nextCursor;
+    assert.equal(page.pagination.hasMore, cursor !== null);
+    pages++;
+  } while (cursor);
+
+  return { ids, pages };
+}
+
+test('parseParams clamps the limit and passes the cursor through', () => {
+  assert.deepEqual(paginationService.parseParams({}), { limit: 20, cursor: null });
+  assert.deepEqual(paginationService.parseParams({ limit: '500', cursor: 'abc' }), { limit: 100, cursor: 'abc' });
+  assert.deepEqual(paginationService.parseParams({ limit: '-3' }), { limit: 1, cursor: null });
+  assert.deepEqual(paginationService.parseParams({ limit: 'ten' }, { defaultLimit: 5, maxLimit: 10 }), { limit: 5, cursor: null });
+});
+
+test('cursors round-trip timestamps, dates and plain values', () => {
+  const createdAt = new Timestamp(1760000000, 123000000);
+  const cursor = paginationService.encodeCursor([createdAt, new Date('2026-01-02T03:04:05.678Z'), 4.5, undefined], 'doc1');
+
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  const { values, id } = paginationService.decodeCursor(cursor, 4);
+  assert.equal(id, 'doc1');
+  assert.ok(values[0] instanceof Timestamp);
+  assert.deepEqual([values[0].seconds, values[0].nanoseconds], [1760000000, 123000000]);
+  assert.equal(values[1].toMillis(), Date.parse('2026-01-02T03:04:05.678Z'));
+  assert.deepEqual(values.slice(2), [4.5, null]);
+});
+
+test('malformed cursors are refused', () => {
+  const cursor = paginationService.encodeCursor(['a'], 'doc1');
+
+  assert.throws(() => paginationService.decodeCursor('not-a-cursor', 1), /Invalid cursor/);
+  assert.throws(() => paginationService.decodeCursor(cursor, 2), /Invalid cursor/);
+  assert.throws(() => paginationService.decodeCursor(Buffer.from('{"v":["a"],"id":7}').toString('base64url'), 1), /Invalid cursor/);
+});
+
+test('paginateQuery walks every document once, breaking ties on the id', async () => {
+  // Three documents share each createdAt, so pages end in the middle of a tie
+  for (let i = 0; i < 9; i++) {
+    db.seed(`payments/pay${i}`, {
+      userId: i === 4 ? 'someone-else' : 'u1',
+      createdAt: new Timestamp(1760000000 + Math.floor(i / 3), 0)
+    });
+  }
+  const query = db.collection('payments').where('userId', '==', 'u1');
+
+  const { ids, pages } = await collectQuery(query, [['createdAt', 'desc']], 3);
+
+  assert.deepEqual(ids, ['pay8', 'pay7', 'pay6', 'pay5', 'pay3', 'pay2', 'pay1', 'pay0']);
+  assert.equal(pages, 3);
+});
+
+test('paginateQuery with an exact final page reports no more', async () => {
+  const query = db.collection('payments').where('userId', '==', 'someone-else');
+
+  const page = await paginationService.paginateQuery(query, { orderBy: [['createdAt', 'asc']], limit: 1 });
+
+  assert.deepEqual(page.items.map(item => item.id), ['pay4']);
+  assert.deepEqual(page.pagination, { limit: 1, count: 1, hasMore: false, nextCursor: null });
+});
+
+test('paginateArray resumes after the cursor item, or its position once it is gone', () => {
+  const courses = [
+    { id: 'c1', rating: 5 },
+    { id: 'c2', rating: 4.5 },
+    { id: 'c3', rating: 4.5 },
+    { id: 'c4', rating: 3 },
+    { id: 'c5', rating: 2 }
+  ];
+  const orderBy = [['rating', 'desc']];
+
+  const first = paginationService.paginateArray(courses, { orderBy, limit: 2 });
+  assert.deepEqual(first.items.map(course => course.id), ['c1', 'c2']);
+  assert.deepEqual(
+    { hasMore: first.pagination.hasMore, total: first.pagination.total },
+    { hasMore: true, total: 5 }
+  );
+
+  const second = paginationService.paginateArray(courses, { orderBy, limit: 2, cursor: first.pagination.nextCursor });
+  assert.deepEqual(second.items.map(course => course.id), ['c3', 'c4']);
+
+  // c4 was unpublished between requests: carry on after its rating
+  const remaining = courses.filter(course => course.id !== 'c4');
+  const third = paginationService.paginateArray(remaining, { orderBy, limit: 2, cursor: second.pagination.nextCursor });
+  assert.deepEqual(third.items.map(course => course.id), ['c5']);
+  assert.equal(third.pagination.hasMore, false);
+  assert.equal(third.pagination.nextCursor, null);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { install } = require('./support/firebase');
+
+const db = install();
+const Payment = require('../models/Payment');
+
+function seedPayment(id, data) {
+  db.seed(`payments/${id}`, { id, userId: 'user1', history: [], ...data });
+}
+
+test('canTransition follows the TRANSITIONS table', () => {
+  assert.equal(Payment.canTransition('pending', 'completed'), true);
+  assert.equal(Payment.canTransition('expired', 'completed'), true);
+  assert.equal(Payment.canTransition('completed', 'partially_refunded'), true);
+  assert.equal(Payment.canTransition('completed', 'pending'), false);
+  assert.equal(Payment.canTransition('refunded', 'completed'), false);
+  assert.equal(Payment.canTransition('rejected', 'completed'), false);
+  assert.equal(Payment.canTransition('unknown', 'completed'), false);
+});
+
+test('transition moves the status, writes updates and appends history', async () => {
+  seedPayment('p1', { status: 'pending' });
+
+  const result = await Payment.transition('p1', 'completed', {
+    actor: 'admin1',
+    reason: 'Verified',
+    updates: { 'paymentDetails.transactionId': 'tx1' }
+  });
+
+  assert.equal(result.changed, true);
+  assert.equal(result.from, 'pending');
+  assert.equal(result.payment.status, 'pending');
+
+  const stored = db.data('payments/p1');
+  assert.equal(stored.status, 'completed');
+  assert.equal(stored.paymentDetails.transactionId, 'tx1');
+  assert.equal(stored.history.length, 1);
+  assert.deepEqual(
+    { status: stored.history[0].status, from: stored.history[0].from, actor: stored.history[0].actor, reason: stored.history[0].reason },
+    { status: 'completed', from: 'pending', actor: 'admin1', reason: 'Verified' }
+  );
+});
+
+test('transition rejects moves outside TRANSITIONS and leaves the payment alone', async () => {
+  seedPayment('p2', { status: 'refunded' });
+
+  await assert.rejects(
+    Payment.transition('p2', 'completed', { updates: { note: 'x' } }),
+    error => error.code === 'ILLEGAL_TRANSITION' && error.from === 'refunded' && error.to === 'completed'
+  );
+
+  const stored = db.data('payments/p2');
+  assert.equal(stored.status, 'refunded');
+  assert.equal(stored.note, undefined);
+});
+
+test('transition to the current status writes updates without a history entry', async () => {
+  seedPayment('p3', { status: 'completed', paymentDetails: { providerTransactionId: 'ORDER-1' } });
+
+  const result = await Payment.transition('p3', 'completed', {
+    updates: { 'paymentDetails.captureId': 'CAPTURE-1' }
+  });
+
+  assert.equal(result.changed, false);
+  const stored = db.data('payments/p3');
+  assert.equal(stored.paymentDetails.captureId, 'CAPTURE-1');
+  assert.equal(stored.paymentDetails.providerTransactionId, 'ORDER-1');
+  assert.equal(stored.history.length, 0);
+});
+
+test('transition of a missing payment throws', async () => {
+  await assert.rejects(Payment.transition('missing', 'completed'), /Payment not found/);
+});
+
+test('concurrent transitions change the status once', async () => {
+  seedPayment('p4', { status: 'pending_verification' });
+
+  const results = await Promise.all([
+    Payment.transition('p4', 'completed', { actor: 'admin1' }),
+    Payment.transition('p4', 'completed', { actor: 'admin2' })
+  ]);
+
+  assert.deepEqual(results.map(result => result.changed).sort(), [false, true]);
+  assert.equal(db.data('payments/p4').history.length, 1);
+});
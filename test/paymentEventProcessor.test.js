@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { install } = require('./support/firebase');
+const services = require('./support/services');
+
+const db = install();
+const calls = services.stub();
+const paymentEventProcessor = require('../services/paymentEventProcessor');
+
+function seedOrder(id, data = {}) {
+  db.seed(`users/user_${id}`, { email: `${id}@example.com`, enrolledCourses: [] });
+  db.seed(`courses/course_${id}`, { title: 'Course', totalEnrollments: 0 });
+  db.seed(`payments/${id}`, {
+    id,
+    orderId: `ORDER-${id}`,
+    userId: `user_${id}`,
+    courseId: `course_${id}`,
+    amount: { usd: 50, mwk: 40000 },
+    method: 'paychangu',
+    status: 'pending',
+    paymentDetails: {},
+    history: [],
+    ...data
+  });
+}
+
+function completedEvent(id, overrides = {}) {
+  return {
+    provider: 'paychangu',
+    type: 'payment.completed',
+    rawType: 'success',
+    orderId: `ORDER-${id}`,
+    transactionId: `TX-${id}`,
+    raw: {},
+    ...overrides
+  };
+}
+
+const enrollment = id => db.data(`enrollments/user_${id}_course_${id}`);
+const invoices = id => calls.filter(([call, paymentId]) => call === 'invoiceService.issueAndSend' && paymentId === id);
+
+test('a completed event enrolls the buyer and stamps fulfilledAt', async () => {
+  seedOrder('p1');
+
+  const outcome = await paymentEventProcessor.apply(completedEvent('p1'));
+
+  assert.equal(outcome, 'completed');
+  const payment = db.data('payments/p1');
+  assert.equal(payment.status, 'completed');
+  assert.equal(payment.paymentDetails.transactionId, 'TX-p1');
+  assert.ok(payment.fulfilledAt);
+  assert.ok(payment.completedAt);
+  assert.equal(enrollment('p1').paymentId, 'p1');
+  assert.equal(db.data('courses/course_p1').totalEnrollments, 1);
+  assert.equal(invoices('p1').length, 1);
+});
+
+test('a repeat completion of a fulfilled payment grants nothing twice', async () => {
+  seedOrder('p2');
+  await paymentEventProcessor.apply(completedEvent('p2'));
+  const completedAt = db.data('payments/p2').completedAt;
+
+  const outcome = await paymentEventProcessor.apply(completedEvent('p2'));
+
+  assert.equal(outcome, 'already_completed');
+  assert.equal(db.data('courses/course_p2').totalEnrollments, 1);
+  assert.deepEqual(db.data('payments/p2').completedAt, completedAt);
+  assert.equal(invoices('p2').length, 1);
+});
+
+test('a redelivered completion fulfills a payment whose fulfillment failed', async () => {
+  seedOrder('p3');
+  db.failNextWrite('enrollments');
+
+  await assert.rejects(paymentEventProcessor.apply(completedEvent('p3')), /Write to enrollments failed/);
+  assert.equal(db.data('payments/p3').status, 'completed');
+  assert.equal(db.data('payments/p3').fulfilledAt, undefined);
+  assert.equal(enrollment('p3'), undefined);
+
+  const outcome = await paymentEventProcessor.apply(completedEvent('p3'));
+
+  assert.equal(outcome, 'already_completed');
+  assert.ok(db.data('payments/p3').fulfilledAt);
+  assert.equal(enrollment('p3').paymentId, 'p3');
+  assert.equal(db.data('courses/course_p3').totalEnrollments, 1);
+});
+
+test('the PayPal capture webhook after /verify-payment records the capture id', async () => {
+  seedOrder('p4', { method: 'paypal', paymentDetails: { paypalOrderId: 'PAYPAL-p4' } });
+  await paymentEventProcessor.apply(completedEvent('p4', { provider: 'paypal', orderId: null, providerOrderId: 'PAYPAL-p4', transactionId: null }));
+
+  const outcome = await paymentEventProcessor.apply(completedEvent('p4', {
+    provider: 'paypal',
+    rawType: 'PAYMENT.CAPTURE.COMPLETED',
+    orderId: null,
+    providerOrderId: 'PAYPAL-p4',
+    transactionId: 'CAPTURE-p4',
+    raw: { resource: { status: 'COMPLETED' } }
+  }));
+
+  assert.equal(outcome, 'already_completed');
+  const payment = db.data('payments/p4');
+  assert.equal(payment.paymentDetails.captureId, 'CAPTURE-p4');
+  assert.equal(payment.paymentDetails.captureStatus, 'COMPLETED');
+  assert.equal(db.data('courses/course_p4').totalEnrollments, 1);
+});
+
+test('a failed event for a completed payment is skipped', async () => {
+  seedOrder('p5', { status: 'completed' });
+
+  const outcome = await paymentEventProcessor.apply(completedEvent('p5', { type: 'payment.failed', rawType: 'failed' }));
+
+  assert.equal(outcome, 'skipped_completed');
+  assert.equal(db.data('payments/p5').status, 'completed');
+});
@@ -0,0 +1,510 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { install } = require('./support/firebase');
+const services = require('./support/services');
+
+const db = install();
+const calls = services.stub();
+const paymentService = require('../services/paymentService');
+
+function seedBankTransfer(id, data = {}) {
+  db.seed(`users/user_${id}`, { email: `${id}@example.com`, displayName: 'Student', enrolledCourses: [] });
+  ['a', 'b'].forEach(course => db.seed(`courses/${id}_${course}`, { title: `Course ${course}`, totalEnrollments: 0 }));
+  db.seed(`payments/${id}`, {
+    id,
+    orderId: `ORDER-${id}`,
+    userId: `user_${id}`,
+    bundleId: `bundle_${id}`,
+    items: [
+      { courseId: `${id}_a`, amount: 30 },
+      { courseId: `${id}_b`, amount: 20 }
+    ],
+    amount: { usd: 50 },
+    currency: 'USD',
+    method: 'bank_transfer',
+    status: 'pending_verification',
+    history: [],
+    ...data
+  });
+}
+
+test('approving a bank transfer completes it, enrolls the courses and records the review', async () => {
+  seedBankTransfer('bt1');
+
+  const result = await paymentService.approveBankTransfer('bt1', 'admin1', 'Matched statement');
+
+  assert.equal(result.success, true);
+  assert.equal(result.enrollmentId, 'user_bt1_bt1_a');
+  const payment = db.data('payments/bt1');
+  assert.equal(payment.status, 'completed');
+  assert.equal(payment.review.decision, 'approved');
+  assert.equal(payment.review.reviewerId, 'admin1');
+  assert.deepEqual(payment.enrollmentIds, ['user_bt1_bt1_a', 'user_bt1_bt1_b']);
+  assert.ok(payment.fulfilledAt);
+  assert.deepEqual(db.data('users/user_bt1').enrolledCourses, ['bt1_a', 'bt1_b']);
+});
+
+test('concurrent approvals of one bank transfer fulfill it once', async () => {
+  seedBankTransfer('bt2');
+
+  const results = await Promise.all([
+    paymentService.approveBankTransfer('bt2', 'admin1'),
+    paymentService.approveBankTransfer('bt2', 'admin2')
+  ]);
+
+  const approved = results.filter(result => result.success);
+  const refused = results.filter(result => !result.success);
+  assert.equal(approved.length, 1);
+  assert.equal(refused.length, 1);
+  assert.equal(refused[0].code, 'ILLEGAL_TRANSITION');
+
+  const payment = db.data('payments/bt2');
+  assert.equal(payment.history.length, 1);
+  assert.equal(payment.review.reviewerId, payment.history[0].actor);
+  assert.equal(db.data('courses/bt2_a').totalEnrollments, 1);
+  assert.equal(db.data('courses/bt2_b').totalEnrollments, 1);
+  assert.equal(calls.filter(([call, paymentId]) => call === 'invoiceService.issueAndSend' && paymentId === 'bt2').length, 1);
+});
+
+test('approving again finishes a bank transfer whose fulfillment failed', async () => {
+  seedBankTransfer('bt5', { bundleId: null, items: null, courseId: 'bt5_a' });
+  db.failNextWrite('courses');
+
+  const failed = await paymentService.approveBankTransfer('bt5', 'admin1', 'Matched statement');
+
+  assert.equal(failed.success, false);
+  assert.equal(db.data('payments/bt5').status, 'completed');
+  assert.equal(db.data('payments/bt5').fulfilledAt, undefined);
+
+  const retried = await paymentService.approveBankTransfer('bt5', 'admin2');
+
+  assert.equal(retried.success, true);
+  assert.equal(retried.enrollmentId, 'user_bt5_bt5_a');
+  const payment = db.data('payments/bt5');
+  assert.ok(payment.fulfilledAt);
+  assert.equal(payment.review.reviewerId, 'admin1');
+  assert.equal(payment.history.length, 1);
+  assert.equal(db.data('courses/bt5_a').totalEnrollments, 1);
+
+  const again = await paymentService.approveBankTransfer('bt5', 'admin2');
+  assert.equal(again.code, 'ILLEGAL_TRANSITION');
+});
+
+test('rejecting a bank transfer records the reason and emails the student', async () => {
+  seedBankTransfer('bt3');
+
+  const result = await paymentService.rejectBankTransfer('bt3', 'admin1', 'Amount does not match');
+
+  assert.equal(result.success, true);
+  const payment = db.data('payments/bt3');
+  assert.equal(payment.status, 'rejected');
+  assert.equal(payment.review.reason, 'Amount does not match');
+  assert.ok(calls.some(([call, email]) => call === 'emailService.sendBankTransferRejectedEmail' && email === 'bt3@example.com'));
+
+  const approval = await paymentService.approveBankTransfer('bt3', 'admin2');
+  assert.equal(approval.success, false);
+  assert.equal(approval.code, 'ILLEGAL_TRANSITION');
+  assert.equal(db.data('enrollments/user_bt3_bt3_a'), undefined);
+});
+
+test('a rejection needs a reason', async () => {
+  seedBankTransfer('bt4');
+
+  const result = await paymentService.rejectBankTransfer('bt4', 'admin1', '');
+
+  assert.equal(result.success, false);
+  assert.equal(db.data('payments/bt4').status, 'pending_verification');
+});
+
+function seedCompletedPayment(id, data = {}) {
+  db.seed(`users/user_${id}`, { email: `${id}@example.com`, enrolledCourses: [`course_${id}`] });
+  db.seed(`courses/course_${id}`, { title: 'Course', totalEnrollments: 1, enrollmentCount: 1 });
+  db.seed(`enrollments/user_${id}_course_${id}`, { userId: `user_${id}`, courseId: `course_${id}`, status: 'active' });
+  db.seed(`payments/${id}`, {
+    id,
+    orderId: `ORDER-${id}`,
+    userId: `user_${id}`,
+    courseId: `course_${id}`,
+    amount: { usd: 100 },
+    currency: 'USD',
+    method: 'bank_transfer',
+    status: 'completed',
+    history: [],
+    ...data
+  });
+}
+
+async function creditNotes(paymentId) {
+  const snapshot = await db.collection('credit_notes').where('paymentId', '==', paymentId).get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+test('a partial then a full refund move the payment through partially_refunded to refunded', async () => {
+  seedCompletedPayment('r1');
+
+  const partial = await paymentService.refundPayment('r1', 'Course not started', { amount: 40, actor: 'admin1' });
+
+  assert.equal(partial.success, true);
+  assert.equal(partial.status, 'partially_refunded');
+  assert.equal(partial.accessRevoked, false);
+  assert.equal(db.data('payments/r1').refundedAmount, 40);
+  assert.equal(db.data('enrollments/user_r1_course_r1').status, 'active');
+
+  const rest = await paymentService.refundPayment('r1', 'Changed mind', { actor: 'admin1' });
+
+  assert.equal(rest.success, true);
+  assert.equal(rest.status, 'refunded');
+  assert.equal(rest.accessRevoked, true);
+  const payment = db.data('payments/r1');
+  assert.equal(payment.refundedAmount, 100);
+  assert.deepEqual(payment.history.map(entry => entry.status), ['partially_refunded', 'refunded']);
+  assert.equal(db.data('enrollments/user_r1_course_r1').status, 'refunded');
+  assert.deepEqual(db.data('users/user_r1').enrolledCourses, []);
+
+  const notes = await creditNotes('r1');
+  assert.deepEqual(notes.map(note => [note.amount, note.type, note.status, note.manual]).sort(), [
+    [40, 'partial', 'confirmed', true],
+    [60, 'partial', 'confirmed', true]
+  ]);
+  assert.equal(calls.filter(([call, paymentId]) => call === 'earningsService.clawbackForRefund' && paymentId === 'r1').length, 2);
+});
+
+test('a refund above the refundable amount is refused', async () => {
+  seedCompletedPayment('r2', { status: 'partially_refunded', refundedAmount: 70 });
+
+  const result = await paymentService.refundPayment('r2', '', { amount: 40 });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /between 0 and 30\.00/);
+  assert.equal(db.data('payments/r2').refundedAmount, 70);
+  assert.equal((await creditNotes('r2')).length, 0);
+});
+
+test('only completed payments can be refunded', async () => {
+  seedCompletedPayment('r3', { status: 'pending' });
+
+  const result = await paymentService.refundPayment('r3', '');
+
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'ILLEGAL_TRANSITION');
+});
+
+test('PayChangu refunds are sent in MWK and confirmed by the refund webhook', async (t) => {
+  const { adapters } = require('../services/providers');
+  const requests = [];
+  const http = adapters.paychangu.http;
+  adapters.paychangu.setHttpClient({
+    post: async (url, body) => {
+      requests.push(body);
+      return { data: { status: 'success', data: { refund_id: 'RF-1', status: 'pending' } } };
+    }
+  });
+  t.after(() => adapters.paychangu.setHttpClient(http));
+
+  seedCompletedPayment('r4', {
+    method: 'paychangu',
+    amount: { usd: 50, mwk: 87500 },
+    paymentDetails: { transactionId: 'TX-r4' }
+  });
+
+  const result = await paymentService.refundPayment('r4', 'Duplicate charge', { amount: 20 });
+
+  assert.equal(result.success, true);
+  assert.equal(result.status, 'pending_confirmation');
+  assert.deepEqual(
+    { transaction_id: requests[0].transaction_id, amount: requests[0].amount, currency: requests[0].currency },
+    { transaction_id: 'TX-r4', amount: 35000, currency: 'MWK' }
+  );
+  assert.equal(db.data('payments/r4').status, 'completed');
+  assert.equal(db.data('payments/r4').refundedPending, 20);
+
+  const confirmation = await paymentService.confirmRefund({ paymentId: 'r4', providerRefundId: 'RF-1', amount: 35000, currency: 'MWK' });
+
+  assert.equal(confirmation.status, 'partially_refunded');
+  assert.equal(db.data('payments/r4').refundedAmount, 20);
+  assert.equal(db.data('payments/r4').refundedPending, 0);
+  assert.equal((await creditNotes('r4')).length, 1);
+
+  const repeat = await paymentService.confirmRefund({ paymentId: 'r4', providerRefundId: 'RF-1', amount: 35000, currency: 'MWK' });
+  assert.equal(repeat.alreadyConfirmed, true);
+  assert.equal(db.data('payments/r4').refundedAmount, 20);
+});
+
+test('a failed provider refund marks the credit note failed and leaves the payment alone', async (t) => {
+  const { adapters } = require('../services/providers');
+  const http = adapters.paychangu.http;
+  adapters.paychangu.setHttpClient({
+    post: async () => ({ data: { status: 'error', message: 'Insufficient float' } })
+  });
+  t.after(() => adapters.paychangu.setHttpClient(http));
+
+  seedCompletedPayment('r5', { method: 'paychangu', amount: { usd: 50, mwk: 87500 }, paymentDetails: { transactionId: 'TX-r5' } });
+
+  const result = await paymentService.refundPayment('r5', '');
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Provider refund failed: Insufficient float/);
+  assert.equal(db.data('payments/r5').status, 'completed');
+  assert.equal(db.data('payments/r5').refundedPending, 0);
+  assert.deepEqual((await creditNotes('r5')).map(note => note.status), ['failed']);
+});
+
+test('concurrent partial refunds awaiting confirmation cannot refund more than was paid', async (t) => {
+  const { adapters } = require('../services/providers');
+  const http = adapters.paychangu.http;
+  let refunds = 0;
+  adapters.paychangu.setHttpClient({
+    post: async () => ({ data: { status: 'success', data: { refund_id: `RF-r6-${++refunds}`, status: 'pending' } } })
+  });
+  t.after(() => adapters.paychangu.setHttpClient(http));
+
+  seedCompletedPayment('r6', { method: 'paychangu', amount: { usd: 50, mwk: 87500 }, paymentDetails: { transactionId: 'TX-r6' } });
+
+  const results = await Promise.all([
+    paymentService.refundPayment('r6', '', { amount: 30 }),
+    paymentService.refundPayment('r6', '', { amount: 30 })
+  ]);
+
+  assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+  assert.match(results.find(result => !result.success).error, /between 0 and 20\.00/);
+  assert.equal(refunds, 1);
+  assert.equal(db.data('payments/r6').refundedPending, 30);
+});
+
+test('a refund webhook takes a pending credit note only for the same provider amount and currency', async () => {
+  seedCompletedPayment('r7', { method: 'paychangu', amount: { usd: 50, mwk: 87500 }, refundedPending: 20 });
+  db.seed('credit_notes/cn_r7', {
+    id: 'cn_r7',
+    number: 'CN-R7',
+    paymentId: 'r7',
+    amount: 20,
+    currency: 'USD',
+    providerRefundId: null,
+    providerAmount: 35000,
+    providerCurrency: 'MWK',
+    revokeAccess: null,
+    status: 'pending'
+  });
+
+  // A refund made from the provider dashboard is recorded on its own
+  const other = await paymentService.confirmRefund({ paymentId: 'r7', providerRefundId: 'RF-dash', amount: 17500, currency: 'MWK' });
+  assert.notEqual(other.creditNoteId, 'cn_r7');
+  assert.equal(db.data('credit_notes/cn_r7').status, 'pending');
+  assert.equal(db.data('payments/r7').refundedAmount, 10);
+  assert.equal(db.data('payments/r7').refundedPending, 20);
+
+  const matched = await paymentService.confirmRefund({ paymentId: 'r7', providerRefundId: 'RF-r7', amount: 35000, currency: 'mwk' });
+  assert.equal(matched.creditNoteId, 'cn_r7');
+  assert.equal(db.data('credit_notes/cn_r7').providerRefundId, 'RF-r7');
+  assert.equal(db.data('payments/r7').refundedAmount, 30);
+  assert.equal(db.data('payments/r7').refundedPending, 0);
+});
+
+test('allocateAmount splits by item revenue and keeps the cents', () => {
+  const payment = { items: [{ courseId: 'a', amount: 30 }, { courseId: 'b', amount: 20 }, { courseId: 'c', amount: 50 }] };
+
+  const allocations = paymentService.allocateAmount(payment, 33.33);
+
+  assert.deepEqual(allocations.map(item => item.courseId), ['a', 'b', 'c']);
+  assert.equal(Math.round(allocations.reduce((sum, item) => sum + item.amount, 0) * 100), 3333);
+  assert.deepEqual(paymentService.allocateAmount({ courseId: 'x' }, 12.5), [{ courseId: 'x', amount: 12.5 }]);
+});
+
+async function seedCheckout(id) {
+  db.seed(`courses/${id}`, { title: 'Checkout course', priceUSD: 100 });
+  await require('../services/couponService').createCoupon({ code: `${id}-20`, type: 'percentage', value: 20 });
+  return `${id.toUpperCase()}-20`;
+}
+
+test('createOrder prices the coupon, reserves it and locks the MWK amount', async () => {
+  const code = await seedCheckout('co1');
+
+  // 100 less 20% is 80, plus the 10% platform fee
+  const result = await paymentService.createOrder('u1', { courseId: 'co1' }, 'paychangu', 88, {}, [code.toLowerCase()], { network: 'airtel' });
+
+  assert.equal(result.success, true);
+  const payment = db.data(`payments/${result.paymentId}`);
+  assert.equal(payment.status, 'pending');
+  assert.deepEqual(payment.couponCodes, [code]);
+  assert.equal(payment.discounts.price, 80);
+  assert.equal(payment.fees.total, 88);
+  assert.deepEqual(payment.amount, { requested: 88, usd: 88, mwk: 70400, total: 88, net: 77.36, currency: 'USD' });
+  assert.equal(payment.exchangeRate.rate, 800);
+  assert.equal(payment.network, 'airtel');
+  assert.equal(db.data(`coupons/${code}`).redemptionCount, 1);
+  assert.equal(db.data(`coupon_redemptions/${result.paymentId}_${code}`).status, 'reserved');
+
+  // Completing the order confirms the reservation
+  await paymentService.transition(result.paymentId, 'completed');
+  assert.equal(db.data(`coupon_redemptions/${result.paymentId}_${code}`).status, 'redeemed');
+  assert.equal(db.data(`coupons/${code}`).redemptionCount, 1);
+});
+
+test('createOrder refuses an amount below the discounted total without reserving', async () => {
+  const code = await seedCheckout('co2');
+
+  const result = await paymentService.createOrder('u1', { courseId: 'co2' }, 'paychangu', 80, {}, [code]);
+
+  assert.equal(result.success, false);
+  assert.equal(result.statusCode, 400);
+  assert.equal(result.type, 'underpayment');
+  assert.equal(db.data(`coupons/${code}`).redemptionCount, 0);
+});
+
+test('createOrder gives the coupon back when the payment cannot be written', async () => {
+  const code = await seedCheckout('co3');
+  db.failNextWrite('payments');
+
+  const result = await paymentService.createOrder('u1', { courseId: 'co3' }, 'paychangu', 88, {}, [code]);
+
+  assert.equal(result.success, false);
+  assert.equal(result.statusCode, 500);
+  assert.equal(db.data(`coupons/${code}`).redemptionCount, 0);
+  const redemptions = await db.collection('coupon_redemptions').where('code', '==', code).get();
+  assert.deepEqual(redemptions.docs.map(doc => doc.data().status), ['released']);
+});
+
+test('createOrder answers 400 for an unusable coupon and 404 for an unknown course', async () => {
+  db.seed('courses/co4', { title: 'Checkout course', priceUSD: 100 });
+
+  const coupon = await paymentService.createOrder('u1', { courseId: 'co4' }, 'paychangu', 110, {}, ['NOSUCHCODE']);
+  assert.equal(coupon.statusCode, 400);
+  assert.equal(coupon.type, 'invalid_coupon');
+
+  const missing = await paymentService.createOrder('u1', { courseId: 'nope' }, 'paychangu', 110);
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.error, 'Course not found');
+});
+
+test('retrying a failed order reserves its coupon again, or is refused once the coupon is used up', async () => {
+  db.seed('courses/co5', { title: 'Checkout course', priceUSD: 100 });
+  await require('../services/couponService').createCoupon({ code: 'CO5-ONCE', type: 'percentage', value: 20, maxRedemptions: 1 });
+  const order = userId => paymentService.createOrder(userId, { courseId: 'co5' }, 'paychangu', 88, {}, ['CO5-ONCE'], { phoneNumber: '+265991234567' });
+
+  const first = await order('u1');
+  await paymentService.transition(first.paymentId, 'failed');
+  assert.equal(db.data('coupons/CO5-ONCE').redemptionCount, 0);
+
+  const second = await order('u2');
+  assert.equal(second.success, true);
+
+  await assert.rejects(paymentService.prepareRetry(first.paymentId, 'u1'), /CO5-ONCE: Coupon usage limit reached/);
+  assert.equal(db.data(`payments/${first.paymentId}`).status, 'failed');
+  assert.equal(db.data(`coupon_redemptions/${first.paymentId}_CO5-ONCE`).status, 'released');
+
+  await paymentService.transition(second.paymentId, 'expired');
+  const retry = await paymentService.prepareRetry(first.paymentId, 'u1');
+
+  assert.equal(retry.attempt, 2);
+  assert.equal(db.data(`payments/${first.paymentId}`).status, 'pending');
+  assert.equal(db.data(`coupon_redemptions/${first.paymentId}_CO5-ONCE`).status, 'reserved');
+  assert.equal(db.data('coupons/CO5-ONCE').redemptionCount, 1);
+});
+
+function seedCourseBuyer(id, courseData = {}) {
+  db.seed(`users/user_${id}`, { email: `${id}@example.com`, enrolledCourses: [] });
+  db.seed(`courses/course_${id}`, { title: 'Course', totalEnrollments: 0, ...courseData });
+}
+
+test('a failed enrollment write leaves nothing behind and the retry enrolls fully', async () => {
+  seedCourseBuyer('e1');
+  db.failNextWrite('courses');
+
+  await assert.rejects(paymentService.enrollUserInCourse('user_e1', 'course_e1', 'pay_e1'), /Write to courses failed/);
+  assert.equal(db.data('enrollments/user_e1_course_e1'), undefined);
+  assert.deepEqual(db.data('users/user_e1').enrolledCourses, []);
+
+  const result = await paymentService.enrollUserInCourse('user_e1', 'course_e1', 'pay_e1');
+
+  assert.equal(result.success, true);
+  assert.deepEqual(db.data('users/user_e1').enrolledCourses, ['course_e1']);
+  assert.equal(db.data('courses/course_e1').totalEnrollments, 1);
+  assert.equal(db.data('student_progress/user_e1_course_e1').enrollmentId, 'user_e1_course_e1');
+});
+
+test('a retried enrollment finishes the progress record an earlier attempt missed', async () => {
+  seedCourseBuyer('e2');
+  db.failNextWrite('student_progress');
+
+  await assert.rejects(paymentService.enrollUserInCourse('user_e2', 'course_e2', 'pay_e2'), /Write to student_progress failed/);
+  assert.equal(db.data('student_progress/user_e2_course_e2'), undefined);
+
+  const result = await paymentService.enrollUserInCourse('user_e2', 'course_e2', 'pay_e2');
+
+  assert.equal(result.enrolled, true);
+  assert.ok(db.data('student_progress/user_e2_course_e2'));
+  assert.equal(db.data('courses/course_e2').totalEnrollments, 1);
+});
+
+test('buying a refunded course again reactivates the enrollment', async () => {
+  seedCompletedPayment('e3');
+  await paymentService.refundPayment('e3', 'Changed mind');
+  assert.equal(db.data('courses/course_e3').totalEnrollments, 0);
+
+  const result = await paymentService.enrollUserInCourse('user_e3', 'course_e3', 'pay_e3_again');
+
+  assert.equal(result.success, true);
+  assert.equal(result.reactivated, true);
+  assert.equal(result.enrollmentId, 'user_e3_course_e3');
+  const enrollment = db.data('enrollments/user_e3_course_e3');
+  assert.equal(enrollment.status, 'active');
+  assert.equal(enrollment.paymentId, 'pay_e3_again');
+  assert.equal(enrollment.refundedAt, null);
+  assert.deepEqual(db.data('users/user_e3').enrolledCourses, ['course_e3']);
+  assert.equal(db.data('courses/course_e3').totalEnrollments, 1);
+});
+
+test('buying a course with a suspended enrollment reactivates it without recounting', async () => {
+  seedCourseBuyer('e4', { totalEnrollments: 1 });
+  db.seed('enrollments/user_e4_course_e4', { userId: 'user_e4', courseId: 'course_e4', status: 'suspended', paymentId: 'pay_e4' });
+
+  const result = await paymentService.enrollUserInCourse('user_e4', 'course_e4', 'pay_e4_again');
+
+  assert.equal(result.reactivated, true);
+  assert.equal(db.data('enrollments/user_e4_course_e4').status, 'active');
+  assert.equal(db.data('courses/course_e4').totalEnrollments, 1);
+});
+
+test('buying a course turns a lapsed membership enrollment into a purchased one', async () => {
+  seedCourseBuyer('e5', { totalEnrollments: 1 });
+  db.seed('enrollments/legacy_e5', {
+    studentId: 'user_e5',
+    courseId: 'course_e5',
+    status: 'suspended',
+    accessSource: 'membership',
+    paymentMethod: 'membership',
+    membershipId: 'user_e5_plan1'
+  });
+
+  const result = await paymentService.enrollUserInCourse('user_e5', 'course_e5', 'pay_e5');
+
+  assert.equal(result.success, true);
+  assert.equal(result.enrollmentId, 'legacy_e5');
+  assert.equal(db.data('enrollments/user_e5_course_e5'), undefined);
+  const enrollment = db.data('enrollments/legacy_e5');
+  assert.deepEqual(
+    [enrollment.status, enrollment.accessSource, enrollment.membershipId, enrollment.paymentId, enrollment.userId],
+    ['active', 'purchase', null, 'pay_e5', 'user_e5']
+  );
+  assert.equal(db.data('courses/course_e5').totalEnrollments, 1);
+  assert.equal(db.data('student_progress/user_e5_course_e5').enrollmentId, 'legacy_e5');
+
+  // The membership lapsing again no longer touches the purchased enrollment
+  const membershipService = require('../services/membershipService');
+  assert.equal(await membershipService.setEnrollmentsStatus('user_e5_plan1', 'active', 'suspended'), 0);
+});
+
+test('checkout reminders skip students enrolled under userId or studentId, but not refunded ones', async () => {
+  const reminder = { status: 'failed', userId: 'user_rm', courseId: 'course_rm' };
+
+  assert.equal(await paymentService.getReminderSkipReason(reminder), null);
+
+  db.seed('enrollments/user_rm_course_rm', { userId: 'user_rm', courseId: 'course_rm', status: 'active' });
+  assert.equal(await paymentService.getReminderSkipReason(reminder), 'already_enrolled');
+
+  db.seed('enrollments/user_rm_course_rm', { userId: 'user_rm', courseId: 'course_rm', status: 'refunded' });
+  assert.equal(await paymentService.getReminderSkipReason(reminder), null);
+
+  db.seed('enrollments/legacy_rm', { studentId: 'user_rm2', courseId: 'course_rm', status: 'active' });
+  assert.equal(await paymentService.getReminderSkipReason({ ...reminder, userId: 'user_rm2' }), 'already_enrolled');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { install } = require('./support/firebase');
+
+const db = install();
+const progressService = require('../services/progressService');
+
+test('initProgress starts an empty record', async () => {
+  await progressService.initProgress('u1', 'c1', 'u1_c1');
+
+  const record = db.data('student_progress/u1_c1');
+  assert.equal(record.enrollmentId, 'u1_c1');
+  assert.equal(record.progress, 0);
+  assert.deepEqual(record.lessons, {});
+});
+
+test('initProgress on a re-enrollment keeps the progress already made', async () => {
+  db.seed('student_progress/u2_c1', {
+    studentId: 'u2',
+    courseId: 'c1',
+    enrollmentId: 'u2_c1',
+    progress: 50,
+    lessons: { l1: { completed: true } },
+    completedLessons: ['l1']
+  });
+
+  await progressService.initProgress('u2', 'c1', 'u2_c1');
+
+  const record = db.data('student_progress/u2_c1');
+  assert.equal(record.progress, 50);
+  assert.deepEqual(record.lessons, { l1: { completed: true } });
+});
+
+function seedQuizCourse() {
+  db.seed('courses/qc', { title: 'Quiz course' });
+  db.seed('enrollments/u3_qc', { userId: 'u3', courseId: 'qc', status: 'active' });
+  db.seed('lessons/quiz1', { courseId: 'qc', order: 1, completionCriteria: 'quiz', quizId: 'attempt-hard' });
+  db.seed('lessons/quiz2', { courseId: 'qc', order: 2, completionCriteria: 'quiz', quizId: 'attempt-other' });
+  db.seed('assessments/attempt-hard', { userId: 'u3', courseId: 'qc', status: 'completed', score: 90 });
+  db.seed('assessments/attempt-easy', { userId: 'u3', courseId: 'qc', status: 'completed', score: 100 });
+}
+
+test('recordQuiz completes a quiz lesson with a passed attempt at its own quiz', async () => {
+  seedQuizCourse();
+
+  const result = await progressService.recordQuiz('u3', 'qc', 'quiz1', 'attempt-hard');
+
+  assert.equal(result.lesson.quizPassed, true);
+  assert.equal(result.lesson.completed, true);
+  assert.equal(result.completedLessons, 1);
+});
+
+test('recordQuiz refuses an attempt at another assessment', async () => {
+  seedQuizCourse();
+
+  await assert.rejects(progressService.recordQuiz('u3', 'qc', 'quiz2', 'attempt-easy'), /Quiz attempt is not for this lesson/);
+  assert.equal(db.data('student_progress/u3_qc').lessons.quiz2, undefined);
+});
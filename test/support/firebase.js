@@ -0,0 +1,498 @@
+// =============================================
+// IN-MEMORY FIREBASE ADMIN FOR UNIT TESTS
+// =============================================
+// install() puts a fake `firebase-admin` into the require cache, so services
+// loaded afterwards get an in-memory Firestore. It covers what the services
+// use: documents, queries (where / orderBy / limit / startAfter), transactions,
+// batches and the FieldValue transforms. Transactions run one at a time, which
+// makes concurrent calls deterministic: the second sees the first's writes.
+const Module = require('module');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static fromMillis(ms) {
+    return new Timestamp(Math.floor(ms / 1000), (ms % 1000) * 1e6);
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+}
+
+class Transform {
+  constructor(kind, value) {
+    this.kind = kind;
+    this.value = value;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new Transform('serverTimestamp'),
+  increment: (value) => new Transform('increment', value),
+  arrayUnion: (...values) => new Transform('arrayUnion', values),
+  arrayRemove: (...values) => new Transform('arrayRemove', values),
+  delete: () => new Transform('delete')
+};
+
+const DOCUMENT_ID = { documentId: true };
+const FieldPath = { documentId: () => DOCUMENT_ID };
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function applyTransform(current, transform) {
+  switch (transform.kind) {
+    case 'serverTimestamp':
+      return Timestamp.now();
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + transform.value;
+    case 'arrayUnion': {
+      const list = Array.isArray(current) ? [...current] : [];
+      transform.value.forEach(item => {
+        if (!list.some(existing => sameValue(existing, item))) list.push(clone(item));
+      });
+      return list;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(current) ? current : []).filter(item => !transform.value.some(removed => sameValue(removed, item)));
+    default:
+      throw new Error(`Unknown transform ${transform.kind}`);
+  }
+}
+
+// Resolve transforms in a value written to a (possibly missing) current value
+function resolve(current, value) {
+  if (value instanceof Transform) return applyTransform(current, value);
+  if (Array.isArray(value)) return value.map(item => resolve(undefined, item));
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (item instanceof Transform && item.kind === 'delete') return;
+      result[key] = resolve(undefined, item);
+    });
+    return result;
+  }
+  return value;
+}
+
+function mergeInto(target, data) {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value instanceof Transform && value.kind === 'delete') {
+      delete target[key];
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      target[key] = resolve(target[key], value);
+    }
+  });
+  return target;
+}
+
+function getField(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function setField(data, field, value) {
+  const keys = field.split('.');
+  let target = data;
+  keys.slice(0, -1).forEach(key => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  });
+  const last = keys[keys.length - 1];
+  if (value instanceof Transform && value.kind === 'delete') {
+    delete target[last];
+  } else {
+    target[last] = resolve(target[last], value);
+  }
+}
+
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function compare(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  return left < right ? -1 : 1;
+}
+
+function matches(doc, { field, op, value }) {
+  const actual = field === DOCUMENT_ID ? doc.id : getField(doc.data, field);
+  if (actual === undefined) return false;
+
+  switch (op) {
+    case '==': return sameValue(comparable(actual), comparable(value));
+    case '!=': return !sameValue(comparable(actual), comparable(value));
+    case '<': return actual !== null && compare(actual, value) < 0;
+    case '<=': return actual !== null && compare(actual, value) <= 0;
+    case '>': return actual !== null && compare(actual, value) > 0;
+    case '>=': return actual !== null && compare(actual, value) >= 0;
+    case 'in': return value.some(item => sameValue(comparable(actual), comparable(item)));
+    case 'not-in': return !value.some(item => sameValue(comparable(actual), comparable(item)));
+    case 'array-contains': return Array.isArray(actual) && actual.some(item => sameValue(item, value));
+    case 'array-contains-any': return Array.isArray(actual) && actual.some(item => value.some(wanted => sameValue(item, wanted)));
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    if (field === DOCUMENT_ID) return this.id;
+    return this.exists ? clone(getField(this._data, field)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(db, collectionPath, id) {
+    this.db = db;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this.parent = { path: collectionPath };
+  }
+
+  collection(name) {
+    return new CollectionReference(this.db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this.db.snapshot(this);
+  }
+
+  async set(data, options) {
+    this.db.write(this, 'set', data, options);
+  }
+
+  async update(data) {
+    this.db.write(this, 'update', data);
+  }
+
+  async create(data) {
+    this.db.write(this, 'create', data);
+  }
+
+  async delete() {
+    this.db.write(this, 'delete');
+  }
+}
+
+class Query {
+  constructor(db, collectionPath, { filters = [], orders = [], limit = null, startAfter = null } = {}) {
+    this.db = db;
+    this.collectionPath = collectionPath;
+    this.spec = { filters, orders, limit, startAfter };
+  }
+
+  with(changes) {
+    return new Query(this.db, this.collectionPath, { ...this.spec, ...changes });
+  }
+
+  where(field, op, value) {
+    return this.with({ filters: [...this.spec.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.with({ orders: [...this.spec.orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this.with({ limit });
+  }
+
+  startAfter(...values) {
+    return this.with({ startAfter: values });
+  }
+
+  async get() {
+    return this.db.runQuery(this);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, collectionPath) {
+    super(db, collectionPath);
+    this.id = collectionPath.split('/').pop();
+    this.path = collectionPath;
+  }
+
+  doc(id) {
+    return new DocumentReference(this.db, this.path, id || this.db.autoId());
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class Transaction {
+  constructor(db) {
+    this.db = db;
+    this.writes = [];
+  }
+
+  async get(refOrQuery) {
+    if (this.writes.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes');
+    }
+    return refOrQuery instanceof DocumentReference ? this.db.snapshot(refOrQuery) : this.db.runQuery(refOrQuery);
+  }
+
+  set(ref, data, options) {
+    this.writes.push([ref, 'set', data, options]);
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push([ref, 'update', data]);
+    return this;
+  }
+
+  create(ref, data) {
+    this.writes.push([ref, 'create', data]);
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push([ref, 'delete']);
+    return this;
+  }
+}
+
+class WriteBatch extends Transaction {
+  async commit() {
+    this.db.commit(this.writes);
+  }
+}
+
+class Firestore {
+  constructor() {
+    this.docs = new Map();
+    this.nextId = 0;
+    this.queue = Promise.resolve();
+    this.failures = [];
+  }
+
+  autoId() {
+    this.nextId += 1;
+    return `auto${String(this.nextId).padStart(6, '0')}`;
+  }
+
+  collection(name) {
+    return new CollectionReference(this, name);
+  }
+
+  doc(docPath) {
+    const parts = docPath.split('/');
+    return new DocumentReference(this, parts.slice(0, -1).join('/'), parts[parts.length - 1]);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async getAll(...refs) {
+    return refs.map(ref => this.snapshot(ref));
+  }
+
+  // Run transactions one after another
+  runTransaction(fn) {
+    const run = this.queue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await fn(transaction);
+      this.commit(transaction.writes);
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // The next write to a document of `collection` rejects with `error`
+  failNextWrite(collection, error = new Error(`Write to ${collection} failed`)) {
+    this.failures.push({ collection, error });
+  }
+
+  snapshot(ref) {
+    return new DocumentSnapshot(ref, this.data(ref.path));
+  }
+
+  seed(docPath, data) {
+    this.docs.set(docPath, resolve(undefined, data));
+  }
+
+  data(docPath) {
+    const data = this.docs.get(docPath);
+    return data === undefined ? undefined : clone(data);
+  }
+
+  commit(writes) {
+    // Validate first so a failing write leaves nothing half applied
+    const exists = new Set([...this.docs.keys()]);
+    writes.forEach(([ref, kind]) => {
+      const failure = this.failures.findIndex(item => ref.parent.path === item.collection);
+      if (failure !== -1) {
+        const [{ error }] = this.failures.splice(failure, 1);
+        throw error;
+      }
+      if (kind === 'create' && exists.has(ref.path)) {
+        throw Object.assign(new Error(`Document already exists: ${ref.path}`), { code: 6 });
+      }
+      if (kind === 'update' && !exists.has(ref.path)) {
+        throw Object.assign(new Error(`No document to update: ${ref.path}`), { code: 5 });
+      }
+      if (kind === 'delete') {
+        exists.delete(ref.path);
+      } else {
+        exists.add(ref.path);
+      }
+    });
+
+    writes.forEach(([ref, kind, data, options]) => {
+      if (kind === 'delete') {
+        this.docs.delete(ref.path);
+      } else if (kind === 'update') {
+        const current = this.docs.get(ref.path);
+        Object.entries(data).forEach(([field, value]) => setField(current, field, value));
+      } else if (kind === 'set' && options && options.merge) {
+        this.docs.set(ref.path, mergeInto(this.docs.get(ref.path) || {}, data));
+      } else {
+        this.docs.set(ref.path, resolve(undefined, data));
+      }
+    });
+  }
+
+  write(ref, kind, data, options) {
+    this.commit([[ref, kind, data, options]]);
+  }
+
+  runQuery(query) {
+    const { filters, orders, limit, startAfter } = query.spec;
+    const prefix = `${query.collectionPath}/`;
+
+    let docs = [...this.docs.entries()]
+      .filter(([docPath]) => docPath.startsWith(prefix) && !docPath.slice(prefix.length).includes('/'))
+      .map(([docPath, data]) => ({ id: docPath.slice(prefix.length), data }))
+      .filter(doc => filters.every(filter => matches(doc, filter)));
+
+    const value = (doc, field) => (field === DOCUMENT_ID ? doc.id : getField(doc.data, field));
+    const orderings = orders.filter(order => order.field !== DOCUMENT_ID);
+    docs = docs.filter(doc => orderings.every(order => value(doc, order.field) !== undefined));
+
+    const allOrders = orders.some(order => order.field === DOCUMENT_ID)
+      ? orders
+      : [...orders, { field: DOCUMENT_ID, direction: orders.length > 0 ? orders[orders.length - 1].direction : 'asc' }];
+    const compareDocs = (a, b) => {
+      for (const { field, direction } of allOrders) {
+        const diff = compare(value(a, field), value(b, field));
+        if (diff !== 0) return direction === 'desc' ? -diff : diff;
+      }
+      return 0;
+    };
+    docs.sort(compareDocs);
+
+    if (startAfter) {
+      docs = docs.filter(doc => {
+        for (let i = 0; i < startAfter.length && i < allOrders.length; i++) {
+          const { field, direction } = allOrders[i];
+          const diff = compare(value(doc, field), startAfter[i]);
+          if (diff !== 0) return direction === 'desc' ? diff < 0 : diff > 0;
+        }
+        return false;
+      });
+    }
+
+    if (limit !== null) {
+      docs = docs.slice(0, limit);
+    }
+
+    return new QuerySnapshot(docs.map(doc => new DocumentSnapshot(this.doc(`${query.collectionPath}/${doc.id}`), clone(doc.data))));
+  }
+}
+
+// Replace a module (path relative to the repo root, or a package name) in the require cache
+function stubModule(request, exports) {
+  const resolved = request.startsWith('.') ? require.resolve(path.join(ROOT, request)) : require.resolve(request);
+  const stub = new Module(resolved);
+  stub.filename = resolved;
+  stub.loaded = true;
+  stub.exports = exports;
+  require.cache[resolved] = stub;
+  return exports;
+}
+
+// Install the fake firebase-admin. `apps` stays empty unless `initialized`, so
+// the fee engine and the exchange rate service use their default schedule and
+// rates; pass `initialized` to have them read and store theirs in the fake
+function install({ initialized = false } = {}) {
+  const db = new Firestore();
+  const firestore = () => db;
+  Object.assign(firestore, { FieldValue, Timestamp, FieldPath });
+
+  stubModule('firebase-admin', {
+    apps: initialized ? [{ name: '[DEFAULT]' }] : [],
+    initializeApp: () => ({}),
+    firestore
+  });
+
+  return db;
+}
+
+module.exports = { install, stubModule, Timestamp, FieldValue };
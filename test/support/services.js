@@ -0,0 +1,40 @@
+// =============================================
+// SERVICE STAND-INS FOR UNIT TESTS
+// =============================================
+// The invoice, email, earnings and revenue services hang off completed payments
+// and need packages (pdf-lib, nodemailer) the unit tests do not load. stub()
+// replaces them with recorders; every call lands in `calls` as
+// [`${service}.${method}`, ...args].
+const { stubModule } = require('./firebase');
+
+const SERVICES = {
+  invoiceService: ['issueAndSend'],
+  emailService: [
+    'sendPaymentExpiredEmail',
+    'sendCheckoutReminderEmail',
+    'sendBankTransferRejectedEmail',
+    'sendSponsorshipInviteEmail',
+    'sendOrganizationInviteEmail',
+    'sendInstallmentReminderEmail'
+  ],
+  earningsService: ['recordForPayment', 'clawbackForRefund'],
+  revenueAnalyticsService: ['markStale']
+};
+
+function stub() {
+  const calls = [];
+
+  Object.entries(SERVICES).forEach(([service, methods]) => {
+    const exports = {};
+    methods.forEach(method => {
+      exports[method] = async (...args) => {
+        calls.push([`${service}.${method}`, ...args]);
+      };
+    });
+    stubModule(`./services/${service}`, exports);
+  });
+
+  return calls;
+}
+
+module.exports = { stub };
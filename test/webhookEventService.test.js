@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { install } = require('./support/firebase');
+const services = require('./support/services');
+
+const db = install();
+services.stub();
+const webhookEventService = require('../services/webhookEventService');
+const paymentEventProcessor = require('../services/paymentEventProcessor');
+const { adapters } = require('../services/providers');
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+function delivery(eventId) {
+  return { provider: 'paychangu', source: 'webhook', eventId, eventType: 'payment.success', payload: { id: eventId } };
+}
+
+test('begin records a delivery once and counts repeats while it is processing or processed', async () => {
+  const first = await webhookEventService.begin(delivery('evt1'));
+  assert.deepEqual(first, { id: 'paychangu_evt1', duplicate: false, attempts: 1 });
+
+  const inFlight = await webhookEventService.begin(delivery('evt1'));
+  assert.equal(inFlight.duplicate, true);
+  assert.equal(inFlight.status, 'processing');
+
+  await webhookEventService.markProcessed(first.id, 'completed');
+  const processed = await webhookEventService.begin(delivery('evt1'));
+  assert.equal(processed.duplicate, true);
+
+  const entry = db.data('webhook_events/paychangu_evt1');
+  assert.equal(entry.duplicateCount, 2);
+  assert.equal(entry.outcome, 'completed');
+});
+
+test('begin retries a failed or abandoned delivery', async () => {
+  const first = await webhookEventService.begin(delivery('evt2'));
+  await webhookEventService.markFailed(first.id, new Error('Payment not found'));
+
+  const retry = await webhookEventService.begin(delivery('evt2'));
+  assert.deepEqual(retry, { id: 'paychangu_evt2', duplicate: false, attempts: 2 });
+  assert.equal(db.data('webhook_events/paychangu_evt2').error, null);
+
+  db.seed('webhook_events/paychangu_evt3', { id: 'paychangu_evt3', status: 'processing', attempts: 1, lastAttemptAt: minutesAgo(10) });
+  const abandoned = await webhookEventService.begin(delivery('evt3'));
+  assert.equal(abandoned.duplicate, false);
+  assert.equal(abandoned.attempts, 2);
+});
+
+test('ledger ids replace characters Firestore does not allow', () => {
+  assert.equal(webhookEventService.getEventDocId('paypal', 'WH-1/a.b#c'), 'paypal_WH-1_a_b_c');
+});
+
+test('replay refuses processed and in-flight events and reruns stale or failed ones', async () => {
+  const outcomes = [];
+  const processor = async payload => {
+    outcomes.push(payload.id);
+    return 'completed';
+  };
+
+  db.seed('webhook_events/paychangu_done', { status: 'processed', payload: { id: 'done' } });
+  await assert.rejects(webhookEventService.replay('paychangu_done', processor, 'admin1'), /already processed/);
+
+  db.seed('webhook_events/paychangu_busy', { status: 'processing', lastAttemptAt: minutesAgo(1), payload: { id: 'busy' } });
+  await assert.rejects(webhookEventService.replay('paychangu_busy', processor, 'admin1'), /still being processed/);
+
+  db.seed('webhook_events/paychangu_stale', { status: 'processing', attempts: 1, lastAttemptAt: minutesAgo(10), payload: { id: 'stale' } });
+  assert.deepEqual(await webhookEventService.replay('paychangu_stale', processor, 'admin1'), { success: true, outcome: 'completed' });
+
+  await assert.rejects(webhookEventService.replay('paychangu_missing', processor), /Webhook event not found/);
+
+  assert.deepEqual(outcomes, ['stale']);
+  const stale = db.data('webhook_events/paychangu_stale');
+  assert.equal(stale.status, 'processed');
+  assert.equal(stale.attempts, 2);
+  assert.equal(stale.replays[0].by, 'admin1');
+});
+
+test('a replay that fails again is left failed with the error', async () => {
+  db.seed('webhook_events/paychangu_broken', { status: 'failed', attempts: 1, payload: { id: 'broken' } });
+
+  await assert.rejects(
+    webhookEventService.replay('paychangu_broken', async () => { throw new Error('Payment not found'); }),
+    /Payment not found/
+  );
+
+  const entry = db.data('webhook_events/paychangu_broken');
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.error, 'Payment not found');
+});
+
+test('PayChangu deliveries without an event id are identified by reference, else by body', () => {
+  const paychangu = adapters.paychangu;
+
+  assert.equal(paychangu.normalize({ status: 'success', reference: 'ORDER-1' }).eventId, 'success_ORDER-1');
+  assert.equal(paychangu.normalize({ type: 'payment.success', data: { transaction_id: 'TX-1' } }).eventId, 'payment.success_TX-1');
+  assert.equal(paychangu.normalize({ id: 'evt_9', status: 'success', reference: 'ORDER-1' }).eventId, 'evt_9');
+
+  const bare = paychangu.normalize({ status: 'success', amount: 10 }).eventId;
+  assert.match(bare, /^body_[0-9a-f]{64}$/);
+  assert.equal(paychangu.normalize({ status: 'success', amount: 10 }).eventId, bare);
+  assert.notEqual(paychangu.normalize({ status: 'success', amount: 11 }).eventId, bare);
+});
+
+test('handleWebhook verifies, applies and then ignores a redelivered PayChangu event', async (t) => {
+  const secret = process.env.PAYCHANGU_WEBHOOK_SECRET;
+  process.env.PAYCHANGU_WEBHOOK_SECRET = 'test-secret';
+  t.after(() => {
+    if (secret === undefined) delete process.env.PAYCHANGU_WEBHOOK_SECRET;
+    else process.env.PAYCHANGU_WEBHOOK_SECRET = secret;
+  });
+
+  db.seed('users/hook_user', { email: 'hook@example.com', enrolledCourses: [] });
+  db.seed('courses/hook_course', { title: 'Course', totalEnrollments: 0 });
+  db.seed('payments/hook1', {
+    id: 'hook1',
+    orderId: 'ORDER-hook1',
+    userId: 'hook_user',
+    courseId: 'hook_course',
+    amount: { usd: 50, mwk: 40000 },
+    method: 'paychangu',
+    status: 'pending',
+    history: []
+  });
+
+  const body = { type: 'payment.success', data: { reference: 'ORDER-hook1', transaction_id: 'TX-hook1' } };
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const signature = crypto.createHmac('sha256', 'test-secret').update(rawBody).digest('hex');
+  const request = headers => ({ body, rawBody, headers });
+
+  const forged = await paymentEventProcessor.handleWebhook('paychangu', request({ 'x-paychangu-signature': 'f'.repeat(64) }), 'webhook');
+  assert.deepEqual(forged, { valid: false, reason: 'Signature mismatch' });
+  assert.equal(db.data('payments/hook1').status, 'pending');
+
+  const applied = await paymentEventProcessor.handleWebhook('paychangu', request({ 'x-paychangu-signature': signature }), 'webhook');
+  assert.deepEqual(applied, { valid: true, duplicate: false, outcome: 'completed' });
+  assert.equal(db.data('payments/hook1').status, 'completed');
+
+  const redelivered = await paymentEventProcessor.handleWebhook('paychangu', request({ 'x-paychangu-signature': signature }), 'webhook');
+  assert.deepEqual(redelivered, { valid: true, duplicate: true });
+  assert.equal(db.data('courses/hook_course').totalEnrollments, 1);
+  assert.equal(db.data('webhook_events/paychangu_payment_success_TX-hook1').status, 'processed');
+});
@@ -0,0 +1,61 @@
+// =============================================
+// REBUILD DAILY REVENUE ROLLUPS
+// Usage: node tools/rebuild-revenue-rollups.js --from=2026-01-01 --to=2026-01-31
+//        node tools/rebuild-revenue-rollups.js   (yesterday, today and stale days)
+// =============================================
+
+require('dotenv').config();
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin (uses default credentials)
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const revenueAnalyticsService = require('../services/revenueAnalyticsService');
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+
+async function run() {
+  const from = getArg('from');
+  const to = getArg('to') || from;
+
+  try {
+    if (from) {
+      console.log(`📊 Rebuilding revenue rollups ${from} - ${to}...`);
+      const rebuilt = await revenueAnalyticsService.rebuildRange(from, to);
+      console.log(`Rebuilt: ${rebuilt.length} day(s)`);
+      console.log('✅ Done');
+      process.exit(0);
+    }
+
+    console.log('📊 Refreshing recent and stale revenue rollups...');
+    const result = await revenueAnalyticsService.refreshRollups();
+
+    if (!result.success) {
+      console.error('❌ Refresh failed:', result.error);
+      process.exit(1);
+    }
+
+    console.log(`Rebuilt: ${result.rebuilt.join(', ') || 'none'}`);
+
+    if (result.errors.length > 0) {
+      console.error(`❌ Errors: ${result.errors.length}`);
+      result.errors.forEach(({ day, error }) => console.error(`  ${day}: ${error}`));
+      process.exit(1);
+    }
+
+    console.log('✅ Done');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Rebuild failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,40 @@
+// =============================================
+// REBUILD COURSE SEARCH INDEX
+// Usage: node tools/rebuild-search-index.js [--dry-run]
+// =============================================
+
+require('dotenv').config();
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin (uses default credentials)
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const searchService = require('../services/searchService');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+async function run() {
+  console.log(`🔎 Rebuilding course search index${dryRun ? ' (dry run)' : ''}...`);
+
+  const result = await searchService.rebuildIndex({ dryRun });
+
+  console.log(`Checked: ${result.checked}`);
+  console.log(`Indexed: ${result.indexed.length}`);
+
+  if (result.errors.length > 0) {
+    console.error(`❌ Errors: ${result.errors.length}`);
+    result.errors.forEach(({ courseId, error }) => console.error(`  ${courseId}: ${error}`));
+    process.exit(1);
+  }
+
+  console.log('✅ Done');
+  process.exit(0);
+}
+
+run().catch(error => {
+  console.error('❌ Search index rebuild failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+// =============================================
+// RECONCILE PAYMENTS AGAINST A SETTLEMENT EXPORT
+// Usage: node tools/reconcile-payments.js --provider=paychangu --file=settlement.csv
+//        [--from=2026-01-01] [--to=2026-01-31] [--out=report.csv] [--dry-run]
+// =============================================
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin (uses default credentials)
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const reconciliationService = require('../services/reconciliationService');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const getArg = (name) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+
+async function run() {
+  const provider = getArg('provider');
+  const file = getArg('file');
+  const out = getArg('out');
+
+  if (!provider || !file) {
+    console.error('❌ Usage: node tools/reconcile-payments.js --provider=paychangu|paypal --file=settlement.csv');
+    process.exit(1);
+  }
+
+  console.log(`🔎 Reconciling ${provider} settlement ${file}${dryRun ? ' (dry run)' : ''}...`);
+
+  try {
+    const report = await reconciliationService.runReconciliation({
+      provider,
+      csv: fs.readFileSync(file, 'utf8'),
+      filename: path.basename(file),
+      from: getArg('from'),
+      to: getArg('to'),
+      actor: 'cli',
+      dryRun
+    });
+
+    console.log(`Period: ${report.period.from} - ${report.period.to}`);
+    Object.entries(report.summary).forEach(([key, count]) => console.log(`${key}: ${count}`));
+
+    if (out) {
+      fs.writeFileSync(out, reconciliationService.toCsv(report));
+      console.log(`Report CSV written to ${out}`);
+    }
+
+    if (report.id) {
+      console.log(`Report saved: ${report.id}`);
+    }
+
+    console.log(report.issues > 0 ? `⚠️  ${report.issues} issue(s) found` : '✅ Fully reconciled');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
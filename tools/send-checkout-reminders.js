@@ -0,0 +1,45 @@
+// =============================================
+// SEND ABANDONED CHECKOUT REMINDERS
+// Usage: node tools/send-checkout-reminders.js [--dry-run] [--limit=200]
+// =============================================
+
+require('dotenv').config();
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin (uses default credentials)
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const paymentService = require('../services/paymentService');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1]) : 200;
+
+async function run() {
+  console.log(`📧 Sending checkout reminders${dryRun ? ' (dry run)' : ''}...`);
+
+  const result = await paymentService.sendCheckoutReminders({ limit, dryRun });
+
+  if (!result.success) {
+    console.error('❌ Reminder sweep failed:', result.error);
+    process.exit(1);
+  }
+
+  console.log(`Checked: ${result.checked}`);
+  console.log(`Reminded: ${result.reminded.length}`);
+  console.log(`Skipped: ${result.skipped.length}`);
+
+  if (result.errors.length > 0) {
+    console.error(`❌ Errors: ${result.errors.length}`);
+    result.errors.forEach(({ paymentId, error }) => console.error(`  ${paymentId}: ${error}`));
+    process.exit(1);
+  }
+
+  console.log('✅ Done');
+  process.exit(0);
+}
+
+run();